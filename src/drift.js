@@ -0,0 +1,233 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const path = require('path');
+const semver = require('semver');
+
+/**
+ * Returns the location of the specified <code>pkg</code> relative to the directory provided, using forward slashes so
+ * that it can be compared with the locations recorded within lockfiles.
+ *
+ * @param {pacscan~Package} pkg - the package whose location is to be returned
+ * @param {string} dirPath - the path of the directory to which the location is to be relative
+ * @return {string} The location of <code>pkg</code>.
+ * @private
+ */
+function getLocation(pkg, dirPath) {
+  return path.relative(dirPath, pkg.directory).split(path.sep).join('/');
+}
+
+/**
+ * Returns whether the package for the specified lockfile <code>entry</code> is required to be installed.
+ *
+ * Optional packages are never required. When the <code>dev</code> option is disabled (e.g. when inspecting a
+ * production install), packages that the lockfile records as only being installed for development, including those
+ * that are otherwise optional (i.e. npm's <code>devOptional</code>), are not required either.
+ *
+ * @param {lockfile~Entry} entry - the lockfile entry to be checked
+ * @param {pacscan~Options} options - the options to be used
+ * @return {boolean} <code>true</code> if the package for <code>entry</code> is required; otherwise <code>false</code>.
+ * @private
+ */
+function isRequired(entry, options) {
+  if (entry.optional) {
+    return false;
+  }
+
+  return options.dev || (entry.type !== 'dev' && entry.type !== 'optional');
+}
+
+/**
+ * Returns whether the specified <code>pkg</code> matches the lockfile <code>entry</code> provided.
+ *
+ * Only versions recorded within the lockfile that are valid semantic versions are compared, since packages installed
+ * from other sources (e.g. git URLs) may record something other than the version of the package. Since lockfiles
+ * record exact versions rather than ranges, prerelease versions must also match exactly.
+ *
+ * @param {lockfile~Entry} entry - the lockfile entry to be matched
+ * @param {pacscan~Package} pkg - the package to be checked
+ * @return {boolean} <code>true</code> if <code>pkg</code> matches <code>entry</code>; otherwise <code>false</code>.
+ * @private
+ */
+function matches(entry, pkg) {
+  return entry.name === pkg.name && (semver.valid(entry.version) == null || entry.version === pkg.version);
+}
+
+/**
+ * Compares the entries within the specified <code>lockfile</code> with the <code>packages</code> found within the
+ * directory containing it.
+ *
+ * Each lockfile entry is first matched with the package found at the same location. Where the package has a different
+ * name or version, it is <code>changed</code>. Any remaining entries are then matched with any remaining package of the
+ * same name and version, in which case it is <code>moved</code>, or are otherwise <code>missing</code>. Finally, any
+ * remaining packages are <code>extra</code>.
+ *
+ * Entries without a location (e.g. from <code>yarn.lock</code>) record a resolution rather than an installation, so
+ * every remaining package of the same name and version is <code>ok</code> for them. Where a lockfile does not record
+ * the base package (e.g. <code>yarn.lock</code> and <code>pnpm-lock.yaml</code>), it and its workspace packages are
+ * never <code>extra</code>.
+ *
+ * The summary counts the packages with each status and provides an <code>exitCode</code> which is <code>1</code> if any
+ * package is anything but <code>ok</code>, unless it is only <code>missing</code> and not required (i.e. optional, or
+ * only for development when the <code>dev</code> option is disabled); otherwise <code>0</code>.
+ *
+ * @param {lockfile~Lockfile} lockfile - the lockfile to be compared
+ * @param {pacscan~Package[]} packages - the packages found
+ * @param {pacscan~Options} options - the options to be used
+ * @return {drift~Result} The result of the comparison.
+ * @public
+ * @static
+ */
+exports.compare = function compare(lockfile, packages, options) {
+  const dirPath = path.dirname(lockfile.path);
+  const results = [];
+  const summary = { changed: 0, exitCode: 0, extra: 0, missing: 0, moved: 0, ok: 0 };
+  const remainingEntries = [];
+  const remainingPackages = new Map();
+
+  const addResult = (status, entry, pkg) => {
+    results.push({
+      actual: pkg,
+      expected: entry,
+      name: entry ? entry.name : pkg.name,
+      status
+    });
+
+    summary[status] += 1;
+
+    if (status !== 'ok' && (status !== 'missing' || isRequired(entry, options))) {
+      summary.exitCode = 1;
+    }
+  };
+
+  packages.forEach((pkg) => remainingPackages.set(getLocation(pkg, dirPath), pkg));
+
+  lockfile.entries.forEach((entry) => {
+    const pkg = entry.location != null ? remainingPackages.get(entry.location) : null;
+
+    if (pkg) {
+      remainingPackages.delete(entry.location);
+
+      addResult(matches(entry, pkg) ? 'ok' : 'changed', entry, pkg);
+    } else {
+      remainingEntries.push(entry);
+    }
+  });
+
+  remainingEntries.forEach((entry) => {
+    if (entry.location == null) {
+      const locations = [];
+      remainingPackages.forEach((pkg, location) => {
+        if (matches(entry, pkg)) {
+          locations.push(location);
+        }
+      });
+
+      locations.forEach((location) => {
+        addResult('ok', entry, remainingPackages.get(location));
+
+        remainingPackages.delete(location);
+      });
+
+      if (!locations.length) {
+        addResult('missing', entry, null);
+      }
+
+      return;
+    }
+
+    let movedLocation = null;
+
+    remainingPackages.forEach((pkg, location) => {
+      if (movedLocation == null && matches(entry, pkg)) {
+        movedLocation = location;
+      }
+    });
+
+    if (movedLocation != null) {
+      addResult('moved', entry, remainingPackages.get(movedLocation));
+
+      remainingPackages.delete(movedLocation);
+    } else {
+      addResult('missing', entry, null);
+    }
+  });
+
+  const recordsLocalPackages = lockfile.entries.some((entry) => entry.location === '');
+
+  remainingPackages.forEach((pkg, location) => {
+    if (recordsLocalPackages || (location !== '' && !pkg.workspace)) {
+      addResult('extra', null, pkg);
+    }
+  });
+
+  return {
+    lockfile: {
+      path: lockfile.path,
+      type: lockfile.type,
+      version: lockfile.version
+    },
+    packages: results,
+    summary
+  };
+};
+
+/**
+ * Contains the result of comparing a single package recorded within a lockfile and/or found on disk.
+ *
+ * @typedef {Object} drift~PackageResult
+ * @property {?pacscan~Package} actual - The information for the package found on disk (will be <code>null</code> if
+ * it is <code>missing</code>).
+ * @property {?lockfile~Entry} expected - The information recorded within the lockfile for the package (will be
+ * <code>null</code> if it is <code>extra</code>).
+ * @property {string} name - The name of the package, as recorded within the lockfile where possible.
+ * @property {string} status - The status of the package (either <code>"ok"</code>, <code>"changed"</code>,
+ * <code>"moved"</code>, <code>"missing"</code>, or <code>"extra"</code>).
+ */
+
+/**
+ * Contains the result of comparing a lockfile with the packages found on disk.
+ *
+ * @typedef {Object} drift~Result
+ * @property {Object} lockfile - The <code>path</code>, <code>type</code>, and <code>version</code> of the lockfile.
+ * @property {drift~PackageResult[]} packages - The results for each package, starting with those matched with the
+ * lockfile entries at the same location, in the order in which they were recorded, followed by those matched by name
+ * and version or that are <code>missing</code>, and then those that are <code>extra</code>.
+ * @property {drift~Summary} summary - The summary of the comparison.
+ */
+
+/**
+ * Contains a summary of the result of comparing a lockfile with the packages found on disk.
+ *
+ * @typedef {Object} drift~Summary
+ * @property {number} changed - The number of packages found at the location recorded but with a different name or
+ * version.
+ * @property {number} exitCode - <code>1</code> if any package is not <code>ok</code>, unless it is a package that is
+ * <code>missing</code> but not required (i.e. optional, or only for development when the <code>dev</code> option is
+ * disabled); otherwise <code>0</code>.
+ * @property {number} extra - The number of packages found on disk that are not recorded within the lockfile.
+ * @property {number} missing - The number of packages recorded within the lockfile that could not be found on disk.
+ * @property {number} moved - The number of packages found with the name and version recorded but at another location.
+ * @property {number} ok - The number of packages found at the location, and with the name and version, recorded (or
+ * just with the name and version where no location is recorded).
+ */
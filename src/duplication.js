@@ -0,0 +1,143 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const semver = require('semver');
+
+/**
+ * Compares the specified versions so that valid semantic versions are sorted in ascending order, followed by any other
+ * versions sorted lexically.
+ *
+ * @param {?string} version1 - the first version to be compared
+ * @param {?string} version2 - the second version to be compared
+ * @return {number} A negative number if <code>version1</code> is sorted first, a positive number if
+ * <code>version2</code> is sorted first, or zero if they are equal.
+ * @private
+ */
+function compareVersions(version1, version2) {
+  const valid1 = semver.valid(version1) != null;
+  const valid2 = semver.valid(version2) != null;
+
+  if (valid1 && valid2) {
+    return semver.compare(version1, version2);
+  }
+  if (valid1 !== valid2) {
+    return valid1 ? -1 : 1;
+  }
+
+  return String(version1).localeCompare(String(version2));
+}
+
+/**
+ * Finds all packages within the specified dependency <code>tree</code> that are installed more than once, whether at
+ * different versions or at the same version in different locations, and groups them by name.
+ *
+ * Each copy lists the packages that depend on it (i.e. those whose dependency resolves to it) so that it's clear which
+ * parents pull it in. Any version that is installed more than once is listed as <code>undeduped</code>, since those
+ * copies could have been deduplicated into a single installation.
+ *
+ * Where <code>isIncluded</code> is specified, only the copies for which it returns <code>true</code> are considered,
+ * although they may still be depended on by any package within <code>tree</code>.
+ *
+ * @param {graph~Graph} tree - the dependency graph to be checked
+ * @param {Function} [isIncluded] - the function to be called with each package to determine whether it is to be
+ * considered (may be <code>null</code> to consider all packages)
+ * @return {duplication~Duplicate[]} The duplicated packages, sorted by name.
+ * @public
+ * @static
+ */
+exports.find = function find(tree, isIncluded) {
+  const copiesByName = new Map();
+
+  tree.nodes.forEach((pkg, nodeIndex) => {
+    if (isIncluded != null && !isIncluded(pkg)) {
+      return;
+    }
+
+    const copies = copiesByName.get(pkg.name) || [];
+
+    copies.push({
+      directory: pkg.directory,
+      parents: tree.edges
+        .filter((edge) => edge.to === nodeIndex)
+        .map((edge) => ({
+          directory: tree.nodes[edge.from].directory,
+          name: tree.nodes[edge.from].name,
+          range: edge.range,
+          type: edge.type
+        })),
+      version: pkg.version
+    });
+
+    copiesByName.set(pkg.name, copies);
+  });
+
+  return Array.from(copiesByName.keys())
+    .filter((name) => copiesByName.get(name).length > 1)
+    .sort()
+    .map((name) => {
+      const copies = copiesByName.get(name);
+      const allVersions = copies.map((copy) => copy.version);
+      const versions = allVersions
+        .filter((version, index) => allVersions.indexOf(version) === index)
+        .sort(compareVersions);
+
+      return {
+        copies,
+        name,
+        undeduped: versions.filter((version) => allVersions.indexOf(version) !== allVersions.lastIndexOf(version)),
+        versions
+      };
+    });
+};
+
+/**
+ * Contains the information for a single installed copy of a duplicated package.
+ *
+ * @typedef {Object} duplication~Copy
+ * @property {string} directory - The path to the installation directory of the copy.
+ * @property {duplication~Parent[]} parents - The packages whose dependencies resolve to the copy.
+ * @property {?string} version - The version of the copy.
+ */
+
+/**
+ * Contains the information for a package that is installed more than once.
+ *
+ * @typedef {Object} duplication~Duplicate
+ * @property {duplication~Copy[]} copies - Each installed copy of the package, in the same order as the nodes of the
+ * graph.
+ * @property {string} name - The name of the package.
+ * @property {string[]} undeduped - The versions of the package which are installed more than once, which indicates
+ * that deduplication was missed.
+ * @property {Array.<?string>} versions - The distinct versions of the package that are installed, sorted in ascending
+ * order.
+ */
+
+/**
+ * Contains the information for a package whose dependency resolves to a copy of a duplicated package.
+ *
+ * @typedef {Object} duplication~Parent
+ * @property {string} directory - The path to the installation directory of the parent package.
+ * @property {string} name - The name of the parent package.
+ * @property {string} range - The version range declared by the parent package for the dependency.
+ * @property {string} type - The type of the dependency (e.g. <code>"prod"</code>).
+ */
@@ -0,0 +1,267 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+/**
+ * The base class for all errors raised by PacScan.
+ *
+ * Each error has a stable <code>code</code> that can be used to identify the type of error without relying on its
+ * message, along with the <code>path</code> of the offending file or directory and the original error that caused it
+ * (where applicable).
+ *
+ * @public
+ */
+class PacScanError extends Error {
+
+  /**
+   * Creates an instance of {@link PacScanError} with the <code>message</code> and <code>code</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {string} code - the stable code identifying the type of error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, code, details) {
+    super(message);
+
+    if (!details) {
+      details = {};
+    }
+
+    /**
+     * The name of this {@link PacScanError}.
+     *
+     * @public
+     * @type {string}
+     */
+    this.name = this.constructor.name;
+
+    /**
+     * The stable code identifying the type of this {@link PacScanError}.
+     *
+     * @public
+     * @type {string}
+     */
+    this.code = code;
+
+    /**
+     * The path of the file or directory responsible for this {@link PacScanError}.
+     *
+     * @public
+     * @type {?string}
+     */
+    this.path = details.path != null ? details.path : null;
+
+    /**
+     * The original error that caused this {@link PacScanError}.
+     *
+     * @public
+     * @type {?Error}
+     */
+    this.cause = details.cause != null ? details.cause : null;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+}
+
+/**
+ * Raised when the file system could not be accessed (e.g. a directory could not be read due to its permissions).
+ *
+ * @public
+ */
+class FileSystemError extends PacScanError {
+
+  /**
+   * Returns the specified <code>error</code> that occurred for the file at the path provided as a
+   * {@link PacScanError}.
+   *
+   * <code>error</code> is returned as-is if it is already a {@link PacScanError}. Otherwise, it is wrapped within a new
+   * {@link FileSystemError}.
+   *
+   * @param {string} filePath - the path of the file for which <code>error</code> occurred
+   * @param {Error} error - the error to be wrapped
+   * @return {PacScanError} The {@link PacScanError} for <code>error</code>.
+   * @public
+   * @static
+   */
+  static wrap(filePath, error) {
+    if (error instanceof PacScanError) {
+      return error;
+    }
+
+    return new FileSystemError(error.message, { cause: error, path: filePath });
+  }
+
+  /**
+   * Creates an instance of {@link FileSystemError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_FS', details);
+  }
+
+}
+
+/**
+ * Raised when the value of an option is not supported.
+ *
+ * @public
+ */
+class InvalidOptionError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link InvalidOptionError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_INVALID_OPTION', details);
+  }
+
+}
+
+/**
+ * Raised when a lockfile (e.g. <code>package-lock.json</code>) cannot be parsed.
+ *
+ * @public
+ */
+class MalformedLockfileError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link MalformedLockfileError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_MALFORMED_LOCKFILE', details);
+  }
+
+}
+
+/**
+ * Raised when a <code>package.json</code> file cannot be parsed.
+ *
+ * @public
+ */
+class MalformedManifestError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link MalformedManifestError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_MALFORMED_MANIFEST', details);
+  }
+
+}
+
+/**
+ * Raised when the Yarn Plug'n'Play (PnP) runtime state cannot be parsed.
+ *
+ * @public
+ */
+class MalformedPnpStateError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link MalformedPnpStateError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_MALFORMED_PNP_STATE', details);
+  }
+
+}
+
+/**
+ * Raised when the module responsible for calling PacScan could not be found and no <code>path</code> option was
+ * specified.
+ *
+ * @public
+ */
+class NoCallerError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link NoCallerError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_NO_CALLER', details);
+  }
+
+}
+
+/**
+ * Raised when a path that is required to exist (e.g. the <code>path</code> option) could not be found.
+ *
+ * @public
+ */
+class PathNotFoundError extends PacScanError {
+
+  /**
+   * Creates an instance of {@link PathNotFoundError} with the <code>message</code> provided.
+   *
+   * @param {string} message - the message describing the error
+   * @param {pacscan~ErrorDetails} [details] - the details of the error (may be <code>null</code>)
+   * @public
+   */
+  constructor(message, details) {
+    super(message, 'ERR_PACSCAN_PATH_NOT_FOUND', details);
+  }
+
+}
+
+module.exports = {
+  FileSystemError,
+  InvalidOptionError,
+  MalformedLockfileError,
+  MalformedManifestError,
+  MalformedPnpStateError,
+  NoCallerError,
+  PacScanError,
+  PathNotFoundError
+};
+
+/**
+ * Contains the details of an error raised by PacScan.
+ *
+ * @typedef {Object} pacscan~ErrorDetails
+ * @property {Error} [cause] - The original error that caused the error.
+ * @property {string} [path] - The path of the file or directory responsible for the error.
+ */
@@ -0,0 +1,218 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const semver = require('semver');
+
+/**
+ * The options used when checking whether the version of a package matches a semantic version range, which exclude
+ * prerelease versions in the same way as when validating dependencies.
+ *
+ * @private
+ * @type {Object}
+ */
+const rangeOptions = { includePrerelease: false };
+
+/**
+ * Finds the chains of dependencies within the specified <code>graph</code> which lead from a starting node to the node
+ * at <code>nodeIndex</code>.
+ *
+ * Every possible chain is enumerated, similar to <code>npm explain</code>, by walking backwards from the node, using
+ * <code>incomingEdges</code>, while never revisiting a node that is already within the same chain so that circular
+ * dependencies cannot cause an infinite walk. A chain is found each time that a starting node is reached, however, the
+ * walk continues beyond it as a starting node may itself be depended on by another.
+ *
+ * Since the number of chains can grow exponentially for graphs where dependencies are shared, partial chains are
+ * extended in order of the shortest length that they could possibly reach, based on the <code>distances</code> of each
+ * node from the nearest starting node, and nodes which cannot be reached from any starting node are never visited. As
+ * such, the shortest chains are found first and the walk stops as soon as <code>maxChains</code> chains have been
+ * found, where specified, without having to extend every other partial chain.
+ *
+ * @param {Object} graph - the graph to be walked, containing the edges which resolve to each node
+ * (<code>incomingEdges</code>) and the distance of each node from the nearest starting node (<code>distances</code>)
+ * @param {number} nodeIndex - the index of the node to which the chains are to lead
+ * @param {?number} maxChains - the maximum number of chains to be found (may be <code>null</code> to find all chains)
+ * @return {Array.<graph~Edge[]>} The chains leading to the node at <code>nodeIndex</code>, sorted by their length.
+ * @private
+ */
+function findChains(graph, nodeIndex, maxChains) {
+  const chains = [];
+  // Sorted so that the partial chain to be extended next is last, preferring the longest where lengths could be equal
+  const queue = [];
+  const enqueue = (chain, nodeIndices) => {
+    const distance = graph.distances[nodeIndices[nodeIndices.length - 1]];
+    if (distance == null) {
+      return;
+    }
+
+    const partial = { chain, length: chain.length + distance, nodeIndices };
+    let low = 0;
+    let high = queue.length;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const other = queue[middle];
+
+      if (other.length < partial.length || (other.length === partial.length && other.chain.length >= chain.length)) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    queue.splice(low, 0, partial);
+  };
+
+  const limit = maxChains != null ? maxChains : Infinity;
+
+  enqueue([], [ nodeIndex ]);
+
+  while (queue.length && chains.length < limit) {
+    const current = queue.pop();
+    const currentIndex = current.nodeIndices[current.nodeIndices.length - 1];
+
+    if (graph.distances[currentIndex] === 0) {
+      chains.push(current.chain);
+    }
+
+    graph.incomingEdges[currentIndex]
+      .filter((edge) => current.nodeIndices.indexOf(edge.from) < 0)
+      .forEach((edge) => enqueue([ edge ].concat(current.chain), current.nodeIndices.concat(edge.from)));
+  }
+
+  return chains;
+}
+
+/**
+ * Returns whether the specified <code>pkg</code> matches the <code>version</code> provided, which may be either an
+ * exact version or a semantic version range. A prerelease version only matches a range which
+ * contains a prerelease of the same version.
+ *
+ * @param {pacscan~Package} pkg - the package to be checked
+ * @param {?string} version - the version to be matched (may be <code>null</code> to match any version)
+ * @return {boolean} <code>true</code> if <code>pkg</code> matches <code>version</code>; otherwise <code>false</code>.
+ * @private
+ */
+function matchesVersion(pkg, version) {
+  if (version == null || pkg.version === version) {
+    return true;
+  }
+
+  return semver.valid(pkg.version) != null && semver.validRange(version) != null &&
+    semver.satisfies(pkg.version, version, rangeOptions);
+}
+
+/**
+ * Explains why each installed copy of the package with the specified <code>name</code> (and, optionally, version) is
+ * within the dependency <code>tree</code> provided.
+ *
+ * Every chain of dependencies leading from the base package, or from any of its workspace packages, to a copy is
+ * returned, with each hop containing the range and type of the dependency which was followed, similar to
+ * <code>npm explain</code>. No package appears more than once within a single chain. A copy that cannot be reached via
+ * any chain (i.e. it's extraneous) has no chains, while a copy that is itself the base package or a workspace package
+ * has an empty chain.
+ *
+ * @param {graph~Graph} tree - the dependency graph to be searched
+ * @param {string} name - the name of the package to be explained
+ * @param {explanation~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {explanation~Explanation[]} The explanations for each matching copy, in the same order as the nodes of the
+ * graph.
+ * @public
+ * @static
+ */
+exports.explain = function explain(tree, name, options) {
+  options = options || {};
+
+  const graph = {
+    distances: tree.nodes.map(() => null),
+    incomingEdges: tree.nodes.map(() => [])
+  };
+  const outgoingEdges = tree.nodes.map(() => []);
+  const queue = tree.nodes
+    .map((pkg, nodeIndex) => nodeIndex)
+    .filter((nodeIndex) => nodeIndex === tree.root || Boolean(tree.nodes[nodeIndex].workspace));
+
+  tree.edges
+    .filter((edge) => edge.to != null)
+    .forEach((edge) => {
+      graph.incomingEdges[edge.to].push(edge);
+      outgoingEdges[edge.from].push(edge);
+    });
+
+  queue.forEach((nodeIndex) => {
+    graph.distances[nodeIndex] = 0;
+  });
+
+  for (let i = 0; i < queue.length; i += 1) {
+    outgoingEdges[queue[i]]
+      .filter((edge) => graph.distances[edge.to] == null)
+      .forEach((edge) => {
+        graph.distances[edge.to] = graph.distances[queue[i]] + 1;
+        queue.push(edge.to);
+      });
+  }
+
+  return tree.nodes
+    .map((pkg, nodeIndex) => ({ nodeIndex, pkg }))
+    .filter((node) => node.pkg.name === name && matchesVersion(node.pkg, options.version))
+    .map((node) => ({
+      chains: findChains(graph, node.nodeIndex, options.maxChains).map((chain) => chain.map((edge) => ({
+        from: tree.nodes[edge.from],
+        name: edge.name,
+        range: edge.range,
+        to: tree.nodes[edge.to],
+        type: edge.type
+      }))),
+      package: node.pkg
+    }));
+};
+
+/**
+ * Contains the explanation for why an installed copy of a package is present.
+ *
+ * @typedef {Object} explanation~Explanation
+ * @property {Array.<explanation~Hop[]>} chains - The chains of dependencies which lead from the base package, or from
+ * any of its workspace packages, to the copy, with the shortest chains first.
+ * @property {pacscan~Package} package - The information for the copy.
+ */
+
+/**
+ * Contains the information for a single dependency which is followed within a chain.
+ *
+ * @typedef {Object} explanation~Hop
+ * @property {pacscan~Package} from - The information for the package which declares the dependency.
+ * @property {string} name - The name of the dependency.
+ * @property {string} range - The version range declared for the dependency.
+ * @property {pacscan~Package} to - The information for the package to which the dependency resolves.
+ * @property {string} type - The type of the dependency (either <code>"prod"</code>, <code>"dev"</code>,
+ * <code>"optional"</code>, <code>"peer"</code>, or <code>"peerOptional"</code>).
+ */
+
+/**
+ * The options to be used to explain a package.
+ *
+ * @typedef {Object} explanation~Options
+ * @property {number} [maxChains] - The maximum number of chains to be returned for each copy, in which case only the
+ * shortest chains are returned. All chains are returned if this is <code>null</code>.
+ * @property {string} [version] - The exact version or semantic version range of the package to be explained. All
+ * versions are explained if this is <code>null</code>.
+ */
@@ -0,0 +1,357 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const path = require('path');
+
+/**
+ * The fields within a <code>package.json</code> file from which dependencies are read, along with the type of edge
+ * created for each dependency declared within them and the fields which take precedence when a dependency is declared
+ * within more than one.
+ *
+ * Where a field has a corresponding metadata field (i.e. <code>peerDependenciesMeta</code>), dependencies marked as
+ * <code>optional</code> within it are given the optional type instead.
+ *
+ * @private
+ * @type {Array.<{field: string, metaField: ?string, optionalType: ?string, overriddenBy: string[], type: string}>}
+ */
+const dependencyFields = [
+  { field: 'dependencies', overriddenBy: [ 'optionalDependencies' ], type: 'prod' },
+  { field: 'devDependencies', overriddenBy: [ 'dependencies', 'optionalDependencies' ], type: 'dev' },
+  { field: 'optionalDependencies', overriddenBy: [], type: 'optional' },
+  {
+    field: 'peerDependencies',
+    metaField: 'peerDependenciesMeta',
+    optionalType: 'peerOptional',
+    overriddenBy: [],
+    type: 'peer'
+  }
+];
+
+/**
+ * The types given to packages which are dependencies, in order of precedence, along with the types of the edges which
+ * lead to packages of each type.
+ *
+ * A package is given a type when it can be reached from the base package, any of its workspace packages, or any package
+ * given a preceding type via edges of those types, while still being able to follow edges that lead to packages of any
+ * preceding type (e.g. a dependency of an optional dependency is also optional).
+ *
+ * @private
+ * @type {Array.<{edgeTypes: string[], type: string}>}
+ */
+const packageTypes = [
+  { edgeTypes: [ 'prod' ], type: 'prod' },
+  { edgeTypes: [ 'optional' ], type: 'optional' },
+  { edgeTypes: [ 'peer', 'peerOptional' ], type: 'peer' },
+  { edgeTypes: [ 'dev' ], type: 'dev' }
+];
+
+/**
+ * Creates an index which maps every path via which each of the specified <code>entries</code> can be reached (i.e. its
+ * directory, real path, aliases, and any links) to the index of the entry.
+ *
+ * Aliases are the other paths via which a package was found, which resolve to the same real path (e.g. a link to a
+ * workspace package within <code>node_modules</code>), so that dependencies can be resolved via them without the file
+ * system being accessed.
+ *
+ * @param {graph~Entry[]} entries - the entries to be indexed
+ * @return {Map.<string, number>} The index of paths to <code>entries</code>.
+ * @private
+ */
+function createIndex(entries) {
+  const index = new Map();
+  const add = (filePath, nodeIndex) => {
+    if (!index.has(filePath)) {
+      index.set(filePath, nodeIndex);
+    }
+  };
+
+  entries.forEach((entry, nodeIndex) => {
+    add(entry.package.directory, nodeIndex);
+    add(entry.package.realPath, nodeIndex);
+
+    (entry.location.aliases || []).concat(entry.location.links || []).forEach((link) => add(link, nodeIndex));
+  });
+
+  return index;
+}
+
+/**
+ * Finds the type of each node based on how it can be reached from the <code>root</code> node, or any workspace nodes,
+ * via the specified <code>edges</code>.
+ *
+ * The <code>root</code> node and workspace nodes are <code>prod</code>, while every other node is given the type of
+ * the first of the <code>packageTypes</code> whose edges, or those of any preceding types, lead to it from a node which
+ * already has a type. This means that only nodes reachable via <code>prod</code> edges alone are <code>prod</code>,
+ * while a node reachable from them only via an optional or peer dependency is <code>optional</code> or
+ * <code>peer</code> respectively. Any nodes which cannot be reached at all are <code>extraneous</code>. Everything is
+ * considered <code>prod</code> if there is no <code>root</code> node as it is unknown which dependencies were intended
+ * to be installed.
+ *
+ * @param {pacscan~Package[]} nodes - the nodes of the graph
+ * @param {graph~Edge[]} edges - the edges of the graph
+ * @param {?number} root - the index of the root node (may be <code>null</code> if there is none)
+ * @return {string[]} The types of all nodes, in the same order.
+ * @private
+ */
+function findTypes(nodes, edges, root) {
+  if (root == null) {
+    return nodes.map(() => 'prod');
+  }
+
+  const edgesFrom = nodes.map(() => []);
+  edges.forEach((edge) => edgesFrom[edge.from].push(edge));
+
+  const edgeTypes = [];
+  const types = nodes.map((pkg, nodeIndex) => {
+    return nodeIndex === root || pkg.workspace ? 'prod' : null;
+  });
+
+  packageTypes.forEach((packageType) => {
+    const pending = getIndices(types.map((type) => type != null), true);
+    const visit = (edge) => {
+      if (edge.to != null && types[edge.to] == null && edgeTypes.indexOf(edge.type) >= 0) {
+        types[edge.to] = packageType.type;
+        pending.push(edge.to);
+      }
+    };
+
+    packageType.edgeTypes.forEach((edgeType) => edgeTypes.push(edgeType));
+
+    while (pending.length) {
+      edgesFrom[pending.shift()].forEach(visit);
+    }
+  });
+
+  return types.map((type) => type || 'extraneous');
+}
+
+/**
+ * Finds the entry for the package with the specified <code>name</code> that Node would load from the directory
+ * provided.
+ *
+ * Just like Node, the <code>node_modules</code> directory within <code>dirPath</code> and each of its ancestors (other
+ * than those which are themselves <code>node_modules</code> directories) is checked in turn against the
+ * <code>index</code>, which also contains the paths of any symbolic links via which packages were found (e.g. linked
+ * workspace packages).
+ *
+ * @param {Map.<string, number>} index - the index of paths to entries
+ * @param {string} dirPath - the path of the directory from which <code>name</code> is to be resolved
+ * @param {string} name - the name of the package to be found
+ * @return {?number} The index of the entry for the package or <code>null</code> if it is not installed.
+ * @private
+ */
+function findInstalled(index, dirPath, name) {
+  if (path.basename(dirPath) !== 'node_modules') {
+    const candidatePath = path.join(dirPath, 'node_modules', name);
+    const nodeIndex = index.get(candidatePath);
+
+    if (nodeIndex != null) {
+      return nodeIndex;
+    }
+  }
+
+  const parentDirPath = path.dirname(dirPath);
+
+  return parentDirPath !== dirPath ? findInstalled(index, parentDirPath, name) : null;
+}
+
+/**
+ * Returns the dependencies declared within the specified <code>dependencyField</code> of <code>manifest</code>, sorted
+ * by name.
+ *
+ * Just like npm, a dependency that is only declared within the metadata field (e.g. <code>peerDependenciesMeta</code>)
+ * is still included, with a range of <code>*</code>, as long as it is marked as <code>optional</code>.
+ *
+ * @param {Object} manifest - the contents of the <code>package.json</code> file declaring the dependencies
+ * @param {Object} dependencyField - the field from which the dependencies are to be read
+ * @return {Array.<{name: string, range: string, type: string}>} The dependencies declared within
+ * <code>dependencyField</code>.
+ * @private
+ */
+function getDeclaredDependencies(manifest, dependencyField) {
+  const ranges = manifest[dependencyField.field] || {};
+  const meta = (dependencyField.metaField != null ? manifest[dependencyField.metaField] : null) || {};
+  const isDeclared = (name) => Object.prototype.hasOwnProperty.call(ranges, name);
+  const isOptional = (name) => meta[name] != null && meta[name].optional === true;
+
+  return Object.keys(ranges)
+    .concat(Object.keys(meta).filter((name) => isOptional(name) && !isDeclared(name)))
+    .sort()
+    .map((name) => ({
+      name,
+      range: isDeclared(name) ? ranges[name] : '*',
+      type: isOptional(name) ? dependencyField.optionalType : dependencyField.type
+    }));
+}
+
+/**
+ * Returns the indices of all of the specified <code>flags</code> that match <code>value</code>.
+ *
+ * @param {boolean[]} flags - the flags to be checked
+ * @param {boolean} value - the value to be matched
+ * @return {number[]} The indices of the matching <code>flags</code>.
+ * @private
+ */
+function getIndices(flags, value) {
+  return flags.reduce((indices, flag, flagIndex) => {
+    if (flag === value) {
+      indices.push(flagIndex);
+    }
+
+    return indices;
+  }, []);
+}
+
+/**
+ * Resolves the dependency with the specified <code>name</code> declared by the package for the <code>entry</code>
+ * provided.
+ *
+ * Dependencies are resolved using the <code>resolutions</code> of the location for <code>entry</code>, where present
+ * (i.e. when using the PnP layout), and Node's <code>node_modules</code> resolution rules otherwise.
+ *
+ * @param {Map.<string, number>} index - the index of paths to entries
+ * @param {graph~Entry} entry - the entry for the package which declares the dependency
+ * @param {string} name - the name of the dependency
+ * @return {?number} The index of the entry for the resolved package or <code>null</code> if it could not be resolved.
+ * @private
+ */
+function resolveDependency(index, entry, name) {
+  const resolutions = entry.location.resolutions;
+  if (resolutions == null) {
+    return findInstalled(index, entry.package.directory, name);
+  }
+
+  const dirPath = Object.prototype.hasOwnProperty.call(resolutions, name) ? resolutions[name] : null;
+
+  return dirPath != null && index.has(dirPath) ? index.get(dirPath) : null;
+}
+
+/**
+ * Builds a dependency graph for the specified <code>entries</code>, which are expected to be all of the packages found
+ * within the base directory at the path provided.
+ *
+ * The packages for <code>entries</code> form the <code>nodes</code> of the graph, in the same order, and an edge is
+ * created for each dependency declared within the <code>dependencies</code>, <code>optionalDependencies</code>, and
+ * <code>peerDependencies</code> of their manifests. Each edge points to the node for the package that would be loaded
+ * by Node for the dependency, where installed. A dependency declared within both <code>dependencies</code> and
+ * <code>optionalDependencies</code> is treated as optional, just like npm does, as is a peer dependency marked as
+ * <code>optional</code> within <code>peerDependenciesMeta</code>.
+ *
+ * Since npm only installs the <code>devDependencies</code> of the base package and its workspace packages, edges are
+ * only created for the <code>devDependencies</code> of these packages and only if the <code>dev</code> option is
+ * enabled. Any nodes which cannot be reached from these packages are considered <code>extraneous</code>.
+ *
+ * Each node is also given a <code>type</code> based on how it can be reached from these packages, unless a type was
+ * recorded for its location (e.g. when read from a lockfile).
+ *
+ * @param {graph~Entry[]} entries - the entries for all packages found
+ * @param {string} dirPath - the path of the base directory
+ * @param {pacscan~Options} options - the options to be used
+ * @return {graph~Graph} The dependency graph for <code>entries</code>.
+ * @public
+ * @static
+ */
+exports.build = function build(entries, dirPath, options) {
+  const edges = [];
+  const index = createIndex(entries);
+  let root = null;
+
+  entries.forEach((entry, nodeIndex) => {
+    const manifest = entry.manifest;
+    const isDeclaredWithin = (field, name) => {
+      return manifest[field] != null && Object.prototype.hasOwnProperty.call(manifest[field], name);
+    };
+
+    if (entry.package.directory === dirPath) {
+      root = nodeIndex;
+    }
+
+    const isRoot = root === nodeIndex || entry.package.workspace;
+
+    dependencyFields
+      .filter((dependencyField) => dependencyField.type !== 'dev' || (isRoot && options.dev))
+      .forEach((dependencyField) => {
+        getDeclaredDependencies(manifest, dependencyField)
+          .filter((dependency) => !dependencyField.overriddenBy
+            .some((field) => isDeclaredWithin(field, dependency.name)))
+          .forEach((dependency) => {
+            edges.push({
+              from: nodeIndex,
+              name: dependency.name,
+              range: dependency.range,
+              to: resolveDependency(index, entry, dependency.name),
+              type: dependency.type
+            });
+          });
+      });
+  });
+
+  const nodes = entries.map((entry) => entry.package);
+  const types = findTypes(nodes, edges, root);
+
+  nodes.forEach((pkg, nodeIndex) => {
+    pkg.type = entries[nodeIndex].location.type || types[nodeIndex];
+  });
+
+  return {
+    edges,
+    extraneous: getIndices(nodes.map((pkg) => pkg.type === 'extraneous'), true),
+    nodes,
+    root
+  };
+};
+
+/**
+ * Contains the information for a dependency declared by a package.
+ *
+ * @typedef {Object} graph~Edge
+ * @property {number} from - The index of the node for the package which declares the dependency.
+ * @property {string} name - The name of the dependency.
+ * @property {string} range - The version range declared for the dependency.
+ * @property {?number} to - The index of the node for the package to which the dependency resolves (will be
+ * <code>null</code> if it is not installed).
+ * @property {string} type - The type of the dependency (either <code>"prod"</code>, <code>"dev"</code>,
+ * <code>"optional"</code>, <code>"peer"</code>, or <code>"peerOptional"</code>).
+ */
+
+/**
+ * Contains the information read for a package found during a scan.
+ *
+ * @typedef {Object} graph~Entry
+ * @property {pacscan~PackageLocation} location - The location of the package.
+ * @property {Object} manifest - The contents of the <code>package.json</code> file for the package.
+ * @property {pacscan~Package} package - The information for the package.
+ */
+
+/**
+ * Contains the packages found during a scan along with the dependencies between them.
+ *
+ * @typedef {Object} graph~Graph
+ * @property {graph~Edge[]} edges - The dependencies declared by all packages.
+ * @property {number[]} extraneous - The indices of the nodes for all packages which cannot be reached from the base
+ * package, or its workspace packages, via their dependencies.
+ * @property {pacscan~Package[]} nodes - The information for all packages, in the same order as they are returned by a
+ * scan.
+ * @property {?number} root - The index of the node for the base package (will be <code>null</code> if the base
+ * directory is not a package).
+ */
@@ -0,0 +1,396 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+/**
+ * The pattern used to match the Markdown and text file extensions that license files may have.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const licenseFileExtensionPattern = /^(?:md|markdown|txt)$/i;
+
+/**
+ * The pattern used to match the names of license files within a package directory, which may have a suffix (e.g.
+ * <code>LICENSE-MIT</code>) and an extension, which is captured so that source files can be excluded by only allowing
+ * extensions matching either <code>licenseFileExtensionPattern</code> or <code>licenseFileSuffixPattern</code>.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const licenseFilePattern = /^(?:licen[cs]e|copying)(?:[-_][a-z0-9-]+)?(?:\.([^.]+))?$/i;
+
+/**
+ * The pattern used to match the uppercase suffixes that license files may have in place of an extension (e.g.
+ * <code>COPYING.LESSER</code> or <code>LICENSE.APACHE2</code>).
+ *
+ * @private
+ * @type {RegExp}
+ */
+const licenseFileSuffixPattern = /^[A-Z][A-Z0-9-]*$/;
+
+/**
+ * The pattern used to match license identifiers, including license references and an optional <code>+</code> suffix,
+ * within SPDX expressions.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const licensePattern = /^((?:DocumentRef-[A-Za-z0-9.-]+:)?LicenseRef-[A-Za-z0-9.-]+|[A-Za-z0-9.-]+)(\+)?$/;
+
+/**
+ * The operators that can be used within SPDX expressions, which cannot be used as identifiers.
+ *
+ * @private
+ * @type {string[]}
+ */
+const operators = [ 'AND', 'OR', 'WITH' ];
+
+/**
+ * Adds the license identifiers used within the specified parsed <code>expression</code> to <code>identifiers</code>,
+ * including any <code>+</code> suffix and exception, where they have not already been added.
+ *
+ * @param {licensing~Expression} expression - the parsed SPDX expression whose license identifiers are to be added
+ * @param {string[]} identifiers - the license identifiers to which those within <code>expression</code> are to be added
+ * @return {string[]} A reference to <code>identifiers</code>.
+ * @private
+ */
+function addIdentifiers(expression, identifiers) {
+  if (expression.conjunction) {
+    addIdentifiers(expression.left, identifiers);
+
+    return addIdentifiers(expression.right, identifiers);
+  }
+
+  let identifier = expression.license + (expression.plus ? '+' : '');
+  if (expression.exception) {
+    identifier += ` WITH ${expression.exception}`;
+  }
+
+  if (identifiers.indexOf(identifier) < 0) {
+    identifiers.push(identifier);
+  }
+
+  return identifiers;
+}
+
+/**
+ * Parses a conjunction of operands joined by the specified <code>operator</code> from the current token within
+ * <code>state</code>, with each operand being parsed by <code>parseOperand</code>.
+ *
+ * Conjunctions are right-associative so <code>"A OR B OR C"</code> is parsed as <code>"A OR (B OR C)"</code>.
+ *
+ * @param {licensing~ParserState} state - the state of the parser
+ * @param {string} operator - the operator joining the operands (either <code>"AND"</code> or <code>"OR"</code>)
+ * @param {Function} parseOperand - the function to be called with <code>state</code> to parse each operand
+ * @return {?licensing~Expression} The parsed conjunction, the single operand when there is no conjunction, or
+ * <code>null</code> if it is invalid.
+ * @private
+ */
+function parseConjunction(state, operator, parseOperand) {
+  const left = parseOperand(state);
+  if (left == null || state.tokens[state.index] !== operator) {
+    return left;
+  }
+
+  state.index += 1;
+
+  const right = parseConjunction(state, operator, parseOperand);
+
+  return right != null ? { conjunction: operator.toLowerCase(), left, right } : null;
+}
+
+/**
+ * Parses a single license, along with any exception, or a parenthesized expression from the current token within
+ * <code>state</code>.
+ *
+ * @param {licensing~ParserState} state - the state of the parser
+ * @return {?licensing~Expression} The parsed license or expression or <code>null</code> if it is invalid.
+ * @private
+ */
+function parseLicense(state) {
+  const token = state.tokens[state.index];
+  if (token === '(') {
+    state.index += 1;
+
+    const expression = parseOr(state);
+    if (expression == null || state.tokens[state.index] !== ')') {
+      return null;
+    }
+
+    state.index += 1;
+
+    return expression;
+  }
+
+  const match = licensePattern.exec(token || '');
+  if (match == null || operators.indexOf(token) >= 0) {
+    return null;
+  }
+
+  state.index += 1;
+
+  const expression = { license: match[1] };
+  if (match[2]) {
+    expression.plus = true;
+  }
+
+  if (state.tokens[state.index] === 'WITH') {
+    const exception = state.tokens[state.index + 1] || '';
+    if (!/^[A-Za-z0-9.-]+$/.test(exception) || operators.indexOf(exception) >= 0) {
+      return null;
+    }
+
+    expression.exception = exception;
+    state.index += 2;
+  }
+
+  return expression;
+}
+
+/**
+ * Parses an expression, where <code>OR</code> has a lower precedence than <code>AND</code>, from the current token
+ * within <code>state</code>.
+ *
+ * @param {licensing~ParserState} state - the state of the parser
+ * @return {?licensing~Expression} The parsed expression or <code>null</code> if it is invalid.
+ * @private
+ */
+function parseOr(state) {
+  return parseConjunction(state, 'OR', (operandState) => parseConjunction(operandState, 'AND', parseLicense));
+}
+
+/**
+ * Returns the license declared within the specified <code>manifest</code>.
+ *
+ * The SPDX expression within the <code>license</code> field is preferred. Otherwise, the types within the legacy
+ * <code>license</code> object or <code>licenses</code> array are used, where any multiple licenses are joined using
+ * <code>OR</code>, since the package may be used under any of them.
+ *
+ * @param {Object} manifest - the contents of the <code>package.json</code> file whose license is to be returned
+ * @return {?string} The declared license or <code>null</code> if none was declared.
+ * @public
+ * @static
+ */
+exports.getDeclaredLicense = function getDeclaredLicense(manifest) {
+  const license = manifest.license;
+  if (typeof license === 'string' && license.trim()) {
+    return license.trim();
+  }
+
+  let legacyLicenses = Array.isArray(manifest.licenses) ? manifest.licenses : [];
+  if (license != null) {
+    legacyLicenses = [ license ].concat(legacyLicenses);
+  }
+
+  const types = legacyLicenses
+    .filter((legacyLicense) => legacyLicense != null && typeof legacyLicense.type === 'string')
+    .map((legacyLicense) => legacyLicense.type.trim())
+    .filter((type, index, allTypes) => type && allTypes.indexOf(type) === index);
+
+  if (types.length > 1) {
+    return types
+      .map((type) => {
+        return /\s/.test(type) ? `(${type})` : type;
+      })
+      .join(' OR ');
+  }
+
+  return types[0] || null;
+};
+
+/**
+ * Returns whether the file with the specified name is a license file (e.g. <code>LICENSE</code>,
+ * <code>LICENCE.md</code>, <code>LICENSE-MIT</code>, <code>LICENSE.BSD</code>, or <code>COPYING</code>).
+ *
+ * @param {string} fileName - the name of the file to be checked
+ * @return {boolean} <code>true</code> if <code>fileName</code> is that of a license file; otherwise <code>false</code>.
+ * @public
+ * @static
+ */
+exports.isLicenseFile = function isLicenseFile(fileName) {
+  const match = fileName.match(licenseFilePattern);
+
+  if (match == null) {
+    return false;
+  }
+
+  const extension = match[1];
+
+  return extension == null || licenseFileExtensionPattern.test(extension) || licenseFileSuffixPattern.test(extension);
+};
+
+/**
+ * Parses the specified SPDX license <code>expression</code>.
+ *
+ * Only the syntax of <code>expression</code> is checked so license identifiers are not checked against the SPDX
+ * license list. Special values used by npm, such as <code>"UNLICENSED"</code> and
+ * <code>"SEE LICENSE IN &lt;file&gt;"</code>, are not valid expressions.
+ *
+ * @param {?string} expression - the SPDX expression to be parsed (may be <code>null</code>)
+ * @return {?licensing~Expression} The parsed <code>expression</code> or <code>null</code> if it is not a valid SPDX
+ * expression.
+ * @public
+ * @static
+ */
+exports.parseExpression = function parseExpression(expression) {
+  const tokens = typeof expression === 'string' ? expression.match(/[()]|[^\s()]+/g) : null;
+  if (tokens == null || tokens.indexOf('UNLICENSED') >= 0) {
+    return null;
+  }
+
+  const state = { index: 0, tokens };
+  const result = parseOr(state);
+
+  return state.index === tokens.length ? result : null;
+};
+
+/**
+ * Builds a license report for all of the specified <code>entries</code>.
+ *
+ * Each package is listed, in the same order as <code>entries</code>, along with its declared license, the parsed SPDX
+ * expression, the license identifiers used within it, and its license files. The packages are also grouped by each
+ * license identifier that they use, where packages whose license is not a valid SPDX expression are grouped by their
+ * declared license instead and those with no declared license are grouped under <code>null</code>.
+ *
+ * @param {licensing~Entry[]} entries - the entries for the packages to be reported
+ * @return {licensing~Report} The license report for <code>entries</code>.
+ * @public
+ * @static
+ */
+exports.report = function report(entries) {
+  const packagesByLicense = new Map();
+
+  const packages = entries.map((entry) => {
+    const pkg = entry.package;
+    const declared = exports.getDeclaredLicense(entry.manifest);
+    const expression = exports.parseExpression(declared);
+    let licenses = [];
+    if (expression != null) {
+      licenses = addIdentifiers(expression, []);
+    } else if (declared != null) {
+      licenses = [ declared ];
+    }
+
+    (licenses.length ? licenses : [ null ]).forEach((license) => {
+      const licensePackages = packagesByLicense.get(license) || [];
+
+      licensePackages.push({ directory: pkg.directory, name: pkg.name, version: pkg.version });
+
+      packagesByLicense.set(license, licensePackages);
+    });
+
+    return {
+      declared,
+      directory: pkg.directory,
+      expression,
+      files: entry.files,
+      licenses,
+      name: pkg.name,
+      version: pkg.version
+    };
+  });
+
+  const sortedLicenses = Array.from(packagesByLicense.keys())
+    .filter((license) => license != null)
+    .sort((license1, license2) => license1.localeCompare(license2));
+  if (packagesByLicense.has(null)) {
+    sortedLicenses.push(null);
+  }
+
+  return {
+    packages,
+    summary: sortedLicenses.map((license) => ({ license, packages: packagesByLicense.get(license) }))
+  };
+};
+
+/**
+ * Contains the information required to report the license of a package.
+ *
+ * @typedef {Object} licensing~Entry
+ * @property {licensing~File[]} files - The license files found within the directory of the package.
+ * @property {Object} manifest - The contents of the <code>package.json</code> file for the package.
+ * @property {pacscan~Package} package - The information for the package.
+ */
+
+/**
+ * Contains a parsed SPDX expression, which is either a single license or a conjunction of two expressions.
+ *
+ * @typedef {Object} licensing~Expression
+ * @property {string} [conjunction] - The conjunction joining <code>left</code> and <code>right</code> (either
+ * <code>"and"</code> or <code>"or"</code>), where the expression is a conjunction.
+ * @property {string} [exception] - The exception applied to the license, where present.
+ * @property {licensing~Expression} [left] - The expression to the left of the conjunction.
+ * @property {string} [license] - The license identifier, where the expression is a single license.
+ * @property {boolean} [plus] - Whether later versions of the license may also be used, where present.
+ * @property {licensing~Expression} [right] - The expression to the right of the conjunction.
+ */
+
+/**
+ * Contains a license file found within the directory of a package.
+ *
+ * @typedef {Object} licensing~File
+ * @property {string} path - The path to the license file.
+ * @property {string} text - The contents of the license file.
+ */
+
+/**
+ * Contains the license information for a package.
+ *
+ * @typedef {Object} licensing~PackageLicense
+ * @property {?string} declared - The license declared by the package, as returned by
+ * {@link licensing.getDeclaredLicense} (may be <code>null</code> if it declares none).
+ * @property {string} directory - The path to the installation directory of the package.
+ * @property {?licensing~Expression} expression - The parsed SPDX expression for <code>declared</code> (may be
+ * <code>null</code> if it is not a valid SPDX expression).
+ * @property {licensing~File[]} files - The license files found within the directory of the package.
+ * @property {string[]} licenses - The license identifiers used within <code>expression</code>, or
+ * <code>declared</code> alone if it is not a valid SPDX expression.
+ * @property {string} name - The name of the package.
+ * @property {?string} version - The version of the package.
+ */
+
+/**
+ * Contains the state of the parser for an SPDX expression.
+ *
+ * @typedef {Object} licensing~ParserState
+ * @property {number} index - The index of the current token.
+ * @property {string[]} tokens - The tokens of the expression.
+ */
+
+/**
+ * Contains the license information for all packages.
+ *
+ * @typedef {Object} licensing~Report
+ * @property {licensing~PackageLicense[]} packages - The license information for each package.
+ * @property {licensing~Summary[]} summary - The packages grouped by license, sorted by license with any packages that
+ * declare no license last.
+ */
+
+/**
+ * Contains the packages which use a license.
+ *
+ * @typedef {Object} licensing~Summary
+ * @property {?string} license - The license identifier (may be <code>null</code> for packages that declare no license).
+ * @property {Array.<{directory: string, name: string, version: ?string}>} packages - The packages that use the
+ * license.
+ */
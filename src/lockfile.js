@@ -0,0 +1,726 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const path = require('path');
+const semver = require('semver');
+
+const errors = require('./errors');
+
+/**
+ * The names of the lockfiles, in order of precedence, which can be read from the base directory.
+ *
+ * Just like npm, <code>npm-shrinkwrap.json</code> takes precedence over <code>package-lock.json</code>.
+ *
+ * @public
+ * @static
+ * @type {string[]}
+ */
+exports.fileNames = [ 'npm-shrinkwrap.json', 'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock' ];
+
+/**
+ * The fields within a <code>package.json</code> file from which dependencies are resolved, where those within later
+ * fields take precedence over those with the same name within earlier fields.
+ *
+ * @private
+ * @type {string[]}
+ */
+const dependencyFields = [ 'peerDependencies', 'devDependencies', 'dependencies', 'optionalDependencies' ];
+
+/**
+ * The options used when checking whether a recorded version satisfies a semantic version range, which exclude
+ * prerelease versions in the same way as when validating dependencies.
+ *
+ * @private
+ * @type {Object}
+ */
+const rangeOptions = { includePrerelease: false };
+
+/**
+ * Returns the index of the entry within the specified <code>lockfile</code> to which a dependency on the package with
+ * the <code>name</code> and <code>range</code> provided resolves.
+ *
+ * Since pnpm records the exact dependency path to which each dependency of a package resolves (e.g.
+ * <code>1.0.0(bar@1.0.0)</code> or <code>/baz@1.0.0</code> for an alias), the entry at the location derived from it
+ * is used, where present. Otherwise, ranges may use the npm alias protocol (e.g. <code>npm:foo@^1.0.0</code>) or the
+ * <code>npm:</code> prefix used by Yarn Berry, and the entry whose version is exactly the range is preferred, followed
+ * by the one with the highest version that satisfies it and then the first with the same name.
+ *
+ * @param {lockfile~Lockfile} lockfile - the lockfile to be searched
+ * @param {string} name - the name of the dependency
+ * @param {string} range - the range recorded for the dependency
+ * @return {number} The index of the entry for the dependency or <code>-1</code> if there is none.
+ * @private
+ */
+function findEntry(lockfile, name, range) {
+  const entries = lockfile.entries;
+  range = String(range);
+
+  if (lockfile.type === 'pnpm') {
+    let dependencyPath = range;
+    if (/^\d/.test(range)) {
+      dependencyPath = lockfile.version < 6 ? `${name}/${range}` : `${name}@${range}`;
+    }
+
+    const pkg = getPnpmPackage(dependencyPath, lockfile.version);
+    const location = `node_modules/.pnpm/${pkg.directoryName}/node_modules/${pkg.name}`;
+    const entryIndex = entries.map((entry) => entry.location).indexOf(location);
+
+    if (entryIndex >= 0) {
+      return entryIndex;
+    }
+  }
+
+  range = range.replace(/^npm:/, '');
+
+  const alias = range.match(/^((?:@[^@/]+\/)?[^@/]+)@(.+)$/);
+  if (alias) {
+    name = alias[1];
+    range = alias[2];
+  }
+
+  const indices = getIndices(entries, (entry) => entry.name === name);
+  const isSatisfied = (entryIndex) => {
+    const version = entries[entryIndex].version;
+
+    return semver.valid(version) != null && semver.validRange(range) != null &&
+      semver.satisfies(version, range, rangeOptions);
+  };
+  const exactIndices = indices.filter((entryIndex) => entries[entryIndex].version === range);
+  const satisfiedIndices = indices
+    .filter(isSatisfied)
+    .sort((index, otherIndex) => semver.rcompare(entries[index].version, entries[otherIndex].version));
+
+  return exactIndices.concat(satisfiedIndices, indices, -1)[0];
+}
+
+/**
+ * Returns the indices of all of the specified <code>entries</code> that match the <code>predicate</code> provided.
+ *
+ * @param {lockfile~Entry[]} entries - the entries to be checked
+ * @param {Function} predicate - the function to be called with each entry
+ * @return {number[]} The indices of the matching <code>entries</code>.
+ * @private
+ */
+function getIndices(entries, predicate) {
+  return entries.reduce((indices, entry, entryIndex) => {
+    if (predicate(entry)) {
+      indices.push(entryIndex);
+    }
+
+    return indices;
+  }, []);
+}
+
+/**
+ * Returns the location of the specified <code>entry</code>, relative to the lockfile.
+ *
+ * Entries from lockfiles that do not record locations (e.g. <code>yarn.lock</code>) are given a virtual directory
+ * within <code>node_modules/.yarn-lock</code> derived from their name and version.
+ *
+ * @param {lockfile~Entry} entry - the entry whose location is to be returned
+ * @return {string} The location of <code>entry</code>.
+ * @private
+ */
+function getLocation(entry) {
+  if (entry.location != null) {
+    return entry.location;
+  }
+
+  const directoryName = entry.version != null ? `${entry.name}@${entry.version}` : entry.name;
+
+  return `node_modules/.yarn-lock/${directoryName.replace(/\//g, '+')}/node_modules/${entry.name}`;
+}
+
+/**
+ * Returns the name of the package which the specified Yarn <code>descriptor</code> (e.g. <code>foo@^1.0.0</code>)
+ * resolves to.
+ *
+ * Descriptors using the npm alias protocol (e.g. <code>foo@npm:bar@^1.0.0</code>) resolve to the aliased package.
+ *
+ * @param {string} descriptor - the descriptor whose package name is to be returned
+ * @return {string} The name of the package for <code>descriptor</code>.
+ * @private
+ */
+function getNameFromDescriptor(descriptor) {
+  const index = descriptor.indexOf('@', 1);
+  const match = descriptor.substring(index + 1).match(/^npm:((?:@[^@/]+\/)?[^@]+)@/);
+
+  return match ? match[1] : descriptor.substring(0, index);
+}
+
+/**
+ * Returns the name of the package installed at the specified <code>location</code>, which is derived from the last
+ * <code>node_modules</code> directory within it, or the last path segment where it contains none (e.g. workspaces).
+ *
+ * @param {string} location - the location of the package, relative to the lockfile
+ * @return {string} The name of the package at <code>location</code>.
+ * @private
+ */
+function getNameFromLocation(location) {
+  const index = location.lastIndexOf('node_modules/');
+
+  return index >= 0 ? location.substring(index + 'node_modules/'.length) : location.split('/').pop();
+}
+
+/**
+ * Returns the entries for all packages within the <code>dependencies</code> of a lockfile using
+ * <code>lockfileVersion</code> 1, where packages nested within the <code>node_modules</code> directory of other
+ * packages are also nested within their <code>dependencies</code>.
+ *
+ * @param {Object} dependencies - the dependencies to be read
+ * @param {string} parentLocation - the location of the package declaring <code>dependencies</code> (an empty string for
+ * the root package)
+ * @return {lockfile~Entry[]} The entries for all packages within <code>dependencies</code>.
+ * @private
+ */
+function getNestedEntries(dependencies, parentLocation) {
+  const prefix = parentLocation ? `${parentLocation}/node_modules/` : 'node_modules/';
+
+  return Object.keys(dependencies || {}).reduce((entries, name) => {
+    const dependency = dependencies[name];
+    const location = `${prefix}${name}`;
+    const match = String(dependency.version).match(/^npm:(.+)@([^@]+)$/);
+
+    entries.push({
+      dependencies: Object.assign({}, dependency.requires),
+      location,
+      name: match ? match[1] : name,
+      optional: dependency.optional === true,
+      optionalDependencies: {},
+      type: getType(dependency),
+      version: match ? match[2] : dependency.version || null
+    });
+
+    return entries.concat(getNestedEntries(dependency.dependencies, location));
+  }, []);
+}
+
+/**
+ * Returns the name, version, and virtual store directory name of the package for the specified pnpm dependency path.
+ *
+ * Dependency paths within lockfiles older than version 6 separate the name and version with a slash (e.g.
+ * <code>/foo/1.0.0_bar@1.0.0</code>), while newer ones use an at sign (e.g. <code>foo@1.0.0(bar@1.0.0)</code>). Either
+ * way, any peer dependencies are excluded from the version but included within the directory name, just like pnpm
+ * does.
+ *
+ * @param {string} dependencyPath - the dependency path of the package
+ * @param {number} lockfileVersion - the version of the lockfile format
+ * @return {{directoryName: string, name: string, version: string}} The name, version, and directory name of the
+ * package for <code>dependencyPath</code>.
+ * @private
+ */
+function getPnpmPackage(dependencyPath, lockfileVersion) {
+  dependencyPath = dependencyPath.replace(/^\//, '');
+
+  if (lockfileVersion < 6) {
+    const index = dependencyPath.lastIndexOf('/');
+    const name = dependencyPath.substring(0, index);
+    const version = dependencyPath.substring(index + 1);
+
+    return {
+      directoryName: `${name}@${version}`.replace(/\//g, '+'),
+      name,
+      version: version.split('_')[0]
+    };
+  }
+
+  const peersIndex = dependencyPath.indexOf('(');
+  const descriptor = peersIndex >= 0 ? dependencyPath.substring(0, peersIndex) : dependencyPath;
+  const index = descriptor.lastIndexOf('@');
+
+  return {
+    directoryName: dependencyPath
+      .replace(/\//g, '+')
+      .replace(/\)\(/g, '_')
+      .replace(/\(/g, '_')
+      .replace(/\)/g, ''),
+    name: descriptor.substring(0, index),
+    version: descriptor.substring(index + 1)
+  };
+}
+
+/**
+ * Returns the type of the package for which the specified <code>flags</code> were recorded within a lockfile.
+ *
+ * Packages that are only installed for development are <code>dev</code>, even if they are also optional, while those
+ * that are installed as optional dependencies otherwise (including npm's <code>devOptional</code>) are
+ * <code>optional</code>. Packages flagged as being peer dependencies are <code>peer</code>, those flagged as
+ * extraneous are <code>extraneous</code>, and all others are <code>prod</code>.
+ *
+ * @param {Object} flags - the flags recorded for the package (e.g. <code>dev</code> and <code>optional</code>)
+ * @return {string} The type of the package (either <code>"prod"</code>, <code>"dev"</code>, <code>"optional"</code>,
+ * <code>"peer"</code>, or <code>"extraneous"</code>).
+ * @private
+ */
+function getType(flags) {
+  if (flags.extraneous === true) {
+    return 'extraneous';
+  }
+  if (flags.dev === true) {
+    return 'dev';
+  }
+  if (flags.optional === true || flags.devOptional === true) {
+    return 'optional';
+  }
+
+  return flags.peer === true ? 'peer' : 'prod';
+}
+
+/**
+ * Parses the npm lockfile (i.e. <code>package-lock.json</code> or <code>npm-shrinkwrap.json</code>) from the
+ * <code>contents</code> of the file at the specified path.
+ *
+ * The <code>packages</code> of lockfiles using <code>lockfileVersion</code> 2 or 3 are read, where present, with each
+ * key being the location of a package. Otherwise, the nested <code>dependencies</code> of lockfiles using
+ * <code>lockfileVersion</code> 1 are read instead, where the dependencies of each package are recorded within
+ * <code>requires</code>. Links (e.g. to workspace packages) are excluded as their targets are
+ * also recorded as packages.
+ *
+ * @param {string} filePath - the path of the file from which <code>contents</code> were read
+ * @param {string} contents - the contents of the file
+ * @return {lockfile~Lockfile} The parsed lockfile.
+ * @throws {MalformedLockfileError} If <code>contents</code> are malformed or contain no packages.
+ * @private
+ */
+function parseNpmLockfile(filePath, contents) {
+  let json;
+  try {
+    json = JSON.parse(contents);
+  } catch (e) {
+    throw new errors.MalformedLockfileError(`Malformed lockfile: ${filePath}: ${e.message}`, {
+      cause: e,
+      path: filePath
+    });
+  }
+
+  let entries;
+  if (json != null && json.packages != null) {
+    entries = Object.keys(json.packages)
+      .filter((location) => !json.packages[location].link)
+      .map((location) => {
+        const entry = json.packages[location];
+
+        return {
+          dependencies: Object.assign({}, entry.dependencies),
+          location,
+          name: entry.name || (location ? getNameFromLocation(location) : json.name),
+          optional: entry.optional === true,
+          optionalDependencies: Object.assign({}, entry.optionalDependencies),
+          type: getType(entry),
+          version: entry.version || null
+        };
+      });
+  } else if (json != null && json.lockfileVersion === 1) {
+    entries = [
+      {
+        dependencies: {},
+        location: '',
+        name: json.name,
+        optional: false,
+        optionalDependencies: {},
+        type: 'prod',
+        version: json.version || null
+      }
+    ].concat(getNestedEntries(json.dependencies, ''));
+  } else {
+    throw new errors.MalformedLockfileError(`Unsupported lockfile: ${filePath}`, { path: filePath });
+  }
+
+  return {
+    entries,
+    path: filePath,
+    type: path.basename(filePath, '.json'),
+    version: json.lockfileVersion
+  };
+}
+
+/**
+ * Parses the pnpm lockfile (i.e. <code>pnpm-lock.yaml</code>) from the <code>contents</code> of the file at the
+ * specified path.
+ *
+ * Each key within the <code>snapshots</code> section of lockfiles using version 9, or the <code>packages</code> section
+ * of older lockfiles, is the dependency path of an installed package. Only the <code>name</code>,
+ * <code>version</code>, <code>dev</code>, <code>optional</code>, <code>dependencies</code>, and
+ * <code>optionalDependencies</code> fields of each package are read, where present, since the name and version are
+ * otherwise derived from its dependency path. Since lockfiles using version 9 no longer record the <code>dev</code>
+ * field, entries read from them have no type.
+ *
+ * Since pnpm installs each package within its virtual store, the location of each entry is the directory within
+ * <code>node_modules/.pnpm</code> in which pnpm would install it. Importers (e.g. workspaces) are excluded.
+ *
+ * @param {string} filePath - the path of the file from which <code>contents</code> were read
+ * @param {string} contents - the contents of the file
+ * @return {lockfile~Lockfile} The parsed lockfile.
+ * @throws {MalformedLockfileError} If <code>contents</code> are not a supported pnpm lockfile.
+ * @private
+ */
+function parsePnpmLockfile(filePath, contents) {
+  const versionMatch = contents.match(/^lockfileVersion:\s*['"]?([\d.]+)['"]?\s*$/m);
+  if (!versionMatch) {
+    throw new errors.MalformedLockfileError(`Unsupported lockfile: ${filePath}`, { path: filePath });
+  }
+
+  const version = Number(versionMatch[1]);
+  const sectionName = /^snapshots:/m.test(contents) ? 'snapshots' : 'packages';
+  const blocks = [];
+  let block = null;
+  let dependencyField = null;
+  let section = null;
+
+  contents.split(/\r?\n/).forEach((line) => {
+    const sectionMatch = line.match(/^([^\s#][^:]*):/);
+    if (sectionMatch) {
+      section = sectionMatch[1];
+
+      return;
+    }
+    if (section !== sectionName) {
+      return;
+    }
+
+    const keyMatch = line.match(/^ {2}(?:'(.+)'|"(.+)"|([^\s'"#][^:]*)):(?:\s|$)/);
+    if (keyMatch) {
+      block = {
+        dependencies: { dependencies: {}, optionalDependencies: {} },
+        dependencyPath: keyMatch[1] || keyMatch[2] || keyMatch[3],
+        fields: {}
+      };
+      blocks.push(block);
+
+      return;
+    }
+    if (!block) {
+      return;
+    }
+
+    if (/^ {4}\S/.test(line)) {
+      const dependencyFieldMatch = line.match(/^ {4}(dependencies|optionalDependencies):\s*$/);
+      dependencyField = dependencyFieldMatch ? dependencyFieldMatch[1] : null;
+    }
+
+    const fieldMatch = line.match(/^ {4}(dev|name|optional|version):\s*['"]?(.*?)['"]?\s*$/);
+    const dependencyMatch = line.match(/^ {6}(?:'(.+)'|"(.+)"|([^\s'"#][^:]*)):\s*['"]?(.*?)['"]?\s*$/);
+    if (fieldMatch) {
+      block.fields[fieldMatch[1]] = fieldMatch[2];
+    } else if (dependencyMatch && dependencyField) {
+      const dependencyName = dependencyMatch[1] || dependencyMatch[2] || dependencyMatch[3];
+
+      block.dependencies[dependencyField][dependencyName] = dependencyMatch[4];
+    }
+  });
+
+  const entries = blocks.map((value) => {
+    const pkg = getPnpmPackage(value.dependencyPath, version);
+    const name = value.fields.name || pkg.name;
+    const optional = value.fields.optional === 'true';
+
+    return {
+      dependencies: value.dependencies.dependencies,
+      location: `node_modules/.pnpm/${pkg.directoryName}/node_modules/${name}`,
+      name,
+      optional,
+      optionalDependencies: value.dependencies.optionalDependencies,
+      type: version < 9 ? getType({ dev: value.fields.dev === 'true', optional }) : null,
+      version: value.fields.version || pkg.version
+    };
+  });
+
+  return {
+    entries,
+    path: filePath,
+    type: 'pnpm',
+    version
+  };
+}
+
+/**
+ * Parses the Yarn lockfile (i.e. <code>yarn.lock</code>) from the <code>contents</code> of the file at the specified
+ * path.
+ *
+ * Both the custom format used by Yarn v1 and the YAML-based format used by Yarn Berry (v2+) are supported. Both consist
+ * of top-level keys listing the descriptors that share a resolution, each followed by indented fields, of which only
+ * <code>version</code>, <code>resolution</code>, <code>conditions</code>, and the dependencies are read. Since Yarn
+ * lockfiles do not record whether packages are only installed for development, entries have no type.
+ *
+ * Since Yarn lockfiles do not record where packages are installed, entries have no location and there is only a single
+ * entry for each resolved name and version (e.g. patched packages share the entry for the package they patch). Local
+ * packages (e.g. workspaces) are excluded and packages with <code>conditions</code> (e.g. <code>os=darwin</code>) are
+ * considered optional since they are only installed on some platforms.
+ *
+ * @param {string} filePath - the path of the file from which <code>contents</code> were read
+ * @param {string} contents - the contents of the file
+ * @return {lockfile~Lockfile} The parsed lockfile.
+ * @throws {MalformedLockfileError} If <code>contents</code> are malformed or not a supported Yarn lockfile.
+ * @private
+ */
+function parseYarnLockfile(filePath, contents) {
+  const blocks = [];
+  let block = null;
+  let field = null;
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || /^\s*#/.test(line)) {
+      return;
+    }
+
+    const keyMatch = line.match(/^(\S.*):$/);
+    if (keyMatch) {
+      block = {
+        dependencies: { dependencies: {}, optionalDependencies: {} },
+        descriptors: keyMatch[1].replace(/"/g, '').split(/\s*,\s*/),
+        fields: {},
+        optionalNames: []
+      };
+      blocks.push(block);
+
+      return;
+    }
+
+    const fieldMatch = line.match(/^ {2}([^\s:]+):?(?:\s+"?(.*?)"?)?$/);
+    if (fieldMatch && block) {
+      block.fields[fieldMatch[1]] = fieldMatch[2];
+      field = fieldMatch[1];
+    } else if (!/^ {4}/.test(line) || !block) {
+      const message = `Malformed lockfile: ${filePath}: Unexpected line ${index + 1}`;
+
+      throw new errors.MalformedLockfileError(message, { path: filePath });
+    } else {
+      readYarnDependency(block, field, line);
+    }
+  });
+
+  const metadata = blocks.filter((value) => value.descriptors[0] === '__metadata')[0];
+  let version;
+  if (metadata) {
+    version = Number(metadata.fields.version);
+  } else if (/^# yarn lockfile v1$/m.test(contents)) {
+    version = 1;
+  } else {
+    throw new errors.MalformedLockfileError(`Unsupported lockfile: ${filePath}`, { path: filePath });
+  }
+
+  const keys = [];
+  const entries = [];
+
+  blocks
+    .filter((value) => value !== metadata)
+    .forEach((value) => {
+      const descriptor = value.fields.resolution || value.descriptors[0];
+      const name = getNameFromDescriptor(descriptor);
+      const key = JSON.stringify([ name, value.fields.version ]);
+
+      if (/^(?:link|portal|workspace):/.test(descriptor.substring(descriptor.indexOf('@', 1) + 1)) ||
+        keys.indexOf(key) >= 0) {
+        return;
+      }
+
+      keys.push(key);
+      const dependencies = Object.assign({}, value.dependencies.dependencies);
+      const optionalDependencies = value.dependencies.optionalDependencies;
+
+      value.optionalNames
+        .filter((dependencyName) => Object.prototype.hasOwnProperty.call(dependencies, dependencyName))
+        .forEach((dependencyName) => {
+          optionalDependencies[dependencyName] = dependencies[dependencyName];
+          delete dependencies[dependencyName];
+        });
+
+      entries.push({
+        dependencies,
+        location: null,
+        name,
+        optional: value.fields.conditions != null,
+        optionalDependencies,
+        type: null,
+        version: value.fields.version || null
+      });
+    });
+
+  return {
+    entries,
+    path: filePath,
+    type: 'yarn',
+    version
+  };
+}
+
+/**
+ * Reads the dependency from the specified nested <code>line</code> within the <code>field</code> of the Yarn lockfile
+ * <code>block</code> provided, where present.
+ *
+ * Dependencies within the <code>dependencies</code> and <code>optionalDependencies</code> fields are recorded on
+ * <code>block</code>, along with the names of those marked as <code>optional</code> within
+ * <code>dependenciesMeta</code>, which is how Yarn Berry records optional dependencies.
+ *
+ * @param {Object} block - the block containing <code>line</code>
+ * @param {string} field - the name of the field containing <code>line</code>
+ * @param {string} line - the line to be read
+ * @return {void}
+ * @private
+ */
+function readYarnDependency(block, field, line) {
+  const dependencyMatch = line.match(/^ {4}"?([^\s":]+)"?:?(?:\s+"?(.*?)"?)?$/);
+
+  if (dependencyMatch && (field === 'dependencies' || field === 'optionalDependencies')) {
+    block.dependencies[field][dependencyMatch[1]] = dependencyMatch[2];
+  } else if (dependencyMatch && field === 'dependenciesMeta') {
+    block.metaName = dependencyMatch[1];
+  } else if (/^ {6}optional:\s*true\s*$/.test(line) && field === 'dependenciesMeta') {
+    block.optionalNames.push(block.metaName);
+  }
+}
+
+/**
+ * Returns the locations of all packages within the specified <code>lockfile</code>, which is within the directory
+ * provided, without requiring any of them to have been installed.
+ *
+ * Each location points to the virtual directory in which the package is recorded as being installed and contains a
+ * manifest built from the information recorded for it (i.e. its name, version, and dependencies), along with its type,
+ * where recorded. Packages from lockfiles that do not record locations (e.g. <code>yarn.lock</code>) are given a
+ * virtual directory within <code>node_modules/.yarn-lock</code> derived from their name and version. Since the
+ * dependencies of packages within virtual directories cannot be resolved using Node's resolution rules, their locations
+ * also contain the <code>resolutions</code> of their dependencies. The root package is excluded as it is not recorded
+ * by all lockfiles, while any other package that is not within a <code>node_modules</code> directory is considered to
+ * be a workspace package.
+ *
+ * @param {lockfile~Lockfile} lockfile - the lockfile whose package locations are to be returned
+ * @param {string} dirPath - the path of the directory containing <code>lockfile</code>
+ * @return {pacscan~PackageLocation[]} The locations of all packages within <code>lockfile</code>.
+ * @public
+ * @static
+ */
+exports.getPackageLocations = function getPackageLocations(lockfile, dirPath) {
+  return lockfile.entries
+    .filter((entry) => entry.location !== '')
+    .map((entry) => {
+      const location = getLocation(entry);
+      const manifest = {
+        dependencies: entry.dependencies,
+        name: entry.name,
+        optionalDependencies: entry.optionalDependencies,
+        version: entry.version
+      };
+      const packageLocation = {
+        directory: path.resolve(dirPath, location),
+        manifest,
+        type: entry.type,
+        workspace: location.split('/').indexOf('node_modules') < 0
+      };
+      const resolutions = exports.getResolutions(lockfile, dirPath, manifest);
+
+      if (resolutions != null) {
+        packageLocation.resolutions = resolutions;
+      }
+
+      return packageLocation;
+    });
+};
+
+/**
+ * Returns the paths to the virtual directories of the packages within the specified <code>lockfile</code> to which the
+ * dependencies declared within <code>manifest</code> resolve, mapped to their names, where the lockfile is within the
+ * directory provided.
+ *
+ * Dependencies which cannot be found within <code>lockfile</code> are mapped to <code>null</code>. Since packages from
+ * npm lockfiles are given the locations at which they are installed, their dependencies can be resolved using Node's
+ * <code>node_modules</code> resolution rules instead, so <code>null</code> is returned for them.
+ *
+ * @param {lockfile~Lockfile} lockfile - the lockfile from which the dependencies are to be resolved
+ * @param {string} dirPath - the path of the directory containing <code>lockfile</code>
+ * @param {Object} manifest - the manifest declaring the dependencies to be resolved
+ * @return {?Object.<string, ?string>} The paths to the virtual directories to which the dependencies within
+ * <code>manifest</code> resolve or <code>null</code> if <code>lockfile</code> records the locations of packages.
+ * @public
+ * @static
+ */
+exports.getResolutions = function getResolutions(lockfile, dirPath, manifest) {
+  if (lockfile.type !== 'pnpm' && lockfile.type !== 'yarn') {
+    return null;
+  }
+
+  return dependencyFields.reduce((resolutions, field) => {
+    const ranges = manifest[field] || {};
+
+    Object.keys(ranges).forEach((name) => {
+      const entryIndex = findEntry(lockfile, name, ranges[name]);
+
+      resolutions[name] = entryIndex >= 0 ? path.resolve(dirPath, getLocation(lockfile.entries[entryIndex])) : null;
+    });
+
+    return resolutions;
+  }, {});
+};
+
+/**
+ * Parses the lockfile from the <code>contents</code> of the file at the specified path, where the format of the
+ * lockfile is derived from the name of the file.
+ *
+ * @param {string} filePath - the path of the file from which <code>contents</code> were read
+ * @param {string} contents - the contents of the file
+ * @return {lockfile~Lockfile} The parsed lockfile.
+ * @throws {MalformedLockfileError} If <code>contents</code> are malformed or not a supported lockfile.
+ * @public
+ * @static
+ */
+exports.parse = function parse(filePath, contents) {
+  switch (path.basename(filePath)) {
+  case 'pnpm-lock.yaml':
+    return parsePnpmLockfile(filePath, contents);
+  case 'yarn.lock':
+    return parseYarnLockfile(filePath, contents);
+  default:
+    return parseNpmLockfile(filePath, contents);
+  }
+};
+
+/**
+ * Contains the information recorded within a lockfile for a single package.
+ *
+ * @typedef {Object} lockfile~Entry
+ * @property {Object.<string, string>} dependencies - The ranges recorded for the dependencies of the package, mapped to
+ * their names.
+ * @property {?string} location - The location of the package, relative to the lockfile, using forward slashes (an
+ * empty string for the root package). Will be <code>null</code> if the lockfile does not record locations (e.g.
+ * <code>yarn.lock</code>).
+ * @property {string} name - The name of the package.
+ * @property {boolean} optional - <code>true</code> if the package is only installed as an optional dependency;
+ * otherwise <code>false</code>.
+ * @property {Object.<string, string>} optionalDependencies - The ranges recorded for the optional dependencies of the
+ * package, mapped to their names.
+ * @property {?string} type - The type of the package, based on the flags recorded for it (either <code>"prod"</code>,
+ * <code>"dev"</code>, <code>"optional"</code>, <code>"peer"</code>, or <code>"extraneous"</code>). Will be
+ * <code>null</code> if the lockfile does not record such flags (e.g. <code>yarn.lock</code>).
+ * @property {?string} version - The version of the package (may be <code>null</code> if none was recorded).
+ */
+
+/**
+ * Contains the information parsed from a lockfile.
+ *
+ * @typedef {Object} lockfile~Lockfile
+ * @property {lockfile~Entry[]} entries - The entries for all packages recorded within the lockfile.
+ * @property {string} path - The path of the lockfile.
+ * @property {string} type - The type of the lockfile (either <code>"npm-shrinkwrap"</code>,
+ * <code>"package-lock"</code>, <code>"pnpm"</code>, or <code>"yarn"</code>).
+ * @property {number} version - The version of the lockfile format (e.g. <code>lockfileVersion</code>, or the
+ * <code>__metadata</code> version for Yarn Berry).
+ */
@@ -23,36 +23,112 @@
 'use strict';
 
 const debug = require('debug')('pacscan');
+const EventEmitter = require('events').EventEmitter;
 const fs = require('fs');
 const glob = require('glob');
 const path = require('path');
 const pkgDir = require('pkg-dir');
+const Readable = require('stream').Readable;
 const whoIsThere = require('knockknock');
 
+const drift = require('./drift');
+const duplication = require('./duplication');
+const errors = require('./errors');
+const explanation = require('./explanation');
+const graph = require('./graph');
+const licensing = require('./licensing');
+const lockfile = require('./lockfile');
+const pnp = require('./pnp');
+const resolution = require('./resolution');
+const validation = require('./validation');
 const version = require('../package.json').version;
+const zip = require('./zip');
 
 /**
- * A cache containing the available <code>package.json</code> file paths mapped to directory paths.
+ * A cache containing the available package locations, along with any problems encountered while finding them, mapped
+ * to directory paths.
  *
  * The intention of this cache is to speed up available package lookups for repeat callers by avoiding file system
  * searches.
  *
  * @private
- * @type {Map.<string, pacscan~Package>}
+ * @type {Map.<string, pacscan~CachedPackageLocations>}
  */
 const availablePackagesCache = new Map();
 
+/**
+ * The names of the layouts that are supported when scanning for packages.
+ *
+ * @private
+ * @type {string[]}
+ */
+const layouts = [ 'node_modules', 'pnp', 'pnpm' ];
+
+/**
+ * A cache containing the parsed contents of <code>package.json</code> files, along with their modification times,
+ * mapped to their file paths.
+ *
+ * This cache is only used when the <code>manifestCache</code> option is enabled and entries are only reused while the
+ * modification time of their file remains unchanged.
+ *
+ * @private
+ * @type {Map.<string, pacscan~CachedManifest>}
+ */
+const manifestCache = new Map();
+
+/**
+ * The module formats of packages which can be requested when scanning.
+ *
+ * @private
+ * @type {string[]}
+ */
+const moduleFormats = [ 'cjs', 'dual', 'esm' ];
+
 /**
  * A cache containing the parent package directories mapped to child directory paths.
  *
  * The intention of this cache is to speed up parent package directory lookups for repeat callers by avoiding file
- * system traversals.
+ * system traversals. Each key also includes the <code>workspaces</code> option since workspace roots are only climbed
+ * when it is enabled.
  *
  * @private
  * @type {Map.<string, string>}
  */
 const parentPackageDirectoriesCache = new Map();
 
+/**
+ * The types of packages which can be requested when scanning.
+ *
+ * @private
+ * @type {string[]}
+ */
+const packageTypes = [ 'dev', 'extraneous', 'optional', 'peer', 'prod' ];
+
+/**
+ * The names of the sources from which packages can be found when scanning.
+ *
+ * @private
+ * @type {string[]}
+ */
+const sources = [ 'disk', 'lockfile' ];
+
+/**
+ * The names of the modes that are supported for handling symbolic links when scanning for packages.
+ *
+ * @private
+ * @type {string[]}
+ */
+const symlinkModes = [ 'follow', 'ignore', 'report' ];
+
+/**
+ * The pattern used to split a path to a directory within a zip archive into the path of the archive and the path of
+ * the directory within it.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const zipEntryPathPattern = /^(.+?\.zip)[\\/](.+)$/;
+
 /**
  * Scans for all available packages at either a given file/directory or at the module that called PacScan. It will find
  * the base package for that file path and then find and extract simple information from all accessible
@@ -63,6 +139,24 @@ const parentPackageDirectoriesCache = new Map();
  */
 class PacScan {
 
+  /**
+   * Creates locations for the packages containing the specified <code>package.json</code> files.
+   *
+   * @param {string} dirPath - the path to the directory to which all file paths are relative
+   * @param {string[]} filePaths - the paths of the <code>package.json</code> files
+   * @param {boolean} [workspace] - <code>true</code> if the packages are members of the workspaces declared by the base
+   * package; otherwise <code>false</code>
+   * @return {pacscan~PackageLocation[]} The locations of the packages containing <code>filePaths</code>.
+   * @private
+   * @static
+   */
+  static _createPackageLocations(dirPath, filePaths, workspace) {
+    return filePaths.map((filePath) => ({
+      directory: path.dirname(path.join(dirPath, filePath)),
+      workspace: Boolean(workspace)
+    }));
+  }
+
   /**
    * Asynchronously finds all files that match the specified <code>patterns</code> using the glob <code>options</code>
    * provided and passes the paths of these files to the <code>callback</code> function.
@@ -83,7 +177,7 @@ class PacScan {
       glob(pattern, options, (error, filePaths) => {
         /* istanbul ignore if */
         if (error) {
-          reject(error);
+          reject(errors.FileSystemError.wrap(options.cwd, error));
         } else {
           resolve(filePaths);
         }
@@ -127,31 +221,151 @@ class PacScan {
   }
 
   /**
-   * Returns the information for the package installed in the directory at the path provided.
+   * Returns the information for the package at the location provided.
    *
-   * This information contains <code>dirPath</code> as well as the <code>name</code>, <code>version</code>, and
-   * (absolute) path of the <code>main</code> file (if any) read from the <code>package.json</code> file.
+   * This information contains the <code>directory</code>, <code>isLink</code>, <code>realPath</code>,
+   * <code>type</code>, and <code>workspace</code> from <code>location</code> as well as the <code>name</code>,
+   * <code>version</code>, normalized <code>exports</code>, and <code>moduleFormat</code> derived from the specified
+   * <code>package.json</code> contents, along with the specified <code>main</code> file. The <code>links</code>,
+   * <code>parents</code>, and <code>children</code> are also included when they are present on <code>location</code>
+   * (i.e. when using the pnpm layout).
    *
-   * This method should only be called when it is known that <code>dirPath</code> contains a <code>package.json</code>
-   * file.
+   * The <code>type</code> will be <code>null</code> unless it was recorded for <code>location</code> (e.g. when read
+   * from a lockfile), until it is derived from the dependency graph.
    *
-   * @param {string} dirPath - the path of the installation directory for the package whose information is to be
-   * returned
-   * @return {pacscan~Package} The information for the package installed within <code>dirPath</code>.
+   * @param {pacscan~PackageLocation} location - the location of the package whose information is to be returned
+   * @param {Object} pkg - the contents of the <code>package.json</code> file within the directory of
+   * <code>location</code>
+   * @param {resolution~Main} main - the resolved main file for the package
+   * @return {pacscan~Package} The information for the package at <code>location</code>.
    * @private
    * @static
    */
-  static _getPackage(dirPath) {
-    debug('Attempting to retrieve information for package installed in directory: %s', dirPath);
+  static _getPackage(location, pkg, main) {
+    const dirPath = location.directory;
 
-    const pkg = require(path.join(dirPath, 'package.json'));
+    debug('Attempting to retrieve information for package installed in directory: %s', dirPath);
 
-    return {
+    const exportsMap = resolution.normalizeExports(dirPath, pkg);
+    const result = {
       directory: dirPath,
-      main: pkg.main ? path.join(dirPath, pkg.main) : null,
+      exports: exportsMap,
+      isLink: Boolean(location.isLink),
+      main: main.path,
+      mainExists: main.exists,
+      moduleFormat: resolution.getModuleFormat(pkg, main.path, exportsMap),
       name: pkg.name,
-      version: pkg.version
+      realPath: location.realPath || dirPath,
+      type: location.type || null,
+      version: pkg.version,
+      workspace: Boolean(location.workspace)
     };
+
+    if (location.links) {
+      result.children = location.children.slice();
+      result.links = location.links.slice();
+      result.parents = location.parents.slice();
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the glob patterns declared within the <code>packages</code> list of the specified contents of a
+   * <code>pnpm-workspace.yaml</code> file.
+   *
+   * Only the simple block sequence form of the list, which pnpm itself documents, is supported.
+   *
+   * @param {?string} contents - the contents of the <code>pnpm-workspace.yaml</code> file whose workspace patterns are
+   * to be returned (may be <code>null</code> if the file does not exist)
+   * @return {string[]} The workspace patterns declared within <code>contents</code> (may be empty if there are none).
+   * @private
+   * @static
+   */
+  static _getPnpmWorkspacePatterns(contents) {
+    if (contents == null) {
+      return [];
+    }
+
+    const patterns = [];
+    let inPackages = false;
+
+    contents.split(/\r?\n/).forEach((line) => {
+      if (/^\S/.test(line)) {
+        inPackages = /^packages\s*:\s*$/.test(line);
+      } else if (inPackages) {
+        const match = line.match(/^\s+-\s*(['"]?)(.+?)\1\s*$/);
+        if (match) {
+          patterns.push(match[2]);
+        }
+      }
+    });
+
+    return patterns;
+  }
+
+  /**
+   * Returns the glob patterns declared within the <code>workspaces</code> field of the specified <code>manifest</code>.
+   *
+   * Both the array form used by npm and Yarn and the object form (i.e. <code>{ packages: [...] }</code>) used by Yarn
+   * are supported.
+   *
+   * @param {Object} manifest - the contents of the <code>package.json</code> file whose workspace patterns are to be
+   * returned
+   * @return {string[]} The workspace patterns declared within <code>manifest</code> (may be empty if none).
+   * @private
+   * @static
+   */
+  static _getWorkspacePatterns(manifest) {
+    let patterns = manifest.workspaces;
+    if (patterns && !Array.isArray(patterns)) {
+      patterns = patterns.packages;
+    }
+
+    return Array.isArray(patterns) ? patterns : [];
+  }
+
+  /**
+   * Parses the specified <code>contents</code> of the <code>package.json</code> file at the path provided.
+   *
+   * <code>contents</code> may instead be those of a zip archive (e.g. a package within the Yarn cache), in which case
+   * the <code>package.json</code> file is read from the entry with the specified name without it being extracted.
+   *
+   * @param {string} filePath - the path of the <code>package.json</code> file
+   * @param {Buffer} contents - the contents of the <code>package.json</code> file or its zip archive
+   * @param {?string} entryName - the name of the entry for the <code>package.json</code> file within the zip archive
+   * (may be <code>null</code> if <code>contents</code> are not those of a zip archive)
+   * @return {Object} The parsed contents of the <code>package.json</code> file.
+   * @throws {MalformedManifestError} If the <code>package.json</code> file contains malformed JSON or cannot be read
+   * from its zip archive.
+   * @throws {PathNotFoundError} If the <code>package.json</code> file cannot be found within its zip archive.
+   * @private
+   * @static
+   */
+  static _parseManifest(filePath, contents, entryName) {
+    if (entryName != null) {
+      try {
+        contents = zip.readEntry(contents, entryName);
+      } catch (e) {
+        throw new errors.MalformedManifestError(`Unreadable package.json file: ${filePath}: ${e.message}`, {
+          cause: e,
+          path: filePath
+        });
+      }
+
+      if (contents == null) {
+        throw new errors.PathNotFoundError(`Could not find path: ${filePath}`, { path: filePath });
+      }
+    }
+
+    try {
+      return JSON.parse(contents.toString('utf8'));
+    } catch (e) {
+      throw new errors.MalformedManifestError(`Malformed package.json file: ${filePath}: ${e.message}`, {
+        cause: e,
+        path: filePath
+      });
+    }
   }
 
   /**
@@ -169,9 +383,21 @@ class PacScan {
     }
 
     return {
+      dev: options.dev !== false,
+      fields: options.fields != null ? options.fields : null,
       includeParents: options.includeParents,
       knockknock: options.knockknock,
-      path: options.path
+      layout: options.layout,
+      manifestCache: Boolean(options.manifestCache),
+      maxChains: options.maxChains != null ? options.maxChains : null,
+      moduleFormats: options.moduleFormats || null,
+      path: options.path,
+      source: options.source != null ? options.source : 'disk',
+      strict: options.strict !== false,
+      symlinks: options.symlinks != null ? options.symlinks : 'follow',
+      transform: options.transform != null ? options.transform : null,
+      types: options.types || null,
+      workspaces: options.workspaces !== false
     };
   }
 
@@ -180,12 +406,15 @@ class PacScan {
    *
    * <code>sync</code> can be used to control whether package searches are performed synchronously or asynchronously.
    *
+   * If an <code>emitter</code> is provided, progress and lifecycle events are emitted on it during scans.
+   *
    * @param {boolean} sync - <code>true</code> if package searches should be synchronous or <code>false</code> if they
    * should be asynchronous
    * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+   * @param {EventEmitter} [emitter] - the emitter on which events are to be emitted (may be <code>null</code>)
    * @public
    */
-  constructor(sync, options) {
+  constructor(sync, options, emitter) {
     /**
      * Whether package searches initiated by this {@link PacScan} should be made synchronously.
      *
@@ -201,175 +430,1413 @@ class PacScan {
      * @type {pacscan~Options}
      */
     this._options = PacScan._parseOptions(options);
+
+    /**
+     * The problems encountered by this {@link PacScan} while scanning when the <code>strict</code> option is disabled.
+     *
+     * @private
+     * @type {pacscan~Problem[]}
+     */
+    this._problems = [];
+
+    /**
+     * The emitter on which this {@link PacScan} emits events while scanning.
+     *
+     * @private
+     * @type {?EventEmitter}
+     */
+    this._emitter = emitter || null;
+
+    /**
+     * The number of <code>node_modules</code> directories that have been entered by this {@link PacScan}.
+     *
+     * @private
+     * @type {number}
+     */
+    this._directoryCount = 0;
   }
 
   /**
-   * Searches for all available packages within the base directory and returns a summary of the information for these
-   * packages.
+   * Searches for all available packages within the base directory and compares them with the packages recorded within
+   * the lockfile in the base directory.
    *
-   * This method will directly return the information for all available packages if this {@link PacScan} is synchronous.
-   * Otherwise, this method will return a <code>Promise</code> which will be resolved with the information for all
-   * available packages once they have been found.
+   * Since the lockfile records every package, all available packages are compared, regardless of the
+   * <code>types</code> and <code>moduleFormats</code> options, so that none are reported as missing.
    *
-   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The information for all available packages (or a
-   * <code>Promise</code> resolved with them when asynchronous).
+   * This method will directly return the comparison result if this {@link PacScan} is synchronous. Otherwise, this
+   * method will return a <code>Promise</code> which will be resolved with the comparison result once all packages have
+   * been found.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned result as <code>problems</code>.
+   *
+   * @return {drift~Result|Promise.<Error, drift~Result>} The comparison result for all available packages (or a
+   * <code>Promise</code> resolved with it when asynchronous).
    * @public
    */
-  scan() {
-    return this._resolveBaseDirectory((dirPath) => {
-      debug('Scanning for available packages within directory: %s', dirPath);
+  checkLockfile() {
+    return this._findDependencyGraph((tree, dirPath) => {
+      return this._readLockfile(dirPath, (parsedLockfile) => {
+        const result = drift.compare(parsedLockfile, tree.nodes, this._options);
 
-      return this._findAvailablePackagePaths(dirPath, (filePaths) => {
-        debug('Found %d available packages within directory: %s', filePaths.length, dirPath);
-
-        return filePaths.map((filePath) => {
-          const pkg = PacScan._getPackage(path.dirname(filePath));
+        if (!this._options.strict) {
+          result.problems = this._getProblems();
+        }
 
-          return Object.assign({}, pkg);
-        });
+        return result;
       });
     });
   }
 
   /**
-   * Finds all <code>package.json</code> files that are available within the directory provided and passes the paths of
-   * these files to the <code>callback</code> function.
+   * Searches for all available packages within the base directory and returns those which are installed more than
+   * once, grouped by name.
    *
-   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   * Each installed copy of a duplicated package is listed along with the packages whose dependencies resolve to it.
+   * Only copies whose type and module format have been requested via the <code>types</code> and
+   * <code>moduleFormats</code> options, where specified, are considered.
    *
-   * @param {string} dirPath - the path to the directory to be searched
-   * @param {pacscan~PackagePathsCallback} callback - the function to be called with the <code>package.json</code> file
-   * paths
-   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
-   * @private
+   * This method will directly return the duplicates if this {@link PacScan} is synchronous. Otherwise, this method will
+   * return a <code>Promise</code> which will be resolved with the duplicates once all packages have been found.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned array as <code>problems</code>.
+   *
+   * @return {duplication~Duplicate[]|Promise.<Error, duplication~Duplicate[]>} The duplicated packages (or a
+   * <code>Promise</code> resolved with them when asynchronous).
+   * @public
    */
-  _findAvailablePackagePaths(dirPath, callback) {
-    if (availablePackagesCache.has(dirPath)) {
-      return callback(availablePackagesCache.get(dirPath));
-    }
-
-    debug('Attempting to find all packages files within directory: %s', dirPath);
+  duplicates() {
+    return this._findDependencyGraph((tree) => {
+      const result = duplication.find(tree, (pkg) => this._isRequestedPackage(pkg));
 
-    const options = { cwd: dirPath, nodir: true, nosort: true };
-    const patterns = [
-      '**/node_modules/*/package.json',
-      '**/node_modules/@*/*/package.json'
-    ];
-    const packagePathFinder = PacScan[this._sync ? '_findPackagePathsSync' : '_findPackagePaths'];
-
-    return packagePathFinder(patterns, options, (filePaths) => this._isPackageDirectory(dirPath, (isPackage) => {
-      if (isPackage) {
-        filePaths.unshift('package.json');
+      if (tree.problems) {
+        result.problems = tree.problems;
       }
 
-      filePaths = filePaths
-        .sort()
-        .map((filePath) => path.join(dirPath, filePath));
-
-      availablePackagesCache.set(dirPath, filePaths);
-
-      debug('Found %d packages files within directory: %s', filePaths.length, dirPath);
-
-      return callback(filePaths);
-    }));
+      return result;
+    });
   }
 
   /**
-   * Finds the base directory from the specified <code>dirPath</code> and passes the path to the base directory to the
-   * <code>callback</code> function.
+   * Searches for all available packages within the base directory and returns an asynchronous iterator which yields the
+   * information for each of these packages, one at a time.
    *
-   * The base directory is basically the highest level package directory. This is determined by finding package
-   * directories and climbing the <code>node_modules</code> directories until it can't anymore. At that point, the base
-   * directory is found.
+   * The base directory is resolved as soon as this method is called, in the same way as {@link PacScan#scan}. However,
+   * when packages are found within a <code>node_modules</code> layout, each directory is only walked until the next
+   * package is found and its <code>package.json</code> file is only read once it is requested from the iterator, so
+   * packages are yielded in the order in which they are found rather than sorted. Since the <code>type</code> of each
+   * package depends on the whole dependency graph, it is omitted from each package yielded, unless the
+   * <code>types</code> option is specified, in which case all <code>package.json</code> files are read before the first
+   * package is yielded so that the dependency graph can be built.
    *
-   * This method should only be called when the <code>includeParents</code> option is enabled.
+   * If the <code>strict</code> option is disabled, any packages that could not be read are skipped.
    *
-   * @param {string} dirPath - the directory path from where the base directory should be found
-   * @param {pacscan~BaseDirectoryCallback} callback - the function to be called with the path to the base directory
-   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
-   * @private
+   * This method should only be called when this {@link PacScan} is asynchronous.
+   *
+   * @return {pacscan~PackageIterator} An asynchronous iterator for the information for all available packages.
+   * @public
    */
-  _findBaseDirectory(dirPath, callback) {
-    if (parentPackageDirectoriesCache.has(dirPath)) {
-      return callback(parentPackageDirectoriesCache.get(dirPath));
+  iterate() {
+    let pending;
+    let readNext;
+
+    if (this._options.types == null) {
+      pending = Promise.resolve(this._findPackageLocationIterator((findNext) => findNext));
+      readNext = (findNext) => findNext((location) => {
+        if (location == null) {
+          return { done: true };
+        }
+
+        return this._readPackage(location, (entry) => {
+          if (entry != null) {
+            delete entry.package.type;
+          }
+
+          const packages = entry != null ? this._getRequestedPackages([ entry.package ], [ entry.manifest ]) : [];
+          if (!packages.length) {
+            return readNext(findNext);
+          }
+
+          return { done: false, value: packages[0] };
+        });
+      });
+    } else {
+      let index = 0;
+
+      pending = Promise.resolve(this._findDependencyGraph((tree, dirPath, manifests) => {
+        return this._getRequestedPackages(tree.nodes, manifests);
+      }));
+      readNext = (packages) => {
+        if (index < packages.length) {
+          index += 1;
+
+          return { done: false, value: packages[index - 1] };
+        }
+
+        return { done: true };
+      };
     }
 
-    return this._findPackageDirectory(dirPath, (childDirPath) => {
-      if (childDirPath == null) {
-        return callback(null);
-      }
+    let previous = pending;
 
-      let parentDirPath = path.dirname(childDirPath);
-      let parentDirName = path.basename(parentDirPath);
+    const iterator = {
+      next: () => {
+        const result = previous.then(() => pending).then(readNext);
 
-      if (parentDirName.charAt(0) === '@') {
-        parentDirPath = path.dirname(parentDirPath);
-        parentDirName = path.basename(parentDirPath);
+        previous = result.catch(() => null);
+
+        return result;
       }
+    };
 
-      if (parentDirName === 'node_modules') {
-        return this._findBaseDirectory(parentDirPath, (parentPkgDirPath) => {
-          if (parentPkgDirPath != null) {
-            childDirPath = parentPkgDirPath;
-          }
+    /* istanbul ignore else */
+    if (typeof Symbol.asyncIterator === 'symbol') {
+      iterator[Symbol.asyncIterator] = () => iterator;
+    }
 
-          return callback(childDirPath);
+    // Avoid unhandled rejections when iterator is abandoned before it is consumed, as next() will still reject
+    pending.catch(() => null);
+
+    return iterator;
+  }
+
+  /**
+   * Searches for all available packages within the base directory and returns a report of their licenses.
+   *
+   * The license of each package is read from the SPDX expression within the <code>license</code> field of its
+   * <code>package.json</code> file, or the legacy <code>license</code> object or <code>licenses</code> array, and any
+   * license files (e.g. <code>LICENSE</code> or <code>COPYING</code>) within its directory are read alongside it. Only
+   * packages whose type and module format have been requested via the <code>types</code> and
+   * <code>moduleFormats</code> options, where specified, are included.
+   *
+   * This method will directly return the report if this {@link PacScan} is synchronous. Otherwise, this method will
+   * return a <code>Promise</code> which will be resolved with the report once all packages have been found.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned report as <code>problems</code>.
+   *
+   * @return {licensing~Report|Promise.<Error, licensing~Report>} The license report for all available packages (or a
+   * <code>Promise</code> resolved with it when asynchronous).
+   * @public
+   */
+  licenses() {
+    return this._findDependencyGraph((tree, dirPath, manifests) => {
+      const readEntry = (nodeIndex, entryCallback) => {
+        const pkg = tree.nodes[nodeIndex];
+
+        return this._readLicenseFiles(pkg.directory, (files) => {
+          return entryCallback({ files, manifest: manifests[nodeIndex], package: pkg });
         });
-      }
+      };
+
+      const nodeIndices = [];
+      tree.nodes.forEach((pkg, nodeIndex) => {
+        if (this._isRequestedPackage(pkg)) {
+          nodeIndices.push(nodeIndex);
+        }
+      });
 
-      parentPackageDirectoriesCache.set(dirPath, childDirPath);
+      return this._mapAll(nodeIndices, readEntry, (entries) => {
+        const result = licensing.report(entries);
+
+        if (tree.problems) {
+          result.problems = this._getProblems();
+        }
 
-      return callback(childDirPath);
+        return result;
+      });
     });
   }
 
   /**
-   * Finds the information for module that was responsible for calling PacScan and passes it to the
-   * <code>callback</code> function.
+   * Searches for all available packages within the base directory and returns a summary of the information for these
+   * packages.
    *
-   * Consumers can control what modules/packages are considering during this search via the <code>knockknock</code>
-   * option, however, the <code>limit</code> will always be overridden to <code>1</code>.
+   * This method will directly return the information for all available packages if this {@link PacScan} is synchronous.
+   * Otherwise, this method will return a <code>Promise</code> which will be resolved with the information for all
+   * available packages once they have been found.
    *
-   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned array as <code>problems</code>.
    *
-   * @param {pacscan~FindCallerCallback} callback - the function to be called with the caller information
-   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>
-   * @private
+   * A <code>package</code> event is emitted for each package as soon as it is read and an <code>end</code> event is
+   * emitted once all packages have been read.
+   *
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The information for all available packages (or a
+   * <code>Promise</code> resolved with them when asynchronous).
+   * @public
    */
-  _findCaller(callback) {
-    const excludes = [ 'pacscan' ];
-    const options = Object.assign({}, this._options.knockknock, { limit: 1 });
+  scan() {
+    return this._findDependencyGraph((tree, dirPath, manifests) => {
+      const packages = this._getRequestedPackages(tree.nodes, manifests);
+      const problems = this._getProblems();
 
-    options.excludes = options.excludes ? excludes.concat(options.excludes) : excludes;
+      if (!this._options.strict) {
+        packages.problems = problems;
+      }
 
-    if (this._sync) {
-      return callback(whoIsThere.sync(options)[0]);
-    }
+      this._emit('end', {
+        directories: this._directoryCount,
+        packages: packages.length,
+        problems: problems.length
+      });
 
-    return whoIsThere(options)
-      .then((callers) => callers[0])
-      .then(callback);
+      return packages;
+    });
   }
 
   /**
-   * Finds the installation directory for the package containing the specified <code>filePath</code> and passes the
-   * directory path to the <code>callback</code> function.
+   * Searches for all available packages within the base directory and returns a dependency graph for these packages.
    *
-   * If <code>filePath</code> does not exist within a package, the directory path will be <code>null</code>.
+   * The dependencies declared by each package are resolved to the installed packages that Node would load for them.
+   * Since every package is needed to resolve them, the graph always contains all available packages, regardless of the
+   * <code>types</code> and <code>moduleFormats</code> options.
    *
-   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   * This method will directly return the graph if this {@link PacScan} is synchronous. Otherwise, this method will
+   * return a <code>Promise</code> which will be resolved with the graph once all packages have been found.
    *
-   * @param {string} filePath - the path of the file whose package directory is to be found
-   * @param {pacscan~FindPackageDirectoryCallback} callback - the function to be called with the package directory path
-   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
-   * @private
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned graph as <code>problems</code>.
+   *
+   * @return {graph~Graph|Promise.<Error, graph~Graph>} The dependency graph for all available packages (or a
+   * <code>Promise</code> resolved with it when asynchronous).
+   * @public
    */
-  _findPackageDirectory(filePath, callback) {
-    if (this._sync) {
-      return callback(pkgDir.sync(filePath));
-    }
-
-    return pkgDir(filePath).then(callback);
+  tree() {
+    return this._findDependencyGraph((result) => result);
+  }
+
+  /**
+   * Searches for all available packages within the base directory and validates the dependencies declared by each of
+   * these packages against the installed packages that Node would load for them.
+   *
+   * Any problems with peer dependencies (i.e. those that are unmet or out of range) are also reported separately. Only
+   * the dependencies of packages whose type and module format have been requested via the <code>types</code> and
+   * <code>moduleFormats</code> options, where specified, are validated.
+   *
+   * This method will directly return the validation result if this {@link PacScan} is synchronous. Otherwise, this
+   * method will return a <code>Promise</code> which will be resolved with the validation result once all packages have
+   * been found.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned result as <code>problems</code>.
+   *
+   * @return {validation~Result|Promise.<Error, validation~Result>} The validation result for all available packages (or
+   * a <code>Promise</code> resolved with it when asynchronous).
+   * @public
+   */
+  validate() {
+    return this._findDependencyGraph((tree) => {
+      const result = validation.validate(tree, (pkg) => this._isRequestedPackage(pkg));
+
+      if (tree.problems) {
+        result.problems = tree.problems;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Searches for all available packages within the base directory and explains why each installed copy of the package
+   * with the specified <code>name</code> (and, optionally, <code>range</code>) is present by finding every chain of
+   * dependencies that leads to it from the base package or any of its workspace packages, up to the
+   * <code>maxChains</code> option, where specified. Only copies whose type and module format have been requested via
+   * the <code>types</code> and <code>moduleFormats</code> options, where specified, are explained.
+   *
+   * This method will directly return the explanations if this {@link PacScan} is synchronous. Otherwise, this method
+   * will return a <code>Promise</code> which will be resolved with the explanations once all packages have been found.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the returned array as <code>problems</code>.
+   *
+   * @param {string} name - the name of the package to be explained
+   * @param {?string} range - the exact version or semantic version range of the package to be explained (may be
+   * <code>null</code> to explain all versions)
+   * @return {explanation~Explanation[]|Promise.<Error, explanation~Explanation[]>} The explanations for each matching
+   * copy (or a <code>Promise</code> resolved with them when asynchronous).
+   * @public
+   */
+  why(name, range) {
+    return this._findDependencyGraph((tree) => {
+      const result = explanation.explain(tree, name, { maxChains: this._options.maxChains, version: range })
+        .filter((explained) => this._isRequestedPackage(explained.package));
+
+      if (tree.problems) {
+        result.problems = tree.problems;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Records the specified <code>problem</code> and emits a <code>warning</code> event for it, unless the same problem
+   * has already been recorded for the same path.
+   *
+   * @param {pacscan~Problem} problem - the problem to be added
+   * @return {void}
+   * @private
+   */
+  _addProblem(problem) {
+    const isDuplicate = this._problems.some((existing) => {
+      return existing.path === problem.path && existing.code === problem.code;
+    });
+    if (isDuplicate) {
+      return;
+    }
+
+    this._problems.push(problem);
+
+    this._emit('warning', problem);
+  }
+
+  /**
+   * Calls the specified <code>fn</code> and passes its result to the <code>callback</code> function.
+   *
+   * If <code>fn</code> fails, the error is reported as a problem for the file at the path provided, in which case
+   * <code>null</code> will be passed to <code>callback</code> instead if the <code>strict</code> option is disabled.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} filePath - the path of the file for which any error is to be reported
+   * @param {Function} fn - the function to be called, which returns its result (or a <code>Promise</code> resolved with
+   * it when asynchronous)
+   * @param {Function} callback - the function to be called with the result
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _attempt(filePath, fn, callback) {
+    const handleError = (error) => {
+      this._reportProblem(filePath, error);
+
+      return null;
+    };
+
+    if (this._sync) {
+      let result;
+      try {
+        result = fn();
+      } catch (e) {
+        result = handleError(e);
+      }
+
+      return callback(result);
+    }
+
+    return Promise.resolve()
+      .then(fn)
+      .catch(handleError)
+      .then(callback);
+  }
+
+  /**
+   * Sorts the specified package <code>locations</code> by the paths of their <code>package.json</code> files and passes
+   * them to the <code>callback</code> function while also caching them against <code>dirPath</code>.
+   *
+   * @param {string} dirPath - the path to the directory that was searched
+   * @param {pacscan~PackageLocation[]} locations - the package locations to be cached
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the sorted locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _cachePackageLocations(dirPath, locations, callback) {
+    const getFilePath = (location) => path.join(location.directory, 'package.json');
+
+    locations = locations.slice().sort((location, otherLocation) => {
+      return getFilePath(location) < getFilePath(otherLocation) ? -1 : 1;
+    });
+
+    availablePackagesCache.set(this._getCacheKey(dirPath), { locations, problems: this._problems.slice() });
+
+    debug('Found %d packages files within directory: %s', locations.length, dirPath);
+
+    return callback(locations);
+  }
+
+  /**
+   * Calls the {@link fs} method with the specified name for the file at the path provided and passes the result to the
+   * <code>callback</code> function.
+   *
+   * The synchronous variant of the method is called if this {@link PacScan} is synchronous. Any error is wrapped within
+   * a {@link PathNotFoundError} if the file does not exist or a {@link FileSystemError} otherwise.
+   *
+   * @param {string} methodName - the name of the asynchronous {@link fs} method to be called (e.g. <code>"stat"</code>)
+   * @param {string} filePath - the path of the file to be passed to the method
+   * @param {Function} callback - the function to be called with the result of the method
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @throws {PacScanError} If the method fails.
+   * @private
+   */
+  _callFileSystem(methodName, filePath, callback) {
+    const wrapError = (error) => {
+      /* istanbul ignore if */
+      if (error.code !== 'ENOENT') {
+        return errors.FileSystemError.wrap(filePath, error);
+      }
+
+      return new errors.PathNotFoundError(`Could not find path: ${filePath}`, { cause: error, path: filePath });
+    };
+
+    if (this._sync) {
+      let result;
+      try {
+        result = fs[`${methodName}Sync`](filePath);
+      } catch (e) {
+        throw wrapError(e);
+      }
+
+      return callback(result);
+    }
+
+    return new Promise((resolve, reject) => {
+      fs[methodName](filePath, (error, result) => {
+        if (error) {
+          reject(wrapError(error));
+        } else {
+          resolve(result);
+        }
+      });
+    })
+    .then(callback);
+  }
+
+  /**
+   * Emits an event with the specified name and <code>value</code> on the emitter for this {@link PacScan}, where
+   * present.
+   *
+   * @param {string} eventName - the name of the event to be emitted
+   * @param {*} value - the value to be passed to any listeners
+   * @return {void}
+   * @private
+   */
+  _emit(eventName, value) {
+    if (this._emitter) {
+      this._emitter.emit(eventName, value);
+    }
+  }
+
+  /**
+   * Finds all <code>package.json</code> files that are available within the directory provided and passes the locations
+   * of the packages containing these files to the <code>callback</code> function.
+   *
+   * How these files are found depends on the layout of the directory, which is either specified via the
+   * <code>layout</code> option or detected. The locations are then resolved to their real paths, where symbolic links
+   * are handled based on the <code>symlinks</code> option.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findAvailablePackagePaths(dirPath, callback) {
+    const cacheKey = this._getCacheKey(dirPath);
+    if (availablePackagesCache.has(cacheKey)) {
+      const cached = availablePackagesCache.get(cacheKey);
+
+      cached.problems.forEach((problem) => this._addProblem(problem));
+
+      return callback(cached.locations);
+    }
+
+    const cacheLocations = (locations) => this._resolveRealPaths(dirPath, locations, (resolvedLocations) => {
+      return this._cachePackageLocations(dirPath, resolvedLocations, callback);
+    });
+
+    return this._resolveLayout(dirPath, (layout) => {
+      debug('Attempting to find all packages files within directory using %s layout: %s', layout, dirPath);
+
+      if (layout === 'pnp') {
+        return this._findPnpPackageLocations(dirPath, cacheLocations);
+      }
+      if (layout === 'pnpm') {
+        return this._findPnpmPackageLocations(dirPath, cacheLocations);
+      }
+
+      return this._findNodeModulesPackageLocations(dirPath, cacheLocations);
+    });
+  }
+
+  /**
+   * Finds all <code>package.json</code> files for the workspace packages matching the specified
+   * <code>declaredPatterns</code> within the installation directory provided and passes their paths to the
+   * <code>callback</code> function.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package which declared the patterns
+   * @param {string[]} declaredPatterns - the workspace patterns declared by the package
+   * @param {pacscan~FilePathsCallback} callback - the function to be called with the <code>package.json</code> file
+   * paths (relative to <code>dirPath</code>)
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findDeclaredWorkspacePaths(dirPath, declaredPatterns, callback) {
+    const toFilePattern = (pattern) => `${pattern.replace(/^!/, '').replace(/\/+$/, '')}/package.json`;
+    const isNegated = (pattern) => pattern.charAt(0) === '!';
+    const options = {
+      cwd: dirPath,
+      ignore: [ '**/node_modules/**' ].concat(declaredPatterns.filter(isNegated).map(toFilePattern)),
+      nodir: true,
+      nosort: true
+    };
+    const patterns = declaredPatterns
+      .filter((pattern) => !isNegated(pattern))
+      .map(toFilePattern);
+    const packagePathFinder = PacScan[this._sync ? '_findPackagePathsSync' : '_findPackagePaths'];
+
+    return packagePathFinder(patterns, options, (filePaths) => {
+      debug('Found %d workspace packages within directory: %s', filePaths.length, dirPath);
+
+      return callback(filePaths.filter((filePath, index) => filePaths.indexOf(filePath) === index));
+    });
+  }
+
+  /**
+   * Resolves the base directory and builds a dependency graph for all packages that are available within it, before
+   * passing it, along with the base directory, to the <code>callback</code> function.
+   *
+   * If the <code>strict</code> option is disabled, any packages that could not be read are excluded and the problems
+   * encountered are instead attached to the graph as <code>problems</code>.
+   *
+   * A <code>package</code> event is emitted for each package as soon as it has been read, before its type is known.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {pacscan~DependencyGraphCallback} callback - the function to be called with the dependency graph
+   * @return {*|Promise.<Error, *>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findDependencyGraph(callback) {
+    return this._findPackageLocations((locations, dirPath) => {
+      return this._readPackages(locations, (entries) => {
+        const result = graph.build(entries, dirPath, this._options);
+
+        if (!this._options.strict) {
+          result.problems = this._getProblems();
+        }
+
+        return callback(result, dirPath, entries.map((entry) => entry.manifest));
+      });
+    });
+  }
+
+  /**
+   * Finds the first of the specified <code>filePaths</code> which is a file within the installation directory at the
+   * path provided and passes its path to the <code>callback</code> function.
+   *
+   * Each path is checked in turn until a file is found. When <code>dirPath</code> is within a zip archive (i.e. when
+   * using the PnP layout), the names of its entries are read from the archive and checked instead.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory within which the files are to be checked
+   * @param {string[]} filePaths - the paths of the candidate files, in order
+   * @param {pacscan~FindFileCallback} callback - the function to be called with the path of the first file
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findFile(dirPath, filePaths, callback) {
+    const zipMatch = dirPath.match(zipEntryPathPattern);
+    if (zipMatch) {
+      return this._callFileSystem('readFile', zipMatch[1], (archive) => {
+        const entryNames = zip.getEntryNames(archive);
+        const isEntry = (filePath) => {
+          return entryNames.indexOf(path.relative(zipMatch[1], filePath).replace(/\\/g, '/')) >= 0;
+        };
+
+        return callback(filePaths.filter(isEntry)[0] || null);
+      });
+    }
+
+    const check = (index) => {
+      if (index >= filePaths.length) {
+        return callback(null);
+      }
+
+      return this._isFile(filePaths[index], (isFile) => {
+        return isFile ? callback(filePaths[index]) : check(index + 1);
+      });
+    };
+
+    return check(0);
+  }
+
+  /**
+   * Reads the lockfile within the directory provided and passes the locations of all packages recorded within it to the
+   * <code>callback</code> function, without reading any installed packages.
+   *
+   * The base package is always read from its own <code>package.json</code> file, where present, as not all lockfiles
+   * record it. Its type is always <code>prod</code> and, for lockfiles that do not record the locations of packages,
+   * its dependencies are resolved from the lockfile. If its <code>package.json</code> file could not be read, it is
+   * excluded when the <code>strict</code> option is disabled.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory containing the lockfile
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findLockfilePackageLocations(dirPath, callback) {
+    return this._readLockfile(dirPath, (parsedLockfile) => {
+      const locations = lockfile.getPackageLocations(parsedLockfile, dirPath);
+
+      return this._isPackageDirectory(dirPath, (isPackage) => {
+        if (!isPackage) {
+          return callback(locations);
+        }
+
+        return this._readManifest(dirPath, (manifest) => {
+          if (manifest == null) {
+            return callback(locations);
+          }
+
+          const location = { directory: dirPath, type: 'prod', workspace: false };
+          const resolutions = lockfile.getResolutions(parsedLockfile, dirPath, manifest);
+
+          if (resolutions != null) {
+            location.resolutions = resolutions;
+          }
+
+          return callback(locations.concat(location));
+        });
+      });
+    });
+  }
+
+  /**
+   * Finds all <code>package.json</code> files within the <code>node_modules</code> directories of the directory
+   * provided and passes the locations of the packages containing these files to the <code>callback</code> function.
+   *
+   * If the directory is a package which declares workspaces, the <code>package.json</code> files for its workspace
+   * packages, along with those within their own <code>node_modules</code> directories, are also found.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findNodeModulesPackageLocations(dirPath, callback) {
+    return this._isPackageDirectory(dirPath, (isPackage) => {
+      const workspacePathFinder = isPackage ? this._findWorkspacePaths.bind(this) : (ignore, cb) => cb([]);
+
+      return workspacePathFinder(dirPath, (workspacePaths) => {
+        const rootDirPaths = [ '' ].concat(workspacePaths.map((filePath) => path.dirname(filePath)));
+        const walkRoot = (rootDirPath, walkCallback) => this._realPath(path.join(dirPath, rootDirPath), (realPath) => {
+          return this._walkNodeModules(dirPath, { directory: rootDirPath, realPaths: [ realPath ] }, walkCallback);
+        });
+
+        return this._mapAll(rootDirPaths, walkRoot, (values) => {
+          const filePaths = values.reduce((memo, value) => memo.concat(value), []);
+
+          if (isPackage) {
+            filePaths.unshift('package.json');
+          }
+
+          return callback(PacScan._createPackageLocations(dirPath, filePaths)
+            .concat(PacScan._createPackageLocations(dirPath, workspacePaths, true)));
+        });
+      });
+    });
+  }
+
+  /**
+   * Finds the <code>package.json</code> files within the <code>node_modules</code> directories of the directory
+   * provided, in the same way as {@link PacScan#_findNodeModulesPackageLocations}, and passes a function which finds
+   * the location of the next package, each time that it is called, to the <code>callback</code> function so that each
+   * directory is only read once a package is requested that could be within it.
+   *
+   * Each location is resolved, filtered, and de-duplicated in the same way as {@link PacScan#_resolveRealPaths},
+   * except that no <code>aliases</code> are recorded and the locations are not sorted. Instead, packages are found in
+   * the order in which their directories are walked, followed by the package at <code>dirPath</code> and its workspace
+   * packages.
+   *
+   * This method should only be called when this {@link PacScan} is asynchronous.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~PackageLocationFinderCallback} callback - the function to be called with the function which finds
+   * the location of the next package
+   * @return {Promise.<Error, *>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findNodeModulesPackageLocationIterator(dirPath, callback) {
+    return this._isPackageDirectory(dirPath, (isPackage) => {
+      const workspacePathFinder = isPackage ? this._findWorkspacePaths.bind(this) : (ignore, cb) => cb([]);
+
+      return workspacePathFinder(dirPath, (workspacePaths) => {
+        const rootDirPaths = [ '' ].concat(workspacePaths.map((filePath) => path.dirname(filePath)));
+        const resolveRoot = (rootDirPath, rootCallback) => {
+          return this._realPath(path.join(dirPath, rootDirPath), rootCallback);
+        };
+
+        return this._mapAll(rootDirPaths, resolveRoot, (rootRealPaths) => {
+          const rootLocations = PacScan._createPackageLocations(dirPath, isPackage ? [ 'package.json' ] : [])
+            .concat(PacScan._createPackageLocations(dirPath, workspacePaths, true));
+          const parents = rootDirPaths.map((rootDirPath, index) => {
+            return { directory: rootDirPath, realPaths: [ rootRealPaths[index] ] };
+          });
+          const search = {
+            base: { directory: dirPath, realPath: rootRealPaths[0] },
+            deferred: [],
+            foundRealPaths: [],
+            rootRealPaths: isPackage ? rootRealPaths : rootRealPaths.slice(1),
+            tasks: parents
+              .map((parent) => ({ parent }))
+              .concat(rootLocations.map((location) => ({ location, root: true })))
+          };
+
+          return callback((locationCallback) => this._findNextPackageLocation(search, locationCallback));
+        });
+      });
+    });
+  }
+
+  /**
+   * Finds the base directory from the specified <code>dirPath</code> and passes the path to the base directory to the
+   * <code>callback</code> function.
+   *
+   * The base directory is basically the highest level package directory. This is determined by finding package
+   * directories and climbing the <code>node_modules</code> directories until it can't anymore. At that point, the base
+   * directory is found.
+   *
+   * This method should only be called when the <code>includeParents</code> option is enabled.
+   *
+   * @param {string} dirPath - the directory path from where the base directory should be found
+   * @param {pacscan~BaseDirectoryCallback} callback - the function to be called with the path to the base directory
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findBaseDirectory(dirPath, callback) {
+    const cacheKey = JSON.stringify([ dirPath, this._options.workspaces ]);
+    if (parentPackageDirectoriesCache.has(cacheKey)) {
+      return callback(parentPackageDirectoriesCache.get(cacheKey));
+    }
+
+    return this._findPackageDirectory(dirPath, (childDirPath) => {
+      if (childDirPath == null) {
+        return callback(null);
+      }
+
+      let parentDirPath = path.dirname(childDirPath);
+      let parentDirName = path.basename(parentDirPath);
+
+      if (parentDirName.charAt(0) === '@') {
+        parentDirPath = path.dirname(parentDirPath);
+        parentDirName = path.basename(parentDirPath);
+      }
+
+      if (parentDirName === 'node_modules') {
+        return this._findBaseDirectory(parentDirPath, (parentPkgDirPath) => {
+          if (parentPkgDirPath != null) {
+            childDirPath = parentPkgDirPath;
+          }
+
+          return callback(childDirPath);
+        });
+      }
+
+      return this._findWorkspaceRoot(childDirPath, (rootDirPath) => {
+        if (rootDirPath != null) {
+          return this._findBaseDirectory(rootDirPath, callback);
+        }
+
+        parentPackageDirectoriesCache.set(cacheKey, childDirPath);
+
+        return callback(childDirPath);
+      });
+    });
+  }
+
+  /**
+   * Finds the information for module that was responsible for calling PacScan and passes it to the
+   * <code>callback</code> function.
+   *
+   * Consumers can control what modules/packages are considering during this search via the <code>knockknock</code>
+   * option, however, the <code>limit</code> will always be overridden to <code>1</code>.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {pacscan~FindCallerCallback} callback - the function to be called with the caller information
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>
+   * @private
+   */
+  _findCaller(callback) {
+    const excludes = [ 'pacscan' ];
+    const options = Object.assign({}, this._options.knockknock, { limit: 1 });
+
+    options.excludes = options.excludes ? excludes.concat(options.excludes) : excludes;
+
+    if (this._sync) {
+      return callback(whoIsThere.sync(options)[0]);
+    }
+
+    return whoIsThere(options)
+      .then((callers) => callers[0])
+      .then(callback);
+  }
+
+  /**
+   * Performs the pending tasks of the specified <code>search</code>, as created by
+   * {@link PacScan#_findNodeModulesPackageLocationIterator}, until the location of the next package is found and passes
+   * it to the <code>callback</code> function.
+   *
+   * Each task either lists the package directories within the <code>node_modules</code> directory of a parent
+   * directory, checks whether a package directory contains a <code>package.json</code> file, or resolves a package
+   * location. The tasks created for each package directory are performed before any others so that each package is
+   * found just before those nested within it.
+   *
+   * A location is skipped if it is excluded based on the <code>symlinks</code> option or its real path has already been
+   * found, or will be found via the directory of the base package or a workspace package. Since a location that was
+   * reached via a link is only preferred when the same package cannot be reached without following any links, those
+   * whose real path is within the base directory are deferred until all other tasks have been performed.
+   *
+   * This method should only be called when this {@link PacScan} is asynchronous.
+   *
+   * @param {Object} search - the search whose pending tasks are to be performed
+   * @param {pacscan~PackageLocationCallback} callback - the function to be called with the location of the next package
+   * or <code>null</code> if there are none
+   * @return {Promise.<Error, *>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findNextPackageLocation(search, callback) {
+    const task = search.tasks.shift();
+    const next = (tasks) => {
+      search.tasks = tasks.concat(search.tasks);
+
+      return this._findNextPackageLocation(search, callback);
+    };
+
+    if (task == null) {
+      const deferred = search.deferred.filter((location) => search.foundRealPaths.indexOf(location.realPath) < 0)[0];
+      if (deferred == null) {
+        return callback(null);
+      }
+
+      search.foundRealPaths.push(deferred.realPath);
+
+      return callback(deferred);
+    }
+
+    if (task.location != null) {
+      return this._inspectLocation(search.base, task.location, (entry) => {
+        const realPath = entry.location.realPath;
+        const isFound = search.foundRealPaths.indexOf(realPath) >= 0 ||
+          (!task.root && search.rootRealPaths.indexOf(realPath) >= 0);
+
+        if (isFound || !this._isIncludedLocation(entry)) {
+          return next([]);
+        }
+
+        const relativeRealPath = path.relative(search.base.realPath, realPath);
+        if ((entry.location.isLink || entry.viaLink) && !/^\.\.(?:[\\/]|$)/.test(relativeRealPath)) {
+          search.deferred.push(entry.location);
+
+          return next([]);
+        }
+
+        search.foundRealPaths.push(realPath);
+
+        return callback(entry.location);
+      });
+    }
+
+    const parent = task.parent;
+
+    if (task.packageDirPath != null) {
+      return this._readDirectory(task.packageDirPath, (entryNames) => {
+        if (entryNames.indexOf('package.json') < 0) {
+          return next([]);
+        }
+
+        return this._realPath(task.packageDirPath, (realPath) => {
+          const locationTask = { location: { directory: task.packageDirPath, workspace: false } };
+
+          if (parent.realPaths.indexOf(realPath) >= 0) {
+            debug('Skipping link cycle at package directory: %s', task.packageDirPath);
+
+            return next([ locationTask ]);
+          }
+
+          const child = {
+            directory: path.relative(search.base.directory, task.packageDirPath),
+            realPaths: parent.realPaths.concat(realPath)
+          };
+
+          return next([ locationTask, { parent: child } ]);
+        });
+      });
+    }
+
+    return this._listPackageDirectories(path.join(search.base.directory, parent.directory, 'node_modules'),
+      (packageDirPaths) => next(packageDirPaths.map((packageDirPath) => ({ packageDirPath, parent }))));
+  }
+
+  /**
+   * Finds the installation directory for the package containing the specified <code>filePath</code> and passes the
+   * directory path to the <code>callback</code> function.
+   *
+   * If <code>filePath</code> does not exist within a package, the directory path will be <code>null</code>.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} filePath - the path of the file whose package directory is to be found
+   * @param {pacscan~FindPackageDirectoryCallback} callback - the function to be called with the package directory path
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findPackageDirectory(filePath, callback) {
+    if (this._sync) {
+      return callback(pkgDir.sync(filePath));
+    }
+
+    return pkgDir(filePath).then(callback);
+  }
+
+  /**
+   * Resolves the base directory and finds the locations of all packages that are available within it, before passing
+   * them to the <code>callback</code> function.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations and the
+   * path of the base directory
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findPackageLocations(callback) {
+    return this._resolveScanDirectory((dirPath) => {
+      return this._findSourcePackageLocations(dirPath, (locations) => callback(locations, dirPath));
+    });
+  }
+
+  /**
+   * Resolves the base directory and passes a function which finds the location of the next package that is available
+   * within it, each time that it is called, to the <code>callback</code> function so that packages are only found as
+   * they are requested.
+   *
+   * Only packages installed using the conventional <code>node_modules</code> layout are found one at a time. Otherwise
+   * (e.g. when the <code>source</code> option is <code>"lockfile"</code> or the locations have already been cached),
+   * the locations of all packages are found before the first is requested, since they are recorded within a single file
+   * or are already known.
+   *
+   * This method should only be called when this {@link PacScan} is asynchronous.
+   *
+   * @param {pacscan~PackageLocationFinderCallback} callback - the function to be called with the function which finds
+   * the location of the next package
+   * @return {Promise.<Error, *>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findPackageLocationIterator(callback) {
+    return this._resolveScanDirectory((dirPath) => {
+      const findAll = () => this._findSourcePackageLocations(dirPath, (locations) => {
+        const remaining = locations.slice();
+
+        return callback((locationCallback) => locationCallback(remaining.length ? remaining.shift() : null));
+      });
+
+      if (this._options.source === 'lockfile' || availablePackagesCache.has(this._getCacheKey(dirPath))) {
+        return findAll();
+      }
+
+      return this._resolveLayout(dirPath, (layout) => {
+        return layout === 'node_modules' ? this._findNodeModulesPackageLocationIterator(dirPath, callback) : findAll();
+      });
+    });
+  }
+
+  /**
+   * Finds all packages within the Yarn Plug'n'Play (PnP) dependency map of the directory provided and passes their
+   * locations to the <code>callback</code> function.
+   *
+   * The dependency map is read from the <code>.pnp.data.json</code> file, where present, and otherwise from the runtime
+   * state inlined within the <code>.pnp.cjs</code> file.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findPnpPackageLocations(dirPath, callback) {
+    const readState = (fileNames) => {
+      const fileName = fileNames[0];
+      if (fileName == null) {
+        const message = `Could not find PnP runtime state within directory: ${dirPath}`;
+
+        throw new errors.PathNotFoundError(message, { path: dirPath });
+      }
+
+      return this._readFile(path.join(dirPath, fileName), (contents) => {
+        if (contents == null) {
+          return readState(fileNames.slice(1));
+        }
+
+        debug('Reading PnP runtime state from file: %s', fileName);
+
+        const locations = pnp.getPackageLocations(pnp.parseState(path.join(dirPath, fileName), contents), dirPath);
+
+        debug('Found %d packages within PnP dependency map: %s', locations.length, dirPath);
+
+        return callback(locations);
+      });
+    };
+
+    return readState(pnp.fileNames);
+  }
+
+  /**
+   * Finds all packages within the pnpm virtual store (i.e. <code>node_modules/.pnpm</code>) of the directory provided
+   * and passes their locations to the <code>callback</code> function.
+   *
+   * Only the real package directories within the virtual store are reported along with the base and workspace
+   * packages, where applicable. The symlinks that point to each package are captured as its <code>links</code> and the
+   * symlinks within the <code>node_modules</code> directory alongside each package (or within the base and workspace
+   * packages) are used to derive its <code>children</code> and, in turn, their <code>parents</code>.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findPnpmPackageLocations(dirPath, callback) {
+    const storeDirPath = path.join(dirPath, 'node_modules', '.pnpm');
+
+    return this._isPackageDirectory(dirPath, (isPackage) => {
+      const workspacePathFinder = isPackage ? this._findWorkspacePaths.bind(this) : (ignore, cb) => cb([]);
+
+      return workspacePathFinder(dirPath, (workspacePaths) => this._readDirectory(storeDirPath, (entryNames) => {
+        const ownerLocations = PacScan._createPackageLocations(dirPath, isPackage ? [ 'package.json' ] : [])
+          .concat(PacScan._createPackageLocations(dirPath, workspacePaths, true));
+        const listings = [
+          { owner: null, directory: path.join(storeDirPath, 'node_modules') },
+          { owner: isPackage ? dirPath : null, directory: path.join(dirPath, 'node_modules') }
+        ]
+          .concat(ownerLocations
+            .filter((location) => location.workspace)
+            .map((location) => ({
+              owner: location.directory,
+              directory: path.join(location.directory, 'node_modules')
+            })))
+          .concat(entryNames
+            .filter((entryName) => entryName !== 'node_modules' && entryName.charAt(0) !== '.')
+            .map((entryName) => ({ store: true, directory: path.join(storeDirPath, entryName, 'node_modules') })));
+        const readListing = (listing, listingCallback) => this._readLinks(listing.directory, (entries) => {
+          return listingCallback(Object.assign({ entries }, listing));
+        });
+
+        return this._mapAll(listings, readListing, (readListings) => this._realPath(dirPath, (realDirPath) => {
+          const toLexicalPath = (filePath) => path.join(dirPath, path.relative(realDirPath, filePath));
+          const locations = new Map();
+
+          ownerLocations.forEach((location) => {
+            locations.set(location.directory, Object.assign(location, { children: [], links: [], parents: [] }));
+          });
+
+          readListings.forEach((listing) => {
+            listing.entries
+              .filter((entry) => listing.store && entry.realPath == null)
+              .forEach((entry) => {
+                listing.owner = entry.directory;
+
+                locations.set(entry.directory, {
+                  children: [],
+                  directory: entry.directory,
+                  links: [],
+                  parents: [],
+                  workspace: false
+                });
+              });
+          });
+
+          readListings.forEach((listing) => {
+            const owner = listing.owner != null ? locations.get(listing.owner) : null;
+
+            listing.entries.forEach((entry) => {
+              const target = entry.realPath != null ? locations.get(toLexicalPath(entry.realPath)) : null;
+              if (target == null) {
+                return;
+              }
+
+              target.links.push(entry.directory);
+
+              if (owner != null && owner !== target && owner.children.indexOf(target.directory) < 0) {
+                owner.children.push(target.directory);
+                target.parents.push(owner.directory);
+              }
+            });
+          });
+
+          debug('Found %d packages within pnpm virtual store: %s', locations.size, storeDirPath);
+
+          const results = [];
+          locations.forEach((location) => {
+            location.children.sort();
+            location.links.sort();
+            location.parents.sort();
+
+            results.push(location);
+          });
+
+          return callback(results);
+        }));
+      }));
+    });
+  }
+
+  /**
+   * Finds the locations of all packages that are available within the base directory provided and passes them to the
+   * <code>callback</code> function.
+   *
+   * The packages are found from the lockfile within the base directory, instead of from the installed packages, if the
+   * <code>source</code> option is <code>"lockfile"</code>.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the base directory
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the package locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findSourcePackageLocations(dirPath, callback) {
+    const foundLocations = (locations) => {
+      debug('Found %d available packages within directory: %s', locations.length, dirPath);
+
+      return callback(locations);
+    };
+
+    if (this._options.source === 'lockfile') {
+      return this._findLockfilePackageLocations(dirPath, foundLocations);
+    }
+
+    return this._findAvailablePackagePaths(dirPath, foundLocations);
+  }
+
+  /**
+   * Finds all <code>package.json</code> files for the workspace packages declared by the package installed in the
+   * directory provided and passes the paths of these files to the <code>callback</code> function.
+   *
+   * Workspace packages may be declared within either the <code>package.json</code> file or, for pnpm, the
+   * <code>pnpm-workspace.yaml</code> file of the package. Negated patterns (i.e. those starting with <code>!</code>)
+   * exclude matching packages.
+   *
+   * No workspace packages will be found if the <code>workspaces</code> option is disabled.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package whose workspace packages are to be
+   * found
+   * @param {pacscan~FilePathsCallback} callback - the function to be called with the <code>package.json</code> file
+   * paths (relative to <code>dirPath</code>)
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findWorkspacePaths(dirPath, callback) {
+    if (!this._options.workspaces) {
+      return callback([]);
+    }
+
+    return this._readManifest(dirPath, (manifest) => {
+      return this._readFile(path.join(dirPath, 'pnpm-workspace.yaml'), (contents) => {
+        const declaredPatterns = PacScan._getWorkspacePatterns(manifest || {})
+          .concat(PacScan._getPnpmWorkspacePatterns(contents));
+
+        return this._findDeclaredWorkspacePaths(dirPath, declaredPatterns, callback);
+      });
+    });
+  }
+
+  /**
+   * Finds the installation directory for the package whose workspaces contain the package installed in the directory
+   * provided and passes the path of the workspace root directory to the <code>callback</code> function.
+   *
+   * If the package does not belong to any workspaces or the <code>workspaces</code> option is disabled, the workspace
+   * root directory path will be <code>null</code>.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package whose workspace root is to be
+   * found
+   * @param {pacscan~FindPackageDirectoryCallback} callback - the function to be called with the workspace root
+   * directory path
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _findWorkspaceRoot(dirPath, callback) {
+    if (!this._options.workspaces) {
+      return callback(null);
+    }
+
+    return this._findPackageDirectory(path.dirname(dirPath), (rootDirPath) => {
+      if (rootDirPath == null) {
+        return callback(null);
+      }
+
+      return this._findWorkspacePaths(rootDirPath, (workspacePaths) => {
+        const isMember = workspacePaths.some((filePath) => path.dirname(path.join(rootDirPath, filePath)) === dirPath);
+
+        if (isMember) {
+          debug('Found workspace root "%s" for package installed in directory: %s', rootDirPath, dirPath);
+        }
+
+        return callback(isMember ? rootDirPath : null);
+      });
+    });
+  }
+
+  /**
+   * Returns the key to be used to cache the package locations found within the specified directory, taking into
+   * consideration any options which change how packages are found.
+   *
+   * @param {string} dirPath - the path to the directory being searched
+   * @return {string} The cache key for <code>dirPath</code>.
+   * @private
+   */
+  _getCacheKey(dirPath) {
+    const options = this._options;
+
+    return JSON.stringify([ dirPath, options.layout, options.strict, options.symlinks, options.workspaces ]);
+  }
+
+  /**
+   * Reads the contents of the <code>package.json</code> file for the package installed in the directory at the path
+   * provided and passes them to the <code>callback</code> function.
+   *
+   * The file is always read from the file system and parsed rather than being loaded via <code>require</code> so that
+   * changes are always picked up and Node's module cache is left untouched. However, if the <code>manifestCache</code>
+   * option is enabled, the parsed contents are cached and reused for as long as the modification time of the file does
+   * not change.
+   *
+   * <code>dirPath</code> may point to a directory within a zip archive (e.g. a package within the Yarn cache), in which
+   * case the <code>package.json</code> file is read directly from the archive without it being extracted. The
+   * modification time of the archive is used when caching such files.
+   *
+   * This method should only be called when it is known that <code>dirPath</code> contains a <code>package.json</code>
+   * file.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package whose manifest is to be read
+   * @param {pacscan~ManifestCallback} callback - the function to be called with the contents of the
+   * <code>package.json</code> file
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @throws {PacScanError} If the <code>package.json</code> file within <code>dirPath</code> could not be read or
+   * contains malformed JSON.
+   * @private
+   */
+  _getManifest(dirPath, callback) {
+    const zipMatch = dirPath.match(zipEntryPathPattern);
+    const filePath = path.join(dirPath, 'package.json');
+    const sourcePath = zipMatch ? zipMatch[1] : filePath;
+    const entryName = zipMatch ? `${zipMatch[2].replace(/\\/g, '/')}/package.json` : null;
+    const readManifest = (modifiedTime) => this._callFileSystem('readFile', sourcePath, (contents) => {
+      const manifest = PacScan._parseManifest(filePath, contents, entryName);
+
+      if (modifiedTime != null) {
+        manifestCache.set(filePath, { manifest, modifiedTime });
+      }
+
+      return callback(manifest);
+    });
+
+    if (!this._options.manifestCache) {
+      return readManifest(null);
+    }
+
+    return this._callFileSystem('stat', sourcePath, (stats) => {
+      const modifiedTime = stats.mtime.getTime();
+      const cachedManifest = manifestCache.get(filePath);
+
+      if (cachedManifest && cachedManifest.modifiedTime === modifiedTime) {
+        return callback(cachedManifest.manifest);
+      }
+
+      return readManifest(modifiedTime);
+    });
+  }
+
+  /**
+   * Returns the problems encountered by this {@link PacScan}, without any duplicates, sorted by their paths.
+   *
+   * @return {pacscan~Problem[]} The unique problems.
+   * @private
+   */
+  _getProblems() {
+    const problems = new Map();
+
+    this._problems.forEach((problem) => {
+      problems.set(JSON.stringify([ problem.path, problem.code ]), problem);
+    });
+
+    return Array.from(problems.keys())
+      .sort()
+      .map((key) => problems.get(key));
+  }
+
+  /**
+   * Returns only those of the specified <code>packages</code> that have been requested, after transforming each of them
+   * based on the <code>fields</code> and <code>transform</code> options.
+   *
+   * Packages are filtered before they are transformed so that the options are always applied to the original package
+   * information, regardless of what <code>transform</code> returns.
+   *
+   * @param {pacscan~Package[]} packages - the packages to be filtered and transformed
+   * @param {Object[]} manifests - the contents of the <code>package.json</code> file for each of <code>packages</code>
+   * (in the same order)
+   * @return {Array} A new array containing the transformed requested <code>packages</code>.
+   * @private
+   */
+  _getRequestedPackages(packages, manifests) {
+    const results = [];
+
+    packages.forEach((pkg, index) => {
+      if (this._isRequestedPackage(pkg)) {
+        results.push(this._transformPackage(pkg, manifests[index]));
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Resolves the real path of the package at the specified <code>location</code>, which was found within the
+   * <code>base</code> directory, and passes an entry containing a copy of <code>location</code> with its
+   * <code>isLink</code> and <code>realPath</code>, along with whether it was reached via a symbolic link, to the
+   * <code>callback</code> function.
+   *
+   * The real paths for packages within zip archives are derived from the real path of the <code>base</code> directory
+   * as they cannot be resolved via the file system.
+   *
+   * @param {{directory: string, realPath: string}} base - the path and real path of the directory that was searched
+   * @param {pacscan~PackageLocation} location - the package location to be inspected
+   * @param {Function} callback - the function to be called with the entry for <code>location</code>
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _inspectLocation(base, location, callback) {
+    const expectedPath = path.join(base.realPath, path.relative(base.directory, location.directory));
+
+    if (location.directory === base.directory || zipEntryPathPattern.test(location.directory)) {
+      return callback({
+        location: Object.assign({}, location, { isLink: false, realPath: expectedPath }),
+        viaLink: false
+      });
+    }
+
+    return this._lstat(location.directory, (stats) => this._realPath(location.directory, (realPath) => {
+      return this._realPath(path.dirname(location.directory), (realParentPath) => callback({
+        location: Object.assign({}, location, { isLink: stats.isSymbolicLink(), realPath }),
+        viaLink: realParentPath !== path.dirname(expectedPath)
+      }));
+    }));
   }
 
   /**
@@ -379,37 +1846,497 @@ class PacScan {
    * @param {string} filePath - the path of the file to be checked
    * @param {pacscan~IsDirectoryCallback} callback - the function to be called with the result
    * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @throws {PathNotFoundError} If <code>filePath</code> does not exist.
    * @private
    */
   _isDirectory(filePath, callback) {
+    return this._callFileSystem('stat', filePath, (stats) => callback(stats.isDirectory()));
+  }
+
+  /**
+   * Determines whether the specified <code>filePath</code> is a file and passes the result to the <code>callback</code>
+   * function.
+   *
+   * Any path which does not exist, or cannot be accessed, is not considered to be a file.
+   *
+   * @param {string} filePath - the path of the file to be checked
+   * @param {pacscan~IsFileCallback} callback - the function to be called with the result
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _isFile(filePath, callback) {
+    if (this._sync) {
+      let isFile;
+      try {
+        isFile = fs.statSync(filePath).isFile();
+      } catch (e) {
+        isFile = false;
+      }
+
+      return callback(isFile);
+    }
+
+    return new Promise((resolve) => {
+      fs.stat(filePath, (error, stats) => resolve(!error && stats.isFile()));
+    })
+    .then(callback);
+  }
+
+  /**
+   * Returns whether the package location within the specified <code>entry</code>, as passed by
+   * {@link PacScan#_inspectLocation}, is to be included based on the <code>symlinks</code> option.
+   *
+   * @param {{location: pacscan~PackageLocation, viaLink: boolean}} entry - the entry to be checked
+   * @return {boolean} <code>true</code> if the package location within <code>entry</code> is to be included; otherwise
+   * <code>false</code>.
+   * @private
+   */
+  _isIncludedLocation(entry) {
+    const mode = this._options.symlinks;
+    if (mode === 'follow') {
+      return true;
+    }
+
+    return !entry.viaLink && (mode === 'report' || !entry.location.isLink);
+  }
+
+  /**
+   * Returns whether the type and module format of the specified <code>pkg</code> have been requested via the
+   * <code>types</code> and <code>moduleFormats</code> options, where specified.
+   *
+   * @param {pacscan~Package} pkg - the package to be checked
+   * @return {boolean} <code>true</code> if <code>pkg</code> has been requested; otherwise <code>false</code>.
+   * @private
+   */
+  _isRequestedPackage(pkg) {
+    const formats = this._options.moduleFormats;
+    const types = this._options.types;
+
+    return (types == null || types.indexOf(pkg.type) >= 0) &&
+      (formats == null || formats.indexOf(pkg.moduleFormat) >= 0);
+  }
+
+  /**
+   * Determines whether the specified <code>filePath</code> is a package installation directory and passes the result
+   * to the <code>callback</code> function.
+   *
+   * @param {string} filePath - the path of the fiile to be checked
+   * @param {pacscan~IsPackageDirectoryCallback} callback - the function to be called with the result
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _isPackageDirectory(filePath, callback) {
+    return this._findPackageDirectory(filePath, (dirPath) => callback(filePath === dirPath));
+  }
+
+  /**
+   * Lists the paths of all package directories directly within the <code>node_modules</code> directory provided,
+   * including those within scope directories, and passes them to the <code>callback</code> function.
+   *
+   * Hidden entries (e.g. <code>.bin</code> and <code>.pnpm</code>) are ignored. A <code>directory</code> event is
+   * emitted if the directory contains any package directories.
+   *
+   * @param {string} dirPath - the path of the <code>node_modules</code> directory to be listed
+   * @param {pacscan~FilePathsCallback} callback - the function to be called with the package directory paths
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _listPackageDirectories(dirPath, callback) {
+    return this._readDirectory(dirPath, (entryNames) => {
+      entryNames = entryNames.filter((entryName) => entryName.charAt(0) !== '.');
+
+      if (entryNames.length) {
+        this._directoryCount += 1;
+
+        this._emit('directory', dirPath);
+      }
+
+      const listScope = (entryName, scopeCallback) => {
+        const entryPath = path.join(dirPath, entryName);
+
+        if (entryName.charAt(0) !== '@') {
+          return scopeCallback([ entryPath ]);
+        }
+
+        return this._readDirectory(entryPath, (scopedNames) => {
+          return scopeCallback(scopedNames.map((scopedName) => path.join(entryPath, scopedName)));
+        });
+      };
+
+      return this._mapAll(entryNames, listScope, (values) => {
+        return callback(values.reduce((memo, value) => memo.concat(value), []));
+      });
+    });
+  }
+
+  /**
+   * Retrieves the stats for the specified <code>filePath</code>, without following symbolic links, and passes them to
+   * the <code>callback</code> function.
+   *
+   * @param {string} filePath - the path of the file whose stats are to be retrieved
+   * @param {pacscan~StatsCallback} callback - the function to be called with the stats
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _lstat(filePath, callback) {
+    return this._callFileSystem('lstat', filePath, callback);
+  }
+
+  /**
+   * Calls the <code>iteratee</code> function for each of the specified <code>values</code> and passes all of their
+   * results, in order, to the <code>callback</code> function.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {Array} values - the values to be mapped
+   * @param {Function} iteratee - the function to be called with each value and a callback for its result
+   * @param {Function} callback - the function to be called with all results
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _mapAll(values, iteratee, callback) {
+    const identity = (value) => value;
+
+    if (this._sync) {
+      return callback(values.map((value) => iteratee(value, identity)));
+    }
+
+    return Promise.all(values.map((value) => iteratee(value, identity)))
+      .then(callback);
+  }
+
+  /**
+   * Reads the names of all entries within the specified directory and passes them, sorted, to the
+   * <code>callback</code> function.
+   *
+   * If the directory does not exist (or is not a directory), the entry names will be empty. Any other error is reported
+   * as a problem, in which case the entry names will also be empty if the <code>strict</code> option is disabled.
+   *
+   * @param {string} dirPath - the path of the directory to be read
+   * @param {pacscan~FilePathsCallback} callback - the function to be called with the entry names
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readDirectory(dirPath, callback) {
+    const handleError = (error) => {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        this._reportProblem(dirPath, errors.FileSystemError.wrap(dirPath, error));
+      }
+
+      return [];
+    };
+
     if (this._sync) {
-      return callback(fs.statSync(filePath).isDirectory());
+      let entryNames;
+      try {
+        entryNames = fs.readdirSync(dirPath).sort();
+      } catch (e) {
+        entryNames = handleError(e);
+      }
+
+      return callback(entryNames);
     }
 
     return new Promise((resolve, reject) => {
-      fs.stat(filePath, (error, stats) => {
-        /* istanbul ignore if */
+      fs.readdir(dirPath, (error, entryNames) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(entryNames.sort());
+        }
+      });
+    })
+    .catch(handleError)
+    .then(callback);
+  }
+
+  /**
+   * Reads the contents of the specified file and passes them to the <code>callback</code> function.
+   *
+   * If the file does not exist (or is a directory), the contents will be <code>null</code>. Any other error is reported
+   * as a problem, in which case the contents will also be <code>null</code> if the <code>strict</code> option is
+   * disabled.
+   *
+   * @param {string} filePath - the path of the file to be read
+   * @param {pacscan~FileContentsCallback} callback - the function to be called with the file contents
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readFile(filePath, callback) {
+    const handleError = (error) => {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+        this._reportProblem(filePath, errors.FileSystemError.wrap(filePath, error));
+      }
+
+      return null;
+    };
+
+    if (this._sync) {
+      let contents;
+      try {
+        contents = fs.readFileSync(filePath, 'utf8');
+      } catch (e) {
+        contents = handleError(e);
+      }
+
+      return callback(contents);
+    }
+
+    return new Promise((resolve, reject) => {
+      fs.readFile(filePath, 'utf8', (error, contents) => {
         if (error) {
           reject(error);
         } else {
-          resolve(stats.isDirectory());
+          resolve(contents);
         }
       });
     })
+    .catch(handleError)
     .then(callback);
   }
 
   /**
-   * Determines whether the specified <code>filePath</code> is a package installation directory and passes the result
-   * to the <code>callback</code> function.
+   * Reads all license files (e.g. <code>LICENSE</code> or <code>COPYING</code>) directly within the specified package
+   * directory and passes them to the <code>callback</code> function.
+   *
+   * Any entries which could not be read as files (e.g. directories) are excluded. Any other error is reported as a
+   * problem, in which case the file is also excluded if the <code>strict</code> option is disabled.
+   *
+   * <code>dirPath</code> may point to a directory within a zip archive (i.e. when using the PnP layout), in which case
+   * the license files are read directly from the archive without it being extracted.
+   *
+   * @param {string} dirPath - the path of the package directory whose license files are to be read
+   * @param {pacscan~LicenseFilesCallback} callback - the function to be called with the license files
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readLicenseFiles(dirPath, callback) {
+    const zipMatch = dirPath.match(zipEntryPathPattern);
+    if (zipMatch) {
+      const prefix = `${zipMatch[2].replace(/\\/g, '/')}/`;
+
+      const readEntry = (archive, entryName) => {
+        const filePath = path.join(zipMatch[1], entryName);
+
+        try {
+          return { path: filePath, text: zip.readEntry(archive, entryName).toString('utf8') };
+        } catch (e) {
+          this._reportProblem(filePath, errors.FileSystemError.wrap(filePath, e));
+
+          return { path: filePath, text: null };
+        }
+      };
+
+      return this._callFileSystem('readFile', zipMatch[1], (archive) => {
+        const files = zip.getEntryNames(archive)
+          .filter((entryName) => {
+            return entryName.indexOf(prefix) === 0 && licensing.isLicenseFile(entryName.substring(prefix.length));
+          })
+          .map((entryName) => readEntry(archive, entryName));
+
+        return callback(files.filter((file) => file.text != null));
+      });
+    }
+
+    const readFile = (filePath, fileCallback) => {
+      return this._readFile(filePath, (text) => fileCallback({ path: filePath, text }));
+    };
+
+    return this._readDirectory(dirPath, (entryNames) => {
+      const filePaths = entryNames
+        .filter(licensing.isLicenseFile)
+        .map((entryName) => path.join(dirPath, entryName));
+
+      return this._mapAll(filePaths, readFile, (files) => callback(files.filter((file) => file.text != null)));
+    });
+  }
+
+  /**
+   * Reads all package directories directly within the <code>node_modules</code> directory provided and passes them,
+   * along with the canonical paths of those that are symbolic links, to the <code>callback</code> function.
+   *
+   * Any symbolic links whose targets do not exist are reported as problems, in which case they are excluded if the
+   * <code>strict</code> option is disabled.
+   *
+   * @param {string} dirPath - the path of the <code>node_modules</code> directory to be read
+   * @param {pacscan~LinksCallback} callback - the function to be called with the package directory entries
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readLinks(dirPath, callback) {
+    const readLink = (entryPath, linkCallback) => this._lstat(entryPath, (stats) => {
+      if (!stats.isSymbolicLink()) {
+        return linkCallback({ directory: entryPath, realPath: null });
+      }
+
+      return this._attempt(entryPath, () => this._realPath(entryPath, (realPath) => realPath), (realPath) => {
+        return linkCallback(realPath != null ? { directory: entryPath, realPath } : null);
+      });
+    });
+
+    return this._listPackageDirectories(dirPath, (entryPaths) => this._mapAll(entryPaths, readLink, (links) => {
+      return callback(links.filter((link) => link != null));
+    }));
+  }
+
+  /**
+   * Reads the first lockfile that can be found within the directory provided and passes it to the
+   * <code>callback</code> function once parsed.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the directory containing the lockfile
+   * @param {pacscan~LockfileCallback} callback - the function to be called with the parsed lockfile
+   * @return {*|Promise.<Error, *>} The result of calling <code>callback</code>.
+   * @throws {PathNotFoundError} If no lockfile could be found within <code>dirPath</code>.
+   * @private
+   */
+  _readLockfile(dirPath, callback) {
+    const readLockfile = (fileNames) => {
+      const fileName = fileNames[0];
+      if (fileName == null) {
+        throw new errors.PathNotFoundError(`Could not find lockfile within directory: ${dirPath}`, { path: dirPath });
+      }
+
+      const filePath = path.join(dirPath, fileName);
+
+      return this._readFile(filePath, (contents) => {
+        if (contents == null) {
+          return readLockfile(fileNames.slice(1));
+        }
+
+        debug('Reading lockfile: %s', filePath);
+
+        return callback(lockfile.parse(filePath, contents));
+      });
+    };
+
+    return readLockfile(lockfile.fileNames);
+  }
+
+  /**
+   * Reads the contents of the <code>package.json</code> file for the package installed in the directory at the path
+   * provided and passes them to the <code>callback</code> function.
+   *
+   * If the file cannot be read or parsed, it is reported as a problem, in which case the contents will be
+   * <code>null</code> if the <code>strict</code> option is disabled.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package whose manifest is to be read
+   * @param {pacscan~ManifestCallback} callback - the function to be called with the contents of the
+   * <code>package.json</code> file (may be <code>null</code> if it could not be read)
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readManifest(dirPath, callback) {
+    return this._attempt(path.join(dirPath, 'package.json'), () => this._getManifest(dirPath, (manifest) => manifest),
+      callback);
+  }
+
+  /**
+   * Reads the <code>package.json</code> file for the package at the specified <code>location</code> and passes the
+   * information for the package, along with its location and manifest, to the <code>callback</code> function.
+   *
+   * The <code>main</code> file is resolved in the same way as <code>require</code> does, along with whether it exists,
+   * unless the manifest was recorded on <code>location</code> (i.e. when it was read from a lockfile), since the
+   * package may not have been installed.
+   *
+   * If the <code>package.json</code> file could not be read, the entry will be <code>null</code> when the
+   * <code>strict</code> option is disabled.
+   *
+   * @param {pacscan~PackageLocation} location - the location of the package to be read
+   * @param {pacscan~EntryCallback} callback - the function to be called with the entry for the package
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readPackage(location, callback) {
+    const createEntry = (manifest, main) => {
+      return { location, manifest, package: PacScan._getPackage(location, manifest, main) };
+    };
+
+    if (location.manifest) {
+      return callback(createEntry(location.manifest, { exists: false, path: null }));
+    }
+
+    return this._readManifest(location.directory, (manifest) => {
+      if (manifest == null) {
+        return callback(null);
+      }
+
+      return this._resolveMain(location.directory, manifest, (main) => callback(createEntry(manifest, main)));
+    });
+  }
+
+  /**
+   * Reads the <code>package.json</code> files for the packages at all of the specified <code>locations</code> and
+   * passes the information for each package, along with its location and manifest, to the <code>callback</code>
+   * function.
+   *
+   * Any packages whose <code>package.json</code> file could not be read are excluded when the <code>strict</code>
+   * option is disabled. The files are read one at a time, in order, and a <code>package</code> event is emitted for
+   * each package as soon as it has been read.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {pacscan~PackageLocation[]} locations - the locations of the packages to be read
+   * @param {pacscan~EntriesCallback} callback - the function to be called with the entries for all packages that could
+   * be read
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _readPackages(locations, callback) {
+    const entries = [];
+    const addEntry = (entry) => {
+      if (entry != null) {
+        entries.push(entry);
+
+        this._emit('package', entry.package);
+      }
+    };
+
+    if (this._sync) {
+      locations.forEach((location) => this._readPackage(location, addEntry));
+
+      return callback(entries);
+    }
+
+    return locations
+      .reduce((previous, location) => previous.then(() => this._readPackage(location, addEntry)), Promise.resolve())
+      .then(() => callback(entries));
+  }
+
+  /**
+   * Resolves the canonical path of the specified <code>filePath</code> and passes it to the <code>callback</code>
+   * function.
    *
-   * @param {string} filePath - the path of the fiile to be checked
-   * @param {pacscan~IsPackageDirectoryCallback} callback - the function to be called with the result
+   * @param {string} filePath - the path of the file to be resolved
+   * @param {pacscan~RealPathCallback} callback - the function to be called with the canonical path
    * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
    * @private
    */
-  _isPackageDirectory(filePath, callback) {
-    return this._findPackageDirectory(filePath, (dirPath) => callback(filePath === dirPath));
+  _realPath(filePath, callback) {
+    return this._callFileSystem('realpath', filePath, callback);
+  }
+
+  /**
+   * Reports that the specified <code>error</code> occurred for the file at the path provided.
+   *
+   * The <code>error</code> is thrown if the <code>strict</code> option is enabled. Otherwise, it is recorded as a
+   * problem so that the scan can continue and a <code>warning</code> event is emitted.
+   *
+   * @param {string} filePath - the path of the file for which <code>error</code> occurred
+   * @param {PacScanError} error - the error that occurred
+   * @return {void}
+   * @throws {PacScanError} If the <code>strict</code> option is enabled.
+   * @private
+   */
+  _reportProblem(filePath, error) {
+    if (this._options.strict) {
+      throw error;
+    }
+
+    debug('Ignoring problem with file "%s": %s', filePath, error.message);
+
+    this._addProblem({ code: error.code, message: error.message, path: filePath });
   }
 
   /**
@@ -424,7 +2351,7 @@ class PacScan {
    *
    * At this stage, we have a base directory, however, if the <code>includeParents</code> option is enabled, the
    * dependency tree (based on directory structure, not <code>package.json</code>) is climbed to find the highest level
-   * base directory, where possible.
+   * base directory, where possible. This includes climbing from a workspace package to its workspace root.
    *
    * @param {pacscan~BaseDirectoryCallback} callback - the function to be called with the base directory path
    * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
@@ -440,7 +2367,7 @@ class PacScan {
 
     return packageResolver((filePath, pkg) => {
       if (filePath == null) {
-        throw new Error('Could not resolve base directory as file was missing');
+        throw new errors.NoCallerError('Could not resolve base directory as file was missing');
       }
 
       if (pkg == null) {
@@ -469,6 +2396,60 @@ class PacScan {
     });
   }
 
+  /**
+   * Resolves the layout to be used when searching for packages within the directory provided and passes the name of the
+   * layout to the <code>callback</code> function.
+   *
+   * The <code>layout</code> option is always used, where specified. Otherwise, the PnP layout is used if the directory
+   * contains Yarn Plug'n'Play files (i.e. <code>.pnp.cjs</code> or <code>.pnp.data.json</code>), the pnpm layout is
+   * used if the directory contains a pnpm virtual store (i.e. <code>node_modules/.pnpm</code>), and the conventional
+   * <code>node_modules</code> layout is used if neither.
+   *
+   * @param {string} dirPath - the path to the directory to be searched
+   * @param {pacscan~LayoutCallback} callback - the function to be called with the name of the layout
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _resolveLayout(dirPath, callback) {
+    const layout = this._options.layout;
+
+    if (layout != null) {
+      if (layouts.indexOf(layout) < 0) {
+        throw new errors.InvalidOptionError(`Invalid layout: ${layout}`);
+      }
+
+      return callback(layout);
+    }
+
+    return this._readDirectory(dirPath, (entryNames) => {
+      if (pnp.fileNames.some((fileName) => entryNames.indexOf(fileName) >= 0)) {
+        return callback('pnp');
+      }
+
+      return this._readDirectory(path.join(dirPath, 'node_modules'), (moduleNames) => {
+        return callback(moduleNames.indexOf('.pnpm') >= 0 ? 'pnpm' : 'node_modules');
+      });
+    });
+  }
+
+  /**
+   * Resolves the main file for the package installed in the directory at the path provided in the same way as
+   * <code>require</code> does and passes it to the <code>callback</code> function.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path of the installation directory for the package
+   * @param {Object} manifest - the contents of the <code>package.json</code> file within <code>dirPath</code>
+   * @param {pacscan~MainCallback} callback - the function to be called with the resolved main file
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _resolveMain(dirPath, manifest, callback) {
+    return this._findFile(dirPath, resolution.getMainCandidates(dirPath, manifest), (mainPath) => {
+      return callback(resolution.resolveMain(dirPath, manifest, (filePath) => filePath === mainPath));
+    });
+  }
+
   /**
    * Resolves the package from the module that was responsible for calling PacScan and passes the module file path and
    * package information to the <code>callback</code> function.
@@ -500,55 +2481,544 @@ class PacScan {
    * @param {pacscan~ResolvePackageCallback} callback - the function to be called with the <code>path</code> option and
    * package information
    * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @throws {PathNotFoundError} If the <code>path</code> option does not exist.
    * @private
    */
   _resolvePackageFromPath(callback) {
     const filePath = this._options.path;
 
-    return this._findPackageDirectory(filePath, (dirPath) => {
-      const pkg = dirPath != null ? PacScan._getPackage(dirPath) : null;
+    return this._isDirectory(filePath, () => this._findPackageDirectory(filePath, (dirPath) => {
+      if (dirPath == null) {
+        return callback(filePath, null);
+      }
+
+      return this._readPackage({ directory: dirPath }, (entry) => callback(filePath, entry && entry.package));
+    }));
+  }
+
+  /**
+   * Resolves the real path of each of the specified package <code>locations</code>, along with whether it is a symbolic
+   * link, and passes the resulting locations to the <code>callback</code> function.
+   *
+   * How symbolic links are handled depends on the <code>symlinks</code> option:
+   *
+   * <ul>
+   *   <li><code>follow</code> - packages that are links, or are only reachable via links, are included</li>
+   *   <li><code>ignore</code> - packages that are links, or are only reachable via links, are excluded</li>
+   *   <li><code>report</code> - packages that are links are included but those only reachable via links are
+   *   excluded</li>
+   * </ul>
+   *
+   * Regardless of the mode, the locations are de-duplicated by their real paths so that each physical package is only
+   * reported once, preferring the location that was reached without following any links. This also ensures that link
+   * cycles cannot result in the same packages being reported repeatedly.
+   *
+   * The real paths for packages within zip archives are derived from the real path of <code>dirPath</code> as they
+   * cannot be resolved via the file system.
+   *
+   * @param {string} dirPath - the path to the directory that was searched
+   * @param {pacscan~PackageLocation[]} locations - the package locations to be resolved
+   * @param {pacscan~PackageLocationsCallback} callback - the function to be called with the resolved locations
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _resolveRealPaths(dirPath, locations, callback) {
+    const mode = this._options.symlinks;
+
+    return this._realPath(dirPath, (realDirPath) => {
+      const base = { directory: dirPath, realPath: realDirPath };
+      const inspect = (location, inspectCallback) => this._inspectLocation(base, location, inspectCallback);
+      const isIndirect = (entry) => entry.location.isLink || entry.viaLink;
+
+      return this._mapAll(locations, inspect, (entries) => {
+        const uniqueEntries = new Map();
+
+        entries
+          .filter((entry) => this._isIncludedLocation(entry))
+          .forEach((entry) => {
+            const existingEntry = uniqueEntries.get(entry.location.realPath);
+
+            if (existingEntry == null || (isIndirect(existingEntry) && !isIndirect(entry))) {
+              uniqueEntries.set(entry.location.realPath, entry);
+            }
+          });
+
+        debug('Resolved %d unique packages using %s symlinks mode: %s', uniqueEntries.size, mode, dirPath);
+
+        const results = [];
+        uniqueEntries.forEach((entry) => {
+          const aliases = entries
+            .filter((otherEntry) => otherEntry.location.realPath === entry.location.realPath &&
+              otherEntry.location.directory !== entry.location.directory)
+            .map((otherEntry) => otherEntry.location.directory);
+
+          results.push(aliases.length ? Object.assign({}, entry.location, { aliases }) : entry.location);
+        });
+
+        return callback(results);
+      });
+    });
+  }
+
+  /**
+   * Resolves the base directory and passes it to the <code>callback</code> function once all of the options which
+   * change how packages are found, read, and reported have been validated.
+   *
+   * A <code>base</code> event is emitted once the base directory has been resolved.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {pacscan~BaseDirectoryCallback} callback - the function to be called with the path of the base directory
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @throws {InvalidOptionError} If any of the options are invalid.
+   * @private
+   */
+  _resolveScanDirectory(callback) {
+    return this._resolveBaseDirectory((dirPath) => {
+      debug('Scanning for available packages within directory: %s', dirPath);
+
+      this._emit('base', dirPath);
+
+      const source = this._options.source;
+      if (sources.indexOf(source) < 0) {
+        throw new errors.InvalidOptionError(`Invalid source: ${source}`);
+      }
+
+      const mode = this._options.symlinks;
+      if (symlinkModes.indexOf(mode) < 0) {
+        throw new errors.InvalidOptionError(`Invalid symlinks mode: ${mode}`);
+      }
+
+      (this._options.types || []).forEach((type) => {
+        if (packageTypes.indexOf(type) < 0) {
+          throw new errors.InvalidOptionError(`Invalid type: ${type}`);
+        }
+      });
+
+      (this._options.moduleFormats || []).forEach((format) => {
+        if (moduleFormats.indexOf(format) < 0) {
+          throw new errors.InvalidOptionError(`Invalid module format: ${format}`);
+        }
+      });
+
+      const fields = this._options.fields;
+      if (fields != null && fields !== '*' &&
+        !(Array.isArray(fields) && fields.every((field) => typeof field === 'string'))) {
+        throw new errors.InvalidOptionError(`Invalid fields: ${fields}`);
+      }
+
+      const maxChains = this._options.maxChains;
+      if (maxChains != null && !(Number.isInteger(maxChains) && maxChains > 0)) {
+        throw new errors.InvalidOptionError(`Invalid maxChains: ${maxChains}`);
+      }
+
+      const transform = this._options.transform;
+      if (transform != null && typeof transform !== 'function') {
+        throw new errors.InvalidOptionError(`Invalid transform: ${transform}`);
+      }
+
+      return callback(dirPath);
+    });
+  }
+
+  /**
+   * Copies the fields requested via the <code>fields</code> option from the specified <code>manifest</code> onto
+   * <code>pkg</code> as its <code>manifest</code>, where specified, before passing both to the <code>transform</code>
+   * option, where specified.
+   *
+   * <code>manifest</code> is deeply copied first as it may be shared with other scans via the
+   * <code>manifestCache</code> option, so that any changes made to it, or to the fields copied from it, cannot leak
+   * into them.
+   *
+   * @param {pacscan~Package} pkg - the package information to be transformed
+   * @param {Object} manifest - the contents of the <code>package.json</code> file for <code>pkg</code>
+   * @return {pacscan~Package} The value returned by the <code>transform</code> option or <code>pkg</code> if it
+   * returned nothing or was not specified.
+   * @private
+   */
+  _transformPackage(pkg, manifest) {
+    const fields = this._options.fields;
+    if (fields == null && this._options.transform == null) {
+      return pkg;
+    }
+
+    manifest = JSON.parse(JSON.stringify(manifest));
+
+    if (fields === '*') {
+      pkg.manifest = Object.assign({}, manifest);
+    } else if (fields != null) {
+      pkg.manifest = {};
+
+      fields
+        .filter((field) => Object.prototype.hasOwnProperty.call(manifest, field))
+        .forEach((field) => {
+          pkg.manifest[field] = manifest[field];
+        });
+    }
+
+    const transformed = this._options.transform != null ? this._options.transform(manifest, pkg) : null;
+
+    return transformed != null ? transformed : pkg;
+  }
+
+  /**
+   * Walks the <code>node_modules</code> directory within the specified <code>parent</code> directory to find the
+   * <code>package.json</code> files for all packages within it, including those within scope directories and nested
+   * <code>node_modules</code> directories, and passes their paths to the <code>callback</code> function.
+   *
+   * Only package directories are descended into so that unrelated directories (e.g. source, build output, and version
+   * control directories) are never read. Hidden entries (e.g. <code>.bin</code> and <code>.cache</code>) are also
+   * skipped. A package is not descended into if its real path is already within <code>parent.realPaths</code> as this
+   * indicates a link cycle.
+   *
+   * The flow for this method differs based on whether this {@link PacScan} is synchronous.
+   *
+   * @param {string} dirPath - the path to the directory to which all file paths are relative
+   * @param {pacscan~WalkParent} parent - the parent directory whose <code>node_modules</code> directory is to be walked
+   * @param {pacscan~FilePathsCallback} callback - the function to be called with the <code>package.json</code> file
+   * paths (relative to <code>dirPath</code>)
+   * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The result of calling <code>callback</code>.
+   * @private
+   */
+  _walkNodeModules(dirPath, parent, callback) {
+    const visit = (packageDirPath, visitCallback) => this._readDirectory(packageDirPath, (entryNames) => {
+      if (entryNames.indexOf('package.json') < 0) {
+        return visitCallback([]);
+      }
+
+      const relativeDirPath = path.relative(dirPath, packageDirPath);
+      const filePaths = [ path.join(relativeDirPath, 'package.json') ];
+
+      return this._realPath(packageDirPath, (realPath) => {
+        if (parent.realPaths.indexOf(realPath) >= 0) {
+          debug('Skipping link cycle at package directory: %s', packageDirPath);
+
+          return visitCallback(filePaths);
+        }
+
+        const child = { directory: relativeDirPath, realPaths: parent.realPaths.concat(realPath) };
+
+        return this._walkNodeModules(dirPath, child, (childFilePaths) => {
+          return visitCallback(filePaths.concat(childFilePaths));
+        });
+      });
+    });
 
-      return callback(filePath, pkg);
+    return this._listPackageDirectories(path.join(dirPath, parent.directory, 'node_modules'), (packageDirPaths) => {
+      return this._mapAll(packageDirPaths, visit, (values) => {
+        return callback(values.reduce((memo, value) => memo.concat(value), []));
+      });
     });
   }
 
-}
+}
+
+/**
+ * An event emitter which can be used to scan for packages while observing the progress of the scan.
+ *
+ * The following events are emitted during each scan:
+ *
+ * <ul>
+ *   <li><code>base</code> - once the base directory has been resolved, with its path</li>
+ *   <li><code>directory</code> - for each <code>node_modules</code> directory entered, with its path</li>
+ *   <li><code>package</code> - for each package as soon as it is read, with its information (before its type is
+ *   known)</li>
+ *   <li><code>warning</code> - for each problem encountered when the <code>strict</code> option is disabled, with the
+ *   problem</li>
+ *   <li><code>end</code> - once all packages have been read, with the totals for the scan</li>
+ * </ul>
+ *
+ * The <code>directory</code> event is not emitted when package locations are reused from the cache.
+ *
+ * @public
+ */
+class Scanner extends EventEmitter {
+
+  /**
+   * Creates an instance of {@link Scanner} using the optional <code>options</code> provided.
+   *
+   * @param {pacscan~Options} [options] - the options to be used for each scan (may be <code>null</code>)
+   * @public
+   */
+  constructor(options) {
+    super();
+
+    /**
+     * The options to be used for each scan made by this {@link Scanner}.
+     *
+     * @private
+     * @type {?pacscan~Options}
+     */
+    this._options = options;
+  }
+
+  /**
+   * Asynchronously scans for all available packages while emitting events on this {@link Scanner}.
+   *
+   * @return {Promise.<Error, pacscan~Package[]>} A <code>Promise</code> for retrieving the information for all
+   * available packages.
+   * @public
+   */
+  scan() {
+    return Promise.resolve(new PacScan(false, this._options, this).scan());
+  }
+
+  /**
+   * Synchronously scans for all available packages while emitting events on this {@link Scanner}.
+   *
+   * @return {pacscan~Package[]} The information for all available packages.
+   * @public
+   */
+  scanSync() {
+    return new PacScan(true, this._options, this).scan();
+  }
+
+}
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it.
+ *
+ * The scan can also include packages from parent packages (for cases where the target module exists within a depedent
+ * package - e.g. exists within another package's <code>node_modules</code> directory) by enabling the
+ * <code>includeParents</code> option.
+ *
+ * The resolution of the calling module can be controlled at a more granular level by specifying <code>knockknock</code>
+ * options.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, pacscan~Package[]>} A <code>Promise</code> for retrieving the information for all available
+ * packages.
+ * @public
+ * @static
+ */
+module.exports = function scan(options) {
+  return Promise.resolve(new PacScan(false, options).scan());
+};
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before comparing
+ * them with the packages recorded within the lockfile in the base directory.
+ *
+ * <code>npm-shrinkwrap.json</code> is read in preference to <code>package-lock.json</code>, followed by
+ * <code>yarn.lock</code>. Each package is reported as <code>missing</code> if it is not found on disk,
+ * <code>extra</code> if it is not recorded within the lockfile, <code>changed</code> if a different version is found at
+ * its recorded location, <code>moved</code> if it is found at another location, or <code>ok</code> otherwise. Entries
+ * within <code>yarn.lock</code> have no recorded location and so are matched with every installed copy of the same name
+ * and version instead.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, drift~Result>} A <code>Promise</code> for retrieving the comparison result for all available
+ * packages.
+ * @public
+ * @static
+ */
+module.exports.checkLockfile = function checkLockfile(options) {
+  return Promise.resolve(new PacScan(false, options).checkLockfile());
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before comparing them with
+ * the packages recorded within the lockfile in the base directory.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {drift~Result} The comparison result for all available packages.
+ * @public
+ * @static
+ */
+module.exports.checkLockfileSync = function checkLockfileSync(options) {
+  return new PacScan(true, options).checkLockfile();
+};
+
+/**
+ * Clears the caches containing available <code>package.json</code> file paths and parent package directories mapped to
+ * directory paths, as well as any cached manifests, which are used to speed up package lookups for repeat callers by
+ * avoiding file system searches and traversals.
+ *
+ * This is primarily intended for testing purposes.
+ *
+ * @return {void}
+ * @protected
+ * @static
+ */
+module.exports.clearCache = function clearCache() {
+  availablePackagesCache.clear();
+  manifestCache.clear();
+  parentPackageDirectoriesCache.clear();
+};
+
+/**
+ * Creates a {@link Scanner} which can be used to scan for all packages available within the base directory, resolved
+ * from either the <code>path</code> option or the module that was responsible for calling PacScan, while emitting
+ * progress and lifecycle events.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Scanner} A new scanner.
+ * @public
+ * @static
+ */
+module.exports.createScanner = function createScanner(options) {
+  return new Scanner(options);
+};
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before finding
+ * those which are installed more than once.
+ *
+ * Duplicates are grouped by name and each installed copy lists the packages whose dependencies resolve to it. Versions
+ * that are installed more than once are listed as <code>undeduped</code>.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, duplication~Duplicate[]>} A <code>Promise</code> for retrieving the duplicated packages.
+ * @public
+ * @static
+ */
+module.exports.duplicates = function duplicates(options) {
+  return Promise.resolve(new PacScan(false, options).duplicates());
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before finding those which
+ * are installed more than once.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {duplication~Duplicate[]} The duplicated packages.
+ * @public
+ * @static
+ */
+module.exports.duplicatesSync = function duplicatesSync(options) {
+  return new PacScan(true, options).duplicates();
+};
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then returns an asynchronous iterator which yields the information for each
+ * package available within it.
+ *
+ * Unlike {@link scan}, the <code>package.json</code> file for each package is only read once it is requested from the
+ * iterator, which can be consumed using <code>for await...of</code>, where supported, or by calling <code>next</code>
+ * directly. Likewise, directories are only walked until the next package is found, so packages are yielded in the
+ * order in which they are found. As a result, each package has no <code>type</code>, since it depends on the whole
+ * dependency graph. If the <code>types</code> option is specified, all <code>package.json</code> files are instead read
+ * before the first package is yielded.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {pacscan~PackageIterator} An asynchronous iterator for the information for all available packages.
+ * @public
+ * @static
+ */
+module.exports.iterate = function iterate(options) {
+  return new PacScan(false, options).iterate();
+};
 
 /**
  * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
- * responsible for calling PacScan and then scans this directory for all packages available within it.
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before reporting
+ * their licenses.
  *
- * The scan can also include packages from parent packages (for cases where the target module exists within a depedent
- * package - e.g. exists within another package's <code>node_modules</code> directory) by enabling the
- * <code>includeParents</code> option.
+ * The license of each package is read from its <code>package.json</code> file, as an SPDX expression where possible,
+ * along with any license files within its directory. The packages are also grouped by license within the
+ * <code>summary</code>.
  *
- * The resolution of the calling module can be controlled at a more granular level by specifying <code>knockknock</code>
- * options.
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, licensing~Report>} A <code>Promise</code> for retrieving the license report.
+ * @public
+ * @static
+ */
+module.exports.licenses = function licenses(options) {
+  return Promise.resolve(new PacScan(false, options).licenses());
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before reporting their
+ * licenses.
  *
  * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
- * @return {Promise.<Error, pacscan~Package[]>} A <code>Promise</code> for retrieving the information for all available
- * packages.
+ * @return {licensing~Report} The license report.
  * @public
  * @static
  */
-module.exports = function scan(options) {
-  return Promise.resolve(new PacScan(false, options).scan());
+module.exports.licensesSync = function licensesSync(options) {
+  return new PacScan(true, options).licenses();
 };
 
 /**
- * Clears the caches containing available <code>package.json</code> file paths and parent package directories mapped to
- * directory paths which is used to speed up package lookups for repeat callers by avoiding file system searches and
- * traversals.
+ * Lists every public subpath exported by the specified package, along with the path of the file to which it resolves
+ * under the <code>conditions</code> provided.
  *
- * This is primarily intended for testing purposes.
+ * Subpaths which are not exported under <code>conditions</code> are not listed. Subpath patterns (e.g.
+ * <code>"./features/*"</code>) are listed as they are declared, with their paths still containing a <code>*</code>.
+ * Nothing is listed if the package has no <code>exports</code>.
  *
- * @return {void}
- * @protected
+ * @param {pacscan~Package} pkg - the package whose exports are to be listed
+ * @param {string[]} [conditions] - the conditions to be matched, in addition to <code>default</code> (defaults to
+ * <code>["node", "require"]</code>)
+ * @return {resolution~Export[]} The public subpaths and the paths to which they resolve.
+ * @public
  * @static
  */
-module.exports.clearCache = function clearCache() {
-  availablePackagesCache.clear();
-  parentPackageDirectoriesCache.clear();
+module.exports.listExports = function listExports(pkg, conditions) {
+  return resolution.listExports(pkg.exports, conditions);
+};
+
+/**
+ * Resolves the path of the file to which the specified <code>subpath</code> of the package provided leads under the
+ * <code>conditions</code> provided, in the same way as Node does, including subpath patterns.
+ *
+ * <code>subpath</code> may be omitted entirely, in which case the entry point of the package (i.e. <code>"."</code>)
+ * is resolved and the second argument is treated as the conditions.
+ *
+ * @param {pacscan~Package} pkg - the package whose export is to be resolved
+ * @param {string} [subpath="."] - the subpath to be resolved (e.g. <code>"./feature"</code>)
+ * @param {string[]} [conditions] - the conditions to be matched, in addition to <code>default</code> (defaults to
+ * <code>["node", "require"]</code>)
+ * @return {?string} The path of the resolved file or <code>null</code> if <code>subpath</code> is not exported under
+ * <code>conditions</code> or the package has no <code>exports</code>.
+ * @public
+ * @static
+ */
+module.exports.resolveExport = function resolveExport(pkg, subpath, conditions) {
+  if (Array.isArray(subpath)) {
+    conditions = subpath;
+    subpath = null;
+  }
+
+  return resolution.resolveExport(pkg.exports, subpath || '.', conditions);
+};
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then returns a readable object stream which emits the information for each
+ * package available within it.
+ *
+ * The stream is backed by {@link iterate}, so each package is only pushed once the stream is ready for more data. Any
+ * error is emitted as an <code>error</code> event.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {stream.Readable} A readable object stream for the information for all available packages.
+ * @public
+ * @static
+ */
+module.exports.stream = function stream(options) {
+  const iterator = new PacScan(false, options).iterate();
+  const readable = new Readable({
+    objectMode: true,
+    read() {
+      iterator.next()
+        .then((result) => {
+          readable.push(result.done ? null : result.value);
+        }, (error) => {
+          readable.emit('error', error);
+        });
+    }
+  });
+
+  return readable;
 };
 
 /**
@@ -571,6 +3041,70 @@ module.exports.sync = function sync(options) {
   return new PacScan(true, options).scan();
 };
 
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before building
+ * a dependency graph for them.
+ *
+ * Each node within the graph is the same information for a package as would be returned by {@link scan} and each edge
+ * is a dependency declared by a package, pointing to the node for the package which Node would load for it.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, graph~Graph>} A <code>Promise</code> for retrieving the dependency graph for all available
+ * packages.
+ * @public
+ * @static
+ */
+module.exports.tree = function tree(options) {
+  return Promise.resolve(new PacScan(false, options).tree());
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before building a dependency
+ * graph for them.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {graph~Graph} The dependency graph for all available packages.
+ * @public
+ * @static
+ */
+module.exports.treeSync = function treeSync(options) {
+  return new PacScan(true, options).tree();
+};
+
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before
+ * validating the dependencies declared by each package.
+ *
+ * Each dependency is reported as <code>missing</code> if it is not installed, <code>invalid</code> if the version that
+ * Node would load for it is outside of its declared range, or <code>ok</code> otherwise.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, validation~Result>} A <code>Promise</code> for retrieving the validation result for all
+ * available packages.
+ * @public
+ * @static
+ */
+module.exports.validate = function validate(options) {
+  return Promise.resolve(new PacScan(false, options).validate());
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before validating the
+ * dependencies declared by each package.
+ *
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {validation~Result} The validation result for all available packages.
+ * @public
+ * @static
+ */
+module.exports.validateSync = function validateSync(options) {
+  return new PacScan(true, options).validate();
+};
+
 /**
  * The current version of PacScan.
  *
@@ -580,6 +3114,69 @@ module.exports.sync = function sync(options) {
  */
 module.exports.version = version;
 
+/**
+ * Asynchronously resolves the base directory from either the <code>path</code> option or the module that was
+ * responsible for calling PacScan and then scans this directory for all packages available within it, before explaining
+ * why each installed copy of the package with the specified <code>name</code> (and, optionally, <code>range</code>)
+ * is present.
+ *
+ * Every chain of dependencies leading from the base package, or any of its workspace packages, to a copy is returned,
+ * up to the <code>maxChains</code> option, with each hop containing the range and type of the dependency which was
+ * followed. <code>range</code> may be omitted entirely, in which case the second argument is treated as the options.
+ *
+ * @param {string} name - the name of the package to be explained
+ * @param {?string} [range] - the exact version or semantic version range of the package to be explained (may be
+ * <code>null</code> to explain all versions)
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {Promise.<Error, explanation~Explanation[]>} A <code>Promise</code> for retrieving the explanations for each
+ * matching copy.
+ * @public
+ * @static
+ */
+module.exports.why = function why(name, range, options) {
+  if (range != null && typeof range === 'object') {
+    options = range;
+    range = null;
+  }
+
+  return Promise.resolve(new PacScan(false, options).why(name, range));
+};
+
+/**
+ * Synchronously resolves the base directory from either the <code>path</code> option or the module that was responsible
+ * for calling PacScan and then scans this directory for all packages available within it, before explaining why each
+ * installed copy of the package with the specified <code>name</code> (and, optionally, <code>range</code>) is
+ * present.
+ *
+ * @param {string} name - the name of the package to be explained
+ * @param {?string} [range] - the exact version or semantic version range of the package to be explained (may be
+ * <code>null</code> to explain all versions)
+ * @param {pacscan~Options} [options] - the options to be used (may be <code>null</code>)
+ * @return {explanation~Explanation[]} The explanations for each matching copy.
+ * @public
+ * @static
+ */
+module.exports.whySync = function whySync(name, range, options) {
+  if (range != null && typeof range === 'object') {
+    options = range;
+    range = null;
+  }
+
+  return new PacScan(true, options).why(name, range);
+};
+
+Object.keys(errors).forEach((name) => {
+  /**
+   * The class for one of the types of errors raised by PacScan (e.g. <code>PacScanError</code>, from which all others
+   * inherit).
+   *
+   * @public
+   * @static
+   * @type {Function}
+   */
+  module.exports[name] = errors[name];
+});
+
 /**
  * Called with the path of a base directory.
  *
@@ -588,6 +3185,33 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with a dependency graph.
+ *
+ * @callback pacscan~DependencyGraphCallback
+ * @param {graph~Graph} tree - the dependency graph
+ * @param {string} dirPath - the path of the base directory
+ * @param {Object[]} manifests - the contents of the <code>package.json</code> file for each node within
+ * <code>tree</code>, in the same order
+ * @return {*} The result.
+ */
+
+/**
+ * Called with the entries for packages that have been read.
+ *
+ * @callback pacscan~EntriesCallback
+ * @param {graph~Entry[]} entries - the entries for the packages
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the entry for a package that has been read.
+ *
+ * @callback pacscan~EntryCallback
+ * @param {?graph~Entry} entry - the entry for the package (may be <code>null</code> if it could not be read)
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with the information for the caller that was responsible for calling PacScan.
  *
@@ -596,6 +3220,14 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with the path of the first of a number of candidate files that exists.
+ *
+ * @callback pacscan~FindFileCallback
+ * @param {?string} filePath - the path of the file (may be <code>null</code> if none of the candidates exist)
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with the path to the package installation directory containing a file.
  *
@@ -605,6 +3237,22 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with file paths.
+ *
+ * @callback pacscan~FilePathsCallback
+ * @param {string[]} filePaths - the file paths
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the contents of a file.
+ *
+ * @callback pacscan~FileContentsCallback
+ * @param {?string} contents - the contents of the file (may be <code>null</code> if the file does not exist)
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with whether a file path points to an existing directory.
  *
@@ -613,6 +3261,14 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with whether a file path points to an existing file.
+ *
+ * @callback pacscan~IsFileCallback
+ * @param {boolean} isFile - <code>true</code> if the file path points to a file; otherwise <code>false</code>
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with whether a file path points to a package installation directory.
  *
@@ -622,6 +3278,80 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with the name of a layout.
+ *
+ * @callback pacscan~LayoutCallback
+ * @param {string} layout - the name of the layout
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the license files found within a package directory.
+ *
+ * @callback pacscan~LicenseFilesCallback
+ * @param {licensing~File[]} files - the license files
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the package directories found within a <code>node_modules</code> directory.
+ *
+ * @callback pacscan~LinksCallback
+ * @param {pacscan~Link[]} links - the package directories, along with the canonical paths of any symbolic links
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the lockfile read from a directory.
+ *
+ * @callback pacscan~LockfileCallback
+ * @param {lockfile~Lockfile} lockfile - the parsed lockfile
+ * @return {*|Promise.<Error, *>} The result of the callback.
+ */
+
+/**
+ * Called with the resolved main file for a package.
+ *
+ * @callback pacscan~MainCallback
+ * @param {resolution~Main} main - the resolved main file
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the contents of a <code>package.json</code> file.
+ *
+ * @callback pacscan~ManifestCallback
+ * @param {?Object} manifest - the contents of the <code>package.json</code> file (may be <code>null</code> if it could
+ * not be read)
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the location of the next package found within a directory.
+ *
+ * @callback pacscan~PackageLocationCallback
+ * @param {?pacscan~PackageLocation} location - the location of the next package or <code>null</code> if there are none
+ * @return {*} The result of the callback.
+ */
+
+/**
+ * Called with a function which finds the location of the next package within a directory each time that it is called.
+ *
+ * @callback pacscan~PackageLocationFinderCallback
+ * @param {Function} findNext - the function to be called with a {@link pacscan~PackageLocationCallback}
+ * @return {*} The result of the callback.
+ */
+
+/**
+ * Called with the locations of all packages found within a directory.
+ *
+ * @callback pacscan~PackageLocationsCallback
+ * @param {pacscan~PackageLocation[]} locations - the locations of all available packages
+ * @param {string} [dirPath] - the path of the base directory (only passed once all packages have been found)
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with the absolute paths for all <code>package.json</code> files found within a directory.
  *
@@ -630,6 +3360,22 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with the canonical path of a file.
+ *
+ * @callback pacscan~RealPathCallback
+ * @param {string} realPath - the canonical path of the file
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
+/**
+ * Called with the stats for a file.
+ *
+ * @callback pacscan~StatsCallback
+ * @param {fs.Stats} stats - the stats for the file
+ * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
+ */
+
 /**
  * Called with the file path and package information resolved from a file path.
  *
@@ -640,26 +3386,189 @@ module.exports.version = version;
  * @return {pacscan~Package[]|Promise.<Error, pacscan~Package[]>} The scan result.
  */
 
+/**
+ * Called with the contents of the <code>package.json</code> file and the information for a package, once its type is
+ * known, so that it can be modified or replaced.
+ *
+ * @callback pacscan~TransformCallback
+ * @param {Object} manifest - the contents of the <code>package.json</code> file for the package, which should not be
+ * modified
+ * @param {pacscan~Package} pkg - the package information
+ * @return {*} The value to be used as the package information instead of <code>pkg</code> (<code>pkg</code> is used if
+ * nothing is returned).
+ */
+
+/**
+ * Contains the package locations found within a directory along with any problems encountered while finding them.
+ *
+ * @typedef {Object} pacscan~CachedPackageLocations
+ * @property {pacscan~PackageLocation[]} locations - The locations of all available packages.
+ * @property {pacscan~Problem[]} problems - The problems encountered while finding the packages.
+ */
+
+/**
+ * Contains the parsed contents of a <code>package.json</code> file along with the modification time of the file from
+ * which it was read.
+ *
+ * @typedef {Object} pacscan~CachedManifest
+ * @property {Object} manifest - The parsed contents of the <code>package.json</code> file.
+ * @property {number} modifiedTime - The modification time of the file (in milliseconds since the epoch).
+ */
+
+/**
+ * Contains the path of a package directory found within a <code>node_modules</code> directory and, if it is a symbolic
+ * link, the canonical path to which it points.
+ *
+ * @typedef {Object} pacscan~Link
+ * @property {string} directory - The path to the package directory.
+ * @property {?string} realPath - The canonical path of the package directory (will be <code>null</code> if it is not a
+ * symbolic link).
+ */
+
+/**
+ * Contains the totals for a scan made by a {@link Scanner}.
+ *
+ * @typedef {Object} pacscan~ScanTotals
+ * @property {number} directories - The number of <code>node_modules</code> directories entered.
+ * @property {number} packages - The number of packages read.
+ * @property {number} problems - The number of unique problems encountered.
+ */
+
 /**
  * Contains some basic information for an individual package.
  *
  * @typedef {Object} pacscan~Package
+ * @property {string[]} [children] - The paths to the installation directories of the packages linked to by the package
+ * (only present when using the pnpm layout).
  * @property {string} directory - The path to the installation directory of the package.
- * @property {?string} main - The path to the main file for the package (may be <code>null</code> if it has no
- * <code>main</code> entry).
+ * @property {?Object.<string, *>} exports - The <code>exports</code> of the package, normalized into a map of subpaths
+ * to targets where every path has been resolved (may be <code>null</code> if it has no <code>exports</code>).
+ * @property {boolean} isLink - Whether the installation directory of the package is a symbolic link.
+ * @property {string[]} [links] - The paths of the symbolic links that point to the package (only present when using
+ * the pnpm layout).
+ * @property {?string} main - The path to the main file for the package, resolved in the same way as
+ * <code>require</code> does (may be <code>null</code> if it has no <code>main</code> entry and no index file).
+ * @property {boolean} mainExists - Whether the main file for the package exists (always <code>false</code> when the
+ * <code>source</code> option is <code>"lockfile"</code>).
+ * @property {Object.<string, *>} [manifest] - The fields of the <code>package.json</code> file for the package that
+ * were requested via the <code>fields</code> option (only present when it is specified).
+ * @property {?string} moduleFormat - The module format of the package, based on its entry points (either
+ * <code>"esm"</code>, <code>"cjs"</code>, or <code>"dual"</code> if it provides both), or <code>null</code> if it has
+ * no JavaScript entry points.
  * @property {string} name - The name of the package.
+ * @property {string[]} [parents] - The paths to the installation directories of the packages that link to the package
+ * (only present when using the pnpm layout).
+ * @property {string} realPath - The canonical path to the installation directory of the package.
+ * @property {?string} [type] - How the package is depended on by the base package, or any of its workspace packages
+ * (either <code>"prod"</code>, <code>"dev"</code>, <code>"optional"</code>, <code>"peer"</code>, or
+ * <code>"extraneous"</code> if it cannot be reached at all). This is omitted when yielded by {@link iterate} without
+ * the <code>types</code> option, as it depends on the whole dependency graph.
  * @property {string} version - The version of the package.
+ * @property {boolean} workspace - Whether the package is a member of the workspaces declared by the base package.
+ */
+
+/**
+ * An asynchronous iterator for the information for packages found during a scan.
+ *
+ * It is also iterable via <code>Symbol.asyncIterator</code>, where supported.
+ *
+ * @typedef {Object} pacscan~PackageIterator
+ * @property {Function} next - Returns a <code>Promise</code> resolved with an object containing the information for
+ * the next package as <code>value</code> or, once all packages have been yielded, with <code>done</code> set to
+ * <code>true</code>.
+ */
+
+/**
+ * Contains the location of an individual package found during a scan.
+ *
+ * @typedef {Object} pacscan~PackageLocation
+ * @property {string[]} [aliases] - The other paths via which the package was found, which resolve to the same real path
+ * (only present once real paths have been resolved and if there are any).
+ * @property {string[]} [children] - The paths to the installation directories of the packages linked to by the package
+ * (only present when using the pnpm layout).
+ * @property {string} directory - The path to the installation directory of the package.
+ * @property {boolean} [isLink] - Whether the installation directory of the package is a symbolic link (only present
+ * once real paths have been resolved).
+ * @property {string[]} [links] - The paths of the symbolic links that point to the package (only present when using
+ * the pnpm layout).
+ * @property {Object} [manifest] - The manifest recorded for the package, which is used instead of reading its
+ * <code>package.json</code> file (only present when the <code>source</code> option is <code>"lockfile"</code>).
+ * @property {string[]} [parents] - The paths to the installation directories of the packages that link to the package
+ * (only present when using the pnpm layout).
+ * @property {string} [realPath] - The canonical path to the installation directory of the package (only present once
+ * real paths have been resolved).
+ * @property {Object.<string, ?string>} [resolutions] - The paths to the installation directories of the packages to
+ * which the dependencies of the package resolve, mapped to their names (only present when using the PnP layout or when
+ * the <code>source</code> option is <code>"lockfile"</code> and the lockfile does not record locations).
+ * @property {?string} [type] - The type recorded for the package, which is used instead of deriving it from the
+ * dependency graph unless it is <code>null</code> (only present when the <code>source</code> option is
+ * <code>"lockfile"</code>).
+ * @property {boolean} workspace - Whether the package is a member of the workspaces declared by the base package.
+ */
+
+/**
+ * Contains the details of a problem encountered while scanning when the <code>strict</code> option is disabled.
+ *
+ * @typedef {Object} pacscan~Problem
+ * @property {string} code - The code of the error that caused the problem (e.g. <code>"ERR_PACSCAN_FS"</code> or
+ * <code>"ERR_PACSCAN_MALFORMED_MANIFEST"</code>).
+ * @property {string} message - The message of the error that caused the problem.
+ * @property {string} path - The path of the file or directory that caused the problem.
  */
 
 /**
  * The options to be used to scan for packages.
  *
  * @typedef {Object} pacscan~Options
+ * @property {boolean} [dev=true] - <code>true</code> if the <code>devDependencies</code> of the base package and its
+ * workspace packages should be included within dependency graphs or <code>false</code> to ignore them (e.g. when
+ * inspecting a production install), in which case packages only reachable via them are considered extraneous and
+ * packages that lockfiles record as only being for development are not required to be installed.
+ * @property {string|string[]} [fields] - The fields of each <code>package.json</code> file to be included on the
+ * package information as its <code>manifest</code>, or <code>"*"</code> to include all of them. No
+ * <code>manifest</code> is included if this is <code>null</code>.
  * @property {boolean} [includeParents] - <code>true</code> if the highest level package directory should be scanned or
  * <code>false</code> to scan only the initial base directory.
  * @property {knockknock~Options} [knockknock] - The options to be passed to <code>knockknock</code> when attempting to
  * determine the calling module (<code>limit</code> will always be overridden to <code>1</code>).
+ * @property {string} [layout] - The layout of the installed packages (either <code>"node_modules"</code>,
+ * <code>"pnp"</code>, or <code>"pnpm"</code>). The layout will be detected if this is <code>null</code>.
+ * @property {boolean} [manifestCache=false] - <code>true</code> if parsed <code>package.json</code> files should be
+ * cached and reused for as long as their modification times do not change or <code>false</code> to always read them.
+ * @property {number} [maxChains] - The maximum number of chains of dependencies to be returned for each copy of a
+ * package when explaining why it is present, in which case only the shortest chains are returned. All chains are
+ * returned if this is <code>null</code>.
+ * @property {string[]} [moduleFormats] - The module formats of packages to be included (any of <code>"esm"</code>,
+ * <code>"cjs"</code>, and <code>"dual"</code>). All packages are included if this is <code>null</code>. Dependency
+ * graphs and lockfile comparisons always include all packages.
  * @property {string} [path] - The path of the file/directory from which the base directory to be scanned is derived.
  * The base directory should be derived from the module that was responsible for calling PacScan if this is
  * <code>null</code>.
+ * @property {string} [source="disk"] - Where packages should be found (either <code>"disk"</code> to scan the installed
+ * packages or <code>"lockfile"</code> to build them from the lockfile within the base directory alone, without
+ * requiring them to have been installed).
+ * @property {boolean} [strict=true] - <code>true</code> if any unreadable file or directory should cause the scan to
+ * fail or <code>false</code> to skip them and instead report them as <code>problems</code> on the returned array.
+ * @property {string} [symlinks="follow"] - How packages that are symbolic links, or are only reachable via symbolic
+ * links, should be handled (either <code>"follow"</code> to include them, <code>"ignore"</code> to exclude them, or
+ * <code>"report"</code> to include links but not descend into them).
+ * @property {string[]} [types] - The types of packages to be included (any of <code>"prod"</code>, <code>"dev"</code>,
+ * <code>"optional"</code>, <code>"peer"</code>, and <code>"extraneous"</code>). All packages are included if this is
+ * <code>null</code>. Dependency graphs and lockfile comparisons always include all packages.
+ * @property {pacscan~TransformCallback} [transform] - The function to be called with the contents of each
+ * <code>package.json</code> file and its package information, whose return value, where present, is used as the
+ * package information instead. Only the packages that are scanned, iterated, or streamed are transformed and only
+ * after they have been filtered by <code>types</code> and <code>moduleFormats</code>.
+ * @property {boolean} [workspaces=true] - <code>true</code> if packages declared within the <code>workspaces</code> of
+ * the base package should be scanned and workspace roots considered when <code>includeParents</code> is enabled or
+ * <code>false</code> to ignore workspaces.
+ */
+
+/**
+ * Contains the information for a directory whose <code>node_modules</code> directory is being walked.
+ *
+ * @typedef {Object} pacscan~WalkParent
+ * @property {string} directory - The path to the directory (relative to the directory being searched).
+ * @property {string[]} realPaths - The canonical paths of the directory and all of its ancestor package directories
+ * that have been walked.
  */
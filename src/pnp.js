@@ -0,0 +1,157 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const errors = require('./errors');
+
+/**
+ * The names of the files, in order of precedence, from which the PnP runtime state can be read.
+ *
+ * @public
+ * @static
+ * @type {string[]}
+ */
+exports.fileNames = [ '.pnp.data.json', '.pnp.cjs' ];
+
+/**
+ * Returns the locations of all packages within the PnP runtime <code>state</code> provided.
+ *
+ * Each package is only returned once, even if it is referenced multiple times (e.g. virtual instances of packages with
+ * peer dependencies are resolved to the location of the package they wrap). Packages within zip archives will have a
+ * location pointing to the package directory inside the archive (e.g.
+ * <code>.yarn/cache/foo-npm-1.0.0-abc.zip/node_modules/foo</code>).
+ *
+ * Since PnP does not resolve dependencies via <code>node_modules</code> directories, each location also contains the
+ * directories to which its dependencies are resolved by the dependency map as <code>resolutions</code>.
+ *
+ * @param {Object} state - the PnP runtime state
+ * @param {string} dirPath - the path of the directory containing the PnP files, to which package locations are
+ * relative
+ * @return {pacscan~PackageLocation[]} The locations of all packages within <code>state</code>.
+ * @public
+ * @static
+ */
+exports.getPackageLocations = function getPackageLocations(state, dirPath) {
+  const directories = new Map();
+  const locations = new Map();
+
+  state.packageRegistryData.forEach((packageEntry) => {
+    packageEntry[1].forEach((referenceEntry) => {
+      const directory = exports.resolveVirtualPath(path.resolve(dirPath, referenceEntry[1].packageLocation));
+
+      directories.set(JSON.stringify([ packageEntry[0], referenceEntry[0] ]), directory);
+    });
+  });
+
+  const resolveDependency = (dependency) => {
+    const target = Array.isArray(dependency[1]) ? dependency[1] : [ dependency[0], dependency[1] ];
+    const directory = directories.get(JSON.stringify(target));
+
+    return directory != null ? directory : null;
+  };
+
+  state.packageRegistryData.forEach((packageEntry) => {
+    packageEntry[1].forEach((referenceEntry) => {
+      const reference = referenceEntry[0];
+      const directory = exports.resolveVirtualPath(path.resolve(dirPath, referenceEntry[1].packageLocation));
+
+      if (!locations.has(directory)) {
+        const resolutions = {};
+
+        (referenceEntry[1].packageDependencies || []).forEach((dependency) => {
+          resolutions[dependency[0]] = resolveDependency(dependency);
+        });
+
+        locations.set(directory, {
+          directory,
+          resolutions,
+          workspace: directory !== dirPath && /^workspace:/.test(reference)
+        });
+      }
+    });
+  });
+
+  const results = [];
+  locations.forEach((location) => results.push(location));
+
+  return results;
+};
+
+/**
+ * Parses the PnP runtime state from the <code>contents</code> of the file at the specified path.
+ *
+ * The state is either the JSON within <code>.pnp.data.json</code> or the <code>RAW_RUNTIME_STATE</code> string literal
+ * inlined within <code>.pnp.cjs</code>.
+ *
+ * @param {string} filePath - the path of the file from which <code>contents</code> were read
+ * @param {string} contents - the contents of the file
+ * @return {Object} The PnP runtime state.
+ * @throws {MalformedPnpStateError} If no runtime state could be found within <code>contents</code> or it is malformed.
+ * @public
+ * @static
+ */
+exports.parseState = function parseState(filePath, contents) {
+  let json = contents;
+
+  if (path.extname(filePath) !== '.json') {
+    const match = contents.match(/RAW_RUNTIME_STATE\s*=\s*'((?:[^'\\]|\\[\s\S])*)'/);
+    if (!match) {
+      const message = `Could not find PnP runtime state within file: ${filePath}`;
+
+      throw new errors.MalformedPnpStateError(message, { path: filePath });
+    }
+
+    json = match[1].replace(/\\(\r?\n|[\s\S])/g, (escape, character) => {
+      return /\n$/.test(character) ? '' : character;
+    });
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw new errors.MalformedPnpStateError(`Malformed PnP runtime state within file: ${filePath}: ${e.message}`, {
+      cause: e,
+      path: filePath
+    });
+  }
+};
+
+/**
+ * Resolves the specified <code>filePath</code>, which may point to a virtual package created by Yarn for packages with
+ * peer dependencies (i.e. within a <code>__virtual__</code> directory), to the path of the package it wraps.
+ *
+ * @param {string} filePath - the path to be resolved
+ * @return {string} The resolved path (or <code>filePath</code> if it was not virtual).
+ * @public
+ * @static
+ */
+exports.resolveVirtualPath = function resolveVirtualPath(filePath) {
+  const match = filePath.match(/^(.*)[\\/]__virtual__[\\/][^\\/]+[\\/](\d+)[\\/](.*)$/);
+  if (!match) {
+    return filePath;
+  }
+
+  return path.join(match[1], '../'.repeat(parseInt(match[2], 10)), match[3]);
+};
@@ -0,0 +1,450 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const path = require('path');
+
+/**
+ * The conditions which are used to resolve exports when none are specified, which are those used by
+ * <code>require</code>. The <code>default</code> condition is always matched.
+ *
+ * @private
+ * @type {string[]}
+ */
+const defaultConditions = [ 'node', 'require' ];
+
+/**
+ * The extensions which are tried, in order, when resolving a file in the same way as <code>require</code>.
+ *
+ * @private
+ * @type {string[]}
+ */
+const extensions = [ '.js', '.json', '.node' ];
+
+/**
+ * Returns the path of the first of the specified <code>filePaths</code> which is a file, according to
+ * <code>isFile</code>.
+ *
+ * @param {string[]} filePaths - the paths of the candidate files
+ * @param {resolution~IsFileCallback} isFile - the function used to check whether a path is a file
+ * @return {?string} The path of the first file within <code>filePaths</code> or <code>null</code> if none are files.
+ * @private
+ */
+function findFile(filePaths, isFile) {
+  for (let i = 0; i < filePaths.length; i++) {
+    if (isFile(filePaths[i])) {
+      return filePaths[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the key within the specified <code>exportsMap</code> which matches the <code>subpath</code> provided, in the
+ * same way as Node does.
+ *
+ * An exact match is preferred. Otherwise, the subpath pattern (i.e. a key containing a single <code>*</code>) with the
+ * longest prefix that matches <code>subpath</code> is used, along with the part of <code>subpath</code> which is
+ * matched by the <code>*</code>.
+ *
+ * @param {Object.<string, *>} exportsMap - the normalized exports map to be searched
+ * @param {string} subpath - the subpath to be matched (e.g. <code>"."</code> or <code>"./feature"</code>)
+ * @return {?{key: string, patternMatch: ?string}} The matching key and the part of <code>subpath</code> matched by
+ * its <code>*</code>, if any, or <code>null</code> if no key matches <code>subpath</code>.
+ * @private
+ */
+function findExportKey(exportsMap, subpath) {
+  if (Object.prototype.hasOwnProperty.call(exportsMap, subpath) && subpath.indexOf('*') < 0) {
+    return { key: subpath, patternMatch: null };
+  }
+
+  let result = null;
+
+  Object.keys(exportsMap).forEach((key) => {
+    const starIndex = key.indexOf('*');
+    if (starIndex < 0 || starIndex !== key.lastIndexOf('*')) {
+      return;
+    }
+
+    const base = key.substring(0, starIndex);
+    const trailer = key.substring(starIndex + 1);
+    if (subpath.length < key.length || subpath.indexOf(base) !== 0 ||
+      subpath.substring(subpath.length - trailer.length) !== trailer) {
+      return;
+    }
+
+    if (result == null || base.length > result.base.length ||
+      (base.length === result.base.length && key.length > result.key.length)) {
+      result = { base, key, patternMatch: subpath.substring(base.length, subpath.length - trailer.length) };
+    }
+  });
+
+  return result && { key: result.key, patternMatch: result.patternMatch };
+}
+
+/**
+ * Returns the paths of the candidate files which Node tries when loading the specified <code>filePath</code> as a
+ * file (i.e. as-is and with each of the <code>extensions</code> appended).
+ *
+ * @param {string} filePath - the path of the file to be loaded
+ * @return {string[]} The paths of the candidate files, in order.
+ * @private
+ */
+function getFileCandidates(filePath) {
+  return [ filePath ].concat(extensions.map((extension) => filePath + extension));
+}
+
+/**
+ * Returns the path derived from the <code>main</code> field of the specified <code>manifest</code>.
+ *
+ * @param {string} dirPath - the path of the installation directory for the package
+ * @param {Object} manifest - the contents of the <code>package.json</code> file within <code>dirPath</code>
+ * @return {?string} The path derived from the <code>main</code> field of <code>manifest</code> or <code>null</code> if
+ * it has none.
+ * @private
+ */
+function getMainPath(dirPath, manifest) {
+  return typeof manifest.main === 'string' && manifest.main ? path.join(dirPath, manifest.main) : null;
+}
+
+/**
+ * Returns the module format of the file at the specified path, based on its extension, in the same way as Node does.
+ *
+ * Files with a <code>.mjs</code> extension are ES modules and those with a <code>.cjs</code> extension are CommonJS,
+ * while the format of files with a <code>.js</code> extension depends on the <code>type</code> of the package.
+ *
+ * @param {string} filePath - the path of the file
+ * @param {*} packageType - the <code>type</code> field of the package containing the file
+ * @return {?string} The module format of the file (either <code>"esm"</code> or <code>"cjs"</code>) or
+ * <code>null</code> if it is not a JavaScript module (e.g. <code>.json</code>).
+ * @private
+ */
+function getFileFormat(filePath, packageType) {
+  switch (path.extname(filePath)) {
+  case '.cjs':
+    return 'cjs';
+  case '.js':
+    return packageType === 'module' ? 'esm' : 'cjs';
+  case '.mjs':
+    return 'esm';
+  default:
+    return null;
+  }
+}
+
+/**
+ * Returns the paths of the candidate files which Node tries when loading the index of the directory at the specified
+ * path.
+ *
+ * @param {string} dirPath - the path of the directory whose index is to be loaded
+ * @return {string[]} The paths of the candidate files, in order.
+ * @private
+ */
+function getIndexCandidates(dirPath) {
+  return extensions.map((extension) => path.join(dirPath, `index${extension}`));
+}
+
+/**
+ * Returns whether the specified <code>value</code> contains any path segments which Node refuses to resolve within
+ * exports (i.e. <code>.</code>, <code>..</code>, and <code>node_modules</code>).
+ *
+ * @param {string} value - the value to be checked
+ * @return {boolean} <code>true</code> if <code>value</code> contains an invalid segment; otherwise <code>false</code>.
+ * @private
+ */
+function hasInvalidSegment(value) {
+  return value.split(/[\\/]/).some((segment) => /^(\.\.?|node_modules)$/i.test(segment));
+}
+
+/**
+ * Normalizes the specified export <code>target</code> by resolving every path within it against the directory at the
+ * path provided.
+ *
+ * Paths which Node would refuse to resolve (i.e. those not starting with <code>./</code> or containing invalid
+ * segments) are replaced with <code>null</code>, the same as targets which are explicitly excluded.
+ *
+ * @param {string} dirPath - the path of the installation directory for the package
+ * @param {*} target - the target to be normalized
+ * @return {*} The normalized <code>target</code>.
+ * @private
+ */
+function normalizeTarget(dirPath, target) {
+  if (typeof target === 'string') {
+    return target.indexOf('./') === 0 && !hasInvalidSegment(target.substring(2)) ? path.join(dirPath, target) : null;
+  }
+  if (Array.isArray(target)) {
+    return target.map((value) => normalizeTarget(dirPath, value));
+  }
+  if (target == null || typeof target !== 'object') {
+    return null;
+  }
+
+  const result = {};
+  Object.keys(target).forEach((condition) => {
+    result[condition] = normalizeTarget(dirPath, target[condition]);
+  });
+
+  return result;
+}
+
+/**
+ * Resolves the path to which the specified normalized export <code>target</code> leads under the
+ * <code>conditions</code> provided, replacing every <code>*</code> within it with <code>patternMatch</code>, where
+ * present.
+ *
+ * Conditions are matched in the order in which they are declared within <code>target</code>, where the
+ * <code>default</code> condition always matches, and each path within an array is tried in turn until one resolves.
+ *
+ * @param {*} target - the normalized target to be resolved
+ * @param {?string} patternMatch - the part of the subpath matched by a subpath pattern (may be <code>null</code> if the
+ * subpath was matched exactly)
+ * @param {string[]} conditions - the conditions to be matched
+ * @return {?string|boolean} The resolved path, <code>null</code> if <code>target</code> is excluded, or
+ * <code>false</code> if no condition matched.
+ * @private
+ */
+function resolveTarget(target, patternMatch, conditions) {
+  if (typeof target === 'string') {
+    return patternMatch != null ? target.replace(/\*/g, patternMatch) : target;
+  }
+  if (Array.isArray(target)) {
+    for (let i = 0; i < target.length; i++) {
+      const result = resolveTarget(target[i], patternMatch, conditions);
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+  if (target == null) {
+    return null;
+  }
+
+  const keys = Object.keys(target);
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i] === 'default' || conditions.indexOf(keys[i]) >= 0) {
+      const result = resolveTarget(target[keys[i]], patternMatch, conditions);
+      if (result !== false) {
+        return result;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Returns the paths of the candidate files which <code>require</code> tries, in order, when loading the main file for
+ * the package installed in the directory at the specified path.
+ *
+ * The first of these candidates which is a file is the main file resolved by {@link resolveMain}, so they can be
+ * checked ahead of time (e.g. asynchronously).
+ *
+ * @param {string} dirPath - the path of the installation directory for the package
+ * @param {Object} manifest - the contents of the <code>package.json</code> file within <code>dirPath</code>
+ * @return {string[]} The paths of the candidate main files, in order.
+ * @public
+ * @static
+ */
+exports.getMainCandidates = function getMainCandidates(dirPath, manifest) {
+  const mainPath = getMainPath(dirPath, manifest);
+  const candidates = getIndexCandidates(dirPath);
+
+  return mainPath != null ? getFileCandidates(mainPath).concat(getIndexCandidates(mainPath), candidates) : candidates;
+};
+
+/**
+ * Returns the module format of the package with the specified <code>manifest</code>, based on the entry points which
+ * can be loaded by <code>require</code> and <code>import</code>.
+ *
+ * When the package has <code>exports</code>, every public subpath is resolved under the conditions used by both
+ * <code>require</code> and <code>import</code>. Otherwise, its <code>main</code> file is used along with its
+ * <code>module</code> field, which bundlers treat as an ES module entry point. The format of each of these files is
+ * derived from its extension and the <code>type</code> of the package.
+ *
+ * @param {Object} manifest - the contents of the <code>package.json</code> file for the package
+ * @param {?string} mainPath - the path of the resolved main file for the package (may be <code>null</code> if it has
+ * none)
+ * @param {?Object.<string, *>} exportsMap - the normalized exports map of the package (may be <code>null</code> if it
+ * has no exports)
+ * @return {?string} The module format of the package (either <code>"esm"</code>, <code>"cjs"</code>, or
+ * <code>"dual"</code> if it provides both) or <code>null</code> if it has no JavaScript entry points.
+ * @public
+ * @static
+ */
+exports.getModuleFormat = function getModuleFormat(manifest, mainPath, exportsMap) {
+  let formats;
+  if (exportsMap != null) {
+    formats = exports.listExports(exportsMap, [ 'node', 'require' ])
+      .concat(exports.listExports(exportsMap, [ 'node', 'import' ]))
+      .map((entry) => getFileFormat(entry.path, manifest.type));
+  } else {
+    formats = [ mainPath != null ? getFileFormat(mainPath, manifest.type) : null ];
+    if (typeof manifest.module === 'string' && manifest.module) {
+      formats.push('esm');
+    }
+  }
+
+  formats = formats.filter((format, index) => format != null && formats.indexOf(format) === index);
+
+  return formats.length > 1 ? 'dual' : formats[0] || null;
+};
+
+/**
+ * Lists every public subpath within the specified normalized <code>exportsMap</code> along with the path to which it
+ * resolves under the <code>conditions</code> provided.
+ *
+ * Subpaths which are excluded, or which do not resolve under <code>conditions</code>, are not listed. Subpath patterns
+ * are listed as they are declared, with their paths still containing a <code>*</code>, rather than being expanded
+ * against the files within the package.
+ *
+ * @param {?Object.<string, *>} exportsMap - the normalized exports map of the package (may be <code>null</code> if it
+ * has no exports)
+ * @param {string[]} [conditions] - the conditions to be matched (defaults to those used by <code>require</code>)
+ * @return {resolution~Export[]} The public subpaths and the paths to which they resolve.
+ * @public
+ * @static
+ */
+exports.listExports = function listExports(exportsMap, conditions) {
+  if (exportsMap == null) {
+    return [];
+  }
+
+  return Object.keys(exportsMap)
+    .map((subpath) => ({ path: resolveTarget(exportsMap[subpath], null, conditions || defaultConditions), subpath }))
+    .filter((result) => result.path);
+};
+
+/**
+ * Normalizes the <code>exports</code> field of the specified <code>manifest</code> into a map of subpaths to targets,
+ * where every path has been resolved against the directory at the path provided.
+ *
+ * A string, array, or object of conditions declared directly within the <code>exports</code> field is treated as the
+ * target for the <code>"."</code> subpath, just as Node does.
+ *
+ * @param {string} dirPath - the path of the installation directory for the package
+ * @param {Object} manifest - the contents of the <code>package.json</code> file within <code>dirPath</code>
+ * @return {?Object.<string, *>} The normalized exports map or <code>null</code> if <code>manifest</code> declares no
+ * exports.
+ * @public
+ * @static
+ */
+exports.normalizeExports = function normalizeExports(dirPath, manifest) {
+  const value = manifest.exports;
+  if (value == null) {
+    return null;
+  }
+
+  const isSubpathMap = typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).some((key) => key.indexOf('.') === 0);
+  const result = {};
+
+  if (isSubpathMap) {
+    Object.keys(value)
+      .filter((key) => key.indexOf('.') === 0)
+      .forEach((subpath) => {
+        result[subpath] = normalizeTarget(dirPath, value[subpath]);
+      });
+  } else {
+    result['.'] = normalizeTarget(dirPath, value);
+  }
+
+  return result;
+};
+
+/**
+ * Resolves the path to which the specified <code>subpath</code> leads within the normalized <code>exportsMap</code>
+ * provided under the <code>conditions</code> provided, in the same way as Node does.
+ *
+ * @param {?Object.<string, *>} exportsMap - the normalized exports map of the package (may be <code>null</code> if it
+ * has no exports)
+ * @param {string} subpath - the subpath to be resolved (e.g. <code>"."</code> or <code>"./feature"</code>)
+ * @param {string[]} [conditions] - the conditions to be matched (defaults to those used by <code>require</code>)
+ * @return {?string} The resolved path or <code>null</code> if <code>subpath</code> is not exported under
+ * <code>conditions</code>.
+ * @public
+ * @static
+ */
+exports.resolveExport = function resolveExport(exportsMap, subpath, conditions) {
+  const match = exportsMap != null ? findExportKey(exportsMap, subpath) : null;
+  if (match == null || (match.patternMatch != null && hasInvalidSegment(match.patternMatch))) {
+    return null;
+  }
+
+  return resolveTarget(exportsMap[match.key], match.patternMatch, conditions || defaultConditions) || null;
+};
+
+/**
+ * Resolves the main file for the package installed in the directory at the specified path in the same way as
+ * <code>require</code> does when the package is loaded by name.
+ *
+ * The <code>main</code> field of <code>manifest</code>, where present, is tried as a file, both as-is and with each of
+ * the <code>extensions</code> appended, and then as a directory containing an index file. Otherwise, or if nothing
+ * could be found, an index file within <code>dirPath</code> is tried instead, just as Node falls back on it.
+ *
+ * When no main file exists, the path derived from the <code>main</code> field is still returned so that the broken
+ * entry point is visible, or <code>null</code> if there is no <code>main</code> field.
+ *
+ * @param {string} dirPath - the path of the installation directory for the package
+ * @param {Object} manifest - the contents of the <code>package.json</code> file within <code>dirPath</code>
+ * @param {resolution~IsFileCallback} isFile - the function used to check whether a path is a file
+ * @return {resolution~Main} The resolved main file for the package.
+ * @public
+ * @static
+ */
+exports.resolveMain = function resolveMain(dirPath, manifest, isFile) {
+  const filePath = findFile(exports.getMainCandidates(dirPath, manifest), isFile);
+
+  return {
+    exists: filePath != null,
+    path: filePath || getMainPath(dirPath, manifest)
+  };
+};
+
+/**
+ * Contains a public subpath exported by a package.
+ *
+ * @typedef {Object} resolution~Export
+ * @property {string} path - The path to which the subpath resolves (containing a <code>*</code> if
+ * <code>subpath</code> is a pattern).
+ * @property {string} subpath - The subpath (e.g. <code>"."</code>, <code>"./feature"</code>, or
+ * <code>"./features/*"</code>).
+ */
+
+/**
+ * Called to check whether a path is a file.
+ *
+ * @callback resolution~IsFileCallback
+ * @param {string} filePath - the path to be checked
+ * @return {boolean} <code>true</code> if <code>filePath</code> is a file; otherwise <code>false</code>.
+ */
+
+/**
+ * Contains the main file resolved for a package.
+ *
+ * @typedef {Object} resolution~Main
+ * @property {boolean} exists - <code>true</code> if the main file exists; otherwise <code>false</code>.
+ * @property {?string} path - The path of the main file, or the path derived from the <code>main</code> field of the
+ * package when it does not exist (may be <code>null</code> if there is no <code>main</code> field).
+ */
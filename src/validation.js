@@ -0,0 +1,258 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const semver = require('semver');
+
+/**
+ * The types of dependencies which are not required to be installed.
+ *
+ * @private
+ * @type {string[]}
+ */
+const optionalTypes = [ 'optional', 'peerOptional' ];
+
+/**
+ * The types of peer dependencies.
+ *
+ * @private
+ * @type {string[]}
+ */
+const peerTypes = [ 'peer', 'peerOptional' ];
+
+/**
+ * The options used when checking whether an installed version satisfies a semantic version range.
+ *
+ * Just like npm, prerelease versions are excluded so that an installed prerelease (e.g. <code>1.1.0-beta.1</code>)
+ * only satisfies a range which contains a prerelease of the same version (e.g. <code>^1.1.0-alpha.1</code>) and not
+ * any other range within which it falls (e.g. <code>^1.0.0</code>).
+ *
+ * @private
+ * @type {Object}
+ */
+const rangeOptions = { includePrerelease: false };
+
+/**
+ * Returns the status of the peer dependency for the specified <code>edge</code>, where <code>status</code> is not
+ * <code>ok</code>.
+ *
+ * @param {graph~Edge} edge - the edge for the peer dependency
+ * @param {string} status - the status of <code>edge</code> (either <code>"missing"</code> or <code>"invalid"</code>)
+ * @return {string} The status of the peer dependency (either <code>"unmet"</code>, <code>"optional-unmet"</code>, or
+ * <code>"out-of-range"</code>).
+ * @private
+ */
+function getPeerStatus(edge, status) {
+  if (status === 'invalid') {
+    return 'out-of-range';
+  }
+
+  return edge.type === 'peerOptional' ? 'optional-unmet' : 'unmet';
+}
+
+/**
+ * Returns the status of the specified <code>edge</code> within a dependency graph, where <code>target</code> is the
+ * package to which it resolves.
+ *
+ * A <code>target</code> without a valid version is never considered to satisfy a semantic version range, while a range
+ * that is not a string (e.g. a number or <code>null</code> within a malformed manifest) is always invalid. A
+ * <code>target</code> with a prerelease version only satisfies a range which contains a prerelease of the same
+ * version.
+ *
+ * @param {graph~Edge} edge - the edge whose status is to be returned
+ * @param {?pacscan~Package} target - the package to which <code>edge</code> resolves (may be <code>null</code> if it is
+ * not installed)
+ * @return {string} The status of <code>edge</code> (either <code>"missing"</code>, <code>"invalid"</code>, or
+ * <code>"ok"</code>).
+ * @private
+ */
+function getStatus(edge, target) {
+  if (typeof edge.range !== 'string') {
+    return 'invalid';
+  }
+  if (target == null) {
+    return 'missing';
+  }
+
+  const range = getVersionRange(edge.range);
+  if (range == null) {
+    return 'ok';
+  }
+
+  return semver.valid(target.version) && semver.satisfies(target.version, range, rangeOptions) ? 'ok' : 'invalid';
+}
+
+/**
+ * Returns the semantic version range which the specified dependency <code>range</code> represents.
+ *
+ * Ranges using the npm alias (e.g. <code>npm:foo@^1.0.0</code>) and workspace (e.g. <code>workspace:^1.0.0</code>)
+ * protocols are unwrapped. Ranges that do not represent a semantic version range (e.g. git URLs, file paths, and
+ * dist-tags) cannot be checked against an installed version.
+ *
+ * @param {string} range - the dependency range to be parsed
+ * @return {?string} The semantic version range for <code>range</code> or <code>null</code> if it does not represent
+ * one.
+ * @private
+ */
+function getVersionRange(range) {
+  const match = range.match(/^(?:npm:.+@|workspace:)(.*)$/);
+  if (match) {
+    range = match[1];
+  }
+
+  return semver.validRange(range);
+}
+
+/**
+ * Validates each dependency within the specified dependency <code>tree</code> by checking that it is installed and
+ * that the version which resolves for it satisfies its declared range.
+ *
+ * Each dependency is given a status of either <code>missing</code>, if it could not be resolved, <code>invalid</code>,
+ * if the version that resolves is outside of its declared range, or <code>ok</code>. Dependencies whose declared range
+ * is not a semantic version range (e.g. a git URL) are considered <code>ok</code> as long as they are installed, while
+ * those whose declared range is not a string are always considered <code>invalid</code>.
+ *
+ * The results are grouped by the packages that declare the dependencies. The summary counts the dependencies with each
+ * status and provides an <code>exitCode</code> which is <code>1</code> if any dependency is <code>invalid</code> or is
+ * <code>missing</code> without being optional; otherwise <code>0</code>.
+ *
+ * Since peer dependencies are resolved from the location of the package that declares them, rather than being
+ * installed for it, any problems with them are also reported separately as <code>peers</code>. Each is either
+ * <code>unmet</code>, <code>optional-unmet</code> (i.e. marked as <code>optional</code> within
+ * <code>peerDependenciesMeta</code>), or <code>out-of-range</code>.
+ *
+ * Where <code>isIncluded</code> is specified, only the dependencies declared by the packages for which it returns
+ * <code>true</code> are validated, although they may still resolve to any package within <code>tree</code>.
+ *
+ * @param {graph~Graph} tree - the dependency graph to be validated
+ * @param {Function} [isIncluded] - the function to be called with each package to determine whether its dependencies
+ * are to be validated (may be <code>null</code> to validate the dependencies of all packages)
+ * @return {validation~Result} The result of the validation.
+ * @public
+ * @static
+ */
+exports.validate = function validate(tree, isIncluded) {
+  const summary = { exitCode: 0, invalid: 0, missing: 0, ok: 0 };
+  const packages = tree.nodes.map((pkg) => {
+    return isIncluded == null || isIncluded(pkg) ? { dependencies: [], package: pkg } : null;
+  });
+  const peers = [];
+
+  tree.edges.forEach((edge) => {
+    if (packages[edge.from] == null) {
+      return;
+    }
+
+    const target = edge.to != null ? tree.nodes[edge.to] : null;
+    const status = getStatus(edge, target);
+    const dependency = {
+      directory: target ? target.directory : null,
+      name: edge.name,
+      range: edge.range,
+      status,
+      type: edge.type,
+      version: target ? target.version : null
+    };
+
+    packages[edge.from].dependencies.push(dependency);
+
+    if (status !== 'ok' && peerTypes.indexOf(edge.type) >= 0) {
+      peers.push({
+        directory: dependency.directory,
+        name: edge.name,
+        package: tree.nodes[edge.from],
+        range: edge.range,
+        status: getPeerStatus(edge, status),
+        version: dependency.version
+      });
+    }
+
+    summary[status] += 1;
+
+    if (status === 'invalid' || (status === 'missing' && optionalTypes.indexOf(edge.type) < 0)) {
+      summary.exitCode = 1;
+    }
+  });
+
+  return { packages: packages.filter((result) => result != null), peers, summary };
+};
+
+/**
+ * Contains the validation result for a dependency declared by a package.
+ *
+ * @typedef {Object} validation~Dependency
+ * @property {?string} directory - The path to the installation directory of the package to which the dependency
+ * resolves (will be <code>null</code> if it is missing).
+ * @property {string} name - The name of the dependency.
+ * @property {string} range - The version range declared for the dependency.
+ * @property {string} status - The status of the dependency (either <code>"missing"</code>, <code>"invalid"</code>, or
+ * <code>"ok"</code>).
+ * @property {string} type - The type of the dependency (e.g. <code>"prod"</code>).
+ * @property {?string} version - The version of the package to which the dependency resolves (will be <code>null</code>
+ * if it is missing).
+ */
+
+/**
+ * Contains the validation results for the dependencies declared by a package.
+ *
+ * @typedef {Object} validation~PackageResult
+ * @property {validation~Dependency[]} dependencies - The validation results for each dependency declared by the
+ * package.
+ * @property {pacscan~Package} package - The information for the package.
+ */
+
+/**
+ * Contains a problem with a peer dependency declared by a package.
+ *
+ * @typedef {Object} validation~PeerProblem
+ * @property {?string} directory - The path to the installation directory of the package to which the peer dependency
+ * resolves (will be <code>null</code> if it is unmet).
+ * @property {string} name - The name of the peer dependency.
+ * @property {pacscan~Package} package - The information for the package which declares the peer dependency.
+ * @property {string} range - The version range declared for the peer dependency.
+ * @property {string} status - The status of the peer dependency (either <code>"unmet"</code>,
+ * <code>"optional-unmet"</code>, or <code>"out-of-range"</code>).
+ * @property {?string} version - The version of the package to which the peer dependency resolves (will be
+ * <code>null</code> if it is unmet).
+ */
+
+/**
+ * Contains the result of validating a dependency graph.
+ *
+ * @typedef {Object} validation~Result
+ * @property {validation~PackageResult[]} packages - The validation results grouped by the packages that declare the
+ * dependencies, in the same order as the nodes of the graph, for each package whose dependencies were validated.
+ * @property {validation~PeerProblem[]} peers - The problems with any peer dependencies, in the same order as the edges
+ * of the graph.
+ * @property {validation~Summary} summary - The summary of the validation.
+ */
+
+/**
+ * Contains a summary of the result of validating a dependency graph.
+ *
+ * @typedef {Object} validation~Summary
+ * @property {number} exitCode - <code>1</code> if any dependency is <code>invalid</code> or is <code>missing</code>
+ * without being optional; otherwise <code>0</code>.
+ * @property {number} invalid - The number of dependencies whose resolved version is outside of their declared range.
+ * @property {number} missing - The number of dependencies that could not be resolved.
+ * @property {number} ok - The number of dependencies that are installed and satisfy their declared range.
+ */
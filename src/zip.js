@@ -0,0 +1,178 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * The signature of the central directory file header for each entry within a zip archive.
+ *
+ * @private
+ * @type {number}
+ */
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+
+/**
+ * The signature of the end of central directory record for a zip archive.
+ *
+ * @private
+ * @type {number}
+ */
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/**
+ * The signature of the local file header for each entry within a zip archive.
+ *
+ * @private
+ * @type {number}
+ */
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Finds the offset of the end of central directory record within the specified zip archive <code>buffer</code>.
+ *
+ * The record is found by searching backwards from the end of <code>buffer</code> as it can be followed by a comment of
+ * up to 65535 bytes.
+ *
+ * @param {Buffer} buffer - the contents of the zip archive
+ * @return {number} The offset of the end of central directory record or <code>-1</code> if none could be found.
+ * @private
+ */
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Reads the central directory of the specified zip archive <code>buffer</code>, returning the name of each entry along
+ * with the information required to read its contents.
+ *
+ * @param {Buffer} buffer - the contents of the zip archive
+ * @return {zip~CentralDirectoryEntry[]} The entries recorded within the central directory of <code>buffer</code>.
+ * @throws {Error} If <code>buffer</code> is not a valid zip archive.
+ * @private
+ */
+function readCentralDirectory(buffer) {
+  const endOffset = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (endOffset < 0) {
+    throw new Error('Invalid zip archive: Could not find end of central directory');
+  }
+
+  const entries = [];
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid zip archive: Malformed central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      headerOffset: buffer.readUInt32LE(offset + 42),
+      method: buffer.readUInt16LE(offset + 10),
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Returns the names of all entries within the zip archive <code>buffer</code> provided without extracting the archive.
+ *
+ * Directories are included with a trailing forward slash, where the archive records them.
+ *
+ * @param {Buffer} buffer - the contents of the zip archive
+ * @return {string[]} The names of all entries within <code>buffer</code> (using forward slashes as separators).
+ * @throws {Error} If <code>buffer</code> is not a valid zip archive.
+ * @public
+ * @static
+ */
+exports.getEntryNames = function getEntryNames(buffer) {
+  return readCentralDirectory(buffer).map((entry) => entry.name);
+};
+
+/**
+ * Reads the contents of the entry with the specified name from the zip archive <code>buffer</code> provided without
+ * extracting the archive.
+ *
+ * Only entries that are stored (i.e. not compressed) or compressed using deflate are supported, which covers the
+ * archives written by package managers (e.g. the Yarn cache).
+ *
+ * @param {Buffer} buffer - the contents of the zip archive
+ * @param {string} entryName - the name of the entry to be read (using forward slashes as separators)
+ * @return {?Buffer} The contents of the entry named <code>entryName</code> or <code>null</code> if no such entry exists
+ * within the archive.
+ * @throws {Error} If <code>buffer</code> is not a valid zip archive or the entry is compressed using an unsupported
+ * method.
+ * @public
+ * @static
+ */
+exports.readEntry = function readEntry(buffer, entryName) {
+  const entry = readCentralDirectory(buffer).filter((centralEntry) => centralEntry.name === entryName)[0];
+  if (entry == null) {
+    return null;
+  }
+
+  const headerOffset = entry.headerOffset;
+  if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+    throw new Error(`Invalid zip archive: Malformed local file header for entry: ${entryName}`);
+  }
+
+  const dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) +
+    buffer.readUInt16LE(headerOffset + 28);
+  const data = buffer.slice(dataOffset, dataOffset + entry.compressedSize);
+
+  switch (entry.method) {
+  case 0:
+    return data;
+  case 8:
+    return zlib.inflateRawSync(data);
+  default:
+    throw new Error(`Unsupported compression method (${entry.method}) for zip entry: ${entryName}`);
+  }
+};
+
+/**
+ * Contains the information recorded within the central directory of a zip archive for a single entry.
+ *
+ * @typedef {Object} zip~CentralDirectoryEntry
+ * @property {number} compressedSize - The size of the (possibly compressed) contents of the entry.
+ * @property {number} headerOffset - The offset of the local file header for the entry.
+ * @property {number} method - The compression method used for the entry.
+ * @property {string} name - The name of the entry (using forward slashes as separators).
+ */
@@ -0,0 +1,184 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+/*
+ * Compares the time taken to find all packages within a large generated fixture using the glob patterns that were
+ * previously used against the dedicated node_modules walker now used by PacScan.
+ *
+ * The fixture contains a base package with many installed (including scoped and nested) packages alongside the kind of
+ * directories that are commonly found within an application (e.g. source, build output, and version control) which the
+ * glob patterns had to search but the walker does not.
+ *
+ * Both sides perform the same work; finding the package directories and resolving their real paths. Since the walker
+ * cannot be called on its own, its time is that of a scan less the time of a repeated scan which reuses the cached
+ * package locations, leaving only the time taken to find them.
+ *
+ * Usage: npm run benchmark
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const mkdirp = require('mkdirp');
+const path = require('path');
+const tmp = require('tmp');
+
+const pacscan = require('../../src/pacscan');
+
+/**
+ * The number of times that each approach is run, with the fastest time being reported.
+ *
+ * @private
+ * @type {number}
+ */
+const iterations = 5;
+
+/**
+ * The number of top-level packages to be installed within the fixture, each of which also contains nested packages.
+ *
+ * @private
+ * @type {number}
+ */
+const packageCount = 100;
+
+/**
+ * The names of the directories within the fixture that contain no packages but are searched by the glob patterns.
+ *
+ * @private
+ * @type {string[]}
+ */
+const unrelatedDirNames = [ '.git', 'coverage', 'dist', 'src' ];
+
+/**
+ * Creates a <code>package.json</code> file within the directory at the path provided for a package with the specified
+ * <code>name</code>.
+ *
+ * @param {string} dirPath - the path of the package directory to be created
+ * @param {string} name - the name of the package
+ * @return {void}
+ * @private
+ */
+function createPackage(dirPath, name) {
+  mkdirp.sync(dirPath);
+
+  fs.writeFileSync(path.join(dirPath, 'package.json'), JSON.stringify({ name, version: '1.0.0' }));
+}
+
+/**
+ * Generates the benchmark fixture within a new temporary directory.
+ *
+ * @return {string} The path to the generated fixture directory.
+ * @private
+ */
+function createFixture() {
+  tmp.setGracefulCleanup();
+
+  const dirPath = tmp.dirSync({ unsafeCleanup: true }).name;
+
+  createPackage(dirPath, 'benchmark');
+
+  for (let i = 0; i < packageCount; i++) {
+    const packageDirPath = path.join(dirPath, 'node_modules', `package-${i}`);
+
+    createPackage(packageDirPath, `package-${i}`);
+    createPackage(path.join(packageDirPath, 'node_modules', `nested-${i}`), `nested-${i}`);
+    createPackage(path.join(dirPath, 'node_modules', '@benchmark', `scoped-${i}`), `@benchmark/scoped-${i}`);
+    mkdirp.sync(path.join(dirPath, 'node_modules', '.cache', `package-${i}`));
+
+    unrelatedDirNames.forEach((unrelatedDirName) => {
+      const unrelatedDirPath = path.join(dirPath, unrelatedDirName, `module-${i}`, 'lib');
+
+      mkdirp.sync(unrelatedDirPath);
+
+      for (let j = 0; j < 10; j++) {
+        fs.writeFileSync(path.join(unrelatedDirPath, `file-${j}.js`), '');
+      }
+    });
+  }
+
+  return dirPath;
+}
+
+/**
+ * Calls the specified function once and returns the time taken, along with the number of packages that it found.
+ *
+ * @param {Function} fn - the function to be timed which returns the packages that it found
+ * @return {{count: number, time: number}} The number of packages found and the time taken (in milliseconds).
+ * @private
+ */
+function time(fn) {
+  const start = process.hrtime();
+  const count = fn().length;
+  const duration = process.hrtime(start);
+
+  return { count, time: (duration[0] * 1e3) + (duration[1] / 1e6) };
+}
+
+/**
+ * Calls the specified function a number of times and returns the fastest time taken, along with the number of
+ * packages that it found.
+ *
+ * If <code>uncached</code> is enabled, the function is called again after each call, without clearing the cache, and
+ * the time taken by the second call is subtracted so that only the time spent on what was cached remains.
+ *
+ * @param {Function} fn - the function to be measured which returns the packages that it found
+ * @param {boolean} [uncached] - <code>true</code> to measure only the time spent on what is cached by PacScan
+ * @return {{count: number, time: number}} The number of packages found and the fastest time taken (in milliseconds).
+ * @private
+ */
+function measure(fn, uncached) {
+  let count = 0;
+  let fastest = Infinity;
+
+  for (let i = 0; i < iterations; i++) {
+    pacscan.clearCache();
+
+    const result = time(fn);
+    const cachedTime = uncached ? time(fn).time : 0;
+
+    count = result.count;
+    fastest = Math.min(fastest, result.time - cachedTime);
+  }
+
+  return { count, time: fastest };
+}
+
+const fixtureDirPath = createFixture();
+const results = {
+  glob: measure(() => {
+    const options = { cwd: fixtureDirPath, nodir: true, nosort: true };
+
+    return [ '**/node_modules/*/package.json', '**/node_modules/@*/*/package.json' ]
+      .reduce((memo, pattern) => memo.concat(glob.sync(pattern, options)), [ 'package.json' ])
+      .map((filePath) => fs.realpathSync(path.dirname(path.join(fixtureDirPath, filePath))));
+  }),
+  walker: measure(() => pacscan.sync({ path: fixtureDirPath, workspaces: false }), true)
+};
+
+Object.keys(results).forEach((name) => {
+  const result = results[name];
+
+  process.stdout.write(`${name}: found ${result.count} packages in ${result.time.toFixed(2)}ms\n`);
+});
+
+process.stdout.write(`walker is ${(results.glob.time / results.walker.time).toFixed(1)}x faster than glob\n`);
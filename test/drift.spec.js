@@ -0,0 +1,205 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+const path = require('path');
+
+const drift = require('../src/drift');
+
+describe('drift', () => {
+  describe('.compare', () => {
+    const dirPath = path.resolve('/project');
+    const options = { dev: true };
+    const createPackage = (location, name, version) => ({
+      directory: path.join(dirPath, location),
+      name,
+      version
+    });
+    const createLockfile = (entries) => ({
+      entries: entries.map((entry) => ({ location: entry[0], name: entry[1], optional: false, version: entry[2] })),
+      path: path.join(dirPath, 'package-lock.json'),
+      type: 'package-lock',
+      version: 3
+    });
+    const getStatuses = (result) => result.packages
+      .map((packageResult) => [ packageResult.name, packageResult.status ]);
+
+    it('should compare lockfile entries with packages', () => {
+      const lockfile = createLockfile([ [ '', 'project', '1.0.0' ], [ 'node_modules/foo', 'foo', '1.0.0' ] ]);
+      const packages = [ createPackage('', 'project', '1.0.0'), createPackage('node_modules/foo', 'foo', '1.0.0') ];
+
+      expect(drift.compare(lockfile, packages, options)).to.eql({
+        lockfile: { path: lockfile.path, type: 'package-lock', version: 3 },
+        packages: [
+          { actual: packages[0], expected: lockfile.entries[0], name: 'project', status: 'ok' },
+          { actual: packages[1], expected: lockfile.entries[1], name: 'foo', status: 'ok' }
+        ],
+        summary: { changed: 0, exitCode: 0, extra: 0, missing: 0, moved: 0, ok: 2 }
+      });
+    });
+
+    context('when package at location has different name', () => {
+      it('should be changed', () => {
+        const lockfile = createLockfile([ [ 'node_modules/foo', 'bar', '1.0.0' ] ]);
+        const result = drift.compare(lockfile, [ createPackage('node_modules/foo', 'foo', '1.0.0') ], options);
+
+        expect(getStatuses(result)).to.eql([ [ 'bar', 'changed' ] ]);
+        expect(result.summary.exitCode).to.equal(1);
+      });
+    });
+
+    context('when lockfile entry has prerelease version', () => {
+      it('should only be ok if package has exactly same version', () => {
+        const lockfile = createLockfile([
+          [ 'node_modules/foo', 'foo', '1.1.0-beta.1' ],
+          [ 'node_modules/bar', 'bar', '1.1.0-beta.1' ]
+        ]);
+        const packages = [
+          createPackage('node_modules/foo', 'foo', '1.1.0-beta.1'),
+          createPackage('node_modules/bar', 'bar', '1.1.0')
+        ];
+
+        expect(getStatuses(drift.compare(lockfile, packages, options)))
+          .to.eql([ [ 'foo', 'ok' ], [ 'bar', 'changed' ] ]);
+      });
+    });
+
+    context('when lockfile entry does not have valid version', () => {
+      it('should only compare names', () => {
+        const lockfile = createLockfile([
+          [ 'node_modules/foo', 'foo', 'git+https://example.com/foo.git' ],
+          [ 'node_modules/bar', 'bar', null ]
+        ]);
+        const packages = [
+          createPackage('node_modules/foo', 'foo', '2.0.0'),
+          createPackage('node_modules/bar', 'bar', null)
+        ];
+
+        expect(getStatuses(drift.compare(lockfile, packages, options))).to.eql([ [ 'foo', 'ok' ], [ 'bar', 'ok' ] ]);
+      });
+    });
+
+    context('when more than one package could have moved', () => {
+      it('should match first package found', () => {
+        const lockfile = createLockfile([ [ 'node_modules/foo', 'foo', '1.0.0' ] ]);
+        const packages = [
+          createPackage('node_modules/bar/node_modules/foo', 'foo', '1.0.0'),
+          createPackage('node_modules/baz/node_modules/foo', 'foo', '1.0.0')
+        ];
+        const result = drift.compare(lockfile, packages, options);
+
+        expect(result.packages.map((packageResult) => [ packageResult.status, packageResult.actual ])).to.eql([
+          [ 'moved', packages[0] ],
+          [ 'extra', packages[1] ]
+        ]);
+        expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 1, missing: 0, moved: 1, ok: 0 });
+      });
+    });
+
+    context('when lockfile does not record locations', () => {
+      it('should match every package with same name and version', () => {
+        const lockfile = createLockfile([ [ null, 'foo', '1.0.0' ], [ null, 'bar', '1.0.0' ] ]);
+        const packages = [
+          createPackage('', 'project', '1.0.0'),
+          createPackage('node_modules/baz/node_modules/foo', 'foo', '1.0.0'),
+          createPackage('node_modules/foo', 'foo', '1.0.0'),
+          createPackage('node_modules/qux', 'qux', '1.0.0'),
+          createPackage('packages/alpha', 'alpha', '1.0.0')
+        ];
+        packages[4].workspace = true;
+
+        const result = drift.compare(lockfile, packages, options);
+
+        expect(result.packages.map((packageResult) => [ packageResult.status, packageResult.actual ])).to.eql([
+          [ 'ok', packages[1] ],
+          [ 'ok', packages[2] ],
+          [ 'missing', null ],
+          [ 'extra', packages[3] ]
+        ]);
+        expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 1, missing: 1, moved: 0, ok: 2 });
+      });
+    });
+
+    context('when lockfile does not record base package', () => {
+      it('should not treat base package or workspace packages as extra', () => {
+        const lockfile = createLockfile([ [ 'node_modules/.pnpm/foo@1.0.0/node_modules/foo', 'foo', '1.0.0' ] ]);
+        const packages = [
+          createPackage('', 'project', '1.0.0'),
+          createPackage('node_modules/.pnpm/foo@1.0.0/node_modules/foo', 'foo', '1.0.0'),
+          createPackage('packages/alpha', 'alpha', '1.0.0'),
+          createPackage('node_modules/bar', 'bar', '1.0.0')
+        ];
+        packages[2].workspace = true;
+
+        const result = drift.compare(lockfile, packages, options);
+
+        expect(result.packages.map((packageResult) => [ packageResult.status, packageResult.actual ])).to.eql([
+          [ 'ok', packages[1] ],
+          [ 'extra', packages[3] ]
+        ]);
+        expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 1, missing: 0, moved: 0, ok: 1 });
+      });
+    });
+
+    context('when optional package is missing', () => {
+      it('should be missing without failing', () => {
+        const lockfile = createLockfile([ [ 'node_modules/foo', 'foo', '1.0.0' ] ]);
+        lockfile.entries[0].optional = true;
+
+        const result = drift.compare(lockfile, [], options);
+
+        expect(getStatuses(result)).to.eql([ [ 'foo', 'missing' ] ]);
+        expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 1, moved: 0, ok: 0 });
+      });
+    });
+
+    context('when development package is missing', () => {
+      const createDevLockfile = () => {
+        const lockfile = createLockfile([
+          [ 'node_modules/foo', 'foo', '1.0.0' ],
+          [ 'node_modules/bar', 'bar', '1.0.0' ]
+        ]);
+        lockfile.entries[0].type = 'dev';
+        lockfile.entries[1].type = 'optional';
+
+        return lockfile;
+      };
+
+      it('should be missing and fail', () => {
+        const result = drift.compare(createDevLockfile(), [], options);
+
+        expect(getStatuses(result)).to.eql([ [ 'foo', 'missing' ], [ 'bar', 'missing' ] ]);
+        expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 0, missing: 2, moved: 0, ok: 0 });
+      });
+
+      context('and "dev" is disabled', () => {
+        it('should be missing without failing', () => {
+          const result = drift.compare(createDevLockfile(), [], { dev: false });
+
+          expect(getStatuses(result)).to.eql([ [ 'foo', 'missing' ], [ 'bar', 'missing' ] ]);
+          expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 2, moved: 0, ok: 0 });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const duplication = require('../src/duplication');
+
+describe('duplication', () => {
+  describe('.find', () => {
+    const createTree = (versions) => ({
+      edges: versions.map((version, index) => ({ from: 0, name: 'foo', range: '*', to: index + 1, type: 'prod' })),
+      nodes: [ { directory: '/project', name: 'project', version: '1.0.0' } ]
+        .concat(versions.map((version, index) => ({
+          directory: `/project/node_modules/${index}/node_modules/foo`,
+          name: 'foo',
+          version
+        }))),
+      root: 0
+    });
+
+    it('should group copies of each package installed more than once by name', () => {
+      const tree = createTree([ '1.0.0', '2.0.0' ]);
+
+      expect(duplication.find(tree)).to.eql([
+        {
+          copies: [
+            {
+              directory: '/project/node_modules/0/node_modules/foo',
+              parents: [ { directory: '/project', name: 'project', range: '*', type: 'prod' } ],
+              version: '1.0.0'
+            },
+            {
+              directory: '/project/node_modules/1/node_modules/foo',
+              parents: [ { directory: '/project', name: 'project', range: '*', type: 'prod' } ],
+              version: '2.0.0'
+            }
+          ],
+          name: 'foo',
+          undeduped: [],
+          versions: [ '1.0.0', '2.0.0' ]
+        }
+      ]);
+    });
+
+    context('when no package is installed more than once', () => {
+      it('should return empty array', () => {
+        expect(duplication.find(createTree([ '1.0.0' ]))).to.eql([]);
+      });
+    });
+
+    context('when same version is installed more than once', () => {
+      it('should list version as undeduped', () => {
+        const result = duplication.find(createTree([ '1.0.0', '2.0.0', '1.0.0' ]));
+
+        expect(result[0].undeduped).to.eql([ '1.0.0' ]);
+        expect(result[0].versions).to.eql([ '1.0.0', '2.0.0' ]);
+      });
+    });
+
+    context('when versions are not all valid', () => {
+      it('should sort valid versions before others', () => {
+        const result = duplication.find(createTree([ 'beta', '10.0.0', null, '9.0.0', 'alpha' ]));
+
+        expect(result[0].versions).to.eql([ '9.0.0', '10.0.0', 'alpha', 'beta', null ]);
+      });
+    });
+
+    context('when filter is specified', () => {
+      it('should only consider copies for which filter returns true', () => {
+        const tree = createTree([ '1.0.0', '2.0.0', '3.0.0' ]);
+        const result = duplication.find(tree, (pkg) => pkg.version !== '2.0.0');
+
+        expect(result[0].copies.map((copy) => copy.version)).to.eql([ '1.0.0', '3.0.0' ]);
+        expect(result[0].versions).to.eql([ '1.0.0', '3.0.0' ]);
+        expect(duplication.find(tree, (pkg) => pkg.version === '2.0.0')).to.eql([]);
+      });
+    });
+  });
+});
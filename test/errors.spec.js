@@ -0,0 +1,99 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const errors = require('../src/errors');
+
+describe('errors', () => {
+  describe('.PacScanError', () => {
+    it('should contain code, path, and cause', () => {
+      const cause = new Error('cause');
+      const error = new errors.PacScanError('message', 'ERR_PACSCAN_TEST', { cause, path: '/path' });
+
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.name).to.equal('PacScanError');
+      expect(error.message).to.equal('message');
+      expect(error.code).to.equal('ERR_PACSCAN_TEST');
+      expect(error.path).to.equal('/path');
+      expect(error.cause).to.equal(cause);
+      expect(error.stack).to.contain('message');
+    });
+
+    context('when details are missing', () => {
+      it('should have no path or cause', () => {
+        const error = new errors.PacScanError('message', 'ERR_PACSCAN_TEST');
+
+        expect(error.path).to.be.null;
+        expect(error.cause).to.be.null;
+      });
+    });
+  });
+
+  [
+    [ 'FileSystemError', 'ERR_PACSCAN_FS' ],
+    [ 'InvalidOptionError', 'ERR_PACSCAN_INVALID_OPTION' ],
+    [ 'MalformedLockfileError', 'ERR_PACSCAN_MALFORMED_LOCKFILE' ],
+    [ 'MalformedManifestError', 'ERR_PACSCAN_MALFORMED_MANIFEST' ],
+    [ 'MalformedPnpStateError', 'ERR_PACSCAN_MALFORMED_PNP_STATE' ],
+    [ 'NoCallerError', 'ERR_PACSCAN_NO_CALLER' ],
+    [ 'PathNotFoundError', 'ERR_PACSCAN_PATH_NOT_FOUND' ]
+  ].forEach((entry) => {
+    const name = entry[0];
+    const code = entry[1];
+
+    describe(`.${name}`, () => {
+      it(`should be PacScanError with code "${code}"`, () => {
+        const error = new errors[name]('message', { path: '/path' });
+
+        expect(error).to.be.an.instanceof(errors.PacScanError);
+        expect(error.name).to.equal(name);
+        expect(error.code).to.equal(code);
+        expect(error.path).to.equal('/path');
+      });
+    });
+  });
+
+  describe('.FileSystemError.wrap', () => {
+    context('when error is PacScanError', () => {
+      it('should return error', () => {
+        const error = new errors.MalformedManifestError('message');
+
+        expect(errors.FileSystemError.wrap('/path', error)).to.equal(error);
+      });
+    });
+
+    context('when error is not PacScanError', () => {
+      it('should return FileSystemError caused by error', () => {
+        const cause = new Error('message');
+        const error = errors.FileSystemError.wrap('/path', cause);
+
+        expect(error).to.be.an.instanceof(errors.FileSystemError);
+        expect(error.message).to.equal('message');
+        expect(error.path).to.equal('/path');
+        expect(error.cause).to.equal(cause);
+      });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const explanation = require('../src/explanation');
+
+describe('explanation', () => {
+  describe('.explain', () => {
+    const nodes = [
+      { directory: '/project', name: 'project', version: '1.0.0' },
+      { directory: '/project/node_modules/foo', name: 'foo', version: '1.0.0' },
+      { directory: '/project/node_modules/bar', name: 'bar', version: '2.0.0' },
+      { directory: '/project/node_modules/foo/node_modules/bar', name: 'bar', version: '1.0.0' },
+      { directory: '/project/packages/alpha', name: 'alpha', version: '1.0.0', workspace: true },
+      { directory: '/project/node_modules/stray', name: 'stray', version: 'unknown' }
+    ];
+    const edges = [
+      { from: 0, name: 'bar', range: '^2.0.0', to: 2, type: 'dev' },
+      { from: 0, name: 'foo', range: '^1.0.0', to: 1, type: 'prod' },
+      { from: 1, name: 'bar', range: '^1.0.0', to: 3, type: 'prod' },
+      { from: 2, name: 'foo', range: '*', to: 1, type: 'peer' },
+      { from: 3, name: 'foo', range: '*', to: 1, type: 'peer' },
+      { from: 4, name: 'foo', range: '1.0.0', to: 1, type: 'optional' }
+    ];
+    const tree = { edges, nodes, root: 0 };
+    const createHop = (edge) => ({
+      from: nodes[edge.from],
+      name: edge.name,
+      range: edge.range,
+      to: nodes[edge.to],
+      type: edge.type
+    });
+
+    it('should return every chain from any starting package leading to each copy', () => {
+      expect(explanation.explain(tree, 'bar', null)).to.eql([
+        {
+          chains: [ [ createHop(edges[0]) ] ],
+          package: nodes[2]
+        },
+        {
+          chains: [
+            [ createHop(edges[1]), createHop(edges[2]) ],
+            [ createHop(edges[5]), createHop(edges[2]) ],
+            [ createHop(edges[0]), createHop(edges[3]), createHop(edges[2]) ]
+          ],
+          package: nodes[3]
+        }
+      ]);
+    });
+
+    context('when graph contains circular dependencies', () => {
+      it('should not include any package more than once within a chain', () => {
+        const result = explanation.explain(tree, 'foo', null);
+
+        expect(result).to.have.lengthOf(1);
+        expect(result[0].chains).to.eql([
+          [ createHop(edges[1]) ],
+          [ createHop(edges[5]) ],
+          [ createHop(edges[0]), createHop(edges[3]) ]
+        ]);
+      });
+    });
+
+    context('when starting package depends on another starting package', () => {
+      it('should include chains through both', () => {
+        const workspaceTree = {
+          edges: edges.concat({ from: 0, name: 'alpha', range: '*', to: 4, type: 'prod' }),
+          nodes,
+          root: 0
+        };
+        const result = explanation.explain(workspaceTree, 'alpha', null);
+
+        expect(result).to.eql([
+          {
+            chains: [ [], [ createHop(workspaceTree.edges[6]) ] ],
+            package: nodes[4]
+          }
+        ]);
+      });
+    });
+
+    context('when graph contains chain of diamonds', () => {
+      const createDiamondTree = (depth) => {
+        const diamondNodes = [ { directory: '/project', name: 'project', version: '1.0.0' } ];
+        const diamondEdges = [];
+
+        for (let i = 0; i < depth; i += 1) {
+          const fromIndex = diamondNodes.length - 1;
+          const toIndex = fromIndex + 3;
+
+          [ 'left', 'right' ].forEach((side, sideIndex) => {
+            const name = `${side}-${i}`;
+            const sideNodeIndex = fromIndex + sideIndex + 1;
+
+            diamondNodes.push({ directory: `/project/node_modules/${name}`, name, version: '1.0.0' });
+            diamondEdges.push({ from: fromIndex, name, range: '^1.0.0', to: sideNodeIndex, type: 'prod' });
+            diamondEdges.push({ from: sideNodeIndex, name: `join-${i}`, range: '^1.0.0', to: toIndex, type: 'prod' });
+          });
+
+          diamondNodes.push({ directory: `/project/node_modules/join-${i}`, name: `join-${i}`, version: '1.0.0' });
+        }
+
+        return { edges: diamondEdges, nodes: diamondNodes, root: 0 };
+      };
+
+      it('should return every chain through each side of each diamond', () => {
+        const diamondTree = createDiamondTree(3);
+        const result = explanation.explain(diamondTree, 'join-2', null);
+
+        expect(result).to.have.lengthOf(1);
+        expect(result[0].package).to.equal(diamondTree.nodes[diamondTree.nodes.length - 1]);
+        expect(result[0].chains.map((chain) => chain.map((hop) => hop.name).join(' > '))).to.eql([
+          'left-0 > join-0 > left-1 > join-1 > left-2 > join-2',
+          'right-0 > join-0 > left-1 > join-1 > left-2 > join-2',
+          'left-0 > join-0 > right-1 > join-1 > left-2 > join-2',
+          'right-0 > join-0 > right-1 > join-1 > left-2 > join-2',
+          'left-0 > join-0 > left-1 > join-1 > right-2 > join-2',
+          'right-0 > join-0 > left-1 > join-1 > right-2 > join-2',
+          'left-0 > join-0 > right-1 > join-1 > right-2 > join-2',
+          'right-0 > join-0 > right-1 > join-1 > right-2 > join-2'
+        ]);
+      });
+
+      context('and "maxChains" is specified', () => {
+        it('should only return that number of chains', () => {
+          const depth = 32;
+          const diamondTree = createDiamondTree(depth);
+          const result = explanation.explain(diamondTree, `join-${depth - 1}`, { maxChains: 2 });
+
+          expect(result).to.have.lengthOf(1);
+          expect(result[0].chains).to.have.lengthOf(2);
+          result[0].chains.forEach((chain) => {
+            expect(chain).to.have.lengthOf(depth * 2);
+            expect(chain[0].from).to.equal(diamondTree.nodes[0]);
+            expect(chain[chain.length - 1].to).to.equal(result[0].package);
+          });
+        });
+      });
+    });
+
+    context('when version is exact version', () => {
+      it('should only explain matching copies', () => {
+        const result = explanation.explain(tree, 'bar', { version: '1.0.0' });
+
+        expect(result.map((copy) => copy.package)).to.eql([ nodes[3] ]);
+      });
+    });
+
+    context('when version is semantic version range', () => {
+      it('should only explain copies within range', () => {
+        const result = explanation.explain(tree, 'bar', { version: '>=1.5.0' });
+
+        expect(result.map((copy) => copy.package)).to.eql([ nodes[2] ]);
+      });
+    });
+
+    context('when version is semantic version range and copy has prerelease version', () => {
+      it('should only explain copy if range contains prerelease of same version', () => {
+        const betaNode = { directory: '/project/node_modules/beta', name: 'beta', version: '1.1.0-beta.1' };
+        const prereleaseTree = { edges, nodes: nodes.concat(betaNode), root: 0 };
+
+        expect(explanation.explain(prereleaseTree, 'beta', { version: '^1.1.0-alpha.1' })).to.have.lengthOf(1);
+        expect(explanation.explain(prereleaseTree, 'beta', { version: '^1.0.0' })).to.eql([]);
+      });
+    });
+
+    context('when version is neither valid version nor range', () => {
+      it('should only explain copies with same version', () => {
+        expect(explanation.explain(tree, 'stray', { version: 'unknown' }))
+          .to.eql([ { chains: [], package: nodes[5] } ]);
+        expect(explanation.explain(tree, 'foo', { version: 'unknown' })).to.eql([]);
+      });
+    });
+
+    context('when copy has invalid version', () => {
+      it('should not match any range', () => {
+        expect(explanation.explain(tree, 'stray', { version: '*' })).to.eql([]);
+      });
+    });
+
+    context('when copy is base package or workspace package', () => {
+      it('should return single empty chain', () => {
+        expect(explanation.explain(tree, 'project', null)).to.eql([ { chains: [ [] ], package: nodes[0] } ]);
+        expect(explanation.explain(tree, 'alpha', null)).to.eql([ { chains: [ [] ], package: nodes[4] } ]);
+      });
+    });
+
+    context('when package is not installed', () => {
+      it('should return empty array', () => {
+        expect(explanation.explain(tree, 'missing', null)).to.eql([]);
+      });
+    });
+  });
+});
@@ -28,3 +28,9 @@ module.exports = function flatFunction(pacscanPath, options) {
 module.exports.sync = function flatSyncFunction(pacscanPath, options) {
   return require(pacscanPath).sync(options);
 };
+module.exports.iterate = function flatIterateFunction(pacscanPath, options) {
+  return require(pacscanPath).iterate(options);
+};
+module.exports.stream = function flatStreamFunction(pacscanPath, options) {
+  return require(pacscanPath).stream(options);
+};
@@ -0,0 +1,48 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+module.exports = function graphFunction(pacscanPath, options) {
+  return require(pacscanPath)(options);
+};
+module.exports.duplicates = function graphDuplicatesFunction(pacscanPath, options) {
+  return require(pacscanPath).duplicates(options);
+};
+module.exports.duplicatesSync = function graphDuplicatesSyncFunction(pacscanPath, options) {
+  return require(pacscanPath).duplicatesSync(options);
+};
+module.exports.sync = function graphSyncFunction(pacscanPath, options) {
+  return require(pacscanPath).sync(options);
+};
+module.exports.tree = function graphTreeFunction(pacscanPath, options) {
+  return require(pacscanPath).tree(options);
+};
+module.exports.treeSync = function graphTreeSyncFunction(pacscanPath, options) {
+  return require(pacscanPath).treeSync(options);
+};
+module.exports.validate = function graphValidateFunction(pacscanPath, options) {
+  return require(pacscanPath).validate(options);
+};
+module.exports.validateSync = function graphValidateSyncFunction(pacscanPath, options) {
+  return require(pacscanPath).validateSync(options);
+};
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/* eslint-disable */
+"use strict";
+
+const RAW_RUNTIME_STATE =
+'{\
+  "__info": [\
+    "This file is automatically generated. Do not touch it, or risk",\
+    "your modifications being lost."\
+  ],\
+  "dependencyTreeRoots": [\
+    {\
+      "name": "pnp",\
+      "reference": "workspace:."\
+    },\
+    {\
+      "name": "alpha",\
+      "reference": "workspace:packages/alpha"\
+    }\
+  ],\
+  "enableTopLevelFallback": true,\
+  "ignorePatternData": null,\
+  "fallbackExclusionList": [\
+    [\
+      "alpha",\
+      [\
+        "workspace:packages/alpha"\
+      ]\
+    ],\
+    [\
+      "pnp",\
+      [\
+        "workspace:."\
+      ]\
+    ]\
+  ],\
+  "fallbackPool": [],\
+  "packageRegistryData": [\
+    [\
+      null,\
+      [\
+        [\
+          null,\
+          {\
+            "packageLocation": "./",\
+            "packageDependencies": [\
+              [\
+                "alpha",\
+                "workspace:packages/alpha"\
+              ],\
+              [\
+                "foo",\
+                "npm:1.1.0"\
+              ]\
+            ],\
+            "linkType": "SOFT"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "@fu/fizz",\
+      [\
+        [\
+          "npm:1.3.1",\
+          {\
+            "packageLocation": "./.yarn/cache/@fu-fizz-npm-1.3.1-1a2b3c4d5e-6f7a8b9c0d.zip/node_modules/@fu/fizz/",\
+            "packageDependencies": [\
+              [\
+                "@fu/fizz",\
+                "npm:1.3.1"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ],\
+        [\
+          "virtual:0f1e2d3c4b#npm:1.3.1",\
+          {\
+            "packageLocation": "./.yarn/__virtual__/@fu-fizz-virtual-9a8b7c6d5e/0/cache/@fu-fizz-npm-1.3.1-1a2b3c4d5e-6f7a8b9c0d.zip/node_modules/@fu/fizz/",\
+            "packageDependencies": [\
+              [\
+                "@fu/fizz",\
+                "virtual:0f1e2d3c4b#npm:1.3.1"\
+              ],\
+              [\
+                "alpha",\
+                "workspace:packages/alpha"\
+              ]\
+            ],\
+            "packagePeers": [\
+              "alpha"\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "alpha",\
+      [\
+        [\
+          "workspace:packages/alpha",\
+          {\
+            "packageLocation": "./packages/alpha/",\
+            "packageDependencies": [\
+              [\
+                "alpha",\
+                "workspace:packages/alpha"\
+              ],\
+              [\
+                "@fu/fizz",\
+                "virtual:0f1e2d3c4b#npm:1.3.1"\
+              ]\
+            ],\
+            "linkType": "SOFT"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "bar",\
+      [\
+        [\
+          "npm:1.2.0",\
+          {\
+            "packageLocation": "./.yarn/unplugged/bar-npm-1.2.0-4d5e6f7a8b/node_modules/bar/",\
+            "packageDependencies": [\
+              [\
+                "bar",\
+                "npm:1.2.0"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "foo",\
+      [\
+        [\
+          "npm:1.1.0",\
+          {\
+            "packageLocation": "./.yarn/cache/foo-npm-1.1.0-0a1b2c3d4e-5f6a7b8c9d.zip/node_modules/foo/",\
+            "packageDependencies": [\
+              [\
+                "foo",\
+                "npm:1.1.0"\
+              ],\
+              [\
+                "bar",\
+                "npm:1.2.0"\
+              ]\
+            ],\
+            "linkType": "HARD"\
+          }\
+        ]\
+      ]\
+    ],\
+    [\
+      "pnp",\
+      [\
+        [\
+          "workspace:.",\
+          {\
+            "packageLocation": "./",\
+            "packageDependencies": [\
+              [\
+                "alpha",\
+                "workspace:packages/alpha"\
+              ],\
+              [\
+                "foo",\
+                "npm:1.1.0"\
+              ]\
+            ],\
+            "linkType": "SOFT"\
+          }\
+        ]\
+      ]\
+    ]\
+  ]\
+}';
+
+function $$SETUP_STATE(hydrateRuntimeState, basePath) {
+  return hydrateRuntimeState(JSON.parse(RAW_RUNTIME_STATE), {basePath: basePath || __dirname});
+}
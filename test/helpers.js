@@ -22,6 +22,7 @@
 
 'use strict';
 
+const fs = require('fs');
 const mkdirp = require('mkdirp');
 const ncp = require('ncp').ncp;
 const path = require('path');
@@ -128,7 +129,8 @@ exports.getTempDirectory = function getTempDirectory() {
  *
  * @param {string} name - the name of the fixture containing the file to be required
  * @param {string} filePath - the path of the file (relative to the fixture directory) to be required
- * @return {Function} A proxy to be used to call the fixture (also contains a <code>sync</code> method).
+ * @return {Function} A proxy to be used to call the fixture (also contains a proxy for each method exported by the
+ * fixture - e.g. <code>sync</code>).
  * @public
  * @static
  */
@@ -139,9 +141,11 @@ exports.requireFromFixture = function requireFromFixture(name, filePath) {
   const proxy = function proxy(options) {
     return fixture(pacscanPath, exports.createOptions(options));
   };
-  proxy.sync = function proxySync(options) {
-    return fixture.sync(pacscanPath, exports.createOptions(options));
-  };
+  Object.keys(fixture).forEach((methodName) => {
+    proxy[methodName] = function proxyMethod(options) {
+      return fixture[methodName](pacscanPath, exports.createOptions(options));
+    };
+  });
 
   return proxy;
 };
@@ -161,8 +165,14 @@ exports.resolveFixtureFile = function resolveFixtureFile(name, filePath) {
 };
 
 /**
- * Resolves all file paths on the specified <code>pkg</code> to the <code>fixtures</code> directory so that they are
- * absolute.
+ * Resolves all file paths (including <code>children</code>, <code>links</code>, and <code>parents</code>, where
+ * present) on the specified <code>pkg</code> to the <code>fixtures</code> directory so that they are absolute.
+ *
+ * <code>realPath</code> is resolved to the canonical <code>fixtures</code> directory and will default to the
+ * canonical form of <code>directory</code> unless specified. <code>exports</code> will be <code>null</code>,
+ * <code>isLink</code> and <code>workspace</code> will be <code>false</code>, <code>mainExists</code> will be whether
+ * <code>main</code> is present, <code>moduleFormat</code> will be <code>"cjs"</code> if <code>main</code> is present,
+ * and <code>type</code> will be <code>"prod"</code> unless specified.
  *
  * @param {pacscan~Package} pkg - the expected package information whose file paths are to be resolved
  * @return {pacscan~Package} A reference to the modified <code>pkg</code>.
@@ -172,9 +182,37 @@ exports.resolveFixtureFile = function resolveFixtureFile(name, filePath) {
 exports.resolvePackageForFixture = function resolvePackageForFixture(pkg) {
   const dirPath = path.join(exports.getTempDirectory(), 'fixtures');
 
-  pkg.directory = path.resolve(dirPath, pkg.directory);
+  const realDirPath = fs.realpathSync(dirPath);
+  const resolve = (filePath) => path.resolve(dirPath, filePath);
+
+  pkg.directory = resolve(pkg.directory);
   if (pkg.main != null) {
-    pkg.main = path.resolve(dirPath, pkg.main);
+    pkg.main = resolve(pkg.main);
+  }
+  if (pkg.mainExists == null) {
+    pkg.mainExists = pkg.main != null;
+  }
+  if (typeof pkg.moduleFormat === 'undefined') {
+    pkg.moduleFormat = pkg.main != null ? 'cjs' : null;
+  }
+  [ 'children', 'links', 'parents' ].forEach((key) => {
+    if (pkg[key] != null) {
+      pkg[key] = pkg[key].map(resolve);
+    }
+  });
+  if (pkg.realPath == null) {
+    pkg.realPath = path.relative(dirPath, pkg.directory);
+  }
+  pkg.realPath = path.resolve(realDirPath, pkg.realPath);
+  pkg.exports = pkg.exports || null;
+  if (pkg.isLink == null) {
+    pkg.isLink = false;
+  }
+  if (pkg.type == null) {
+    pkg.type = 'prod';
+  }
+  if (pkg.workspace == null) {
+    pkg.workspace = false;
   }
 
   return pkg;
@@ -0,0 +1,218 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const licensing = require('../src/licensing');
+
+describe('licensing', () => {
+  describe('.getDeclaredLicense', () => {
+    it('should return SPDX expression within "license"', () => {
+      expect(licensing.getDeclaredLicense({ license: ' MIT ' })).to.equal('MIT');
+      expect(licensing.getDeclaredLicense({ license: 'MIT', licenses: [ { type: 'ISC' } ] })).to.equal('MIT');
+    });
+
+    it('should return type of legacy "license" object', () => {
+      expect(licensing.getDeclaredLicense({ license: { type: 'ISC', url: 'https://example.com' } })).to.equal('ISC');
+    });
+
+    it('should join distinct types within legacy "licenses" array', () => {
+      expect(licensing.getDeclaredLicense({ licenses: [ { type: 'MIT' } ] })).to.equal('MIT');
+
+      const licenses = [ { type: 'MIT' }, null, { type: 'MIT' }, { type: 'GPL-2.0 WITH Classpath-exception-2.0' } ];
+
+      expect(licensing.getDeclaredLicense({ licenses })).to.equal('MIT OR (GPL-2.0 WITH Classpath-exception-2.0)');
+    });
+
+    it('should return null when no license is declared', () => {
+      expect(licensing.getDeclaredLicense({})).to.equal(null);
+      expect(licensing.getDeclaredLicense({ license: ' ' })).to.equal(null);
+      expect(licensing.getDeclaredLicense({ license: { url: 'https://example.com' }, licenses: 'MIT' })).to.equal(null);
+    });
+  });
+
+  describe('.isLicenseFile', () => {
+    it('should match license and copying files', () => {
+      [ 'LICENSE', 'license.md', 'LICENCE.txt', 'LICENSE-MIT', 'LICENSE_APACHE.txt', 'COPYING' ].forEach((fileName) => {
+        expect(licensing.isLicenseFile(fileName)).to.equal(true, fileName);
+      });
+    });
+
+    it('should match license and copying files with uppercase suffix', () => {
+      [ 'COPYING.LESSER', 'LICENSE.BSD', 'LICENSE.APACHE2', 'license.MIT', 'LICENSE.TXT' ].forEach((fileName) => {
+        expect(licensing.isLicenseFile(fileName)).to.equal(true, fileName);
+      });
+    });
+
+    it('should not match other files', () => {
+      [
+        'README.md',
+        'package.json',
+        'EULA.txt',
+        'my-license',
+        'license.js',
+        'LICENSE.Js',
+        'license.d.ts',
+        'LICENSE.md.bak',
+        'licenseChecker.ts',
+        'license-checker.js',
+        'LICENSES/MIT.txt'
+      ].forEach((fileName) => {
+        expect(licensing.isLicenseFile(fileName)).to.equal(false, fileName);
+      });
+    });
+  });
+
+  describe('.parseExpression', () => {
+    it('should parse single license', () => {
+      expect(licensing.parseExpression('MIT')).to.eql({ license: 'MIT' });
+      expect(licensing.parseExpression('GPL-2.0+')).to.eql({ license: 'GPL-2.0', plus: true });
+      expect(licensing.parseExpression('LicenseRef-Custom')).to.eql({ license: 'LicenseRef-Custom' });
+
+      const reference = 'DocumentRef-spdx:LicenseRef-Custom';
+
+      expect(licensing.parseExpression(reference)).to.eql({ license: reference });
+    });
+
+    it('should parse license with exception', () => {
+      expect(licensing.parseExpression('GPL-2.0-only WITH Classpath-exception-2.0')).to.eql({
+        exception: 'Classpath-exception-2.0',
+        license: 'GPL-2.0-only'
+      });
+    });
+
+    it('should parse conjunctions with "AND" taking precedence over "OR"', () => {
+      expect(licensing.parseExpression('MIT OR ISC AND Apache-2.0')).to.eql({
+        conjunction: 'or',
+        left: { license: 'MIT' },
+        right: { conjunction: 'and', left: { license: 'ISC' }, right: { license: 'Apache-2.0' } }
+      });
+      expect(licensing.parseExpression('MIT OR ISC OR 0BSD')).to.eql({
+        conjunction: 'or',
+        left: { license: 'MIT' },
+        right: { conjunction: 'or', left: { license: 'ISC' }, right: { license: '0BSD' } }
+      });
+    });
+
+    it('should parse parenthesized expressions', () => {
+      expect(licensing.parseExpression('(MIT OR ISC) AND (Apache-2.0)')).to.eql({
+        conjunction: 'and',
+        left: { conjunction: 'or', left: { license: 'MIT' }, right: { license: 'ISC' } },
+        right: { license: 'Apache-2.0' }
+      });
+    });
+
+    it('should return null for invalid expressions', () => {
+      [
+        null,
+        '',
+        'UNLICENSED',
+        'SEE LICENSE IN LICENSE.txt',
+        'MIT OR',
+        'MIT AND OR ISC',
+        'OR',
+        '(MIT',
+        '(MIT OR)',
+        'MIT)',
+        'MIT WITH',
+        'MIT WITH AND',
+        'MIT WITH Some+Exception',
+        'MIT/ISC'
+      ].forEach((expression) => {
+        expect(licensing.parseExpression(expression)).to.equal(null, expression);
+      });
+    });
+  });
+
+  describe('.report', () => {
+    const createEntry = (name, manifest, files) => ({
+      files: files || [],
+      manifest,
+      package: { directory: `/project/node_modules/${name}`, name, version: '1.0.0' }
+    });
+
+    it('should report license of each package and group packages by license', () => {
+      const files = [ { path: '/project/node_modules/foo/LICENSE', text: 'MIT License' } ];
+      const result = licensing.report([
+        createEntry('foo', { license: 'MIT AND (ISC OR MIT)' }, files),
+        createEntry('bar', { license: 'UNLICENSED' }),
+        createEntry('baz', {}),
+        createEntry('qux', { license: 'GPL-3.0-or-later WITH GCC-exception-3.1' })
+      ]);
+
+      expect(result.packages).to.eql([
+        {
+          declared: 'MIT AND (ISC OR MIT)',
+          directory: '/project/node_modules/foo',
+          expression: {
+            conjunction: 'and',
+            left: { license: 'MIT' },
+            right: { conjunction: 'or', left: { license: 'ISC' }, right: { license: 'MIT' } }
+          },
+          files,
+          licenses: [ 'MIT', 'ISC' ],
+          name: 'foo',
+          version: '1.0.0'
+        },
+        {
+          declared: 'UNLICENSED',
+          directory: '/project/node_modules/bar',
+          expression: null,
+          files: [],
+          licenses: [ 'UNLICENSED' ],
+          name: 'bar',
+          version: '1.0.0'
+        },
+        {
+          declared: null,
+          directory: '/project/node_modules/baz',
+          expression: null,
+          files: [],
+          licenses: [],
+          name: 'baz',
+          version: '1.0.0'
+        },
+        {
+          declared: 'GPL-3.0-or-later WITH GCC-exception-3.1',
+          directory: '/project/node_modules/qux',
+          expression: { exception: 'GCC-exception-3.1', license: 'GPL-3.0-or-later' },
+          files: [],
+          licenses: [ 'GPL-3.0-or-later WITH GCC-exception-3.1' ],
+          name: 'qux',
+          version: '1.0.0'
+        }
+      ]);
+      expect(result.summary.map((summary) => [ summary.license, summary.packages.map((pkg) => pkg.name) ])).to.eql([
+        [ 'GPL-3.0-or-later WITH GCC-exception-3.1', [ 'qux' ] ],
+        [ 'ISC', [ 'foo' ] ],
+        [ 'MIT', [ 'foo' ] ],
+        [ 'UNLICENSED', [ 'bar' ] ],
+        [ null, [ 'baz' ] ]
+      ]);
+    });
+
+    it('should report no packages when there are no entries', () => {
+      expect(licensing.report([])).to.eql({ packages: [], summary: [] });
+    });
+  });
+});
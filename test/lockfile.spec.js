@@ -0,0 +1,711 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+const path = require('path');
+
+const errors = require('../src/errors');
+const lockfile = require('../src/lockfile');
+
+describe('lockfile', () => {
+  const createEntry = (entry) => {
+    return Object.assign({ dependencies: {}, optional: false, optionalDependencies: {}, type: 'prod' }, entry);
+  };
+
+  describe('.fileNames', () => {
+    it('should contain npm lockfiles before pnpm-lock.yaml and yarn.lock', () => {
+      expect(lockfile.fileNames).to.eql([ 'npm-shrinkwrap.json', 'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock' ]);
+    });
+  });
+
+  describe('.getPackageLocations', () => {
+    const dirPath = path.resolve('/project');
+
+    it('should return location for each package recorded excluding root package', () => {
+      const result = lockfile.getPackageLocations({
+        entries: [
+          createEntry({ location: '', name: 'project', optional: false, type: 'prod', version: '1.0.0' }),
+          createEntry({
+            dependencies: { qux: '^2.0.0' },
+            location: 'node_modules/@fu/bar',
+            name: '@fu/bar',
+            optional: false,
+            type: 'prod',
+            version: '1.2.0'
+          }),
+          createEntry({
+            location: 'node_modules/foo/node_modules/qux',
+            name: 'qux',
+            optional: true,
+            type: 'optional',
+            version: '2.0.0'
+          }),
+          createEntry({ location: 'packages/alpha', name: 'alpha', optional: false, type: 'prod', version: '1.0.0' })
+        ],
+        path: path.join(dirPath, 'package-lock.json'),
+        type: 'package-lock',
+        version: 3
+      }, dirPath);
+
+      expect(result).to.eql([
+        {
+          directory: path.join(dirPath, 'node_modules', '@fu', 'bar'),
+          manifest: { dependencies: { qux: '^2.0.0' }, name: '@fu/bar', optionalDependencies: {}, version: '1.2.0' },
+          type: 'prod',
+          workspace: false
+        },
+        {
+          directory: path.join(dirPath, 'node_modules', 'foo', 'node_modules', 'qux'),
+          manifest: { dependencies: {}, name: 'qux', optionalDependencies: {}, version: '2.0.0' },
+          type: 'optional',
+          workspace: false
+        },
+        {
+          directory: path.join(dirPath, 'packages', 'alpha'),
+          manifest: { dependencies: {}, name: 'alpha', optionalDependencies: {}, version: '1.0.0' },
+          type: 'prod',
+          workspace: true
+        }
+      ]);
+    });
+
+    context('when lockfile does not record locations', () => {
+      it('should return virtual location derived from name and version of each package', () => {
+        const unknownDirectory = path.join(dirPath, 'node_modules', '.yarn-lock', 'unknown', 'node_modules', 'unknown');
+        const result = lockfile.getPackageLocations({
+          entries: [
+            createEntry({
+              dependencies: { unknown: '*' },
+              location: null,
+              name: '@fu/bar',
+              optional: false,
+              type: null,
+              version: '1.2.0'
+            }),
+            createEntry({ location: null, name: 'unknown', optional: false, type: null, version: null })
+          ],
+          path: path.join(dirPath, 'yarn.lock'),
+          type: 'yarn',
+          version: 1
+        }, dirPath);
+
+        expect(result).to.eql([
+          {
+            directory: path.join(dirPath, 'node_modules', '.yarn-lock', '@fu+bar@1.2.0', 'node_modules', '@fu', 'bar'),
+            manifest: {
+              dependencies: { unknown: '*' },
+              name: '@fu/bar',
+              optionalDependencies: {},
+              version: '1.2.0'
+            },
+            resolutions: { unknown: unknownDirectory },
+            type: null,
+            workspace: false
+          },
+          {
+            directory: unknownDirectory,
+            manifest: { dependencies: {}, name: 'unknown', optionalDependencies: {}, version: null },
+            resolutions: {},
+            type: null,
+            workspace: false
+          }
+        ]);
+      });
+    });
+  });
+
+  describe('.getResolutions', () => {
+    const dirPath = path.resolve('/project');
+    const getYarnDirectory = (directoryName, name) => {
+      return path.join(dirPath, 'node_modules', '.yarn-lock', directoryName, 'node_modules', name);
+    };
+
+    context('when lockfile records locations', () => {
+      it('should return null', () => {
+        const result = lockfile.getResolutions({
+          entries: [ createEntry({ location: 'node_modules/foo', name: 'foo', type: 'prod', version: '1.0.0' }) ],
+          path: path.join(dirPath, 'package-lock.json'),
+          type: 'package-lock',
+          version: 3
+        }, dirPath, { dependencies: { foo: '^1.0.0' } });
+
+        expect(result).to.equal(null);
+      });
+    });
+
+    context('when file is pnpm-lock.yaml', () => {
+      it('should return virtual directories for dependency paths recorded for dependencies', () => {
+        [
+          {
+            dependencies: { '@fu/bar': '1.2.0_foo@1.0.0', 'alias': '/foo/1.0.0' },
+            locations: [ '@fu+bar@1.2.0_foo@1.0.0/node_modules/@fu/bar', 'foo@1.0.0/node_modules/foo' ],
+            version: 5.4
+          },
+          {
+            dependencies: { '@fu/bar': '1.2.0(foo@1.0.0)', 'alias': '/foo@1.0.0' },
+            locations: [ '@fu+bar@1.2.0_foo@1.0.0/node_modules/@fu/bar', 'foo@1.0.0/node_modules/foo' ],
+            version: 6
+          },
+          {
+            dependencies: { '@fu/bar': '1.2.0(foo@1.0.0)', 'alias': 'foo@1.0.0' },
+            locations: [ '@fu+bar@1.2.0_foo@1.0.0/node_modules/@fu/bar', 'foo@1.0.0/node_modules/foo' ],
+            version: 9
+          }
+        ].forEach((test) => {
+          const result = lockfile.getResolutions({
+            entries: [
+              createEntry({ location: `node_modules/.pnpm/${test.locations[0]}`, name: '@fu/bar', version: '1.2.0' }),
+              createEntry({ location: `node_modules/.pnpm/${test.locations[1]}`, name: 'foo', version: '1.0.0' })
+            ],
+            path: path.join(dirPath, 'pnpm-lock.yaml'),
+            type: 'pnpm',
+            version: test.version
+          }, dirPath, {
+            dependencies: test.dependencies,
+            devDependencies: { linked: 'link:../linked' },
+            optionalDependencies: { foo: '1.0.0' }
+          });
+
+          expect(result).to.eql({
+            '@fu/bar': path.join(dirPath, 'node_modules', '.pnpm', test.locations[0]),
+            'alias': path.join(dirPath, 'node_modules', '.pnpm', test.locations[1]),
+            'foo': path.join(dirPath, 'node_modules', '.pnpm', test.locations[1]),
+            'linked': null
+          });
+        });
+      });
+    });
+
+    context('when file is yarn.lock', () => {
+      it('should return virtual directories of entries whose version best matches range of dependencies', () => {
+        const result = lockfile.getResolutions({
+          entries: [
+            createEntry({ location: null, name: '@fu/bar', version: '1.2.0' }),
+            createEntry({ location: null, name: 'foo', version: '1.0.0' }),
+            createEntry({ location: null, name: 'foo', version: '1.1.0' }),
+            createEntry({ location: null, name: 'foo', version: '2.0.0' }),
+            createEntry({ location: null, name: 'git', version: 'github:fu/git#abc' })
+          ],
+          path: path.join(dirPath, 'yarn.lock'),
+          type: 'yarn',
+          version: 8
+        }, dirPath, {
+          dependencies: { '@fu/bar': 'npm:^1.0.0', 'alias': 'npm:foo@^1.0.0', 'foo': '1.0.0' },
+          devDependencies: { git: 'github:fu/git', missing: '^1.0.0' },
+          optionalDependencies: { foo: '^2.0.0' },
+          peerDependencies: { '@fu/bar': '*' }
+        });
+
+        expect(result).to.eql({
+          '@fu/bar': getYarnDirectory('@fu+bar@1.2.0', path.join('@fu', 'bar')),
+          'alias': getYarnDirectory('foo@1.1.0', 'foo'),
+          'foo': getYarnDirectory('foo@2.0.0', 'foo'),
+          'git': getYarnDirectory('git@github:fu+git#abc', 'git'),
+          'missing': null
+        });
+      });
+
+      context('and entry has prerelease version', () => {
+        it('should only return virtual directory of entry if range contains prerelease of same version', () => {
+          const result = lockfile.getResolutions({
+            entries: [
+              createEntry({ location: null, name: 'bar', version: '1.1.0-beta.1' }),
+              createEntry({ location: null, name: 'foo', version: '1.0.0' }),
+              createEntry({ location: null, name: 'foo', version: '1.1.0-beta.1' })
+            ],
+            path: path.join(dirPath, 'yarn.lock'),
+            type: 'yarn',
+            version: 8
+          }, dirPath, { dependencies: { bar: '^1.1.0-alpha.1', foo: '^1.0.0' } });
+
+          expect(result).to.eql({
+            bar: getYarnDirectory('bar@1.1.0-beta.1', 'bar'),
+            foo: getYarnDirectory('foo@1.0.0', 'foo')
+          });
+        });
+      });
+    });
+  });
+
+  describe('.parse', () => {
+    context('when lockfileVersion is 1', () => {
+      it('should return entries for nested dependencies', () => {
+        const contents = JSON.stringify({
+          dependencies: {
+            alias: { version: 'npm:@fu/bar@1.2.0' },
+            foo: {
+              dependencies: { qux: { optional: true, version: '2.0.0' } },
+              requires: { alias: 'npm:@fu/bar@^1.0.0', qux: '^2.0.0' },
+              version: '1.0.0'
+            },
+            git: { version: 'github:fu/git#abc' },
+            unknown: {}
+          },
+          lockfileVersion: 1,
+          name: 'project',
+          version: '1.0.0'
+        });
+
+        expect(lockfile.parse('/project/npm-shrinkwrap.json', contents)).to.eql({
+          entries: [
+            createEntry({ location: '', name: 'project', optional: false, type: 'prod', version: '1.0.0' }),
+            createEntry({
+              location: 'node_modules/alias',
+              name: '@fu/bar',
+              optional: false,
+              type: 'prod',
+              version: '1.2.0'
+            }),
+            createEntry({
+              dependencies: { alias: 'npm:@fu/bar@^1.0.0', qux: '^2.0.0' },
+              location: 'node_modules/foo',
+              name: 'foo',
+              optional: false,
+              type: 'prod',
+              version: '1.0.0'
+            }),
+            createEntry({
+              location: 'node_modules/foo/node_modules/qux',
+              name: 'qux',
+              optional: true,
+              type: 'optional',
+              version: '2.0.0'
+            }),
+            createEntry({
+              location: 'node_modules/git',
+              name: 'git',
+              optional: false,
+              type: 'prod',
+              version: 'github:fu/git#abc'
+            }),
+            createEntry({ location: 'node_modules/unknown', name: 'unknown', type: 'prod', version: null })
+          ],
+          path: '/project/npm-shrinkwrap.json',
+          type: 'npm-shrinkwrap',
+          version: 1
+        });
+      });
+
+      context('and root package has no version', () => {
+        it('should return root entry without version', () => {
+          const contents = JSON.stringify({ lockfileVersion: 1, name: 'project' });
+
+          expect(lockfile.parse('/project/package-lock.json', contents).entries).to.eql([
+            createEntry({ location: '', name: 'project', optional: false, type: 'prod', version: null })
+          ]);
+        });
+      });
+    });
+
+    [ 2, 3 ].forEach((lockfileVersion) => {
+      context(`when lockfileVersion is ${lockfileVersion}`, () => {
+        it('should return entries for packages', () => {
+          const contents = JSON.stringify({
+            dependencies: { ignored: { version: '1.0.0' } },
+            lockfileVersion,
+            name: 'project',
+            packages: {
+              '': { dependencies: { '@fu/bar': '^1.0.0' }, devDependencies: { dev: '^1.0.0' }, version: '1.0.0' },
+              'node_modules/@fu/bar': { version: '1.0.0' },
+              'node_modules/alias': { name: 'foo', optionalDependencies: { qux: '^2.0.0' }, version: '1.2.0' },
+              'node_modules/alpha': { link: true, resolved: 'packages/alpha' },
+              'node_modules/dev': { dev: true, optional: true, version: '1.0.0' },
+              'node_modules/dev-optional': { devOptional: true, version: '1.0.0' },
+              'node_modules/foo/node_modules/qux': { optional: true, version: '2.0.0' },
+              'node_modules/peer': { peer: true, version: '1.0.0' },
+              'node_modules/stray': { extraneous: true, version: '1.0.0' },
+              'packages/alpha': { name: 'alpha', version: '1.0.0' },
+              'packages/beta': {}
+            }
+          });
+
+          expect(lockfile.parse('/project/package-lock.json', contents)).to.eql({
+            entries: [
+              createEntry({
+                dependencies: { '@fu/bar': '^1.0.0' },
+                location: '',
+                name: 'project',
+                optional: false,
+                type: 'prod',
+                version: '1.0.0'
+              }),
+              createEntry({
+                location: 'node_modules/@fu/bar',
+                name: '@fu/bar',
+                optional: false,
+                type: 'prod',
+                version: '1.0.0'
+              }),
+              createEntry({
+                location: 'node_modules/alias',
+                name: 'foo',
+                optional: false,
+                optionalDependencies: { qux: '^2.0.0' },
+                type: 'prod',
+                version: '1.2.0'
+              }),
+              createEntry({ location: 'node_modules/dev', name: 'dev', optional: true, type: 'dev', version: '1.0.0' }),
+              createEntry({
+                location: 'node_modules/dev-optional',
+                name: 'dev-optional',
+                optional: false,
+                type: 'optional',
+                version: '1.0.0'
+              }),
+              createEntry({
+                location: 'node_modules/foo/node_modules/qux',
+                name: 'qux',
+                optional: true,
+                type: 'optional',
+                version: '2.0.0'
+              }),
+              createEntry({ location: 'node_modules/peer', name: 'peer', type: 'peer', version: '1.0.0' }),
+              createEntry({
+                location: 'node_modules/stray',
+                name: 'stray',
+                optional: false,
+                type: 'extraneous',
+                version: '1.0.0'
+              }),
+              createEntry({ location: 'packages/alpha', name: 'alpha', type: 'prod', version: '1.0.0' }),
+              createEntry({ location: 'packages/beta', name: 'beta', optional: false, type: 'prod', version: null })
+            ],
+            path: '/project/package-lock.json',
+            type: 'package-lock',
+            version: lockfileVersion
+          });
+        });
+      });
+    });
+
+    context('when file is pnpm-lock.yaml using lockfileVersion 5', () => {
+      it('should return entry for each package', () => {
+        const contents = [
+          'lockfileVersion: 5.4',
+          '',
+          'importers:',
+          '',
+          '  .:',
+          '    specifiers:',
+          '      foo: ^1.0.0',
+          '',
+          'packages:',
+          '',
+          '  /@fu/bar/1.2.0_foo@1.0.0:',
+          '    resolution: {integrity: sha512-bar}',
+          '    dependencies:',
+          '      foo: 1.0.0',
+          '    optionalDependencies:',
+          '      \'@fu/qux\': 2.0.0',
+          '    dev: false',
+          '',
+          '  /dev/1.0.0:',
+          '    resolution: {integrity: sha512-dev}',
+          '    dev: true',
+          '',
+          '  /foo/1.0.0:',
+          '    resolution: {integrity: sha512-foo}',
+          '    peerDependencies:',
+          '      ignored: 1.0.0',
+          '    optional: true'
+        ].join('\r\n');
+
+        expect(lockfile.parse('/project/pnpm-lock.yaml', contents)).to.eql({
+          entries: [
+            createEntry({
+              dependencies: { foo: '1.0.0' },
+              location: 'node_modules/.pnpm/@fu+bar@1.2.0_foo@1.0.0/node_modules/@fu/bar',
+              name: '@fu/bar',
+              optional: false,
+              optionalDependencies: { '@fu/qux': '2.0.0' },
+              type: 'prod',
+              version: '1.2.0'
+            }),
+            createEntry({
+              location: 'node_modules/.pnpm/dev@1.0.0/node_modules/dev',
+              name: 'dev',
+              optional: false,
+              type: 'dev',
+              version: '1.0.0'
+            }),
+            createEntry({
+              location: 'node_modules/.pnpm/foo@1.0.0/node_modules/foo',
+              name: 'foo',
+              optional: true,
+              type: 'optional',
+              version: '1.0.0'
+            })
+          ],
+          path: '/project/pnpm-lock.yaml',
+          type: 'pnpm',
+          version: 5.4
+        });
+      });
+    });
+
+    context('when file is pnpm-lock.yaml using lockfileVersion 6', () => {
+      it('should return entry for each package', () => {
+        const contents = [
+          'lockfileVersion: \'6.0\'',
+          '',
+          'packages:',
+          '',
+          '  /@fu/bar@1.2.0(foo@1.0.0)(qux@2.0.0):',
+          '    resolution: {integrity: sha512-bar}',
+          '',
+          '  \'@fu/tarball@https://example.com/tarball.tgz\':',
+          '    resolution: {tarball: https://example.com/tarball.tgz}',
+          '    name: \'@fu/tarball\'',
+          '    version: 2.0.0'
+        ].join('\n');
+
+        expect(lockfile.parse('/project/pnpm-lock.yaml', contents)).to.eql({
+          entries: [
+            createEntry({
+              location: 'node_modules/.pnpm/@fu+bar@1.2.0_foo@1.0.0_qux@2.0.0/node_modules/@fu/bar',
+              name: '@fu/bar',
+              optional: false,
+              type: 'prod',
+              version: '1.2.0'
+            }),
+            createEntry({
+              location: 'node_modules/.pnpm/@fu+tarball@https:++example.com+tarball.tgz/node_modules/@fu/tarball',
+              name: '@fu/tarball',
+              optional: false,
+              type: 'prod',
+              version: '2.0.0'
+            })
+          ],
+          path: '/project/pnpm-lock.yaml',
+          type: 'pnpm',
+          version: 6
+        });
+      });
+    });
+
+    context('when file is pnpm-lock.yaml using lockfileVersion 9', () => {
+      it('should return entry without type for each snapshot', () => {
+        const contents = [
+          'lockfileVersion: \'9.0\'',
+          '',
+          'packages:',
+          '',
+          '  foo@1.0.0:',
+          '    resolution: {integrity: sha512-foo}',
+          '',
+          'snapshots:',
+          '',
+          '  "foo@1.0.0(bar@1.0.0)":',
+          '    dependencies:',
+          '      bar: 1.0.0',
+          '      "@fu/alias": qux@2.0.0',
+          '',
+          '  foo@1.0.0(bar@2.0.0): {}'
+        ].join('\n');
+
+        expect(lockfile.parse('/project/pnpm-lock.yaml', contents)).to.eql({
+          entries: [
+            createEntry({
+              dependencies: { '@fu/alias': 'qux@2.0.0', 'bar': '1.0.0' },
+              location: 'node_modules/.pnpm/foo@1.0.0_bar@1.0.0/node_modules/foo',
+              name: 'foo',
+              optional: false,
+              type: null,
+              version: '1.0.0'
+            }),
+            createEntry({
+              location: 'node_modules/.pnpm/foo@1.0.0_bar@2.0.0/node_modules/foo',
+              name: 'foo',
+              optional: false,
+              type: null,
+              version: '1.0.0'
+            })
+          ],
+          path: '/project/pnpm-lock.yaml',
+          type: 'pnpm',
+          version: 9
+        });
+      });
+    });
+
+    context('when file is pnpm-lock.yaml without lockfileVersion', () => {
+      it('should throw error', () => {
+        expect(() => lockfile.parse('/project/pnpm-lock.yaml', 'packages:\n  /foo/1.0.0: {}')).to.throw(
+          errors.MalformedLockfileError, 'Unsupported lockfile: /project/pnpm-lock.yaml');
+      });
+    });
+
+    context('when file is yarn.lock using v1 format', () => {
+      it('should return entry without type for each resolution', () => {
+        const contents = [
+          '# yarn lockfile v1',
+          '',
+          '"@fu/bar@^1.0.0", "@fu/bar@^1.1.0":',
+          '  version "1.2.0"',
+          '  dependencies:',
+          '    foo "^1.0.0"',
+          '    "@fu/alias" "npm:foo@^1.0.0"',
+          '  optionalDependencies:',
+          '    unknown "file:../unknown"',
+          '',
+          'alias@npm:foo@^1.0.0:',
+          '  version "1.0.0"',
+          '',
+          'foo@^1.0.0:',
+          '  version "1.0.0"',
+          '',
+          'unknown@file:../unknown:',
+          '  resolved "file:../unknown"'
+        ].join('\r\n');
+
+        expect(lockfile.parse('/project/yarn.lock', contents)).to.eql({
+          entries: [
+            createEntry({
+              dependencies: { '@fu/alias': 'npm:foo@^1.0.0', 'foo': '^1.0.0' },
+              location: null,
+              name: '@fu/bar',
+              optional: false,
+              optionalDependencies: { unknown: 'file:../unknown' },
+              type: null,
+              version: '1.2.0'
+            }),
+            createEntry({ location: null, name: 'foo', optional: false, type: null, version: '1.0.0' }),
+            createEntry({ location: null, name: 'unknown', optional: false, type: null, version: null })
+          ],
+          path: '/project/yarn.lock',
+          type: 'yarn',
+          version: 1
+        });
+      });
+    });
+
+    context('when file is yarn.lock using Berry format', () => {
+      it('should return entry without type for each resolution excluding local packages', () => {
+        const contents = [
+          '__metadata:',
+          '  version: 8',
+          '',
+          '"@fu/bar@npm:^1.0.0, @fu/bar@npm:^1.1.0":',
+          '  version: 1.2.0',
+          '  resolution: "@fu/bar@npm:1.2.0"',
+          '  dependencies:',
+          '    foo: "npm:^1.0.0"',
+          '    fsevents: "npm:^2.0.0"',
+          '  peerDependencies:',
+          '    ignored: "*"',
+          '  dependenciesMeta:',
+          '    foo:',
+          '      built: false',
+          '    fsevents:',
+          '      optional: true',
+          '    missing:',
+          '      optional: true',
+          '',
+          '"alias@npm:foo@^1.0.0":',
+          '  version: 1.0.0',
+          '  resolution: "foo@npm:1.0.0"',
+          '',
+          '"fsevents@npm:^2.0.0":',
+          '  version: 2.3.2',
+          '  resolution: "fsevents@npm:2.3.2"',
+          '  conditions: os=darwin',
+          '',
+          '"linked@link:../linked::locator=project%40workspace%3A.":',
+          '  version: 0.0.0-use.local',
+          '  resolution: "linked@link:../linked::locator=project%40workspace%3A."',
+          '',
+          '"portal@portal:../portal::locator=project%40workspace%3A.":',
+          '  version: 0.0.0-use.local',
+          '  resolution: "portal@portal:../portal::locator=project%40workspace%3A."',
+          '',
+          '"project@workspace:.":',
+          '  version: 0.0.0-use.local',
+          '  resolution: "project@workspace:."'
+        ].join('\n');
+
+        expect(lockfile.parse('/project/yarn.lock', contents)).to.eql({
+          entries: [
+            createEntry({
+              dependencies: { foo: 'npm:^1.0.0' },
+              location: null,
+              name: '@fu/bar',
+              optional: false,
+              optionalDependencies: { fsevents: 'npm:^2.0.0' },
+              type: null,
+              version: '1.2.0'
+            }),
+            createEntry({ location: null, name: 'foo', optional: false, type: null, version: '1.0.0' }),
+            createEntry({ location: null, name: 'fsevents', optional: true, type: null, version: '2.3.2' })
+          ],
+          path: '/project/yarn.lock',
+          type: 'yarn',
+          version: 8
+        });
+      });
+    });
+
+    context('when file is yarn.lock containing unexpected line', () => {
+      it('should throw error', () => {
+        [
+          '# yarn lockfile v1\n  version "1.0.0"',
+          '# yarn lockfile v1\nfoo@^1.0.0:\nversion "1.0.0"'
+        ].forEach((contents, index) => {
+          expect(() => lockfile.parse('/project/yarn.lock', contents)).to.throw(errors.MalformedLockfileError,
+            `Malformed lockfile: /project/yarn.lock: Unexpected line ${index + 2}`);
+        });
+      });
+    });
+
+    context('when file is yarn.lock using unknown format', () => {
+      it('should throw error', () => {
+        expect(() => lockfile.parse('/project/yarn.lock', 'foo@^1.0.0:\n  version "1.0.0"')).to.throw(
+          errors.MalformedLockfileError, 'Unsupported lockfile: /project/yarn.lock');
+      });
+    });
+
+    context('when file contains malformed JSON', () => {
+      it('should throw error', () => {
+        let error;
+        try {
+          lockfile.parse('/project/package-lock.json', '{');
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(errors.MalformedLockfileError);
+        expect(error.message).to.match(/^Malformed lockfile: \/project\/package-lock\.json: /);
+        expect(error.path).to.equal('/project/package-lock.json');
+        expect(error.cause).to.be.an.instanceof(SyntaxError);
+      });
+    });
+
+    context('when file contains unsupported lockfile', () => {
+      it('should throw error', () => {
+        [ 'null', '{}', '{"lockfileVersion":4}' ].forEach((contents) => {
+          expect(() => lockfile.parse('/project/package-lock.json', contents)).to.throw(errors.MalformedLockfileError,
+            'Unsupported lockfile: /project/package-lock.json');
+        });
+      });
+    });
+  });
+});
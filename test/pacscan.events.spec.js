@@ -0,0 +1,200 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:events', () => {
+  const eventNames = [ 'base', 'directory', 'package', 'warning', 'end' ];
+  const createScanner = (name, options) => {
+    const dirPath = helpers.getFixtureDirectory(name);
+    const scanner = pacscan.createScanner(helpers.createOptions(Object.assign({ path: dirPath }, options)));
+
+    scanner.events = [];
+
+    eventNames.forEach((eventName) => {
+      scanner.on(eventName, (value) => {
+        if (eventName === 'package') {
+          value = value.name;
+        } else if (eventName === 'warning') {
+          value = [ value.path, value.code ];
+        }
+
+        scanner.events.push([ eventName, value ]);
+      });
+    });
+
+    return scanner;
+  };
+  const expectedFlatEvents = () => [
+    [ 'base', helpers.getFixtureDirectory('flat') ],
+    [ 'directory', helpers.resolveFixtureFile('flat', 'node_modules') ],
+    [ 'package', '@baz/buzz' ],
+    [ 'package', '@baz/fizz' ],
+    [ 'package', '@fu/buzz' ],
+    [ 'package', '@fu/fizz' ],
+    [ 'package', 'bar' ],
+    [ 'package', 'foo' ],
+    [ 'package', 'flat' ],
+    [ 'end', { directories: 1, packages: 7, problems: 0 } ]
+  ];
+  const expectedLazyEvents = () => [
+    [ 'base', helpers.getFixtureDirectory('lazy') ],
+    [ 'directory', helpers.resolveFixtureFile('lazy', 'node_modules') ],
+    [ 'package', 'alpha' ]
+  ];
+  const expectedTolerantEvents = () => [
+    [ 'warning', [ helpers.resolveFixtureFile('tolerant', 'package.json'), 'ERR_PACSCAN_MALFORMED_MANIFEST' ] ],
+    [ 'base', helpers.getFixtureDirectory('tolerant') ],
+    [ 'directory', helpers.resolveFixtureFile('tolerant', 'node_modules') ],
+    [ 'warning', [ helpers.resolveFixtureFile('tolerant', 'node_modules/loop'), 'ERR_PACSCAN_FS' ] ],
+    [
+      'warning',
+      [ helpers.resolveFixtureFile('tolerant', 'node_modules/bar/package.json'), 'ERR_PACSCAN_MALFORMED_MANIFEST' ]
+    ],
+    [ 'package', 'foo' ],
+    [ 'end', { directories: 1, packages: 1, problems: 3 } ]
+  ];
+
+  before(() => Promise.all([
+    helpers.copyFixture('flat'),
+    helpers.copyFixture('lazy'),
+    helpers.copyFixture('tolerant')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    it('should emit events in order while scanning', () => {
+      const scanner = createScanner('flat');
+
+      return scanner.scan()
+        .then((packages) => {
+          expect(packages).to.have.lengthOf(7);
+          expect(scanner.events).to.eql(expectedFlatEvents());
+        });
+    });
+
+    context('and package locations are cached', () => {
+      it('should not emit "directory" events', () => {
+        const scanner = createScanner('flat');
+
+        return scanner.scan()
+          .then(() => {
+            scanner.events = [];
+
+            return scanner.scan();
+          })
+          .then(() => {
+            const expectedEvents = expectedFlatEvents().filter((event) => event[0] !== 'directory');
+            expectedEvents[expectedEvents.length - 1][1].directories = 0;
+
+            expect(scanner.events).to.eql(expectedEvents);
+          });
+      });
+    });
+
+    context('and "strict" is disabled', () => {
+      it('should emit "warning" event once for each problem', () => {
+        const scanner = createScanner('tolerant', { strict: false });
+
+        return scanner.scan()
+          .then(() => {
+            expect(scanner.events).to.eql(expectedTolerantEvents());
+          });
+      });
+    });
+
+    context('and scan fails', () => {
+      it('should return promise rejected without emitting "end" event', () => {
+        const scanner = createScanner('tolerant');
+
+        return scanner.scan()
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.MalformedManifestError);
+            expect(scanner.events).to.eql([]);
+          });
+      });
+
+      context('after some packages have been read', () => {
+        it('should have emitted "package" event for each package read', () => {
+          const scanner = createScanner('lazy');
+
+          return scanner.scan()
+            .then(() => {
+              throw new Error('Expected promise to be rejected');
+            })
+            .catch((error) => {
+              expect(error).to.be.an.instanceof(pacscan.MalformedManifestError);
+              expect(scanner.events).to.eql(expectedLazyEvents());
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    it('should emit events in order while scanning', () => {
+      const scanner = createScanner('flat');
+      const packages = scanner.scanSync();
+
+      expect(packages).to.have.lengthOf(7);
+      expect(scanner.events).to.eql(expectedFlatEvents());
+    });
+
+    context('and "strict" is disabled', () => {
+      it('should emit "warning" event once for each problem', () => {
+        const scanner = createScanner('tolerant', { strict: false });
+
+        scanner.scanSync();
+
+        expect(scanner.events).to.eql(expectedTolerantEvents());
+      });
+    });
+
+    context('and scan fails', () => {
+      it('should throw error without emitting "end" event', () => {
+        const scanner = createScanner('tolerant');
+
+        expect(() => scanner.scanSync()).to.throw(pacscan.MalformedManifestError);
+        expect(scanner.events).to.eql([]);
+      });
+
+      context('after some packages have been read', () => {
+        it('should have emitted "package" event for each package read', () => {
+          const scanner = createScanner('lazy');
+
+          expect(() => scanner.scanSync()).to.throw(pacscan.MalformedManifestError);
+          expect(scanner.events).to.eql(expectedLazyEvents());
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:exports', () => {
+  const resolveModernFile = (filePath) => helpers.resolveFixtureFile('exports', `node_modules/modern/${filePath}`);
+  const expectedExports = () => ({
+    '.': {
+      types: resolveModernFile('lib/index.d.ts'),
+      import: resolveModernFile('lib/index.mjs'),
+      require: resolveModernFile('lib/index.cjs')
+    },
+    './features/*': resolveModernFile('lib/features/*.js'),
+    './internal/*': null,
+    './package.json': resolveModernFile('package.json')
+  });
+  const findModern = (packages) => packages.filter((pkg) => pkg.name === 'modern')[0];
+
+  before(() => helpers.copyFixture('exports'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for packages with resolved exports', () => {
+        const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+
+        return exportsFixture()
+          .then((packages) => {
+            expect(packages.map((pkg) => [ pkg.name, pkg.exports ])).to.eql([
+              [ 'modern', expectedExports() ],
+              [ 'exports', null ]
+            ]);
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return packages with resolved exports', () => {
+        const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+
+        expect(findModern(exportsFixture.sync()).exports).to.eql(expectedExports());
+      });
+    });
+  });
+
+  describe('.listExports', () => {
+    it('should list each public subpath with its resolved file', () => {
+      const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+      const modern = findModern(exportsFixture.sync());
+
+      expect(pacscan.listExports(modern)).to.eql([
+        { path: resolveModernFile('lib/index.cjs'), subpath: '.' },
+        { path: resolveModernFile('lib/features/*.js'), subpath: './features/*' },
+        { path: resolveModernFile('package.json'), subpath: './package.json' }
+      ]);
+      expect(pacscan.listExports(modern, [ 'types' ])[0]).to.eql({
+        path: resolveModernFile('lib/index.d.ts'),
+        subpath: '.'
+      });
+    });
+  });
+
+  describe('.resolveExport', () => {
+    it('should resolve entry point under conditions', () => {
+      const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+      const modern = findModern(exportsFixture.sync());
+
+      expect(pacscan.resolveExport(modern)).to.equal(resolveModernFile('lib/index.cjs'));
+      expect(pacscan.resolveExport(modern, [ 'import' ])).to.equal(resolveModernFile('lib/index.mjs'));
+      expect(pacscan.resolveExport(modern, '.', [ 'import' ])).to.equal(resolveModernFile('lib/index.mjs'));
+    });
+
+    context('when subpath is specified', () => {
+      it('should resolve subpath', () => {
+        const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+        const modern = findModern(exportsFixture.sync());
+
+        expect(pacscan.resolveExport(modern, './features/foo')).to.equal(resolveModernFile('lib/features/foo.js'));
+        expect(pacscan.resolveExport(modern, './internal/foo')).to.be.null;
+      });
+    });
+
+    context('when package has no exports', () => {
+      it('should return null', () => {
+        const exportsFixture = helpers.requireFromFixture('exports', 'index.js');
+        const base = exportsFixture.sync().filter((pkg) => pkg.name === 'exports')[0];
+
+        expect(pacscan.resolveExport(base)).to.be.null;
+        expect(pacscan.listExports(base)).to.eql([]);
+      });
+    });
+  });
+});
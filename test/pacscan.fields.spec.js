@@ -0,0 +1,248 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:fields', () => {
+  const getManifests = (packages) => packages.map((pkg) => [ pkg.name, pkg.manifest ]);
+  const getOptions = (options) => {
+    return helpers.createOptions(Object.assign({ path: helpers.getFixtureDirectory('fields') }, options));
+  };
+
+  before(() => helpers.copyFixture('fields'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "fields" is not specified', () => {
+      it('should return promise for packages without manifest', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields()
+          .then((packages) => {
+            expect(packages).to.have.lengthOf(2);
+            packages.forEach((pkg) => expect(pkg).to.not.have.property('manifest'));
+          });
+      });
+    });
+
+    context('and "fields" is specified', () => {
+      it('should return promise for packages with only those fields that are present within manifest', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields({ fields: [ 'license', 'repository' ] })
+          .then((packages) => {
+            expect(getManifests(packages)).to.eql([
+              [ 'tool', { license: 'Apache-2.0', repository: 'github:example/tool' } ],
+              [ 'fields', { license: 'MIT' } ]
+            ]);
+          });
+      });
+    });
+
+    context('and "fields" is "*"', () => {
+      it('should return promise for packages with copy of entire manifest', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields({ fields: '*' })
+          .then((packages) => {
+            expect(packages[0].manifest).to.eql({
+              bin: { tool: 'cli.js' },
+              engines: { node: '>=4' },
+              license: 'Apache-2.0',
+              name: 'tool',
+              private: true,
+              repository: 'github:example/tool',
+              version: '1.2.0'
+            });
+          });
+      });
+    });
+
+    context('and "fields" is invalid', () => {
+      it('should return promise rejected with error', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields({ fields: [ 'license', 1 ] })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.InvalidOptionError);
+            expect(error.message).to.equal('Invalid fields: license,1');
+          });
+      });
+    });
+
+    context('and "transform" is specified', () => {
+      it('should return promise for packages returned by transform', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields({ transform: (manifest, pkg) => ({ engines: manifest.engines || null, name: pkg.name }) })
+          .then((packages) => {
+            expect(packages).to.eql([
+              { engines: { node: '>=4' }, name: 'tool' },
+              { engines: null, name: 'fields' }
+            ]);
+          });
+      });
+
+      it('should emit packages as they are read before they are transformed', () => {
+        const emitted = [];
+        const scanner = pacscan.createScanner(helpers.createOptions({
+          path: helpers.getFixtureDirectory('fields'),
+          transform: (manifest, pkg) => pkg.name
+        }));
+
+        scanner.on('package', (pkg) => emitted.push(pkg));
+
+        return scanner.scan()
+          .then((packages) => {
+            expect(packages).to.eql([ 'tool', 'fields' ]);
+            expect(emitted.map((pkg) => pkg.name)).to.eql(packages);
+          });
+      });
+    });
+
+    context('and "transform" replaces packages', () => {
+      const transform = (manifest, pkg) => pkg.name;
+
+      it('should return promise for packages filtered by "types" before they are transformed', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        return fields({ transform, types: [ 'prod' ] })
+          .then((packages) => expect(packages).to.eql([ 'tool', 'fields' ]));
+      });
+
+      it('should iterate over packages filtered by "types" before they are transformed', () => {
+        const iterator = pacscan.iterate(getOptions({ transform, types: [ 'prod' ] }));
+        const values = [];
+        const collect = () => iterator.next()
+          .then((result) => {
+            if (result.done) {
+              return values;
+            }
+
+            values.push(result.value);
+
+            return collect();
+          });
+
+        return collect()
+          .then((packages) => expect(packages).to.eql([ 'tool', 'fields' ]));
+      });
+
+      [
+        [ 'duplicates', (options) => pacscan.duplicates(options) ],
+        [ 'licenses', (options) => pacscan.licenses(options) ],
+        [ 'tree', (options) => pacscan.tree(options) ],
+        [ 'validate', (options) => pacscan.validate(options) ],
+        [ 'why', (options) => pacscan.why('tool', null, options) ]
+      ].forEach((entry) => {
+        it(`should return promise for ${entry[0]} report using packages that have not been transformed`, () => {
+          return Promise.all([ entry[1](getOptions()), entry[1](getOptions({ transform })) ])
+            .then((reports) => expect(reports[1]).to.eql(reports[0]));
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "fields" is specified', () => {
+      it('should return packages with only those fields that are present within manifest', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        expect(getManifests(fields.sync({ fields: [ 'bin', 'engines' ] }))).to.eql([
+          [ 'tool', { bin: { tool: 'cli.js' }, engines: { node: '>=4' } } ],
+          [ 'fields', {} ]
+        ]);
+      });
+    });
+
+    context('and "fields" is invalid', () => {
+      it('should throw error', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        expect(() => fields.sync({ fields: 'license' })).to.throw(pacscan.InvalidOptionError,
+          'Invalid fields: license');
+      });
+    });
+
+    context('and "transform" is specified', () => {
+      it('should pass manifest and package with type and requested fields to transform', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+        const calls = [];
+
+        const packages = fields.sync({
+          fields: [ 'license' ],
+          transform: (manifest, pkg) => {
+            calls.push([ manifest.name, pkg.type, pkg.manifest ]);
+          }
+        });
+
+        expect(calls).to.eql([
+          [ 'tool', 'prod', { license: 'Apache-2.0' } ],
+          [ 'fields', 'prod', { license: 'MIT' } ]
+        ]);
+        expect(packages.map((pkg) => pkg.name)).to.eql([ 'tool', 'fields' ]);
+      });
+    });
+
+    context('and "transform" replaces packages', () => {
+      const transform = (manifest, pkg) => pkg.name;
+
+      it('should return packages filtered by "types" before they are transformed', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        expect(fields.sync({ transform, types: [ 'prod' ] })).to.eql([ 'tool', 'fields' ]);
+        expect(fields.sync({ transform, types: [ 'dev' ] })).to.eql([]);
+      });
+
+      [
+        [ 'duplicates', (options) => pacscan.duplicatesSync(options) ],
+        [ 'licenses', (options) => pacscan.licensesSync(options) ],
+        [ 'tree', (options) => pacscan.treeSync(options) ],
+        [ 'validate', (options) => pacscan.validateSync(options) ],
+        [ 'why', (options) => pacscan.whySync('tool', null, options) ]
+      ].forEach((entry) => {
+        it(`should return ${entry[0]} report using packages that have not been transformed`, () => {
+          expect(entry[1](getOptions({ transform }))).to.eql(entry[1](getOptions()));
+        });
+      });
+    });
+
+    context('and "transform" is invalid', () => {
+      it('should throw error', () => {
+        const fields = helpers.requireFromFixture('fields', 'index.js');
+
+        expect(() => fields.sync({ transform: 'name' })).to.throw(pacscan.InvalidOptionError,
+          'Invalid transform: name');
+      });
+    });
+  });
+});
@@ -43,37 +43,44 @@ describe('pacscan:fixture:flat', () => {
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/buzz',
                 main: 'flat/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/fizz',
-                main: null,
+                main: 'flat/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/buzz',
                 main: 'flat/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/fizz',
                 main: 'flat/node_modules/@fu/fizz/index.js',
                 name: '@fu/fizz',
+                type: 'extraneous',
                 version: '1.3.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/bar',
-                main: 'flat/node_modules/bar/index',
+                main: 'flat/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/foo',
                 main: 'flat/node_modules/foo/index.js',
                 name: 'foo',
+                type: 'extraneous',
                 version: '1.1.0'
               }),
               helpers.resolvePackageForFixture({
@@ -96,37 +103,44 @@ describe('pacscan:fixture:flat', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/buzz',
                   main: 'flat/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'flat/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/buzz',
                   main: 'flat/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/fizz',
                   main: 'flat/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/bar',
-                  main: 'flat/node_modules/bar/index',
+                  main: 'flat/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/foo',
                   main: 'flat/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -168,37 +182,44 @@ describe('pacscan:fixture:flat', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/buzz',
                   main: 'flat/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'flat/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/buzz',
                   main: 'flat/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/fizz',
                   main: 'flat/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/bar',
-                  main: 'flat/node_modules/bar/index',
+                  main: 'flat/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/foo',
                   main: 'flat/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -240,37 +261,44 @@ describe('pacscan:fixture:flat', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/buzz',
                   main: 'flat/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'flat/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/buzz',
                   main: 'flat/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/@fu/fizz',
                   main: 'flat/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/bar',
-                  main: 'flat/node_modules/bar/index',
+                  main: 'flat/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'flat/node_modules/foo',
                   main: 'flat/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -298,37 +326,44 @@ describe('pacscan:fixture:flat', () => {
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/buzz',
             main: 'flat/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/fizz',
-            main: null,
+            main: 'flat/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/buzz',
             main: 'flat/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/fizz',
             main: 'flat/node_modules/@fu/fizz/index.js',
             name: '@fu/fizz',
+            type: 'extraneous',
             version: '1.3.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/bar',
-            main: 'flat/node_modules/bar/index',
+            main: 'flat/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/foo',
             main: 'flat/node_modules/foo/index.js',
             name: 'foo',
+            type: 'extraneous',
             version: '1.1.0'
           }),
           helpers.resolvePackageForFixture({
@@ -349,37 +384,44 @@ describe('pacscan:fixture:flat', () => {
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/buzz',
               main: 'flat/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/fizz',
-              main: null,
+              main: 'flat/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/buzz',
               main: 'flat/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/fizz',
               main: 'flat/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/bar',
-              main: 'flat/node_modules/bar/index',
+              main: 'flat/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/foo',
               main: 'flat/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -417,37 +459,44 @@ describe('pacscan:fixture:flat', () => {
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/buzz',
               main: 'flat/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/fizz',
-              main: null,
+              main: 'flat/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/buzz',
               main: 'flat/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/fizz',
               main: 'flat/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/bar',
-              main: 'flat/node_modules/bar/index',
+              main: 'flat/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/foo',
               main: 'flat/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -485,37 +534,44 @@ describe('pacscan:fixture:flat', () => {
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/buzz',
               main: 'flat/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@baz/fizz',
-              main: null,
+              main: 'flat/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/buzz',
               main: 'flat/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/@fu/fizz',
               main: 'flat/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/bar',
-              main: 'flat/node_modules/bar/index',
+              main: 'flat/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'flat/node_modules/foo',
               main: 'flat/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -0,0 +1,429 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:graph', () => {
+  const expectedNodes = () => [
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/bar',
+      main: null,
+      name: 'bar',
+      version: '2.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/baz',
+      main: null,
+      name: 'baz',
+      version: '1.5.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/dev',
+      main: null,
+      name: 'dev',
+      type: 'dev',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/foo/node_modules/bar',
+      main: null,
+      name: 'bar',
+      version: '1.2.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/foo/node_modules/qux',
+      main: null,
+      name: 'qux',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/foo',
+      main: null,
+      name: 'foo',
+      version: '1.1.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/qux',
+      main: null,
+      name: 'qux',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph/node_modules/stray',
+      main: null,
+      name: 'stray',
+      type: 'extraneous',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'graph',
+      main: 'graph/index.js',
+      name: 'graph',
+      version: '1.0.0'
+    })
+  ];
+  const expectedEdges = () => [
+    { from: 0, name: 'foo', range: '>=1.0.0', to: 5, type: 'peer' },
+    { from: 5, name: 'bar', range: '^1.0.0', to: 3, type: 'prod' },
+    { from: 5, name: 'baz', range: '~1.0.0', to: 1, type: 'prod' },
+    { from: 5, name: 'qux', range: '^1.0.0', to: 4, type: 'prod' },
+    { from: 8, name: 'bar', range: '^2.0.0', to: 0, type: 'prod' },
+    { from: 8, name: 'foo', range: '^1.0.0', to: 5, type: 'prod' },
+    { from: 8, name: 'missing', range: '^1.0.0', to: null, type: 'prod' },
+    { from: 8, name: 'qux', range: '^1.0.0', to: 6, type: 'prod' },
+    { from: 8, name: 'dev', range: '^1.0.0', to: 2, type: 'dev' },
+    { from: 8, name: 'opt', range: '^1.0.0', to: null, type: 'optional' }
+  ];
+
+  const getStatuses = (result) => result.packages
+    .filter((packageResult) => packageResult.dependencies.length)
+    .map((packageResult) => [
+      packageResult.package.name,
+      packageResult.dependencies.map((dependency) => [ dependency.name, dependency.status, dependency.version ])
+    ]);
+  const expectedStatuses = () => [
+    [ 'bar', [ [ 'foo', 'ok', '1.1.0' ] ] ],
+    [ 'foo', [ [ 'bar', 'ok', '1.2.0' ], [ 'baz', 'invalid', '1.5.0' ], [ 'qux', 'ok', '1.0.0' ] ] ],
+    [
+      'graph',
+      [
+        [ 'bar', 'ok', '2.0.0' ],
+        [ 'foo', 'ok', '1.1.0' ],
+        [ 'missing', 'missing', null ],
+        [ 'qux', 'ok', '1.0.0' ],
+        [ 'dev', 'ok', '1.0.0' ],
+        [ 'opt', 'missing', null ]
+      ]
+    ]
+  ];
+  const expectedSummary = () => ({ exitCode: 1, invalid: 1, missing: 2, ok: 7 });
+
+  const createParent = (directory, name, range) => ({
+    directory: helpers.resolveFixtureFile('graph', directory),
+    name,
+    range,
+    type: 'prod'
+  });
+  const expectedDuplicates = () => [
+    {
+      copies: [
+        {
+          directory: helpers.resolveFixtureFile('graph', 'node_modules/bar'),
+          parents: [ createParent('.', 'graph', '^2.0.0') ],
+          version: '2.0.0'
+        },
+        {
+          directory: helpers.resolveFixtureFile('graph', 'node_modules/foo/node_modules/bar'),
+          parents: [ createParent('node_modules/foo', 'foo', '^1.0.0') ],
+          version: '1.2.0'
+        }
+      ],
+      name: 'bar',
+      undeduped: [],
+      versions: [ '1.2.0', '2.0.0' ]
+    },
+    {
+      copies: [
+        {
+          directory: helpers.resolveFixtureFile('graph', 'node_modules/foo/node_modules/qux'),
+          parents: [ createParent('node_modules/foo', 'foo', '^1.0.0') ],
+          version: '1.0.0'
+        },
+        {
+          directory: helpers.resolveFixtureFile('graph', 'node_modules/qux'),
+          parents: [ createParent('.', 'graph', '^1.0.0') ],
+          version: '1.0.0'
+        }
+      ],
+      name: 'qux',
+      undeduped: [ '1.0.0' ],
+      versions: [ '1.0.0' ]
+    }
+  ];
+
+  const getChains = (result) => result.map((copy) => [
+    copy.package.version,
+    copy.chains.map((chain) => chain.map((hop) => `${hop.from.name} -> ${hop.name}@${hop.range} (${hop.type})`))
+  ]);
+
+  before(() => Promise.all([
+    helpers.copyFixture('graph'),
+    helpers.copyFixture('unpackaged')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for graph of base package and its dependencies', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+
+        return graph.tree()
+          .then((result) => {
+            expect(result.nodes).to.eql(expectedNodes());
+            expect(result.edges).to.eql(expectedEdges());
+            expect(result.root).to.equal(8);
+            expect(result.extraneous).to.eql([ 7 ]);
+            expect(result.nodes).to.eql(graph.sync());
+          });
+      });
+
+      context('and "dev" is disabled', () => {
+        it('should return promise for graph without dev dependencies', () => {
+          const graph = helpers.requireFromFixture('graph', 'index.js');
+
+          return graph.tree({ dev: false })
+            .then((result) => {
+              expect(result.edges).to.eql(expectedEdges().filter((edge) => edge.type !== 'dev'));
+              expect(result.extraneous).to.eql([ 2, 7 ]);
+            });
+        });
+      });
+    });
+
+    context('and "path" targets dependency package directory', () => {
+      it('should return promise for graph without root', () => {
+        const dirPath = helpers.resolveFixtureFile('graph', 'node_modules/foo');
+
+        return pacscan.tree(helpers.createOptions({ path: dirPath }))
+          .then((result) => {
+            expect(result.nodes.map((pkg) => pkg.name)).to.eql([ 'bar', 'qux', 'foo' ]);
+            expect(result.root).to.equal(2);
+            expect(result.edges.map((edge) => [ edge.name, edge.to ])).to.eql([
+              [ 'bar', 0 ],
+              [ 'baz', null ],
+              [ 'qux', 1 ]
+            ]);
+            expect(result.extraneous).to.eql([]);
+          });
+      });
+    });
+
+    context('and "strict" is disabled', () => {
+      it('should return promise for graph with problems', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+
+        return graph.tree({ strict: false })
+          .then((result) => {
+            expect(result.edges).to.eql(expectedEdges());
+            expect(result.problems).to.eql([]);
+          });
+      });
+    });
+    context('and duplicates are requested', () => {
+      it('should return promise for packages installed more than once', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+
+        return graph.duplicates()
+          .then((result) => {
+            expect(result).to.eql(expectedDuplicates());
+            expect(result).to.not.have.property('problems');
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for duplicates with problems', () => {
+          const graph = helpers.requireFromFixture('graph', 'index.js');
+
+          return graph.duplicates({ strict: false })
+            .then((result) => {
+              expect(result.slice()).to.eql(expectedDuplicates());
+              expect(result.problems).to.eql([]);
+            });
+        });
+      });
+    });
+
+    context('and explanation is requested', () => {
+      it('should return promise for every chain leading to each matching copy', () => {
+        const dirPath = helpers.getFixtureDirectory('graph');
+
+        return pacscan.why('bar', '^1.0.0', helpers.createOptions({ path: dirPath }))
+          .then((result) => {
+            expect(getChains(result)).to.eql([
+              [
+                '1.2.0',
+                [
+                  [ 'graph -> foo@^1.0.0 (prod)', 'foo -> bar@^1.0.0 (prod)' ],
+                  [ 'graph -> bar@^2.0.0 (prod)', 'bar -> foo@>=1.0.0 (peer)', 'foo -> bar@^1.0.0 (prod)' ]
+                ]
+              ]
+            ]);
+            expect(result[0].package).to.eql(expectedNodes()[3]);
+            expect(result).to.not.have.property('problems');
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for explanations with problems', () => {
+          const dirPath = helpers.getFixtureDirectory('graph');
+
+          return pacscan.why('stray', helpers.createOptions({ path: dirPath, strict: false }))
+            .then((result) => {
+              expect(getChains(result)).to.eql([ [ '1.0.0', [] ] ]);
+              expect(result.problems).to.eql([]);
+            });
+        });
+      });
+    });
+
+    context('and validation is requested', () => {
+      it('should return promise for status of each dependency grouped by package', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+
+        return graph.validate()
+          .then((result) => {
+            expect(result.packages).to.have.lengthOf(9);
+            expect(getStatuses(result)).to.eql(expectedStatuses());
+            expect(result.summary).to.eql(expectedSummary());
+            expect(result).to.not.have.property('problems');
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for result with problems', () => {
+          const graph = helpers.requireFromFixture('graph', 'index.js');
+
+          return graph.validate({ strict: false })
+            .then((result) => {
+              expect(result.summary).to.eql(expectedSummary());
+              expect(result.problems).to.eql([]);
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return graph of base package and its dependencies', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+        const result = graph.treeSync();
+
+        expect(result.nodes).to.eql(expectedNodes());
+        expect(result.edges).to.eql(expectedEdges());
+        expect(result.root).to.equal(8);
+        expect(result.extraneous).to.eql([ 7 ]);
+      });
+
+      context('and "dev" is disabled', () => {
+        it('should return graph without dev dependencies', () => {
+          const graph = helpers.requireFromFixture('graph', 'index.js');
+          const result = graph.treeSync({ dev: false });
+
+          expect(result.edges).to.eql(expectedEdges().filter((edge) => edge.type !== 'dev'));
+          expect(result.extraneous).to.eql([ 2, 7 ]);
+        });
+      });
+    });
+
+    context('and "path" targets unpackaged directory', () => {
+      it('should return graph without root', () => {
+        const dirPath = helpers.getFixtureDirectory('unpackaged');
+        const result = pacscan.treeSync(helpers.createOptions({ path: dirPath }));
+
+        expect(result.nodes.map((pkg) => pkg.name)).to.eql([ 'bar', 'foo' ]);
+        expect(result.edges).to.eql([]);
+        expect(result.extraneous).to.eql([]);
+        expect(result.root).to.equal(null);
+      });
+    });
+    context('and duplicates are requested', () => {
+      it('should return packages installed more than once', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+
+        expect(graph.duplicatesSync()).to.eql(expectedDuplicates());
+      });
+    });
+
+    context('and explanation is requested', () => {
+      it('should return every chain leading to each copy', () => {
+        const dirPath = helpers.getFixtureDirectory('graph');
+        const result = pacscan.whySync('foo', helpers.createOptions({ path: dirPath }));
+
+        expect(getChains(result)).to.eql([
+          [
+            '1.1.0',
+            [
+              [ 'graph -> foo@^1.0.0 (prod)' ],
+              [ 'graph -> bar@^2.0.0 (prod)', 'bar -> foo@>=1.0.0 (peer)' ]
+            ]
+          ]
+        ]);
+      });
+
+      context('and version is specified', () => {
+        it('should return explanations for matching copies only', () => {
+          const dirPath = helpers.getFixtureDirectory('graph');
+          const result = pacscan.whySync('qux', '1.0.0', helpers.createOptions({ path: dirPath }));
+
+          expect(getChains(result)).to.eql([
+            [
+              '1.0.0',
+              [
+                [ 'graph -> foo@^1.0.0 (prod)', 'foo -> qux@^1.0.0 (prod)' ],
+                [ 'graph -> bar@^2.0.0 (prod)', 'bar -> foo@>=1.0.0 (peer)', 'foo -> qux@^1.0.0 (prod)' ]
+              ]
+            ],
+            [ '1.0.0', [ [ 'graph -> qux@^1.0.0 (prod)' ] ] ]
+          ]);
+        });
+      });
+
+      context('and "maxChains" is specified', () => {
+        it('should return only that number of shortest chains for each copy', () => {
+          const dirPath = helpers.getFixtureDirectory('graph');
+          const result = pacscan.whySync('foo', helpers.createOptions({ maxChains: 1, path: dirPath }));
+
+          expect(getChains(result)).to.eql([ [ '1.1.0', [ [ 'graph -> foo@^1.0.0 (prod)' ] ] ] ]);
+        });
+      });
+
+      context('and "maxChains" is invalid', () => {
+        it('should throw error', () => {
+          const dirPath = helpers.getFixtureDirectory('graph');
+
+          [ 0, 1.5, '1' ].forEach((maxChains) => {
+            expect(() => pacscan.whySync('foo', helpers.createOptions({ maxChains, path: dirPath })))
+              .to.throw(pacscan.InvalidOptionError, `Invalid maxChains: ${maxChains}`);
+          });
+        });
+      });
+    });
+
+    context('and validation is requested', () => {
+      it('should return status of each dependency grouped by package', () => {
+        const graph = helpers.requireFromFixture('graph', 'index.js');
+        const result = graph.validateSync();
+
+        expect(getStatuses(result)).to.eql(expectedStatuses());
+        expect(result.summary).to.eql(expectedSummary());
+      });
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:iterate', () => {
+  const collect = (iterator, values) => {
+    values = values || [];
+
+    return iterator.next()
+      .then((result) => {
+        if (result.done) {
+          return values;
+        }
+
+        return collect(iterator, values.concat(result.value));
+      });
+  };
+  const withoutTypes = (packages) => packages.map((pkg) => {
+    const result = Object.assign({}, pkg);
+    delete result.type;
+
+    return result;
+  });
+  const byDirectory = (packages) => packages.slice().sort((a, b) => a.directory.localeCompare(b.directory));
+  const drain = (readable) => new Promise((resolve, reject) => {
+    const values = [];
+
+    readable.on('data', (value) => values.push(value));
+    readable.on('end', () => resolve(values));
+    readable.on('error', reject);
+  });
+
+  before(() => Promise.all([
+    helpers.copyFixture('flat'),
+    helpers.copyFixture('lazy'),
+    helpers.copyFixture('lazy-discovery'),
+    helpers.copyFixture('lazy-links'),
+    helpers.copyFixture('lockfile'),
+    helpers.copyFixture('pnpm'),
+    helpers.copyFixture('symlinks'),
+    helpers.copyFixture('symlinks-library'),
+    helpers.copyFixture('tolerant'),
+    helpers.copyFixture('unpackaged'),
+    helpers.copyFixture('workspaces')
+  ]));
+
+  beforeEach(() => pacscan.clearCache());
+
+  describe('.iterate', () => {
+    context('when called from within base package', () => {
+      it('should yield each package returned by scan without type', () => {
+        const flat = helpers.requireFromFixture('flat', 'index.js');
+
+        return collect(flat.iterate())
+          .then((packages) => {
+            expect(packages).to.eql(withoutTypes(flat.sync()));
+          });
+      });
+    });
+
+    context('when next package is requested', () => {
+      it('should only read package.json file for that package', () => {
+        const iterator = pacscan.iterate(helpers.createOptions({ path: helpers.getFixtureDirectory('lazy') }));
+
+        return iterator.next()
+          .then((result) => {
+            expect(result.done).to.equal(false);
+            expect(result.value.name).to.equal('alpha');
+
+            return iterator.next();
+          })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.MalformedManifestError);
+            expect(error.path).to.equal(helpers.resolveFixtureFile('lazy', 'node_modules/beta/package.json'));
+          });
+      });
+
+      it('should only read directories until that package is found', () => {
+        const dirPath = helpers.getFixtureDirectory('lazy-discovery');
+        const iterator = pacscan.iterate(helpers.createOptions({ path: dirPath }));
+
+        return iterator.next()
+          .then((result) => {
+            expect(result.done).to.equal(false);
+            expect(result.value.name).to.equal('alpha');
+
+            return iterator.next();
+          })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.FileSystemError);
+            expect(error.path).to.equal(helpers.resolveFixtureFile('lazy-discovery', 'node_modules/loop'));
+          });
+      });
+    });
+
+    context('when base directory contains links', () => {
+      it('should yield each unique package returned by scan without type for each "symlinks" mode', () => {
+        const options = (symlinks) => {
+          return helpers.createOptions({ path: helpers.getFixtureDirectory('symlinks'), symlinks });
+        };
+
+        return [ 'follow', 'ignore', 'report' ].reduce((promise, symlinks) => {
+          return promise
+            .then(() => collect(pacscan.iterate(options(symlinks))))
+            .then((packages) => {
+              expect(byDirectory(packages)).to.eql(byDirectory(withoutTypes(pacscan.sync(options(symlinks)))));
+            });
+        }, Promise.resolve());
+      });
+
+      it('should yield packages only reachable via links within base directory after all others', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('lazy-links') });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha', 'lazy-links', 'lib' ]);
+            expect(byDirectory(packages)).to.eql(byDirectory(withoutTypes(pacscan.sync(options))));
+          });
+      });
+    });
+
+    context('when base directory contains workspaces', () => {
+      it('should yield each package returned by scan without type', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('workspaces') });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(byDirectory(packages)).to.eql(byDirectory(withoutTypes(pacscan.sync(options))));
+          });
+      });
+    });
+
+    context('when base directory uses pnpm layout', () => {
+      it('should yield each package returned by scan without type', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('pnpm') });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages).to.eql(withoutTypes(pacscan.sync(options)));
+          });
+      });
+    });
+
+    context('when "path" is specified', () => {
+      it('should yield each package returned by scan without type', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('unpackaged') });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'foo', 'bar' ]);
+            expect(byDirectory(packages)).to.eql(byDirectory(withoutTypes(pacscan.sync(options))));
+          });
+      });
+    });
+
+    context('when "path" does not exist', () => {
+      it('should return iterator whose next result is rejected', () => {
+        const filePath = helpers.resolveFixtureFile('unpackaged', 'missing.js');
+
+        return pacscan.iterate(helpers.createOptions({ path: filePath })).next()
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+            expect(error.path).to.equal(filePath);
+          });
+      });
+    });
+
+    context('when "source" is "lockfile"', () => {
+      it('should yield each package recorded within lockfile without type', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('lockfile'), source: 'lockfile' });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'bar', 'baz', 'foo', 'qux', 'opt', 'lockfile' ]);
+            expect(packages).to.eql(withoutTypes(pacscan.sync(options)));
+          });
+      });
+    });
+
+    context('when "types" is specified', () => {
+      it('should yield each package of those types returned by scan', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('flat'), types: [ 'prod' ] });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'flat' ]);
+            expect(packages).to.eql(pacscan.sync(options));
+          });
+      });
+    });
+
+    context('when "strict" is disabled', () => {
+      it('should skip packages that could not be read', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('tolerant'), strict: false });
+
+        return collect(pacscan.iterate(options))
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'foo' ]);
+          });
+      });
+    });
+
+    context('when iterator has been exhausted', () => {
+      it('should continue to return done result', () => {
+        const iterator = pacscan.iterate(helpers.createOptions({ path: helpers.getFixtureDirectory('unpackaged') }));
+
+        return collect(iterator)
+          .then(() => iterator.next())
+          .then((result) => {
+            expect(result).to.eql({ done: true });
+          });
+      });
+    });
+
+    it('should be async iterable', () => {
+      const iterator = pacscan.iterate(helpers.createOptions({ path: helpers.getFixtureDirectory('unpackaged') }));
+
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+    });
+  });
+
+  describe('.stream', () => {
+    context('when called from within base package', () => {
+      it('should emit each package returned by scan without type', () => {
+        const flat = helpers.requireFromFixture('flat', 'index.js');
+
+        return drain(flat.stream())
+          .then((packages) => {
+            expect(packages).to.eql(withoutTypes(flat.sync()));
+          });
+      });
+    });
+
+    context('when "path" does not exist', () => {
+      it('should emit error', () => {
+        const filePath = helpers.resolveFixtureFile('unpackaged', 'missing.js');
+
+        return drain(pacscan.stream(helpers.createOptions({ path: filePath })))
+          .then(() => {
+            throw new Error('Expected stream to emit error');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+            expect(error.path).to.equal(filePath);
+          });
+      });
+    });
+  });
+});
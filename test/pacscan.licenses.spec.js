@@ -0,0 +1,173 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:licenses', () => {
+  const resolve = (filePath) => helpers.resolveFixtureFile('licenses', filePath);
+  const getLicenses = (result) => result.packages.map((pkg) => [ pkg.name, pkg.declared, pkg.licenses ]);
+  const expectedLicenses = () => [
+    [ 'dual-licensed', '(MIT OR Apache-2.0)', [ 'MIT', 'Apache-2.0' ] ],
+    [ 'legacy', 'BSD-3-Clause OR GPL-2.0+', [ 'BSD-3-Clause', 'GPL-2.0+' ] ],
+    [ 'proprietary', 'SEE LICENSE IN EULA.txt', [ 'SEE LICENSE IN EULA.txt' ] ],
+    [ 'unknown', null, [] ],
+    [ 'licenses', 'MIT', [ 'MIT' ] ]
+  ];
+  const expectedFiles = () => [
+    [
+      { path: resolve('node_modules/dual-licensed/LICENSE-APACHE'), text: 'Apache License 2.0\n' },
+      { path: resolve('node_modules/dual-licensed/LICENSE-MIT'), text: 'MIT License\n' }
+    ],
+    [ { path: resolve('node_modules/legacy/COPYING'), text: 'GNU General Public License 2.0\n' } ],
+    [],
+    [ { path: resolve('node_modules/unknown/LICENCE.md'), text: 'ISC License\n' } ],
+    [ { path: resolve('LICENSE'), text: 'MIT License\n' } ]
+  ];
+  const getSummary = (result) => result.summary.map((summary) => [
+    summary.license,
+    summary.packages.map((pkg) => pkg.name)
+  ]);
+  const expectedSummary = () => [
+    [ 'Apache-2.0', [ 'dual-licensed' ] ],
+    [ 'BSD-3-Clause', [ 'legacy' ] ],
+    [ 'GPL-2.0+', [ 'legacy' ] ],
+    [ 'MIT', [ 'dual-licensed', 'licenses' ] ],
+    [ 'SEE LICENSE IN EULA.txt', [ 'proprietary' ] ],
+    [ null, [ 'unknown' ] ]
+  ];
+
+  before(() => Promise.all([
+    helpers.copyFixture('licenses'),
+    helpers.copyFixture('licenses-unreadable')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for license report of all packages', () => {
+        const licenses = helpers.requireFromFixture('licenses', 'index.js');
+
+        return licenses()
+          .then((result) => {
+            expect(getLicenses(result)).to.eql(expectedLicenses());
+            expect(result.packages.map((pkg) => pkg.files)).to.eql(expectedFiles());
+            expect(getSummary(result)).to.eql(expectedSummary());
+            expect(result.packages[0].expression).to.eql({
+              conjunction: 'or',
+              left: { license: 'MIT' },
+              right: { license: 'Apache-2.0' }
+            });
+            expect(result.summary[0].packages).to.eql([
+              { directory: resolve('node_modules/dual-licensed'), name: 'dual-licensed', version: '1.0.0' }
+            ]);
+            expect(result).to.not.have.property('problems');
+          });
+      });
+    });
+
+    context('and "strict" is disabled', () => {
+      it('should return promise for license report with problems', () => {
+        const licenses = helpers.requireFromFixture('licenses', 'index.js');
+
+        return licenses({ strict: false })
+          .then((result) => {
+            expect(getLicenses(result)).to.eql(expectedLicenses());
+            expect(result.problems).to.eql([]);
+          });
+      });
+    });
+
+    context('and license file cannot be read', () => {
+      it('should return rejected promise', () => {
+        const licensesUnreadable = helpers.requireFromFixture('licenses-unreadable', 'index.js');
+
+        return licensesUnreadable()
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.FileSystemError);
+            expect(error.path).to.equal(helpers.resolveFixtureFile('licenses-unreadable', 'LICENSE'));
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for license report excluding that file with problem', () => {
+          const licensesUnreadable = helpers.requireFromFixture('licenses-unreadable', 'index.js');
+          const filePath = helpers.resolveFixtureFile('licenses-unreadable', 'LICENSE');
+
+          return licensesUnreadable({ strict: false })
+            .then((result) => {
+              expect(result.packages.map((pkg) => pkg.files)).to.eql([
+                [ { path: helpers.resolveFixtureFile('licenses-unreadable', 'COPYING'), text: 'MIT License\n' } ]
+              ]);
+              expect(result.problems).to.have.lengthOf(1);
+              expect(result.problems[0].code).to.equal('ERR_PACSCAN_FS');
+              expect(result.problems[0].path).to.equal(filePath);
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return license report of all packages', () => {
+        const licenses = helpers.requireFromFixture('licenses', 'index.js');
+        const result = licenses.sync();
+
+        expect(getLicenses(result)).to.eql(expectedLicenses());
+        expect(result.packages.map((pkg) => pkg.files)).to.eql(expectedFiles());
+        expect(getSummary(result)).to.eql(expectedSummary());
+      });
+    });
+
+    context('and license file cannot be read', () => {
+      it('should throw error', () => {
+        const licensesUnreadable = helpers.requireFromFixture('licenses-unreadable', 'index.js');
+
+        expect(() => licensesUnreadable.sync()).to.throw(pacscan.FileSystemError);
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return license report excluding that file with problem', () => {
+          const licensesUnreadable = helpers.requireFromFixture('licenses-unreadable', 'index.js');
+          const result = licensesUnreadable.sync({ strict: false });
+
+          expect(result.packages[0].files.map((file) => file.path)).to.eql([
+            helpers.resolveFixtureFile('licenses-unreadable', 'COPYING')
+          ]);
+          expect(result.problems.map((problem) => problem.path)).to.eql([
+            helpers.resolveFixtureFile('licenses-unreadable', 'LICENSE')
+          ]);
+        });
+      });
+    });
+  });
+});
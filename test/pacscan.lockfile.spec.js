@@ -0,0 +1,454 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:lockfile', () => {
+  const getStatuses = (result) => result.packages.map((packageResult) => [
+    packageResult.name,
+    packageResult.status,
+    packageResult.expected ? packageResult.expected.location : null,
+    packageResult.actual ? packageResult.actual.directory : null
+  ]);
+  const expectedStatuses = () => [
+    [ 'lockfile', 'ok', '', helpers.getFixtureDirectory('lockfile') ],
+    [ 'bar', 'changed', 'node_modules/bar', helpers.resolveFixtureFile('lockfile', 'node_modules/bar') ],
+    [ 'foo', 'ok', 'node_modules/foo', helpers.resolveFixtureFile('lockfile', 'node_modules/foo') ],
+    [ 'baz', 'missing', 'node_modules/baz', null ],
+    [ 'qux', 'moved', 'node_modules/foo/node_modules/qux', helpers.resolveFixtureFile('lockfile', 'node_modules/qux') ],
+    [ 'opt', 'missing', 'node_modules/opt', null ],
+    [ 'stray', 'extra', null, helpers.resolveFixtureFile('lockfile', 'node_modules/stray') ]
+  ];
+  const expectedLockfile = () => ({
+    path: helpers.resolveFixtureFile('lockfile', 'package-lock.json'),
+    type: 'package-lock',
+    version: 2
+  });
+  const expectedSummary = () => ({ changed: 1, exitCode: 1, extra: 1, missing: 2, moved: 1, ok: 2 });
+
+  const expectedYarnStatuses = () => [
+    [ '@scope/baz', 'ok', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/@scope/baz') ],
+    [ 'qux', 'ok', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/alias') ],
+    [ 'bar', 'missing', null, null ],
+    [ 'foo', 'ok', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/@scope/baz/node_modules/foo') ],
+    [ 'foo', 'ok', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/foo') ],
+    [ 'bar', 'extra', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/bar') ],
+    [ 'stray', 'extra', null, helpers.resolveFixtureFile('lockfile-yarn', 'node_modules/stray') ]
+  ];
+
+  const expectedPackages = () => [
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile/node_modules/bar',
+      main: null,
+      name: 'bar',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile/node_modules/baz',
+      main: null,
+      name: 'baz',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile/node_modules/foo',
+      main: null,
+      name: 'foo',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile/node_modules/foo/node_modules/qux',
+      main: null,
+      name: 'qux',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile/node_modules/opt',
+      main: null,
+      name: 'opt',
+      type: 'optional',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'lockfile',
+      main: 'lockfile/index.js',
+      name: 'lockfile',
+      version: '1.0.0'
+    })
+  ];
+  const getTypedPackages = (result) => result.map((pkg) => [ pkg.name, pkg.type ]);
+  const getVirtualPackages = (result) => result.map((pkg) => [ pkg.name, pkg.version, pkg.directory ]);
+  const resolveVirtualDirectory = (name, directoryName, packageName) => helpers.resolveFixtureFile(name,
+    `node_modules/.yarn-lock/${directoryName}/node_modules/${packageName}`);
+  const expectedYarnPackages = () => [
+    [ '@scope/baz', '1.0.0', resolveVirtualDirectory('lockfile-yarn', '@scope+baz@1.0.0', '@scope/baz') ],
+    [ 'qux', '1.0.0', resolveVirtualDirectory('lockfile-yarn', 'qux@1.0.0', 'qux') ],
+    [ 'bar', '1.0.0', resolveVirtualDirectory('lockfile-yarn', 'bar@1.0.0', 'bar') ],
+    [ 'foo', '1.0.0', resolveVirtualDirectory('lockfile-yarn', 'foo@1.0.0', 'foo') ],
+    [ 'lockfile-yarn', '1.0.0', helpers.getFixtureDirectory('lockfile-yarn') ]
+  ];
+
+  before(() => Promise.all([
+    helpers.copyFixture('flat'),
+    helpers.copyFixture('lockfile'),
+    helpers.copyFixture('lockfile-berry'),
+    helpers.copyFixture('lockfile-malformed'),
+    helpers.copyFixture('lockfile-omit-dev'),
+    helpers.copyFixture('lockfile-pnpm'),
+    helpers.copyFixture('lockfile-shrinkwrap'),
+    helpers.copyFixture('lockfile-yarn')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for comparison of packages with lockfile', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+        return lockfile.checkLockfile()
+          .then((result) => {
+            expect(result.lockfile).to.eql(expectedLockfile());
+            expect(getStatuses(result)).to.eql(expectedStatuses());
+            expect(result.summary).to.eql(expectedSummary());
+            expect(result).to.not.have.property('problems');
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for comparison with problems', () => {
+          const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+          return lockfile.checkLockfile({ strict: false })
+            .then((result) => {
+              expect(result.summary).to.eql(expectedSummary());
+              expect(result.problems).to.eql([]);
+            });
+        });
+      });
+    });
+
+    context('and base directory contains npm-shrinkwrap.json', () => {
+      it('should return promise for comparison with npm-shrinkwrap.json', () => {
+        const lockfileShrinkwrap = helpers.requireFromFixture('lockfile-shrinkwrap', 'index.js');
+
+        return lockfileShrinkwrap.checkLockfile()
+          .then((result) => {
+            expect(result.lockfile).to.eql({
+              path: helpers.resolveFixtureFile('lockfile-shrinkwrap', 'npm-shrinkwrap.json'),
+              type: 'npm-shrinkwrap',
+              version: 1
+            });
+            expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 0, moved: 0, ok: 2 });
+          });
+      });
+    });
+
+    context('and development packages were omitted from install', () => {
+      it('should return promise for failed comparison with development packages missing', () => {
+        const lockfileOmitDev = helpers.requireFromFixture('lockfile-omit-dev', 'index.js');
+
+        return lockfileOmitDev.checkLockfile()
+          .then((result) => {
+            expect(getStatuses(result)).to.eql([
+              [ 'lockfile-omit-dev', 'ok', '', helpers.getFixtureDirectory('lockfile-omit-dev') ],
+              [ 'foo', 'ok', 'node_modules/foo', helpers.resolveFixtureFile('lockfile-omit-dev', 'node_modules/foo') ],
+              [ 'helper', 'missing', 'node_modules/helper', null ],
+              [ 'tool', 'missing', 'node_modules/tool', null ]
+            ]);
+            expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 0, missing: 2, moved: 0, ok: 2 });
+          });
+      });
+
+      context('and "dev" is disabled', () => {
+        it('should return promise for comparison with development packages missing without failing', () => {
+          const lockfileOmitDev = helpers.requireFromFixture('lockfile-omit-dev', 'index.js');
+
+          return lockfileOmitDev.checkLockfile({ dev: false })
+            .then((result) => {
+              expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 2, moved: 0, ok: 2 });
+            });
+        });
+      });
+    });
+
+    context('and base directory contains yarn.lock using v1 format', () => {
+      it('should return promise for comparison of packages with resolutions', () => {
+        const lockfileYarn = helpers.requireFromFixture('lockfile-yarn', 'index.js');
+
+        return lockfileYarn.checkLockfile()
+          .then((result) => {
+            expect(result.lockfile).to.eql({
+              path: helpers.resolveFixtureFile('lockfile-yarn', 'yarn.lock'),
+              type: 'yarn',
+              version: 1
+            });
+            expect(getStatuses(result)).to.eql(expectedYarnStatuses());
+            expect(result.summary).to.eql({ changed: 0, exitCode: 1, extra: 2, missing: 1, moved: 0, ok: 4 });
+          });
+      });
+    });
+
+    context('and base directory contains yarn.lock using Berry format', () => {
+      it('should return promise for comparison of packages with resolutions', () => {
+        const lockfileBerry = helpers.requireFromFixture('lockfile-berry', 'index.js');
+
+        return lockfileBerry.checkLockfile()
+          .then((result) => {
+            expect(result.lockfile).to.eql({
+              path: helpers.resolveFixtureFile('lockfile-berry', 'yarn.lock'),
+              type: 'yarn',
+              version: 6
+            });
+            expect(getStatuses(result)).to.eql([
+              [ 'foo', 'ok', null, helpers.resolveFixtureFile('lockfile-berry', 'node_modules/foo') ],
+              [ 'fsevents', 'missing', null, null ]
+            ]);
+            expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 1, moved: 0, ok: 1 });
+          });
+      });
+    });
+
+    context('and "source" is "lockfile"', () => {
+      it('should return promise for packages recorded within lockfile', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+        return lockfile({ source: 'lockfile' })
+          .then((packages) => {
+            expect(packages).to.eql(expectedPackages());
+          });
+      });
+
+      context('and base directory contains yarn.lock', () => {
+        it('should return promise for packages with virtual directories', () => {
+          const lockfileYarn = helpers.requireFromFixture('lockfile-yarn', 'index.js');
+
+          return lockfileYarn({ source: 'lockfile' })
+            .then((packages) => {
+              expect(getVirtualPackages(packages)).to.eql(expectedYarnPackages());
+            });
+        });
+      });
+
+      context('and base package contains malformed package.json and "strict" is disabled', () => {
+        it('should return promise for packages excluding base package with problem', () => {
+          const dirPath = helpers.getFixtureDirectory('lockfile-malformed');
+
+          return pacscan(helpers.createOptions({ path: dirPath, source: 'lockfile', strict: false }))
+            .then((packages) => {
+              expect(getVirtualPackages(packages)).to.eql([
+                [ 'foo', '1.0.0', resolveVirtualDirectory('lockfile-malformed', 'foo@1.0.0', 'foo') ]
+              ]);
+              expect(packages.problems.map((problem) => [ problem.path, problem.code ])).to.eql([
+                [ helpers.resolveFixtureFile('lockfile-malformed', 'package.json'), 'ERR_PACSCAN_MALFORMED_MANIFEST' ]
+              ]);
+            });
+        });
+      });
+
+      context('and base directory contains pnpm-lock.yaml without recorded types', () => {
+        it('should return promise for packages with types derived from dependency graph', () => {
+          const lockfilePnpm = helpers.requireFromFixture('lockfile-pnpm', 'index.js');
+
+          return lockfilePnpm({ source: 'lockfile' })
+            .then((packages) => {
+              expect(getTypedPackages(packages)).to.eql([
+                [ 'foo', 'prod' ],
+                [ 'helper', 'prod' ],
+                [ 'lib', 'dev' ],
+                [ 'opt', 'optional' ],
+                [ 'tool', 'dev' ],
+                [ 'lockfile-pnpm', 'prod' ]
+              ]);
+            });
+        });
+      });
+
+      context('and base directory contains no lockfile', () => {
+        it('should return promise rejected with error', () => {
+          const dirPath = helpers.getFixtureDirectory('flat');
+
+          return pacscan(helpers.createOptions({ path: dirPath, source: 'lockfile' }))
+            .then(() => {
+              throw new Error('Expected promise to be rejected');
+            })
+            .catch((error) => {
+              expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+              expect(error.message).to.equal(`Could not find lockfile within directory: ${dirPath}`);
+            });
+        });
+      });
+    });
+
+    context('and "source" is invalid', () => {
+      it('should return promise rejected with error', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+        return lockfile({ source: 'unknown' })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.InvalidOptionError);
+            expect(error.message).to.equal('Invalid source: unknown');
+          });
+      });
+    });
+
+    context('and base directory contains no lockfile', () => {
+      it('should return promise rejected with error', () => {
+        const dirPath = helpers.getFixtureDirectory('flat');
+
+        return pacscan.checkLockfile(helpers.createOptions({ path: dirPath }))
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+            expect(error.message).to.equal(`Could not find lockfile within directory: ${dirPath}`);
+            expect(error.path).to.equal(dirPath);
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return comparison of packages with lockfile', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+        const result = lockfile.checkLockfileSync();
+
+        expect(result.lockfile).to.eql(expectedLockfile());
+        expect(getStatuses(result)).to.eql(expectedStatuses());
+        expect(result.summary).to.eql(expectedSummary());
+      });
+    });
+
+    context('and base directory contains npm-shrinkwrap.json', () => {
+      it('should return comparison with npm-shrinkwrap.json', () => {
+        const lockfileShrinkwrap = helpers.requireFromFixture('lockfile-shrinkwrap', 'index.js');
+        const result = lockfileShrinkwrap.checkLockfileSync();
+
+        expect(result.lockfile.type).to.equal('npm-shrinkwrap');
+        expect(result.summary.exitCode).to.equal(0);
+      });
+    });
+
+    context('and development packages were omitted from install', () => {
+      context('and "dev" is disabled', () => {
+        it('should return comparison with development packages missing without failing', () => {
+          const lockfileOmitDev = helpers.requireFromFixture('lockfile-omit-dev', 'index.js');
+
+          expect(lockfileOmitDev.checkLockfileSync().summary.exitCode).to.equal(1);
+          expect(lockfileOmitDev.checkLockfileSync({ dev: false }).summary).to.eql({
+            changed: 0,
+            exitCode: 0,
+            extra: 0,
+            missing: 2,
+            moved: 0,
+            ok: 2
+          });
+        });
+      });
+    });
+
+    context('and base directory contains yarn.lock using v1 format', () => {
+      it('should return comparison of packages with resolutions', () => {
+        const lockfileYarn = helpers.requireFromFixture('lockfile-yarn', 'index.js');
+        const result = lockfileYarn.checkLockfileSync();
+
+        expect(getStatuses(result)).to.eql(expectedYarnStatuses());
+      });
+    });
+
+    context('and base directory contains yarn.lock using Berry format', () => {
+      it('should return comparison of packages with resolutions', () => {
+        const lockfileBerry = helpers.requireFromFixture('lockfile-berry', 'index.js');
+        const result = lockfileBerry.checkLockfileSync();
+
+        expect(result.lockfile.version).to.equal(6);
+        expect(result.summary.exitCode).to.equal(0);
+      });
+    });
+
+    context('and "source" is "lockfile"', () => {
+      it('should return packages recorded within lockfile', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+        expect(lockfile.sync({ source: 'lockfile' })).to.eql(expectedPackages());
+      });
+
+      context('and base directory contains yarn.lock using Berry format', () => {
+        it('should return packages with virtual directories', () => {
+          const lockfileBerry = helpers.requireFromFixture('lockfile-berry', 'index.js');
+
+          expect(getVirtualPackages(lockfileBerry.sync({ source: 'lockfile' }))).to.eql([
+            [ 'foo', '1.0.0', resolveVirtualDirectory('lockfile-berry', 'foo@1.0.0', 'foo') ],
+            [ 'fsevents', '2.3.2', resolveVirtualDirectory('lockfile-berry', 'fsevents@2.3.2', 'fsevents') ],
+            [ 'lockfile-berry', '1.0.0', helpers.getFixtureDirectory('lockfile-berry') ]
+          ]);
+        });
+
+        it('should return packages with types derived from dependency graph', () => {
+          const lockfileBerry = helpers.requireFromFixture('lockfile-berry', 'index.js');
+
+          expect(getTypedPackages(lockfileBerry.sync({ source: 'lockfile' }))).to.eql([
+            [ 'foo', 'prod' ],
+            [ 'fsevents', 'optional' ],
+            [ 'lockfile-berry', 'prod' ]
+          ]);
+        });
+      });
+
+      context('and base directory contains yarn.lock using v1 format', () => {
+        it('should return packages with virtual directories', () => {
+          const lockfileYarn = helpers.requireFromFixture('lockfile-yarn', 'index.js');
+
+          expect(getVirtualPackages(lockfileYarn.sync({ source: 'lockfile' }))).to.eql(expectedYarnPackages());
+        });
+      });
+    });
+
+    context('and "source" is invalid', () => {
+      it('should throw error', () => {
+        const lockfile = helpers.requireFromFixture('lockfile', 'index.js');
+
+        expect(() => lockfile.sync({ source: 'unknown' })).to.throw(pacscan.InvalidOptionError,
+          'Invalid source: unknown');
+      });
+    });
+
+    context('and base directory contains no lockfile', () => {
+      it('should throw error', () => {
+        const dirPath = helpers.getFixtureDirectory('flat');
+
+        expect(() => pacscan.checkLockfileSync(helpers.createOptions({ path: dirPath }))).to.throw(
+          pacscan.PathNotFoundError, `Could not find lockfile within directory: ${dirPath}`);
+      });
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:manifests', () => {
+  const getVersions = (packages) => packages.map((pkg) => pkg.version);
+  const getManifests = (packages) => packages.map((pkg) => pkg.manifest);
+  const mutate = (manifest, pkg) => {
+    manifest.version = '0.0.0';
+
+    if (pkg.manifest.dependencies) {
+      pkg.manifest.dependencies.foo = '0.0.0';
+    }
+  };
+  const expectedManifests = () => [
+    { name: 'foo', version: '1.1.0' },
+    { dependencies: { foo: '^1.1.0' }, main: 'index.js', name: 'manifests', version: '1.0.0' }
+  ];
+  const getManifestPath = () => helpers.resolveFixtureFile('manifests', 'node_modules/foo/package.json');
+  const getModifiedTime = () => fs.statSync(getManifestPath()).mtime;
+  const writeManifest = (version, modifiedTime) => {
+    const filePath = getManifestPath();
+
+    fs.writeFileSync(filePath, JSON.stringify({ name: 'foo', version }));
+    fs.utimesSync(filePath, modifiedTime, modifiedTime);
+  };
+
+  let originalModifiedTime;
+
+  before(() => helpers.copyFixture('manifests')
+    .then(() => {
+      originalModifiedTime = getModifiedTime();
+    }));
+
+  afterEach(() => writeManifest('1.1.0', originalModifiedTime));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    it('should not load package.json files into the module cache', () => {
+      const cachedFilePaths = Object.keys(require.cache);
+
+      return pacscan(helpers.createOptions({ path: helpers.getFixtureDirectory('manifests') }))
+        .then(() => {
+          expect(Object.keys(require.cache)).to.eql(cachedFilePaths);
+        });
+    });
+
+    context('and package.json file has changed', () => {
+      it('should return promise for packages with latest manifests', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('manifests') });
+
+        return pacscan(options)
+          .then((packages) => {
+            expect(getVersions(packages)).to.eql([ '1.1.0', '1.0.0' ]);
+
+            writeManifest('2.0.0', originalModifiedTime);
+            pacscan.clearCache();
+
+            return pacscan(options);
+          })
+          .then((packages) => {
+            expect(getVersions(packages)).to.eql([ '2.0.0', '1.0.0' ]);
+          });
+      });
+
+      context('and "manifestCache" is enabled', () => {
+        context('and modification time is unchanged', () => {
+          it('should return promise for packages with cached manifests', () => {
+            const options = helpers.createOptions({
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            });
+
+            return pacscan(options)
+              .then(() => {
+                writeManifest('2.0.0', originalModifiedTime);
+
+                return pacscan(options);
+              })
+              .then((packages) => {
+                expect(getVersions(packages)).to.eql([ '1.1.0', '1.0.0' ]);
+              });
+          });
+        });
+
+        context('and modification time has changed', () => {
+          it('should return promise for packages with latest manifests', () => {
+            const options = helpers.createOptions({
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            });
+
+            return pacscan(options)
+              .then(() => {
+                writeManifest('2.0.0', new Date(originalModifiedTime.getTime() + 60000));
+
+                return pacscan(options);
+              })
+              .then((packages) => {
+                expect(getVersions(packages)).to.eql([ '2.0.0', '1.0.0' ]);
+              });
+          });
+        });
+
+        context('and manifest is changed by previous scan', () => {
+          it('should return promise for packages with unchanged cached manifests', () => {
+            const options = (extraOptions) => helpers.createOptions(Object.assign({
+              fields: '*',
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            }, extraOptions));
+
+            return pacscan(options({ transform: mutate }))
+              .then(() => pacscan(options()))
+              .then((packages) => {
+                expect(getVersions(packages)).to.eql([ '1.1.0', '1.0.0' ]);
+                expect(getManifests(packages)).to.eql(expectedManifests());
+              });
+          });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    it('should not load package.json files into the module cache', () => {
+      const cachedFilePaths = Object.keys(require.cache);
+
+      pacscan.sync(helpers.createOptions({ path: helpers.getFixtureDirectory('manifests') }));
+
+      expect(Object.keys(require.cache)).to.eql(cachedFilePaths);
+    });
+
+    context('and package.json file has changed', () => {
+      it('should return packages with latest manifests', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('manifests') });
+
+        expect(getVersions(pacscan.sync(options))).to.eql([ '1.1.0', '1.0.0' ]);
+
+        writeManifest('2.0.0', originalModifiedTime);
+        pacscan.clearCache();
+
+        expect(getVersions(pacscan.sync(options))).to.eql([ '2.0.0', '1.0.0' ]);
+      });
+
+      context('and "manifestCache" is enabled', () => {
+        context('and modification time is unchanged', () => {
+          it('should return packages with cached manifests', () => {
+            const options = helpers.createOptions({
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            });
+
+            pacscan.sync(options);
+
+            writeManifest('2.0.0', originalModifiedTime);
+
+            expect(getVersions(pacscan.sync(options))).to.eql([ '1.1.0', '1.0.0' ]);
+          });
+        });
+
+        context('and modification time has changed', () => {
+          it('should return packages with latest manifests', () => {
+            const options = helpers.createOptions({
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            });
+
+            pacscan.sync(options);
+
+            writeManifest('2.0.0', new Date(originalModifiedTime.getTime() + 60000));
+
+            expect(getVersions(pacscan.sync(options))).to.eql([ '2.0.0', '1.0.0' ]);
+          });
+        });
+
+        context('and manifest is changed by previous scan', () => {
+          it('should return packages with unchanged cached manifests', () => {
+            const options = (extraOptions) => helpers.createOptions(Object.assign({
+              fields: '*',
+              manifestCache: true,
+              path: helpers.getFixtureDirectory('manifests')
+            }, extraOptions));
+
+            pacscan.sync(options({ transform: mutate }));
+
+            const packages = pacscan.sync(options());
+
+            expect(getVersions(packages)).to.eql([ '1.1.0', '1.0.0' ]);
+            expect(getManifests(packages)).to.eql(expectedManifests());
+          });
+        });
+      });
+    });
+  });
+});
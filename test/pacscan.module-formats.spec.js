@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:module-formats', () => {
+  const getFormats = (packages) => packages.map((pkg) => [ pkg.name, pkg.moduleFormat ]);
+  const expectedFormats = () => [
+    [ 'cjs', 'cjs' ],
+    [ 'dual', 'dual' ],
+    [ 'esm', 'esm' ],
+    [ 'types-only', null ],
+    [ 'module-formats', 'cjs' ]
+  ];
+
+  before(() => helpers.copyFixture('module-formats'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for packages with module formats based on their entry points', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        return moduleFormats()
+          .then((packages) => {
+            expect(getFormats(packages)).to.eql(expectedFormats());
+          });
+      });
+    });
+
+    context('and "moduleFormats" is specified', () => {
+      it('should return promise for packages of those module formats only', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        return moduleFormats({ moduleFormats: [ 'esm' ] })
+          .then((packages) => {
+            expect(getFormats(packages)).to.eql([ [ 'esm', 'esm' ] ]);
+          });
+      });
+    });
+
+    context('and "moduleFormats" is invalid', () => {
+      it('should return promise rejected with error', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        return moduleFormats({ moduleFormats: [ 'esm', 'umd' ] })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.InvalidOptionError);
+            expect(error.message).to.equal('Invalid module format: umd');
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return packages with module formats based on their entry points', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        expect(getFormats(moduleFormats.sync())).to.eql(expectedFormats());
+      });
+    });
+
+    context('and "moduleFormats" is specified', () => {
+      it('should return packages of those module formats only', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        expect(getFormats(moduleFormats.sync({ moduleFormats: [ 'cjs', 'dual' ] }))).to.eql([
+          [ 'cjs', 'cjs' ],
+          [ 'dual', 'dual' ],
+          [ 'module-formats', 'cjs' ]
+        ]);
+      });
+    });
+
+    context('and "moduleFormats" is invalid', () => {
+      it('should throw error', () => {
+        const moduleFormats = helpers.requireFromFixture('module-formats', 'index.js');
+
+        expect(() => moduleFormats.sync({ moduleFormats: [ 'umd' ] })).to.throw(pacscan.InvalidOptionError,
+          'Invalid module format: umd');
+      });
+    });
+  });
+});
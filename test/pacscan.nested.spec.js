@@ -43,37 +43,44 @@ describe('pacscan:fixture:nested', () => {
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                 main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                 main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                 name: '@fu/fizz',
+                type: 'extraneous',
                 version: '1.3.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                main: null,
+                main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                 main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar',
-                main: 'nested/node_modules/foo/node_modules/bar/index',
+                main: 'nested/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo',
                 main: 'nested/node_modules/foo/index.js',
                 name: 'foo',
+                type: 'extraneous',
                 version: '1.1.0'
               }),
               helpers.resolvePackageForFixture({
@@ -96,37 +103,44 @@ describe('pacscan:fixture:nested', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                   main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar',
-                  main: 'nested/node_modules/foo/node_modules/bar/index',
+                  main: 'nested/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo',
                   main: 'nested/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -151,31 +165,37 @@ describe('pacscan:fixture:nested', () => {
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                 main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                 main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                 name: '@fu/fizz',
+                type: 'extraneous',
                 version: '1.3.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                main: null,
+                main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                 main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar',
-                main: 'nested/node_modules/foo/node_modules/bar/index',
+                main: 'nested/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
@@ -198,37 +218,44 @@ describe('pacscan:fixture:nested', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                   main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar',
-                  main: 'nested/node_modules/foo/node_modules/bar/index',
+                  main: 'nested/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo',
                   main: 'nested/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -252,19 +279,21 @@ describe('pacscan:fixture:nested', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                main: null,
+                main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                 main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/bar',
-                main: 'nested/node_modules/foo/node_modules/bar/index',
+                main: 'nested/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
                 version: '1.2.0'
               })
@@ -282,37 +311,44 @@ describe('pacscan:fixture:nested', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                   main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar',
-                  main: 'nested/node_modules/foo/node_modules/bar/index',
+                  main: 'nested/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo',
                   main: 'nested/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -337,7 +373,9 @@ describe('pacscan:fixture:nested', () => {
               helpers.resolvePackageForFixture({
                 directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                 main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
@@ -360,37 +398,44 @@ describe('pacscan:fixture:nested', () => {
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+                  mainExists: false,
                   name: '@baz/buzz',
+                  type: 'extraneous',
                   version: '1.4.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
                   main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
                   name: '@fu/fizz',
+                  type: 'extraneous',
                   version: '1.3.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-                  main: null,
+                  main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
                   name: '@baz/fizz',
+                  type: 'extraneous',
                   version: '1.4.1'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
                   main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
                   name: '@fu/buzz',
+                  type: 'extraneous',
                   version: '1.3.2'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo/node_modules/bar',
-                  main: 'nested/node_modules/foo/node_modules/bar/index',
+                  main: 'nested/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
                   directory: 'nested/node_modules/foo',
                   main: 'nested/node_modules/foo/index.js',
                   name: 'foo',
+                  type: 'extraneous',
                   version: '1.1.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -418,37 +463,44 @@ describe('pacscan:fixture:nested', () => {
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
             main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
             main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
             name: '@fu/fizz',
+            type: 'extraneous',
             version: '1.3.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-            main: null,
+            main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
             main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar',
-            main: 'nested/node_modules/foo/node_modules/bar/index',
+            main: 'nested/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo',
             main: 'nested/node_modules/foo/index.js',
             name: 'foo',
+            type: 'extraneous',
             version: '1.1.0'
           }),
           helpers.resolvePackageForFixture({
@@ -469,37 +521,44 @@ describe('pacscan:fixture:nested', () => {
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-              main: null,
+              main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
               main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar',
-              main: 'nested/node_modules/foo/node_modules/bar/index',
+              main: 'nested/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo',
               main: 'nested/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -522,31 +581,37 @@ describe('pacscan:fixture:nested', () => {
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
             main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
             main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
             name: '@fu/fizz',
+            type: 'extraneous',
             version: '1.3.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-            main: null,
+            main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
             main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar',
-            main: 'nested/node_modules/foo/node_modules/bar/index',
+            main: 'nested/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
@@ -567,37 +632,44 @@ describe('pacscan:fixture:nested', () => {
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-              main: null,
+              main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
               main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar',
-              main: 'nested/node_modules/foo/node_modules/bar/index',
+              main: 'nested/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo',
               main: 'nested/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -619,19 +691,21 @@ describe('pacscan:fixture:nested', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-            main: null,
+            main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
             main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/bar',
-            main: 'nested/node_modules/foo/node_modules/bar/index',
+            main: 'nested/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
             version: '1.2.0'
           })
@@ -647,37 +721,44 @@ describe('pacscan:fixture:nested', () => {
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-              main: null,
+              main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
               main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar',
-              main: 'nested/node_modules/foo/node_modules/bar/index',
+              main: 'nested/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo',
               main: 'nested/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -700,7 +781,9 @@ describe('pacscan:fixture:nested', () => {
           helpers.resolvePackageForFixture({
             directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
             main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
@@ -721,37 +804,44 @@ describe('pacscan:fixture:nested', () => {
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/node_modules/@baz/buzz/index.js',
+              mainExists: false,
               name: '@baz/buzz',
+              type: 'extraneous',
               version: '1.4.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/@fu/fizz',
               main: 'nested/node_modules/foo/node_modules/@fu/fizz/index.js',
               name: '@fu/fizz',
+              type: 'extraneous',
               version: '1.3.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz',
-              main: null,
+              main: 'nested/node_modules/foo/node_modules/bar/node_modules/@baz/fizz/index.js',
               name: '@baz/fizz',
+              type: 'extraneous',
               version: '1.4.1'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz',
               main: 'nested/node_modules/foo/node_modules/bar/node_modules/@fu/buzz/index.js',
               name: '@fu/buzz',
+              type: 'extraneous',
               version: '1.3.2'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo/node_modules/bar',
-              main: 'nested/node_modules/foo/node_modules/bar/index',
+              main: 'nested/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
               directory: 'nested/node_modules/foo',
               main: 'nested/node_modules/foo/index.js',
               name: 'foo',
+              type: 'extraneous',
               version: '1.1.0'
             }),
             helpers.resolvePackageForFixture({
@@ -0,0 +1,117 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:peers', () => {
+  const expectedEdges = () => [
+    { from: 1, name: 'absent', range: '^1.0.0', to: null, type: 'peer' },
+    { from: 1, name: 'host', range: '^1.0.0', to: 0, type: 'peer' },
+    { from: 3, name: 'host', range: '^1.0.0', to: 2, type: 'peer' },
+    { from: 3, name: 'theme', range: '^1.0.0', to: null, type: 'peerOptional' },
+    { from: 3, name: 'types', range: '*', to: null, type: 'peerOptional' },
+    { from: 4, name: 'host', range: '^2.0.0', to: 0, type: 'prod' },
+    { from: 4, name: 'plugin', range: '^1.0.0', to: 1, type: 'prod' },
+    { from: 4, name: 'widget', range: '^1.0.0', to: 3, type: 'prod' }
+  ];
+  const getPeers = (result) => result.peers.map((peer) => [
+    peer.package.name,
+    peer.name,
+    peer.range,
+    peer.status,
+    peer.directory
+  ]);
+  const expectedPeers = () => [
+    [ 'plugin', 'absent', '^1.0.0', 'unmet', null ],
+    [ 'plugin', 'host', '^1.0.0', 'out-of-range', helpers.resolveFixtureFile('peers', 'node_modules/host') ],
+    [ 'widget', 'theme', '^1.0.0', 'optional-unmet', null ],
+    [ 'widget', 'types', '*', 'optional-unmet', null ]
+  ];
+  const expectedSummary = () => ({ exitCode: 1, invalid: 1, missing: 3, ok: 4 });
+
+  before(() => helpers.copyFixture('peers'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and dependency graph is requested', () => {
+      it('should return promise for graph containing edge for each peer dependency', () => {
+        const peers = helpers.requireFromFixture('peers', 'index.js');
+
+        return peers.tree()
+          .then((result) => {
+            expect(result.edges).to.eql(expectedEdges());
+            expect(result.extraneous).to.eql([]);
+          });
+      });
+    });
+
+    context('and validation is requested', () => {
+      it('should return promise for result containing problems with peer dependencies', () => {
+        const peers = helpers.requireFromFixture('peers', 'index.js');
+
+        return peers.validate()
+          .then((result) => {
+            expect(getPeers(result)).to.eql(expectedPeers());
+            expect(result.summary).to.eql(expectedSummary());
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and dependency graph is requested', () => {
+      it('should return graph containing edge for each peer dependency', () => {
+        const peers = helpers.requireFromFixture('peers', 'index.js');
+
+        expect(peers.treeSync().edges).to.eql(expectedEdges());
+      });
+    });
+
+    context('and duplicates are requested', () => {
+      context('and "types" is specified', () => {
+        it('should return duplicates considering copies of those types only', () => {
+          const options = helpers.createOptions({ path: helpers.getFixtureDirectory('peers') });
+
+          expect(pacscan.duplicatesSync(options).map((duplicate) => duplicate.name)).to.eql([ 'host' ]);
+          expect(pacscan.duplicatesSync(Object.assign({ types: [ 'prod' ] }, options))).to.eql([]);
+        });
+      });
+    });
+
+    context('and validation is requested', () => {
+      it('should return result containing problems with peer dependencies', () => {
+        const peers = helpers.requireFromFixture('peers', 'index.js');
+        const result = peers.validateSync();
+
+        expect(getPeers(result)).to.eql(expectedPeers());
+        expect(result.summary).to.eql(expectedSummary());
+      });
+    });
+  });
+});
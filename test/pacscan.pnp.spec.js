@@ -0,0 +1,360 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:pnp', () => {
+  const fizzPath = 'pnp/.yarn/cache/@fu-fizz-npm-1.3.1-1a2b3c4d5e-6f7a8b9c0d.zip/node_modules/@fu/fizz';
+  const fooPath = 'pnp/.yarn/cache/foo-npm-1.1.0-0a1b2c3d4e-5f6a7b8c9d.zip/node_modules/foo';
+  const expectedFizzLicenseFiles = () => [
+    { path: helpers.resolveFixtureFile('pnp', `${fizzPath.substring(4)}/LICENSE`), text: 'ISC License\n' }
+  ];
+  const allPackages = () => [
+    helpers.resolvePackageForFixture({
+      directory: fizzPath,
+      main: null,
+      name: '@fu/fizz',
+      type: 'extraneous',
+      version: '1.3.1'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: fooPath,
+      main: `${fooPath}/index.js`,
+      name: 'foo',
+      type: 'extraneous',
+      version: '1.1.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'pnp/.yarn/unplugged/bar-npm-1.2.0-4d5e6f7a8b/node_modules/bar',
+      main: null,
+      name: 'bar',
+      type: 'extraneous',
+      version: '1.2.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'pnp',
+      main: 'pnp/index.js',
+      name: 'pnp',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'pnp/packages/alpha',
+      main: 'pnp/packages/alpha/index.js',
+      name: 'alpha',
+      version: '1.1.0',
+      workspace: true
+    })
+  ];
+  const allDataPackages = () => [
+    helpers.resolvePackageForFixture({
+      directory: 'pnp-data/.yarn/unplugged/baz-npm-2.0.0-5e6f7a8b9c/node_modules/baz',
+      main: 'pnp-data/.yarn/unplugged/baz-npm-2.0.0-5e6f7a8b9c/node_modules/baz/lib/baz.js',
+      mainExists: false,
+      name: 'baz',
+      version: '2.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'pnp-data',
+      main: 'pnp-data/index.js',
+      name: 'pnp-data',
+      version: '1.0.0'
+    })
+  ];
+  const unreadableLicensePath = () => {
+    const cachePath = helpers.getFixtureDirectory('pnp-unreadable/.yarn/cache');
+
+    return `${cachePath}/unreadable-npm-1.0.0-2b3c4d5e6f-7a8b9c0d1e.zip/node_modules/unreadable/LICENSE`;
+  };
+  const malformedProblems = () => {
+    const cachePath = helpers.getFixtureDirectory('pnp-malformed/.yarn/cache');
+
+    return [
+      {
+        code: 'ERR_PACSCAN_MALFORMED_MANIFEST',
+        path: `${cachePath}/broken-npm-1.0.0-0a1b2c3d4e-5f6a7b8c9d.zip/node_modules/broken/package.json`
+      },
+      {
+        code: 'ERR_PACSCAN_PATH_NOT_FOUND',
+        path: `${cachePath}/empty-npm-1.0.0-1a2b3c4d5e-6f7a8b9c0d.zip/node_modules/empty/package.json`
+      }
+    ];
+  };
+
+  before(() => Promise.all([
+    helpers.copyFixture('flat'),
+    helpers.copyFixture('pnp'),
+    helpers.copyFixture('pnp-data'),
+    helpers.copyFixture('pnp-malformed'),
+    helpers.copyFixture('pnp-unreadable')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for base package and each package within inlined dependency map', () => {
+        const pnp = helpers.requireFromFixture('pnp', 'index.js');
+
+        return pnp()
+          .then((packages) => {
+            expect(packages).to.eql(allPackages());
+          });
+      });
+    });
+
+    context('and license report is requested', () => {
+      it('should return promise for report containing license files read from package archives', () => {
+        const pnp = helpers.requireFromFixture('pnp', 'index.js');
+
+        return pnp.licenses()
+          .then((result) => {
+            expect(result.packages[0].name).to.equal('@fu/fizz');
+            expect(result.packages[0].files).to.eql(expectedFizzLicenseFiles());
+            expect(result.packages[1].files).to.eql([]);
+          });
+      });
+
+      context('and license file cannot be read from package archive', () => {
+        it('should return rejected promise', () => {
+          const dirPath = helpers.getFixtureDirectory('pnp-unreadable');
+
+          return pacscan.licenses(helpers.createOptions({ path: dirPath }))
+            .then(() => {
+              throw new Error('Expected promise to be rejected');
+            })
+            .catch((error) => {
+              expect(error).to.be.an.instanceof(pacscan.FileSystemError);
+              expect(error.path).to.equal(unreadableLicensePath());
+            });
+        });
+
+        context('and "strict" is disabled', () => {
+          it('should return promise for report excluding that file with problem', () => {
+            const dirPath = helpers.getFixtureDirectory('pnp-unreadable');
+
+            return pacscan.licenses(helpers.createOptions({ path: dirPath, strict: false }))
+              .then((result) => {
+                expect(result.packages[0].name).to.equal('unreadable');
+                expect(result.packages[0].files.map((file) => file.path)).to.eql([
+                  unreadableLicensePath().replace(/LICENSE$/, 'COPYING')
+                ]);
+                expect(result.problems.map((problem) => [ problem.code, problem.path ])).to.eql([
+                  [ 'ERR_PACSCAN_FS', unreadableLicensePath() ]
+                ]);
+              });
+          });
+        });
+      });
+    });
+
+    context('and called from within base package with separate data file', () => {
+      it('should return promise for base package and each package within dependency map data file', () => {
+        const pnpData = helpers.requireFromFixture('pnp-data', 'index.js');
+
+        return pnpData()
+          .then((packages) => {
+            expect(packages).to.eql(allDataPackages());
+          });
+      });
+    });
+
+    context('and called from within workspace package', () => {
+      it('should return promise for workspace package only', () => {
+        const alpha = helpers.requireFromFixture('pnp', 'packages/alpha/index.js');
+
+        return alpha()
+          .then((packages) => {
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+          });
+      });
+
+      context('and "includeParents" is enabled', () => {
+        it('should return promise for base package and each package within inlined dependency map', () => {
+          const alpha = helpers.requireFromFixture('pnp', 'packages/alpha/index.js');
+
+          return alpha({ includeParents: true })
+            .then((packages) => {
+              expect(packages).to.eql(allPackages());
+            });
+        });
+      });
+    });
+
+    context('and "layout" is "pnp" but base directory contains no PnP files', () => {
+      it('should return promise rejected', () => {
+        const flat = helpers.requireFromFixture('flat', 'index.js');
+
+        return flat({ layout: 'pnp' })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            const dirPath = helpers.getFixtureDirectory('flat');
+
+            expect(error.message).to.equal(`Could not find PnP runtime state within directory: ${dirPath}`);
+          });
+      });
+    });
+    context('and package archives are unreadable or missing package.json files', () => {
+      it('should return promise rejected with error', () => {
+        const pnpMalformed = helpers.requireFromFixture('pnp-malformed', 'index.js');
+
+        return pnpMalformed()
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.MalformedManifestError);
+            expect(error.path).to.equal(malformedProblems()[0].path);
+          });
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return promise for readable packages and problems for the others', () => {
+          const pnpMalformed = helpers.requireFromFixture('pnp-malformed', 'index.js');
+
+          return pnpMalformed({ strict: false })
+            .then((packages) => {
+              expect(packages.map((pkg) => pkg.name)).to.eql([ 'pnp-malformed' ]);
+              expect(packages.problems.map((problem) => ({ code: problem.code, path: problem.path })))
+                .to.eql(malformedProblems());
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return base package and each package within inlined dependency map', () => {
+        const pnp = helpers.requireFromFixture('pnp', 'index.js');
+        const packages = pnp.sync();
+
+        expect(packages).to.eql(allPackages());
+      });
+    });
+
+    context('and license report is requested', () => {
+      it('should return report containing license files read from package archives', () => {
+        const pnp = helpers.requireFromFixture('pnp', 'index.js');
+        const result = pnp.licensesSync();
+
+        expect(result.packages.map((pkg) => pkg.files)).to.eql([ expectedFizzLicenseFiles(), [], [], [], [] ]);
+      });
+
+      context('and license file cannot be read from package archive', () => {
+        it('should throw error', () => {
+          const dirPath = helpers.getFixtureDirectory('pnp-unreadable');
+
+          expect(() => pacscan.licensesSync(helpers.createOptions({ path: dirPath })))
+            .to.throw(pacscan.FileSystemError, 'Unsupported compression method (12)');
+        });
+      });
+    });
+
+    context('and called from within base package with separate data file', () => {
+      it('should return base package and each package within dependency map data file', () => {
+        const pnpData = helpers.requireFromFixture('pnp-data', 'index.js');
+        const packages = pnpData.sync();
+
+        expect(packages).to.eql(allDataPackages());
+      });
+    });
+
+    context('and called from within workspace package', () => {
+      it('should return workspace package only', () => {
+        const alpha = helpers.requireFromFixture('pnp', 'packages/alpha/index.js');
+        const packages = alpha.sync();
+
+        expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+      });
+
+      context('and "includeParents" is enabled', () => {
+        it('should return base package and each package within inlined dependency map', () => {
+          const alpha = helpers.requireFromFixture('pnp', 'packages/alpha/index.js');
+          const packages = alpha.sync({ includeParents: true });
+
+          expect(packages).to.eql(allPackages());
+        });
+      });
+    });
+
+    context('and "layout" is "pnp" but base directory contains no PnP files', () => {
+      it('should throw error', () => {
+        const flat = helpers.requireFromFixture('flat', 'index.js');
+        const dirPath = helpers.getFixtureDirectory('flat');
+
+        expect(() => flat.sync({ layout: 'pnp' })).to.throw(Error,
+          `Could not find PnP runtime state within directory: ${dirPath}`);
+      });
+    });
+    context('and package archives are unreadable or missing package.json files', () => {
+      it('should throw error', () => {
+        const pnpMalformed = helpers.requireFromFixture('pnp-malformed', 'index.js');
+
+        expect(() => pnpMalformed.sync()).to.throw(pacscan.MalformedManifestError);
+      });
+
+      context('and "strict" is disabled', () => {
+        it('should return readable packages and problems for the others', () => {
+          const pnpMalformed = helpers.requireFromFixture('pnp-malformed', 'index.js');
+          const packages = pnpMalformed.sync({ strict: false });
+
+          expect(packages.map((pkg) => pkg.name)).to.eql([ 'pnp-malformed' ]);
+          expect(packages.problems.map((problem) => ({ code: problem.code, path: problem.path })))
+            .to.eql(malformedProblems());
+        });
+      });
+    });
+
+    context('and dependency graph is requested', () => {
+      it('should resolve dependencies using dependency map', () => {
+        const dirPath = helpers.getFixtureDirectory('pnp-data');
+        const result = pacscan.treeSync(helpers.createOptions({ path: dirPath }));
+
+        expect(result.nodes).to.eql(allDataPackages());
+        expect(result.edges).to.eql([ { from: 1, name: 'baz', range: '^2.0.0', to: 0, type: 'prod' } ]);
+        expect(result.root).to.equal(1);
+      });
+    });
+
+    context('and dependency graph is requested for packages that could not be read', () => {
+      it('should not resolve dependencies on them', () => {
+        const dirPath = helpers.getFixtureDirectory('pnp-malformed');
+        const result = pacscan.treeSync(helpers.createOptions({ path: dirPath, strict: false }));
+
+        expect(result.edges.map((edge) => [ edge.name, edge.to ])).to.eql([
+          [ 'broken', null ],
+          [ 'empty', null ],
+          [ 'missing', null ]
+        ]);
+      });
+    });
+  });
+});
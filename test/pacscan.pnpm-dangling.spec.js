@@ -0,0 +1,112 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:pnpm-dangling', () => {
+  const expectedPackages = () => [
+    helpers.resolvePackageForFixture({
+      children: [],
+      directory: 'pnpm-dangling/node_modules/.pnpm/foo@1.0.0/node_modules/foo',
+      links: [ 'pnpm-dangling/node_modules/foo' ],
+      main: null,
+      name: 'foo',
+      parents: [ 'pnpm-dangling' ],
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      children: [ 'pnpm-dangling/node_modules/.pnpm/foo@1.0.0/node_modules/foo' ],
+      directory: 'pnpm-dangling',
+      links: [],
+      main: 'pnpm-dangling/index.js',
+      name: 'pnpm-dangling',
+      parents: [],
+      version: '1.0.0'
+    })
+  ];
+  const expectedProblems = () => [
+    {
+      code: 'ERR_PACSCAN_PATH_NOT_FOUND',
+      message: `Could not find path: ${helpers.resolveFixtureFile('pnpm-dangling', 'node_modules/gone')}`,
+      path: helpers.resolveFixtureFile('pnpm-dangling', 'node_modules/gone')
+    }
+  ];
+
+  before(() => helpers.copyFixture('pnpm-dangling'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "strict" is disabled', () => {
+      it('should return promise for packages without dangling symbolic link and with problem', () => {
+        const pnpmDangling = helpers.requireFromFixture('pnpm-dangling', 'index.js');
+
+        return pnpmDangling({ strict: false })
+          .then((packages) => {
+            expect(packages.slice()).to.eql(expectedPackages());
+            expect(packages.problems).to.eql(expectedProblems());
+          });
+      });
+    });
+
+    context('and "strict" is enabled', () => {
+      it('should return promise rejected', () => {
+        const pnpmDangling = helpers.requireFromFixture('pnpm-dangling', 'index.js');
+
+        return pnpmDangling()
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+            expect(error.path).to.equal(helpers.resolveFixtureFile('pnpm-dangling', 'node_modules/gone'));
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "strict" is disabled', () => {
+      it('should return packages without dangling symbolic link and with problem', () => {
+        const pnpmDangling = helpers.requireFromFixture('pnpm-dangling', 'index.js');
+        const packages = pnpmDangling.sync({ strict: false });
+
+        expect(packages.slice()).to.eql(expectedPackages());
+        expect(packages.problems).to.eql(expectedProblems());
+      });
+    });
+
+    context('and "strict" is enabled', () => {
+      it('should throw error', () => {
+        const pnpmDangling = helpers.requireFromFixture('pnpm-dangling', 'index.js');
+
+        expect(() => pnpmDangling.sync()).to.throw(pacscan.PathNotFoundError, 'Could not find path');
+      });
+    });
+  });
+});
@@ -0,0 +1,361 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:pnpm', () => {
+  const storePath = (filePath) => `pnpm/node_modules/.pnpm/${filePath}`;
+  const allPackages = () => [
+    helpers.resolvePackageForFixture({
+      children: [ storePath('bar@1.2.0/node_modules/bar') ],
+      directory: storePath('@fu+fizz@1.3.1/node_modules/@fu/fizz'),
+      links: [
+        storePath('foo@1.1.0/node_modules/@fu/fizz'),
+        'pnpm/node_modules/@fu/fizz'
+      ],
+      main: storePath('@fu+fizz@1.3.1/node_modules/@fu/fizz/index.js'),
+      name: '@fu/fizz',
+      parents: [
+        'pnpm',
+        storePath('foo@1.1.0/node_modules/foo')
+      ],
+      version: '1.3.1'
+    }),
+    helpers.resolvePackageForFixture({
+      children: [],
+      directory: storePath('bar@1.2.0/node_modules/bar'),
+      links: [
+        storePath('@fu+fizz@1.3.1/node_modules/bar'),
+        storePath('foo@1.1.0/node_modules/bar'),
+        storePath('node_modules/bar'),
+        'pnpm/packages/qux/node_modules/bar'
+      ],
+      main: null,
+      name: 'bar',
+      parents: [
+        storePath('@fu+fizz@1.3.1/node_modules/@fu/fizz'),
+        storePath('foo@1.1.0/node_modules/foo'),
+        'pnpm/packages/qux'
+      ],
+      version: '1.2.0'
+    }),
+    helpers.resolvePackageForFixture({
+      children: [
+        storePath('@fu+fizz@1.3.1/node_modules/@fu/fizz'),
+        storePath('bar@1.2.0/node_modules/bar')
+      ],
+      directory: storePath('foo@1.1.0/node_modules/foo'),
+      links: [ 'pnpm/node_modules/foo' ],
+      main: storePath('foo@1.1.0/node_modules/foo/index.js'),
+      name: 'foo',
+      parents: [ 'pnpm' ],
+      version: '1.1.0'
+    }),
+    helpers.resolvePackageForFixture({
+      children: [
+        storePath('@fu+fizz@1.3.1/node_modules/@fu/fizz'),
+        storePath('foo@1.1.0/node_modules/foo')
+      ],
+      directory: 'pnpm',
+      links: [],
+      main: 'pnpm/index.js',
+      name: 'pnpm',
+      parents: [],
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      children: [ storePath('bar@1.2.0/node_modules/bar') ],
+      directory: 'pnpm/packages/qux',
+      links: [],
+      main: null,
+      name: 'qux',
+      parents: [],
+      version: '1.5.0',
+      workspace: true
+    })
+  ];
+
+  const getLockfilePackages = (packages) => packages.map((pkg) => [ pkg.name, pkg.version, pkg.directory ]);
+  const expectedLockfilePackages = () => [
+    [
+      '@fu/fizz',
+      '1.3.1',
+      helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/@fu+fizz@1.3.1/node_modules/@fu/fizz')
+    ],
+    [ 'bar', '1.2.0', helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/bar@1.2.0/node_modules/bar') ],
+    [ 'foo', '1.1.0', helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/foo@1.1.0/node_modules/foo') ],
+    [ 'pnpm', '1.0.0', helpers.getFixtureDirectory('pnpm') ]
+  ];
+
+  before(() => Promise.all([
+    helpers.copyFixture('pnpm'),
+    helpers.copyFixture('pnpm-unpackaged')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for base package and each real package within virtual store', () => {
+        const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+        return pnpm()
+          .then((packages) => {
+            expect(packages).to.eql(allPackages());
+          });
+      });
+
+      context('and "layout" is "node_modules"', () => {
+        it('should return promise for base package, its workspace packages, and their dependencies', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          return pnpm({ layout: 'node_modules' })
+            .then((packages) => {
+              expect(packages.map((pkg) => pkg.directory)).to.eql([
+                helpers.resolveFixtureFile('pnpm', 'node_modules/@fu/fizz'),
+                helpers.resolveFixtureFile('pnpm', 'node_modules/foo'),
+                helpers.resolveFixtureFile('pnpm', '.'),
+                helpers.resolveFixtureFile('pnpm', 'packages/qux/node_modules/bar'),
+                helpers.resolveFixtureFile('pnpm', 'packages/qux')
+              ]);
+            });
+        });
+      });
+
+      context('and "source" is "lockfile"', () => {
+        it('should return promise for base package and each package recorded within pnpm-lock.yaml', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          return pnpm({ source: 'lockfile' })
+            .then((packages) => {
+              expect(getLockfilePackages(packages)).to.eql(expectedLockfilePackages());
+            });
+        });
+      });
+
+      context('and lockfile is checked', () => {
+        it('should return promise for comparison of packages with pnpm-lock.yaml', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          return pnpm.checkLockfile()
+            .then((result) => {
+              expect(result.lockfile).to.eql({
+                path: helpers.resolveFixtureFile('pnpm', 'pnpm-lock.yaml'),
+                type: 'pnpm',
+                version: 9
+              });
+              expect(result.packages.map((packageResult) => [ packageResult.name, packageResult.status ])).to.eql([
+                [ '@fu/fizz', 'ok' ],
+                [ 'bar', 'ok' ],
+                [ 'foo', 'ok' ]
+              ]);
+              expect(result.summary).to.eql({ changed: 0, exitCode: 0, extra: 0, missing: 0, moved: 0, ok: 3 });
+            });
+        });
+      });
+
+      context('and "layout" is invalid', () => {
+        it('should return promise rejected', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          return pnpm({ layout: 'unknown' })
+            .then(() => {
+              throw new Error('Expected promise to be rejected');
+            })
+            .catch((error) => {
+              expect(error.message).to.equal('Invalid layout: unknown');
+            });
+        });
+      });
+    });
+
+    context('and called from within package within virtual store', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return promise for base package and each real package within virtual store', () => {
+          const foo = helpers.requireFromFixture('pnpm', 'node_modules/.pnpm/foo@1.1.0/node_modules/foo/index.js');
+
+          return foo({ includeParents: true })
+            .then((packages) => {
+              expect(packages).to.eql(allPackages());
+            });
+        });
+      });
+    });
+
+    context('and called from within unpackaged base directory', () => {
+      it('should return promise for each real package within virtual store', () => {
+        const pnpmUnpackaged = helpers.requireFromFixture('pnpm-unpackaged', 'index.js');
+
+        return pnpmUnpackaged()
+          .then((packages) => {
+            expect(packages).to.eql([
+              helpers.resolvePackageForFixture({
+                children: [],
+                directory: 'pnpm-unpackaged/node_modules/.pnpm/bar@1.2.0/node_modules/bar',
+                links: [ 'pnpm-unpackaged/node_modules/bar' ],
+                main: null,
+                name: 'bar',
+                parents: [],
+                version: '1.2.0'
+              })
+            ]);
+          });
+      });
+
+      context('and "source" is "lockfile"', () => {
+        it('should return promise for each package recorded within pnpm-lock.yaml', () => {
+          const pnpmUnpackaged = helpers.requireFromFixture('pnpm-unpackaged', 'index.js');
+          const barPath = helpers.resolveFixtureFile('pnpm-unpackaged',
+            'node_modules/.pnpm/bar@1.2.0/node_modules/bar');
+
+          return pnpmUnpackaged({ source: 'lockfile' })
+            .then((packages) => {
+              expect(getLockfilePackages(packages)).to.eql([ [ 'bar', '1.2.0', barPath ] ]);
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return base package and each real package within virtual store', () => {
+        const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+        const packages = pnpm.sync();
+
+        expect(packages).to.eql(allPackages());
+      });
+
+      context('and "layout" is "node_modules"', () => {
+        it('should return base package, its workspace packages, and their dependencies', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+          const packages = pnpm.sync({ layout: 'node_modules' });
+
+          expect(packages.map((pkg) => pkg.directory)).to.eql([
+            helpers.resolveFixtureFile('pnpm', 'node_modules/@fu/fizz'),
+            helpers.resolveFixtureFile('pnpm', 'node_modules/foo'),
+            helpers.resolveFixtureFile('pnpm', '.'),
+            helpers.resolveFixtureFile('pnpm', 'packages/qux/node_modules/bar'),
+            helpers.resolveFixtureFile('pnpm', 'packages/qux')
+          ]);
+        });
+      });
+
+      context('and "source" is "lockfile"', () => {
+        it('should return base package and each package recorded within pnpm-lock.yaml', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          expect(getLockfilePackages(pnpm.sync({ source: 'lockfile' }))).to.eql(expectedLockfilePackages());
+        });
+      });
+
+      context('and lockfile is checked', () => {
+        it('should return comparison of packages with pnpm-lock.yaml', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          expect(pnpm.checkLockfileSync().summary).to.eql({
+            changed: 0,
+            exitCode: 0,
+            extra: 0,
+            missing: 0,
+            moved: 0,
+            ok: 3
+          });
+        });
+      });
+
+      context('and "layout" is invalid', () => {
+        it('should throw error', () => {
+          const pnpm = helpers.requireFromFixture('pnpm', 'index.js');
+
+          expect(() => pnpm.sync({ layout: 'unknown' })).to.throw(Error, 'Invalid layout: unknown');
+        });
+      });
+    });
+
+    context('and called from within package within virtual store', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return base package and each real package within virtual store', () => {
+          const foo = helpers.requireFromFixture('pnpm', 'node_modules/.pnpm/foo@1.1.0/node_modules/foo/index.js');
+          const packages = foo.sync({ includeParents: true });
+
+          expect(packages).to.eql(allPackages());
+        });
+      });
+    });
+
+    context('and called from within unpackaged base directory', () => {
+      it('should return each real package within virtual store', () => {
+        const pnpmUnpackaged = helpers.requireFromFixture('pnpm-unpackaged', 'index.js');
+        const packages = pnpmUnpackaged.sync();
+
+        expect(packages).to.eql([
+          helpers.resolvePackageForFixture({
+            children: [],
+            directory: 'pnpm-unpackaged/node_modules/.pnpm/bar@1.2.0/node_modules/bar',
+            links: [ 'pnpm-unpackaged/node_modules/bar' ],
+            main: null,
+            name: 'bar',
+            parents: [],
+            version: '1.2.0'
+          })
+        ]);
+      });
+
+      context('and "source" is "lockfile"', () => {
+        it('should return each package recorded within pnpm-lock.yaml', () => {
+          const pnpmUnpackaged = helpers.requireFromFixture('pnpm-unpackaged', 'index.js');
+          const barPath = helpers.resolveFixtureFile('pnpm-unpackaged',
+            'node_modules/.pnpm/bar@1.2.0/node_modules/bar');
+
+          const packages = pnpmUnpackaged.sync({ source: 'lockfile' });
+
+          expect(getLockfilePackages(packages)).to.eql([ [ 'bar', '1.2.0', barPath ] ]);
+        });
+      });
+    });
+
+    context('and dependency graph is requested', () => {
+      it('should resolve dependencies via links within virtual store', () => {
+        const dirPath = helpers.getFixtureDirectory('pnpm');
+        const result = pacscan.treeSync(helpers.createOptions({ path: dirPath }));
+        const toDirectory = (index) => result.nodes[index].directory;
+        const fizzPath = helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/@fu+fizz@1.3.1/node_modules/@fu/fizz');
+        const fooPath = helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/foo@1.1.0/node_modules/foo');
+
+        expect(result.edges.map((edge) => [ toDirectory(edge.from), edge.name, toDirectory(edge.to) ])).to.eql([
+          [ fooPath, '@fu/fizz', fizzPath ],
+          [ fooPath, 'bar', helpers.resolveFixtureFile('pnpm', 'node_modules/.pnpm/bar@1.2.0/node_modules/bar') ],
+          [ dirPath, '@fu/fizz', fizzPath ],
+          [ dirPath, 'foo', fooPath ]
+        ]);
+      });
+    });
+  });
+});
@@ -46,11 +46,30 @@ describe('pacscan', () => {
             throw new Error('Expected promise to be rejected');
           })
           .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.NoCallerError);
+            expect(error.code).to.equal('ERR_PACSCAN_NO_CALLER');
             expect(error.message).to.equal('Could not resolve base directory as file was missing');
           });
       });
     });
 
+    context('and "path" does not exist', () => {
+      it('should return promise rejected', () => {
+        const filePath = helpers.resolveFixtureFile('unpackaged', 'missing.js');
+
+        return pacscan(helpers.createOptions({ path: filePath }))
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.PathNotFoundError);
+            expect(error.code).to.equal('ERR_PACSCAN_PATH_NOT_FOUND');
+            expect(error.path).to.equal(filePath);
+            expect(error.cause.code).to.equal('ENOENT');
+          });
+      });
+    });
+
     context('and no options are provided', () => {
       it('should use default options', () => {
         return pacscan()
@@ -71,37 +90,44 @@ describe('pacscan', () => {
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/buzz',
                 main: 'flat/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/fizz',
-                main: null,
+                main: 'flat/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/buzz',
                 main: 'flat/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/fizz',
                 main: 'flat/node_modules/@fu/fizz/index.js',
                 name: '@fu/fizz',
+                type: 'extraneous',
                 version: '1.3.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/bar',
-                main: 'flat/node_modules/bar/index',
+                main: 'flat/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/foo',
                 main: 'flat/node_modules/foo/index.js',
                 name: 'foo',
+                type: 'extraneous',
                 version: '1.1.0'
               }),
               helpers.resolvePackageForFixture({
@@ -125,37 +151,44 @@ describe('pacscan', () => {
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/buzz',
                 main: 'flat/node_modules/@baz/buzz/index.js',
+                mainExists: false,
                 name: '@baz/buzz',
+                type: 'extraneous',
                 version: '1.4.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@baz/fizz',
-                main: null,
+                main: 'flat/node_modules/@baz/fizz/index.js',
                 name: '@baz/fizz',
+                type: 'extraneous',
                 version: '1.4.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/buzz',
                 main: 'flat/node_modules/@fu/buzz/index.js',
                 name: '@fu/buzz',
+                type: 'extraneous',
                 version: '1.3.2'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/@fu/fizz',
                 main: 'flat/node_modules/@fu/fizz/index.js',
                 name: '@fu/fizz',
+                type: 'extraneous',
                 version: '1.3.1'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/bar',
-                main: 'flat/node_modules/bar/index',
+                main: 'flat/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
                 directory: 'flat/node_modules/foo',
                 main: 'flat/node_modules/foo/index.js',
                 name: 'foo',
+                type: 'extraneous',
                 version: '1.1.0'
               }),
               helpers.resolvePackageForFixture({
@@ -178,7 +211,7 @@ describe('pacscan', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
                 version: '1.2.0'
               }),
@@ -202,7 +235,7 @@ describe('pacscan', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
                 version: '1.2.0'
               }),
@@ -225,7 +258,17 @@ describe('pacscan', () => {
       it('should throw error', () => {
         expect(() => {
           pacscan.sync(helpers.createOptions());
-        }).to.throw(Error, 'Could not resolve base directory as file was missing');
+        }).to.throw(pacscan.NoCallerError, 'Could not resolve base directory as file was missing');
+      });
+    });
+
+    context('and "path" does not exist', () => {
+      it('should throw error', () => {
+        const filePath = helpers.resolveFixtureFile('unpackaged', 'missing.js');
+
+        expect(() => {
+          pacscan.sync(helpers.createOptions({ path: filePath }));
+        }).to.throw(pacscan.PathNotFoundError, `Could not find path: ${filePath}`);
       });
     });
 
@@ -247,37 +290,44 @@ describe('pacscan', () => {
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/buzz',
             main: 'flat/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/fizz',
-            main: null,
+            main: 'flat/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/buzz',
             main: 'flat/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/fizz',
             main: 'flat/node_modules/@fu/fizz/index.js',
             name: '@fu/fizz',
+            type: 'extraneous',
             version: '1.3.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/bar',
-            main: 'flat/node_modules/bar/index',
+            main: 'flat/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/foo',
             main: 'flat/node_modules/foo/index.js',
             name: 'foo',
+            type: 'extraneous',
             version: '1.1.0'
           }),
           helpers.resolvePackageForFixture({
@@ -299,37 +349,44 @@ describe('pacscan', () => {
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/buzz',
             main: 'flat/node_modules/@baz/buzz/index.js',
+            mainExists: false,
             name: '@baz/buzz',
+            type: 'extraneous',
             version: '1.4.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@baz/fizz',
-            main: null,
+            main: 'flat/node_modules/@baz/fizz/index.js',
             name: '@baz/fizz',
+            type: 'extraneous',
             version: '1.4.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/buzz',
             main: 'flat/node_modules/@fu/buzz/index.js',
             name: '@fu/buzz',
+            type: 'extraneous',
             version: '1.3.2'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/@fu/fizz',
             main: 'flat/node_modules/@fu/fizz/index.js',
             name: '@fu/fizz',
+            type: 'extraneous',
             version: '1.3.1'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/bar',
-            main: 'flat/node_modules/bar/index',
+            main: 'flat/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
             directory: 'flat/node_modules/foo',
             main: 'flat/node_modules/foo/index.js',
             name: 'foo',
+            type: 'extraneous',
             version: '1.1.0'
           }),
           helpers.resolvePackageForFixture({
@@ -350,7 +407,7 @@ describe('pacscan', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'unpackaged/node_modules/foo/node_modules/bar',
-            main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+            main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
             version: '1.2.0'
           }),
@@ -372,7 +429,7 @@ describe('pacscan', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'unpackaged/node_modules/foo/node_modules/bar',
-            main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+            main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
             version: '1.2.0'
           }),
@@ -0,0 +1,177 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:symlinks', () => {
+  const basePackage = () => helpers.resolvePackageForFixture({
+    directory: 'symlinks',
+    main: 'symlinks/index.js',
+    name: 'symlinks',
+    version: '1.0.0'
+  });
+  const fooPackage = () => helpers.resolvePackageForFixture({
+    directory: 'symlinks/node_modules/foo',
+    main: 'symlinks/node_modules/foo/index.js',
+    name: 'foo',
+    type: 'extraneous',
+    version: '1.1.0'
+  });
+  const libraryPackage = () => helpers.resolvePackageForFixture({
+    directory: 'symlinks/node_modules/symlinks-library',
+    isLink: true,
+    main: 'symlinks/node_modules/symlinks-library/index.js',
+    name: 'symlinks-library',
+    realPath: 'symlinks-library',
+    type: 'extraneous',
+    version: '1.2.0'
+  });
+  const libraryDependencyPackage = () => helpers.resolvePackageForFixture({
+    directory: 'symlinks/node_modules/symlinks-library/node_modules/bar',
+    main: null,
+    name: 'bar',
+    realPath: 'symlinks-library/node_modules/bar',
+    type: 'extraneous',
+    version: '1.3.0'
+  });
+
+  before(() => Promise.all([
+    helpers.copyFixture('symlinks'),
+    helpers.copyFixture('symlinks-library')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "symlinks" is not specified', () => {
+      it('should return promise for each unique package, following links', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        return symlinks()
+          .then((packages) => {
+            expect(packages).to.eql([
+              fooPackage(),
+              libraryDependencyPackage(),
+              libraryPackage(),
+              basePackage()
+            ]);
+          });
+      });
+    });
+
+    context('and "symlinks" is "ignore"', () => {
+      it('should return promise for each unique package not reached via links', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        return symlinks({ symlinks: 'ignore' })
+          .then((packages) => {
+            expect(packages).to.eql([
+              fooPackage(),
+              basePackage()
+            ]);
+          });
+      });
+    });
+
+    context('and "symlinks" is "report"', () => {
+      it('should return promise for each unique package, including links without descending into them', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        return symlinks({ symlinks: 'report' })
+          .then((packages) => {
+            expect(packages).to.eql([
+              fooPackage(),
+              libraryPackage(),
+              basePackage()
+            ]);
+          });
+      });
+    });
+
+    context('and "symlinks" is invalid', () => {
+      it('should return promise rejected', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        return symlinks({ symlinks: 'unknown' })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error.message).to.equal('Invalid symlinks mode: unknown');
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "symlinks" is not specified', () => {
+      it('should return each unique package, following links', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        expect(symlinks.sync()).to.eql([
+          fooPackage(),
+          libraryDependencyPackage(),
+          libraryPackage(),
+          basePackage()
+        ]);
+      });
+    });
+
+    context('and "symlinks" is "ignore"', () => {
+      it('should return each unique package not reached via links', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        expect(symlinks.sync({ symlinks: 'ignore' })).to.eql([
+          fooPackage(),
+          basePackage()
+        ]);
+      });
+    });
+
+    context('and "symlinks" is "report"', () => {
+      it('should return each unique package, including links without descending into them', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        expect(symlinks.sync({ symlinks: 'report' })).to.eql([
+          fooPackage(),
+          libraryPackage(),
+          basePackage()
+        ]);
+      });
+    });
+
+    context('and "symlinks" is invalid', () => {
+      it('should throw error', () => {
+        const symlinks = helpers.requireFromFixture('symlinks', 'index.js');
+
+        expect(() => symlinks.sync({ symlinks: 'unknown' })).to.throw(Error, 'Invalid symlinks mode: unknown');
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:tolerant', () => {
+  const expectedPackages = () => [
+    helpers.resolvePackageForFixture({
+      directory: 'tolerant/node_modules/foo',
+      main: null,
+      name: 'foo',
+      version: '1.1.0'
+    })
+  ];
+  const expectedProblems = () => [
+    [ helpers.resolveFixtureFile('tolerant', 'node_modules/bar/package.json'), 'ERR_PACSCAN_MALFORMED_MANIFEST' ],
+    [ helpers.resolveFixtureFile('tolerant', 'node_modules/loop'), 'ERR_PACSCAN_FS' ],
+    [ helpers.resolveFixtureFile('tolerant', 'package.json'), 'ERR_PACSCAN_MALFORMED_MANIFEST' ]
+  ];
+  const getProblems = (packages) => packages.problems.map((problem) => {
+    expect(problem.message).to.contain(problem.code === 'ERR_PACSCAN_FS' ? 'ELOOP' : 'Malformed package.json file');
+
+    return [ problem.path, problem.code ];
+  });
+
+  before(() => helpers.copyFixture('tolerant'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "strict" is disabled', () => {
+      it('should return promise for readable packages with problems', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('tolerant'), strict: false });
+
+        return pacscan(options)
+          .then((packages) => {
+            expect(packages).to.have.lengthOf(1);
+            expect(packages.slice()).to.eql(expectedPackages());
+            expect(getProblems(packages)).to.eql(expectedProblems());
+
+            return pacscan(options);
+          })
+          .then((packages) => {
+            expect(packages.slice()).to.eql(expectedPackages());
+            expect(getProblems(packages)).to.eql(expectedProblems());
+          });
+      });
+    });
+
+    context('and "strict" is enabled', () => {
+      it('should return promise rejected', () => {
+        return pacscan(helpers.createOptions({ path: helpers.getFixtureDirectory('tolerant') }))
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.MalformedManifestError);
+            expect(error.code).to.equal('ERR_PACSCAN_MALFORMED_MANIFEST');
+            expect(error.path).to.equal(helpers.resolveFixtureFile('tolerant', 'package.json'));
+            expect(error.cause).to.be.an.instanceof(SyntaxError);
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and "strict" is disabled', () => {
+      it('should return readable packages with problems', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('tolerant'), strict: false });
+
+        let packages = pacscan.sync(options);
+
+        expect(packages).to.have.lengthOf(1);
+        expect(packages.slice()).to.eql(expectedPackages());
+        expect(getProblems(packages)).to.eql(expectedProblems());
+
+        packages = pacscan.sync(options);
+
+        expect(packages.slice()).to.eql(expectedPackages());
+        expect(getProblems(packages)).to.eql(expectedProblems());
+      });
+    });
+
+    context('and "strict" is enabled', () => {
+      it('should throw error', () => {
+        const options = helpers.createOptions({ path: helpers.getFixtureDirectory('tolerant') });
+
+        expect(() => pacscan.sync(options)).to.throw(pacscan.MalformedManifestError, 'Malformed package.json file');
+      });
+    });
+  });
+});
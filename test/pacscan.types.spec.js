@@ -0,0 +1,206 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:types', () => {
+  const getTypes = (packages) => packages.map((pkg) => [ pkg.name, pkg.type ]);
+  const getOptions = (options) => {
+    return helpers.createOptions(Object.assign({ path: helpers.getFixtureDirectory('types') }, options));
+  };
+  const expectedTypes = () => [
+    [ 'chokidar', 'prod' ],
+    [ 'dev', 'dev' ],
+    [ 'fsevents', 'optional' ],
+    [ 'opt', 'optional' ],
+    [ 'peer', 'peer' ],
+    [ 'plugin', 'prod' ],
+    [ 'prod', 'prod' ],
+    [ 'react', 'peer' ],
+    [ 'shared', 'prod' ],
+    [ 'stray', 'extraneous' ],
+    [ 'tool', 'dev' ],
+    [ 'types', 'prod' ]
+  ];
+
+  before(() => helpers.copyFixture('types'));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return promise for packages with types based on how they are depended on', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        return types()
+          .then((packages) => {
+            expect(getTypes(packages)).to.eql(expectedTypes());
+          });
+      });
+    });
+
+    context('and "dev" is disabled', () => {
+      it('should return promise for packages only reachable via dev dependencies as extraneous', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        return types({ dev: false })
+          .then((packages) => {
+            expect(getTypes(packages)).to.eql([
+              [ 'chokidar', 'prod' ],
+              [ 'dev', 'extraneous' ],
+              [ 'fsevents', 'optional' ],
+              [ 'opt', 'optional' ],
+              [ 'peer', 'peer' ],
+              [ 'plugin', 'prod' ],
+              [ 'prod', 'prod' ],
+              [ 'react', 'peer' ],
+              [ 'shared', 'prod' ],
+              [ 'stray', 'extraneous' ],
+              [ 'tool', 'extraneous' ],
+              [ 'types', 'prod' ]
+            ]);
+          });
+      });
+    });
+
+    context('and "types" is specified', () => {
+      it('should return promise for packages of those types only', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        return types({ types: [ 'dev', 'extraneous' ] })
+          .then((packages) => {
+            expect(getTypes(packages)).to.eql([ [ 'dev', 'dev' ], [ 'stray', 'extraneous' ], [ 'tool', 'dev' ] ]);
+          });
+      });
+
+      it('should return promise for license report of packages of those types only', () => {
+        return pacscan.licenses(getOptions({ types: [ 'dev', 'extraneous' ] }))
+          .then((result) => {
+            expect(result.packages.map((pkg) => pkg.name)).to.eql([ 'dev', 'stray', 'tool' ]);
+          });
+      });
+
+      it('should return promise for validation result for dependencies of packages of those types only', () => {
+        return pacscan.validate(getOptions({ types: [ 'dev', 'extraneous' ] }))
+          .then((result) => {
+            expect(result.packages.map((pkg) => [ pkg.package.name, pkg.dependencies.map((dep) => dep.name) ])).to.eql([
+              [ 'dev', [ 'tool' ] ],
+              [ 'stray', [] ],
+              [ 'tool', [] ]
+            ]);
+            expect(result.summary).to.eql({ exitCode: 0, invalid: 0, missing: 0, ok: 1 });
+          });
+      });
+
+      it('should return promise for explanations of packages of those types only', () => {
+        return Promise.all([
+          pacscan.why('shared', getOptions({ types: [ 'dev' ] })),
+          pacscan.why('shared', getOptions({ types: [ 'prod' ] }))
+        ])
+          .then((results) => {
+            expect(results[0]).to.eql([]);
+            expect(results[1].map((result) => result.package.name)).to.eql([ 'shared' ]);
+          });
+      });
+
+      it('should return promise for graph containing packages of all types', () => {
+        return pacscan.tree(getOptions({ types: [ 'dev' ] }))
+          .then((result) => {
+            expect(getTypes(result.nodes)).to.eql(expectedTypes());
+          });
+      });
+    });
+
+    context('and "types" is invalid', () => {
+      it('should return promise rejected with error', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        return types({ types: [ 'prod', 'unknown' ] })
+          .then(() => {
+            throw new Error('Expected promise to be rejected');
+          })
+          .catch((error) => {
+            expect(error).to.be.an.instanceof(pacscan.InvalidOptionError);
+            expect(error.message).to.equal('Invalid type: unknown');
+          });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within base package', () => {
+      it('should return packages with types based on how they are depended on', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        expect(getTypes(types.sync())).to.eql(expectedTypes());
+      });
+    });
+
+    context('and "types" is specified', () => {
+      it('should return packages of those types only', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        expect(getTypes(types.sync({ types: [ 'optional', 'peer' ] }))).to.eql([
+          [ 'fsevents', 'optional' ],
+          [ 'opt', 'optional' ],
+          [ 'peer', 'peer' ],
+          [ 'react', 'peer' ]
+        ]);
+      });
+
+      it('should return license report of packages of those types only', () => {
+        const result = pacscan.licensesSync(getOptions({ types: [ 'prod' ] }));
+
+        expect(result.packages.map((pkg) => pkg.name)).to.eql([ 'chokidar', 'plugin', 'prod', 'shared', 'types' ]);
+      });
+
+      it('should return validation result for dependencies of packages of those types only', () => {
+        const result = pacscan.validateSync(getOptions({ types: [ 'optional', 'peer' ] }));
+
+        expect(result.packages.map((pkg) => pkg.package.name)).to.eql([ 'fsevents', 'opt', 'peer', 'react' ]);
+        expect(result.summary).to.eql({ exitCode: 0, invalid: 0, missing: 0, ok: 0 });
+      });
+
+      it('should return explanations of packages of those types only', () => {
+        expect(pacscan.whySync('tool', getOptions({ types: [ 'prod' ] }))).to.eql([]);
+        expect(pacscan.whySync('tool', getOptions({ types: [ 'dev' ] })).map((result) => result.package.name)).to.eql([
+          'tool'
+        ]);
+      });
+    });
+
+    context('and "types" is invalid', () => {
+      it('should throw error', () => {
+        const types = helpers.requireFromFixture('types', 'index.js');
+
+        expect(() => types.sync({ types: [ 'unknown' ] })).to.throw(pacscan.InvalidOptionError,
+          'Invalid type: unknown');
+      });
+    });
+  });
+});
@@ -42,7 +42,7 @@ describe('pacscan:fixture:unpackaged', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
                 version: '1.2.0'
               }),
@@ -65,7 +65,7 @@ describe('pacscan:fixture:unpackaged', () => {
               expect(packages).to.eql([
                 helpers.resolvePackageForFixture({
                   directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                  main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                  main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
                   version: '1.2.0'
                 }),
@@ -90,8 +90,9 @@ describe('pacscan:fixture:unpackaged', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
+                type: 'extraneous',
                 version: '1.2.0'
               }),
               helpers.resolvePackageForFixture({
@@ -113,8 +114,9 @@ describe('pacscan:fixture:unpackaged', () => {
               expect(packages).to.eql([
                 helpers.resolvePackageForFixture({
                   directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                  main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                  main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -138,7 +140,7 @@ describe('pacscan:fixture:unpackaged', () => {
             expect(packages).to.eql([
               helpers.resolvePackageForFixture({
                 directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                 name: 'bar',
                 version: '1.2.0'
               })
@@ -155,8 +157,9 @@ describe('pacscan:fixture:unpackaged', () => {
               expect(packages).to.eql([
                 helpers.resolvePackageForFixture({
                   directory: 'unpackaged/node_modules/foo/node_modules/bar',
-                  main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+                  main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
                   name: 'bar',
+                  type: 'extraneous',
                   version: '1.2.0'
                 }),
                 helpers.resolvePackageForFixture({
@@ -183,7 +186,7 @@ describe('pacscan:fixture:unpackaged', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'unpackaged/node_modules/foo/node_modules/bar',
-            main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+            main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
             version: '1.2.0'
           }),
@@ -204,7 +207,7 @@ describe('pacscan:fixture:unpackaged', () => {
           expect(packages).to.eql([
             helpers.resolvePackageForFixture({
               directory: 'unpackaged/node_modules/foo/node_modules/bar',
-              main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+              main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
               version: '1.2.0'
             }),
@@ -227,8 +230,9 @@ describe('pacscan:fixture:unpackaged', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'unpackaged/node_modules/foo/node_modules/bar',
-            main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+            main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
+            type: 'extraneous',
             version: '1.2.0'
           }),
           helpers.resolvePackageForFixture({
@@ -248,8 +252,9 @@ describe('pacscan:fixture:unpackaged', () => {
           expect(packages).to.eql([
             helpers.resolvePackageForFixture({
               directory: 'unpackaged/node_modules/foo/node_modules/bar',
-              main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+              main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
@@ -271,7 +276,7 @@ describe('pacscan:fixture:unpackaged', () => {
         expect(packages).to.eql([
           helpers.resolvePackageForFixture({
             directory: 'unpackaged/node_modules/foo/node_modules/bar',
-            main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+            main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
             name: 'bar',
             version: '1.2.0'
           })
@@ -286,8 +291,9 @@ describe('pacscan:fixture:unpackaged', () => {
           expect(packages).to.eql([
             helpers.resolvePackageForFixture({
               directory: 'unpackaged/node_modules/foo/node_modules/bar',
-              main: 'unpackaged/node_modules/foo/node_modules/bar/index',
+              main: 'unpackaged/node_modules/foo/node_modules/bar/index.js',
               name: 'bar',
+              type: 'extraneous',
               version: '1.2.0'
             }),
             helpers.resolvePackageForFixture({
@@ -0,0 +1,336 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const helpers = require('./helpers');
+const pacscan = require('../src/pacscan');
+
+describe('pacscan:fixture:workspaces', () => {
+  const allPackages = () => [
+    helpers.resolvePackageForFixture({
+      directory: 'workspaces/node_modules/foo',
+      main: 'workspaces/node_modules/foo/index.js',
+      name: 'foo',
+      version: '1.3.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'workspaces',
+      main: 'workspaces/index.js',
+      name: 'workspaces',
+      version: '1.0.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'workspaces/packages/alpha',
+      main: 'workspaces/packages/alpha/index.js',
+      name: 'alpha',
+      version: '1.1.0',
+      workspace: true
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'workspaces/packages/beta/node_modules/bar',
+      main: null,
+      name: 'bar',
+      type: 'extraneous',
+      version: '1.4.0'
+    }),
+    helpers.resolvePackageForFixture({
+      directory: 'workspaces/packages/beta',
+      main: null,
+      name: '@workspaces/beta',
+      version: '1.2.0',
+      workspace: true
+    })
+  ];
+
+  before(() => Promise.all([
+    helpers.copyFixture('workspaces'),
+    helpers.copyFixture('workspaces-object')
+  ]));
+
+  context('when asynchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within workspace root', () => {
+      it('should return promise for workspace root, its workspace packages, and their dependencies', () => {
+        const workspaces = helpers.requireFromFixture('workspaces', 'index.js');
+
+        return workspaces()
+          .then((packages) => {
+            expect(packages).to.eql(allPackages());
+          });
+      });
+
+      context('and "workspaces" is disabled', () => {
+        it('should return promise for workspace root and its dependencies only', () => {
+          const workspaces = helpers.requireFromFixture('workspaces', 'index.js');
+
+          return workspaces({ workspaces: false })
+            .then((packages) => {
+              expect(packages.map((pkg) => pkg.directory)).to.eql([
+                helpers.resolveFixtureFile('workspaces', 'node_modules/@workspaces/beta/node_modules/bar'),
+                helpers.resolveFixtureFile('workspaces', 'node_modules/@workspaces/beta'),
+                helpers.resolveFixtureFile('workspaces', 'node_modules/alpha'),
+                helpers.resolveFixtureFile('workspaces', 'node_modules/foo'),
+                helpers.resolveFixtureFile('workspaces', '.')
+              ]);
+              expect(packages.filter((pkg) => pkg.workspace)).to.be.empty;
+            });
+        });
+      });
+    });
+
+    context('and called from within workspace package', () => {
+      it('should return promise for workspace package only', () => {
+        const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+
+        return alpha()
+          .then((packages) => {
+            expect(packages).to.eql([
+              helpers.resolvePackageForFixture({
+                directory: 'workspaces/packages/alpha',
+                main: 'workspaces/packages/alpha/index.js',
+                name: 'alpha',
+                version: '1.1.0'
+              })
+            ]);
+          });
+      });
+
+      context('and "includeParents" is enabled', () => {
+        it('should return promise for workspace root, its workspace packages, and their dependencies', () => {
+          const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+
+          return alpha({ includeParents: true })
+            .then((packages) => {
+              expect(packages).to.eql(allPackages());
+            });
+        });
+
+        context('and "workspaces" is disabled', () => {
+          it('should return promise for workspace package only', () => {
+            const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+
+            return alpha({ includeParents: true, workspaces: false })
+              .then((packages) => {
+                expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+              });
+          });
+
+          it('should not reuse base directory found while enabled or disabled', () => {
+            const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+
+            return alpha({ includeParents: true })
+              .then(() => alpha({ includeParents: true, workspaces: false }))
+              .then((packages) => {
+                expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+
+                return alpha({ includeParents: true });
+              })
+              .then((packages) => {
+                expect(packages).to.eql(allPackages());
+              });
+          });
+        });
+      });
+    });
+
+    context('and called from within package outside of workspaces', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return promise for package only', () => {
+          const gamma = helpers.requireFromFixture('workspaces', 'tools/gamma/index.js');
+
+          return gamma({ includeParents: true })
+            .then((packages) => {
+              expect(packages).to.eql([
+                helpers.resolvePackageForFixture({
+                  directory: 'workspaces/tools/gamma',
+                  main: 'workspaces/tools/gamma/index.js',
+                  name: 'gamma',
+                  version: '1.5.0'
+                })
+              ]);
+            });
+        });
+      });
+    });
+
+    context('and workspaces are declared using object form', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return promise for workspace root and its workspace packages', () => {
+          const delta = helpers.requireFromFixture('workspaces-object', 'packages/delta/index.js');
+
+          return delta({ includeParents: true })
+            .then((packages) => {
+              expect(packages).to.eql([
+                helpers.resolvePackageForFixture({
+                  directory: 'workspaces-object',
+                  main: null,
+                  name: 'workspaces-object',
+                  version: '1.0.0'
+                }),
+                helpers.resolvePackageForFixture({
+                  directory: 'workspaces-object/packages/delta',
+                  main: 'workspaces-object/packages/delta/index.js',
+                  name: 'delta',
+                  version: '1.6.0',
+                  workspace: true
+                })
+              ]);
+            });
+        });
+      });
+    });
+  });
+
+  context('when synchronous', () => {
+    beforeEach(() => pacscan.clearCache());
+
+    context('and called from within workspace root', () => {
+      it('should return workspace root, its workspace packages, and their dependencies', () => {
+        const workspaces = helpers.requireFromFixture('workspaces', 'index.js');
+        const packages = workspaces.sync();
+
+        expect(packages).to.eql(allPackages());
+      });
+
+      context('and "workspaces" is disabled', () => {
+        it('should return workspace root and its dependencies only', () => {
+          const workspaces = helpers.requireFromFixture('workspaces', 'index.js');
+          const packages = workspaces.sync({ workspaces: false });
+
+          expect(packages.map((pkg) => pkg.directory)).to.eql([
+            helpers.resolveFixtureFile('workspaces', 'node_modules/@workspaces/beta/node_modules/bar'),
+            helpers.resolveFixtureFile('workspaces', 'node_modules/@workspaces/beta'),
+            helpers.resolveFixtureFile('workspaces', 'node_modules/alpha'),
+            helpers.resolveFixtureFile('workspaces', 'node_modules/foo'),
+            helpers.resolveFixtureFile('workspaces', '.')
+          ]);
+          expect(packages.filter((pkg) => pkg.workspace)).to.be.empty;
+        });
+      });
+    });
+
+    context('and called from within workspace package', () => {
+      it('should return workspace package only', () => {
+        const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+        const packages = alpha.sync();
+
+        expect(packages).to.eql([
+          helpers.resolvePackageForFixture({
+            directory: 'workspaces/packages/alpha',
+            main: 'workspaces/packages/alpha/index.js',
+            name: 'alpha',
+            version: '1.1.0'
+          })
+        ]);
+      });
+
+      context('and "includeParents" is enabled', () => {
+        it('should return workspace root, its workspace packages, and their dependencies', () => {
+          const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+          const packages = alpha.sync({ includeParents: true });
+
+          expect(packages).to.eql(allPackages());
+        });
+
+        context('and "workspaces" is disabled', () => {
+          it('should return workspace package only', () => {
+            const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+            const packages = alpha.sync({ includeParents: true, workspaces: false });
+
+            expect(packages.map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+          });
+
+          it('should not reuse base directory found while disabled or enabled', () => {
+            const alpha = helpers.requireFromFixture('workspaces', 'packages/alpha/index.js');
+
+            expect(alpha.sync({ includeParents: true, workspaces: false }).map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+            expect(alpha.sync({ includeParents: true })).to.eql(allPackages());
+            expect(alpha.sync({ includeParents: true, workspaces: false }).map((pkg) => pkg.name)).to.eql([ 'alpha' ]);
+          });
+        });
+      });
+    });
+
+    context('and called from within package outside of workspaces', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return package only', () => {
+          const gamma = helpers.requireFromFixture('workspaces', 'tools/gamma/index.js');
+          const packages = gamma.sync({ includeParents: true });
+
+          expect(packages).to.eql([
+            helpers.resolvePackageForFixture({
+              directory: 'workspaces/tools/gamma',
+              main: 'workspaces/tools/gamma/index.js',
+              name: 'gamma',
+              version: '1.5.0'
+            })
+          ]);
+        });
+      });
+    });
+
+    context('and workspaces are declared using object form', () => {
+      context('and "includeParents" is enabled', () => {
+        it('should return workspace root and its workspace packages', () => {
+          const delta = helpers.requireFromFixture('workspaces-object', 'packages/delta/index.js');
+          const packages = delta.sync({ includeParents: true });
+
+          expect(packages).to.eql([
+            helpers.resolvePackageForFixture({
+              directory: 'workspaces-object',
+              main: null,
+              name: 'workspaces-object',
+              version: '1.0.0'
+            }),
+            helpers.resolvePackageForFixture({
+              directory: 'workspaces-object/packages/delta',
+              main: 'workspaces-object/packages/delta/index.js',
+              name: 'delta',
+              version: '1.6.0',
+              workspace: true
+            })
+          ]);
+        });
+      });
+    });
+
+    context('and dependency graph is requested', () => {
+      it('should resolve dependencies on workspace packages via their links', () => {
+        const dirPath = helpers.getFixtureDirectory('workspaces');
+        const result = pacscan.treeSync(helpers.createOptions({ path: dirPath }));
+        const alphaIndex = result.nodes.findIndex((pkg) => pkg.name === 'alpha');
+
+        expect(result.edges.map((edge) => [ result.nodes[edge.from].name, edge.name, result.nodes[edge.to].directory ]))
+          .to.eql([
+            [ 'alpha', '@workspaces/beta', helpers.resolveFixtureFile('workspaces', 'packages/beta') ],
+            [ 'alpha', 'foo', helpers.resolveFixtureFile('workspaces', 'node_modules/foo') ]
+          ]);
+        expect(result.edges[0].from).to.equal(alphaIndex);
+        expect(result.extraneous.map((nodeIndex) => result.nodes[nodeIndex].name)).to.eql([ 'bar' ]);
+      });
+    });
+  });
+});
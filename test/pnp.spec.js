@@ -0,0 +1,146 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const path = require('path');
+
+const errors = require('../src/errors');
+const pnp = require('../src/pnp');
+
+describe('pnp', () => {
+  describe('.getPackageLocations', () => {
+    it('should return location for each unique package', () => {
+      const dirPath = path.resolve('/project');
+      const virtualPath = './.yarn/__virtual__/foo-virtual-abc/0/cache/foo-npm-1.0.0.zip/node_modules/foo/';
+      const state = {
+        packageRegistryData: [
+          [ null, [ [ null, { packageLocation: './' } ] ] ],
+          [ 'foo', [
+            [ 'npm:1.0.0', { packageLocation: './.yarn/cache/foo-npm-1.0.0.zip/node_modules/foo/' } ],
+            [ 'virtual:abc#npm:1.0.0', { packageLocation: virtualPath } ]
+          ] ],
+          [ 'bar', [ [ 'workspace:packages/bar', { packageLocation: './packages/bar/' } ] ] ],
+          [ 'project', [ [ 'workspace:.', { packageLocation: './' } ] ] ]
+        ]
+      };
+
+      expect(pnp.getPackageLocations(state, dirPath)).to.eql([
+        { directory: dirPath, resolutions: {}, workspace: false },
+        {
+          directory: path.join(dirPath, '.yarn/cache/foo-npm-1.0.0.zip/node_modules/foo'),
+          resolutions: {},
+          workspace: false
+        },
+        { directory: path.join(dirPath, 'packages/bar'), resolutions: {}, workspace: true }
+      ]);
+    });
+
+    it('should resolve dependencies of each package to their directories', () => {
+      const dirPath = path.resolve('/project');
+      const fooPath = './.yarn/cache/foo-npm-1.0.0.zip/node_modules/foo/';
+      const state = {
+        packageRegistryData: [
+          [ 'foo', [
+            [ 'npm:1.0.0', { packageLocation: fooPath, packageDependencies: [ [ 'foo', 'npm:1.0.0' ] ] } ]
+          ] ],
+          [ 'project', [
+            [ 'workspace:.', {
+              packageLocation: './',
+              packageDependencies: [
+                [ 'alias', [ 'foo', 'npm:1.0.0' ] ],
+                [ 'foo', 'npm:1.0.0' ],
+                [ 'missing', null ]
+              ]
+            } ]
+          ] ]
+        ]
+      };
+      const locations = pnp.getPackageLocations(state, dirPath);
+      const fooDirPath = path.resolve(dirPath, fooPath);
+
+      expect(locations.map((location) => location.resolutions)).to.eql([
+        { foo: fooDirPath },
+        { alias: fooDirPath, foo: fooDirPath, missing: null }
+      ]);
+    });
+  });
+
+  describe('.parseState', () => {
+    context('when file is JSON', () => {
+      it('should return parsed contents', () => {
+        expect(pnp.parseState('.pnp.data.json', '{"packageRegistryData":[]}')).to.eql({ packageRegistryData: [] });
+      });
+    });
+
+    context('when file is script containing inlined state', () => {
+      it('should return parsed state', () => {
+        const contents = 'const RAW_RUNTIME_STATE =\n\'{\\\n  "foo": "it\\\'s \\\\"quoted\\\\""\\\n}\';\n';
+
+        expect(pnp.parseState('.pnp.cjs', contents)).to.eql({ foo: 'it\'s "quoted"' });
+      });
+    });
+
+    context('when file is script not containing inlined state', () => {
+      it('should throw error', () => {
+        expect(() => pnp.parseState('.pnp.cjs', 'module.exports = {};')).to.throw(errors.MalformedPnpStateError,
+          'Could not find PnP runtime state within file: .pnp.cjs');
+      });
+    });
+
+    context('when file contains malformed state', () => {
+      it('should throw error', () => {
+        let error;
+        try {
+          pnp.parseState('.pnp.data.json', '{');
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(errors.MalformedPnpStateError);
+        expect(error.code).to.equal('ERR_PACSCAN_MALFORMED_PNP_STATE');
+        expect(error.path).to.equal('.pnp.data.json');
+        expect(error.cause).to.be.an.instanceof(SyntaxError);
+      });
+    });
+  });
+
+  describe('.resolveVirtualPath', () => {
+    context('when path is virtual', () => {
+      it('should return path to package wrapped by virtual package', () => {
+        const filePath = path.resolve('/project/.yarn/__virtual__/foo-virtual-abc/1/.yarn/cache/foo.zip/node_modules');
+        const expected = path.resolve('/project/.yarn/cache/foo.zip/node_modules');
+
+        expect(pnp.resolveVirtualPath(filePath)).to.equal(expected);
+      });
+    });
+
+    context('when path is not virtual', () => {
+      it('should return path', () => {
+        const filePath = path.resolve('/project/.yarn/cache/foo.zip/node_modules/foo');
+
+        expect(pnp.resolveVirtualPath(filePath)).to.equal(filePath);
+      });
+    });
+  });
+});
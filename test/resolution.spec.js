@@ -0,0 +1,361 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+const path = require('path');
+
+const resolution = require('../src/resolution');
+
+describe('resolution', () => {
+  const dirPath = path.resolve('/project/node_modules/foo');
+  const resolveFile = (fileName) => path.join(dirPath, fileName);
+
+  describe('.getMainCandidates', () => {
+    it('should return files and index files tried for main field followed by index files of package', () => {
+      expect(resolution.getMainCandidates(dirPath, { main: 'lib/foo' })).to.eql([
+        'lib/foo',
+        'lib/foo.js',
+        'lib/foo.json',
+        'lib/foo.node',
+        'lib/foo/index.js',
+        'lib/foo/index.json',
+        'lib/foo/index.node',
+        'index.js',
+        'index.json',
+        'index.node'
+      ].map(resolveFile));
+    });
+
+    context('when main field is missing', () => {
+      it('should return index files of package', () => {
+        expect(resolution.getMainCandidates(dirPath, {})).to.eql([ 'index.js', 'index.json', 'index.node' ]
+          .map(resolveFile));
+      });
+    });
+  });
+
+  describe('.getModuleFormat', () => {
+    it('should be based on extension of main file', () => {
+      expect(resolution.getModuleFormat({}, resolveFile('index.js'), null)).to.equal('cjs');
+      expect(resolution.getModuleFormat({}, resolveFile('index.cjs'), null)).to.equal('cjs');
+      expect(resolution.getModuleFormat({}, resolveFile('index.mjs'), null)).to.equal('esm');
+    });
+
+    it('should treat ".js" files as ES modules when package has "module" type', () => {
+      const manifest = { type: 'module' };
+
+      expect(resolution.getModuleFormat(manifest, resolveFile('index.js'), null)).to.equal('esm');
+      expect(resolution.getModuleFormat(manifest, resolveFile('index.cjs'), null)).to.equal('cjs');
+    });
+
+    it('should be dual when "module" is declared alongside CommonJS main file', () => {
+      const manifest = { module: 'index.mjs' };
+
+      expect(resolution.getModuleFormat(manifest, resolveFile('index.js'), null)).to.equal('dual');
+      expect(resolution.getModuleFormat({ module: '' }, resolveFile('index.js'), null)).to.equal('cjs');
+    });
+
+    it('should be based on exports instead of main file when present', () => {
+      const exportsMap = {
+        '.': { import: resolveFile('index.mjs'), require: resolveFile('index.cjs') },
+        './esm-only': { import: resolveFile('esm-only.mjs') }
+      };
+
+      expect(resolution.getModuleFormat({}, resolveFile('index.js'), exportsMap)).to.equal('dual');
+      expect(resolution.getModuleFormat({}, resolveFile('index.js'), { '.': exportsMap['.'].import }))
+        .to.equal('esm');
+      expect(resolution.getModuleFormat({ type: 'module' }, null, { '.': resolveFile('index.js') })).to.equal('esm');
+    });
+
+    it('should return null when there are no JavaScript entry points', () => {
+      expect(resolution.getModuleFormat({}, null, null)).to.equal(null);
+      expect(resolution.getModuleFormat({}, resolveFile('index.json'), null)).to.equal(null);
+      expect(resolution.getModuleFormat({}, null, { './package.json': resolveFile('package.json') })).to.equal(null);
+    });
+  });
+
+  describe('.listExports', () => {
+    const exportsMap = {
+      '.': { import: resolveFile('index.mjs'), require: resolveFile('index.cjs') },
+      './feature': { import: resolveFile('feature.mjs') },
+      './features/*': resolveFile('features/*.js'),
+      './internal/*': null
+    };
+
+    it('should list each subpath which resolves under conditions used by require', () => {
+      expect(resolution.listExports(exportsMap)).to.eql([
+        { path: resolveFile('index.cjs'), subpath: '.' },
+        { path: resolveFile('features/*.js'), subpath: './features/*' }
+      ]);
+    });
+
+    context('when conditions are specified', () => {
+      it('should list each subpath which resolves under conditions', () => {
+        expect(resolution.listExports(exportsMap, [ 'import' ])).to.eql([
+          { path: resolveFile('index.mjs'), subpath: '.' },
+          { path: resolveFile('feature.mjs'), subpath: './feature' },
+          { path: resolveFile('features/*.js'), subpath: './features/*' }
+        ]);
+      });
+    });
+
+    context('when exports map is null', () => {
+      it('should return empty array', () => {
+        expect(resolution.listExports(null)).to.eql([]);
+      });
+    });
+  });
+
+  describe('.normalizeExports', () => {
+    it('should resolve paths within each subpath', () => {
+      const manifest = {
+        exports: {
+          '.': { import: './index.mjs', require: [ './index.cjs', './index.js' ] },
+          './feature': './lib/feature.js',
+          './features/*': './lib/features/*.js',
+          './internal/*': null,
+          'ignored': './ignored.js'
+        }
+      };
+
+      expect(resolution.normalizeExports(dirPath, manifest)).to.eql({
+        '.': { import: resolveFile('index.mjs'), require: [ resolveFile('index.cjs'), resolveFile('index.js') ] },
+        './feature': resolveFile('lib/feature.js'),
+        './features/*': resolveFile('lib/features/*.js'),
+        './internal/*': null
+      });
+    });
+
+    context('when exports field is entry point only', () => {
+      it('should treat it as target for "." subpath', () => {
+        [
+          [ './index.js', resolveFile('index.js') ],
+          [ [ './index.js' ], [ resolveFile('index.js') ] ],
+          [
+            { default: './index.js', types: './index.d.ts' },
+            { default: resolveFile('index.js'), types: resolveFile('index.d.ts') }
+          ]
+        ].forEach((value) => {
+          expect(resolution.normalizeExports(dirPath, { exports: value[0] })).to.eql({ '.': value[1] });
+        });
+      });
+    });
+
+    context('when target cannot be resolved by Node', () => {
+      it('should replace it with null', () => {
+        const manifest = {
+          exports: {
+            './absolute': '/index.js',
+            './number': 123,
+            './outside': './lib/../../bar/index.js',
+            './package': 'bar',
+            './vendor': './node_modules/bar/index.js'
+          }
+        };
+
+        expect(resolution.normalizeExports(dirPath, manifest)).to.eql({
+          './absolute': null,
+          './number': null,
+          './outside': null,
+          './package': null,
+          './vendor': null
+        });
+      });
+    });
+
+    context('when exports field is missing', () => {
+      it('should return null', () => {
+        expect(resolution.normalizeExports(dirPath, {})).to.be.null;
+      });
+    });
+  });
+
+  describe('.resolveExport', () => {
+    const exportsMap = {
+      '.': {
+        types: resolveFile('index.d.ts'),
+        node: { import: resolveFile('node.mjs'), require: resolveFile('node.cjs') },
+        default: resolveFile('index.js')
+      },
+      './data/*.json': resolveFile('data/*.json'),
+      './data/*': resolveFile('data/*.js'),
+      './fallback': [ null, resolveFile('fallback.js') ],
+      './features/*': resolveFile('features/*.js'),
+      './features/*.json': resolveFile('data/*.json'),
+      './features/internal/*': null,
+      './invalid/**': resolveFile('invalid.js'),
+      './missing': [ null ],
+      './nested': { node: { import: resolveFile('nested.mjs') }, default: resolveFile('nested.js') },
+      './styles/*/index.css': { style: resolveFile('styles/*/*.css') }
+    };
+
+    it('should resolve entry point under conditions used by require', () => {
+      expect(resolution.resolveExport(exportsMap, '.')).to.equal(resolveFile('node.cjs'));
+    });
+
+    context('when conditions are specified', () => {
+      it('should match conditions in order in which they are declared', () => {
+        [
+          [ [ 'import', 'node' ], resolveFile('node.mjs') ],
+          [ [ 'import', 'types' ], resolveFile('index.d.ts') ],
+          [ [ 'browser' ], resolveFile('index.js') ],
+          [ [], resolveFile('index.js') ]
+        ].forEach((value) => {
+          expect(resolution.resolveExport(exportsMap, '.', value[0])).to.equal(value[1]);
+        });
+      });
+
+      context('and nested conditions do not match', () => {
+        it('should continue to match conditions which follow', () => {
+          expect(resolution.resolveExport(exportsMap, './nested')).to.equal(resolveFile('nested.js'));
+          expect(resolution.resolveExport(exportsMap, './nested', [ 'node', 'import' ]))
+            .to.equal(resolveFile('nested.mjs'));
+        });
+      });
+    });
+
+    context('when subpath matches pattern', () => {
+      it('should replace each "*" within target with matched part of subpath', () => {
+        [
+          [ './features/foo', resolveFile('features/foo.js') ],
+          [ './features/foo/bar', resolveFile('features/foo/bar.js') ],
+          [ './features/foo.json', resolveFile('data/foo.json') ],
+          [ './data/foo.json', resolveFile('data/foo.json') ],
+          [ './data/foo', resolveFile('data/foo.js') ]
+        ].forEach((value) => {
+          expect(resolution.resolveExport(exportsMap, value[0])).to.equal(value[1]);
+        });
+
+        expect(resolution.resolveExport(exportsMap, './styles/dark/index.css', [ 'style' ]))
+          .to.equal(resolveFile('styles/dark/dark.css'));
+      });
+
+      context('and another pattern with longer prefix matches', () => {
+        it('should use pattern with longer prefix', () => {
+          expect(resolution.resolveExport(exportsMap, './features/internal/foo')).to.be.null;
+        });
+      });
+
+      context('and matched part contains invalid segment', () => {
+        it('should return null', () => {
+          expect(resolution.resolveExport(exportsMap, './features/../index')).to.be.null;
+        });
+      });
+    });
+
+    context('when target is array', () => {
+      it('should resolve first target which resolves', () => {
+        expect(resolution.resolveExport(exportsMap, './fallback')).to.equal(resolveFile('fallback.js'));
+        expect(resolution.resolveExport(exportsMap, './missing')).to.be.null;
+      });
+    });
+
+    context('when subpath is not exported', () => {
+      it('should return null', () => {
+        [ './unknown', './features/', './invalid/foo', './styles/dark/index.css' ].forEach((subpath) => {
+          expect(resolution.resolveExport(exportsMap, subpath)).to.be.null;
+        });
+      });
+    });
+
+    context('when exports map is null', () => {
+      it('should return null', () => {
+        expect(resolution.resolveExport(null, '.')).to.be.null;
+      });
+    });
+  });
+
+  describe('.resolveMain', () => {
+    const createIsFile = (fileNames) => (filePath) => fileNames.indexOf(path.relative(dirPath, filePath)) >= 0;
+
+    it('should resolve main file', () => {
+      const result = resolution.resolveMain(dirPath, { main: 'lib/foo.js' }, createIsFile([ 'lib/foo.js' ]));
+
+      expect(result).to.eql({ exists: true, path: resolveFile('lib/foo.js') });
+    });
+
+    context('when main file has no extension', () => {
+      it('should try each extension in order', () => {
+        [
+          [ [ 'lib/foo', 'lib/foo.js' ], 'lib/foo' ],
+          [ [ 'lib/foo.js', 'lib/foo.json' ], 'lib/foo.js' ],
+          [ [ 'lib/foo.json', 'lib/foo.node' ], 'lib/foo.json' ],
+          [ [ 'lib/foo.node', 'index.js' ], 'lib/foo.node' ]
+        ].forEach((value) => {
+          const result = resolution.resolveMain(dirPath, { main: './lib/foo' }, createIsFile(value[0]));
+
+          expect(result).to.eql({ exists: true, path: resolveFile(value[1]) });
+        });
+      });
+    });
+
+    context('when main file is directory', () => {
+      it('should resolve index file within directory', () => {
+        [
+          [ [ 'lib/index.js', 'lib/index.json' ], 'lib/index.js' ],
+          [ [ 'lib/index.json', 'index.js' ], 'lib/index.json' ],
+          [ [ 'lib/index.node' ], 'lib/index.node' ]
+        ].forEach((value) => {
+          const result = resolution.resolveMain(dirPath, { main: 'lib' }, createIsFile(value[0]));
+
+          expect(result).to.eql({ exists: true, path: resolveFile(value[1]) });
+        });
+      });
+    });
+
+    context('when main file does not exist', () => {
+      it('should resolve index file within package directory', () => {
+        const result = resolution.resolveMain(dirPath, { main: 'missing.js' }, createIsFile([ 'index.json' ]));
+
+        expect(result).to.eql({ exists: true, path: resolveFile('index.json') });
+      });
+
+      context('and package directory has no index file', () => {
+        it('should return path derived from main field which does not exist', () => {
+          const result = resolution.resolveMain(dirPath, { main: 'missing.js' }, createIsFile([]));
+
+          expect(result).to.eql({ exists: false, path: resolveFile('missing.js') });
+        });
+      });
+    });
+
+    context('when main field is missing', () => {
+      it('should resolve index file within package directory', () => {
+        [ {}, { main: '' }, { main: 123 } ].forEach((manifest) => {
+          const result = resolution.resolveMain(dirPath, manifest, createIsFile([ 'index.node' ]));
+
+          expect(result).to.eql({ exists: true, path: resolveFile('index.node') });
+        });
+      });
+
+      context('and package directory has no index file', () => {
+        it('should return null path which does not exist', () => {
+          expect(resolution.resolveMain(dirPath, {}, createIsFile([ 'lib/index.js' ]))).to.eql({
+            exists: false,
+            path: null
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+'use strict';
+
+const expect = require('chai').expect;
+
+const validation = require('../src/validation');
+
+describe('validation', () => {
+  describe('.validate', () => {
+    const createTree = (range, version, type) => ({
+      edges: [ { from: 0, name: 'foo', range, to: version != null ? 1 : null, type: type || 'prod' } ],
+      nodes: [
+        { directory: '/project', name: 'project', version: '1.0.0' },
+        { directory: '/project/node_modules/foo', name: 'foo', version }
+      ],
+      root: 0
+    });
+    const getStatus = (range, version, type) => {
+      return validation.validate(createTree(range, version, type)).packages[0].dependencies[0].status;
+    };
+
+    it('should group dependencies by package and summarize them', () => {
+      const tree = createTree('^1.0.0', '1.2.0');
+      const result = validation.validate(tree);
+
+      expect(result).to.eql({
+        packages: [
+          {
+            dependencies: [
+              {
+                directory: '/project/node_modules/foo',
+                name: 'foo',
+                range: '^1.0.0',
+                status: 'ok',
+                type: 'prod',
+                version: '1.2.0'
+              }
+            ],
+            package: tree.nodes[0]
+          },
+          { dependencies: [], package: tree.nodes[1] }
+        ],
+        peers: [],
+        summary: { exitCode: 0, invalid: 0, missing: 0, ok: 1 }
+      });
+    });
+
+    context('when filter is specified', () => {
+      it('should only validate dependencies of packages for which filter returns true', () => {
+        const tree = createTree('^1.0.0', '2.0.0');
+        const result = validation.validate(tree, (pkg) => pkg.name === 'foo');
+
+        expect(result).to.eql({
+          packages: [ { dependencies: [], package: tree.nodes[1] } ],
+          peers: [],
+          summary: { exitCode: 0, invalid: 0, missing: 0, ok: 0 }
+        });
+      });
+    });
+
+    context('when dependency is not installed', () => {
+      it('should be missing', () => {
+        const result = validation.validate(createTree('^1.0.0', null));
+
+        expect(result.packages[0].dependencies[0]).to.include({ directory: null, status: 'missing', version: null });
+        expect(result.summary).to.eql({ exitCode: 1, invalid: 0, missing: 1, ok: 0 });
+      });
+
+      context('and dependency is optional', () => {
+        it('should be missing without failing', () => {
+          const result = validation.validate(createTree('^1.0.0', null, 'optional'));
+
+          expect(result.summary).to.eql({ exitCode: 0, invalid: 0, missing: 1, ok: 0 });
+        });
+      });
+    });
+
+    context('when installed version is prerelease', () => {
+      it('should be ok if range contains prerelease of same version', () => {
+        expect(getStatus('^1.1.0-alpha.1', '1.1.0-beta.1')).to.equal('ok');
+        expect(getStatus('1.1.0-beta.1', '1.1.0-beta.1')).to.equal('ok');
+      });
+
+      it('should be invalid if range does not contain prerelease of same version', () => {
+        expect(getStatus('^1.0.0', '1.1.0-beta.1')).to.equal('invalid');
+        expect(getStatus('^1.0.0', '2.0.0-beta.1')).to.equal('invalid');
+        expect(getStatus('^1.1.0-alpha.1', '1.2.0-beta.1')).to.equal('invalid');
+      });
+    });
+
+    context('when installed version is outside of range', () => {
+      it('should be invalid', () => {
+        const result = validation.validate(createTree('^1.0.0', '2.0.0', 'optional'));
+
+        expect(result.packages[0].dependencies[0].status).to.equal('invalid');
+        expect(result.summary).to.eql({ exitCode: 1, invalid: 1, missing: 0, ok: 0 });
+      });
+    });
+
+    context('when dependency is peer', () => {
+      context('and it is ok', () => {
+        it('should not be reported as peer problem', () => {
+          expect(validation.validate(createTree('^1.0.0', '1.2.0', 'peer')).peers).to.eql([]);
+        });
+      });
+
+      context('and it is not installed', () => {
+        it('should be reported as unmet peer', () => {
+          const tree = createTree('^1.0.0', null, 'peer');
+          const result = validation.validate(tree);
+
+          expect(result.peers).to.eql([
+            { directory: null, name: 'foo', package: tree.nodes[0], range: '^1.0.0', status: 'unmet', version: null }
+          ]);
+          expect(result.summary).to.eql({ exitCode: 1, invalid: 0, missing: 1, ok: 0 });
+        });
+
+        context('and it is optional', () => {
+          it('should be reported as optional unmet peer without failing', () => {
+            const result = validation.validate(createTree('^1.0.0', null, 'peerOptional'));
+
+            expect(result.peers.map((peer) => peer.status)).to.eql([ 'optional-unmet' ]);
+            expect(result.summary).to.eql({ exitCode: 0, invalid: 0, missing: 1, ok: 0 });
+          });
+        });
+      });
+
+      context('and installed version is outside of range', () => {
+        it('should be reported as out of range peer', () => {
+          const tree = createTree('^1.0.0', '2.0.0', 'peerOptional');
+          const result = validation.validate(tree);
+
+          expect(result.peers).to.eql([
+            {
+              directory: '/project/node_modules/foo',
+              name: 'foo',
+              package: tree.nodes[0],
+              range: '^1.0.0',
+              status: 'out-of-range',
+              version: '2.0.0'
+            }
+          ]);
+          expect(result.summary).to.eql({ exitCode: 1, invalid: 1, missing: 0, ok: 0 });
+        });
+      });
+    });
+
+    context('when installed version is not valid', () => {
+      it('should be invalid', () => {
+        expect(getStatus('^1.0.0', 'unknown')).to.equal('invalid');
+      });
+    });
+
+    context('when range uses npm alias protocol', () => {
+      it('should check range of alias', () => {
+        expect(getStatus('npm:@fu/bar@^1.0.0', '1.2.0')).to.equal('ok');
+        expect(getStatus('npm:@fu/bar@^1.0.0', '2.0.0')).to.equal('invalid');
+      });
+    });
+
+    context('when range uses workspace protocol', () => {
+      it('should check range within protocol', () => {
+        expect(getStatus('workspace:*', '1.2.0')).to.equal('ok');
+        expect(getStatus('workspace:~1.2.0', '1.3.0')).to.equal('invalid');
+      });
+    });
+
+    context('when range is not semantic version range', () => {
+      it('should be ok if installed', () => {
+        expect(getStatus('git+https://example.com/foo.git', '2.0.0')).to.equal('ok');
+        expect(getStatus('latest', '2.0.0')).to.equal('ok');
+        expect(getStatus('latest', null)).to.equal('missing');
+      });
+    });
+
+    context('when range is not string', () => {
+      it('should be invalid', () => {
+        expect(getStatus(1, '1.0.0')).to.equal('invalid');
+        expect(getStatus(null, '1.0.0')).to.equal('invalid');
+        expect(getStatus({ version: '^1.0.0' }, null)).to.equal('invalid');
+      });
+
+      it('should fail validation', () => {
+        const result = validation.validate(createTree(1, '1.0.0'));
+
+        expect(result.summary).to.eql({ exitCode: 1, invalid: 1, missing: 0, ok: 0 });
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+
+const zip = require('../src/zip');
+
+describe('zip', () => {
+  const cachePath = path.join(__dirname, 'fixtures', 'pnp', '.yarn', 'cache');
+  const deflatedPath = path.join(cachePath, 'foo-npm-1.1.0-0a1b2c3d4e-5f6a7b8c9d.zip');
+  const storedPath = path.join(cachePath, '@fu-fizz-npm-1.3.1-1a2b3c4d5e-6f7a8b9c0d.zip');
+
+  describe('.getEntryNames', () => {
+    it('should return names of all entries', () => {
+      expect(zip.getEntryNames(fs.readFileSync(deflatedPath))).to.eql([
+        'node_modules/',
+        'node_modules/foo/',
+        'node_modules/foo/index.js',
+        'node_modules/foo/package.json'
+      ]);
+    });
+
+    context('when buffer contains no end of central directory', () => {
+      it('should throw error', () => {
+        expect(() => zip.getEntryNames(Buffer.alloc(64))).to.throw(Error,
+          'Invalid zip archive: Could not find end of central directory');
+      });
+    });
+  });
+
+  describe('.readEntry', () => {
+    context('when entry is deflated', () => {
+      it('should return inflated contents of entry', () => {
+        const contents = zip.readEntry(fs.readFileSync(deflatedPath), 'node_modules/foo/package.json');
+
+        expect(JSON.parse(contents.toString())).to.eql({ name: 'foo', version: '1.1.0', main: 'index.js' });
+      });
+    });
+
+    context('when entry is stored', () => {
+      it('should return contents of entry', () => {
+        const contents = zip.readEntry(fs.readFileSync(storedPath), 'node_modules/@fu/fizz/package.json');
+
+        expect(JSON.parse(contents.toString())).to.eql({ name: '@fu/fizz', version: '1.3.1' });
+      });
+    });
+
+    context('when entry does not exist', () => {
+      it('should return null', () => {
+        expect(zip.readEntry(fs.readFileSync(storedPath), 'package.json')).to.be.null;
+      });
+    });
+
+    context('when entry uses unsupported compression method', () => {
+      it('should throw error', () => {
+        const buffer = fs.readFileSync(storedPath);
+        const entryName = 'node_modules/@fu/fizz/package.json';
+        const centralDirectoryOffset = buffer.indexOf(entryName, buffer.indexOf(entryName) + 1) - 46;
+
+        buffer.writeUInt16LE(12, centralDirectoryOffset + 10);
+
+        expect(() => zip.readEntry(buffer, entryName)).to.throw(Error,
+          `Unsupported compression method (12) for zip entry: ${entryName}`);
+      });
+    });
+
+    context('when buffer is too small', () => {
+      it('should throw error', () => {
+        expect(() => zip.readEntry(Buffer.from('PK'), 'package.json')).to.throw(Error,
+          'Invalid zip archive: Could not find end of central directory');
+      });
+    });
+
+    context('when buffer contains no end of central directory', () => {
+      it('should throw error', () => {
+        expect(() => zip.readEntry(Buffer.alloc(64), 'package.json')).to.throw(Error,
+          'Invalid zip archive: Could not find end of central directory');
+      });
+    });
+
+    context('when buffer contains malformed central directory', () => {
+      it('should throw error', () => {
+        const buffer = fs.readFileSync(storedPath);
+        const entryName = 'node_modules/@fu/fizz/package.json';
+
+        buffer.writeUInt32LE(0, buffer.indexOf(entryName, buffer.indexOf(entryName) + 1) - 46);
+
+        expect(() => zip.readEntry(buffer, entryName)).to.throw(Error,
+          'Invalid zip archive: Malformed central directory');
+      });
+    });
+
+    context('when buffer contains malformed local file header', () => {
+      it('should throw error', () => {
+        const buffer = fs.readFileSync(storedPath);
+        const entryName = 'node_modules/@fu/fizz/package.json';
+
+        buffer.writeUInt32LE(0, buffer.indexOf(entryName) - 30);
+
+        expect(() => zip.readEntry(buffer, entryName)).to.throw(Error,
+          `Invalid zip archive: Malformed local file header for entry: ${entryName}`);
+      });
+    });
+  });
+});